@@ -0,0 +1,23 @@
+# Prepacks an ES module graph into a script. Checks if the output execution is correct.
+node ./bin/prepack.js ./test/es-modules/*.js --sourceType module --out EsModules-test.js
+node ./EsModules-test.js | grep "Hello world 2 3 9" > /dev/null
+if [[ $? -ne 0 ]]; then
+    echo "ES modules test failed: the script output of ./test/es-modules does not log the expected message."
+    exit 1
+fi
+rm ./EsModules-test.js
+
+# Prepacks an ES module graph into an ES module. Checks if the exports of the output are correct.
+node ./bin/prepack.js ./test/es-modules/*.js --sourceType module --moduleOutput module --out EsModules-test.mjs
+# Importing the output needs native ES module support, i.e. Node 14 or later; older versions only check the exports.
+if node -e 'process.exit(+process.versions.node.split(".")[0] >= 14 ? 0 : 1)'; then
+    # The exported counter is a live binding that observes the increments of the exported function.
+    node --input-type=module -e 'import { counter, getCounter, increment, message, square } from "./EsModules-test.mjs"; increment(); if (counter === 3 && getCounter() === 3 && square(4) === 16) console.log("Exported " + message);' | grep "Exported Hello world 2 3 9" > /dev/null
+else
+    grep "^export " ./EsModules-test.mjs | grep "counter" | grep "getCounter" | grep "message" | grep "square" > /dev/null
+fi
+if [[ $? -ne 0 ]]; then
+    echo "ES modules test failed: the module output of ./test/es-modules does not export the expected values."
+    exit 1
+fi
+rm ./EsModules-test.mjs
@@ -62,7 +62,7 @@ MockURI.prototype.makeString = function() {
   return this.url;
 };
 
-function runTestSuite(outputJsx, shouldTranspileSource) {
+function runTestSuite(output, shouldTranspileSource) {
   let errorsCaptured = [];
   let reactTestRoot = path.join(__dirname, "../test/react/");
   let prepackOptions = {
@@ -79,7 +79,7 @@ function runTestSuite(outputJsx, shouldTranspileSource) {
     uniqueSuffix: "",
     maxStackDepth: 100,
     reactEnabled: true,
-    reactOutput: outputJsx ? "jsx" : "create-element",
+    reactOutput: output,
     inlineExpressions: true,
     invariantLevel: 0,
     stripFlow: true,
@@ -99,12 +99,15 @@ function runTestSuite(outputJsx, shouldTranspileSource) {
     }
   }
 
-  function compileSourceWithPrepack(source) {
+  function compileSourceWithPrepack(source, reactOutput = output) {
     let code = `(function(){${source}})()`;
     let serialized;
     errorsCaptured = [];
     try {
-      serialized = prepackSources([{ filePath: "", fileContents: code, sourceMapContents: "" }], prepackOptions);
+      serialized = prepackSources(
+        [{ filePath: "", fileContents: code, sourceMapContents: "" }],
+        Object.assign({}, prepackOptions, { reactOutput })
+      );
     } catch (e) {
       if (e.__isReconcilerFatalError && checkForReconcilerFatalError) {
         throw e;
@@ -257,7 +260,7 @@ function runTestSuite(outputJsx, shouldTranspileSource) {
   };
 
   describe(`Test React with ${shouldTranspileSource ? "create-element input" : "JSX input"}, ${
-    outputJsx ? "JSX output" : "create-element output"
+    output === "jsx" ? "JSX output" : `${output} output`
   }`, () => {
     describe("Functional component folding", () => {
       let directory = "functional-components";
@@ -551,6 +554,22 @@ function runTestSuite(outputJsx, shouldTranspileSource) {
       it("Dynamic ReactElement type #2", async () => {
         await runTest(directory, "dynamic-type2.js");
       });
+
+      it("ReactDOM.createPortal", async () => {
+        await runTest(directory, "portal.js");
+      });
+
+      it("Logical conditions", async () => {
+        await runTest(directory, "logical-conditions.js");
+      });
+
+      it("Conditional branch that throws", async () => {
+        await runTest(directory, "conditional-type-error.js");
+      });
+
+      it("Hoisting of abstract values", async () => {
+        await runTest(directory, "hoist-abstract.js");
+      });
     });
 
     describe("Class component folding", () => {
@@ -612,6 +631,14 @@ function runTestSuite(outputJsx, shouldTranspileSource) {
       it("Complex class components folding into functional root component #5", async () => {
         await runTest(directory, "complex-class-into-functional-root5.js");
       });
+
+      it("Error boundaries", async () => {
+        await runTest(directory, "error-boundary.js");
+      });
+
+      it("Classes with getSnapshotBeforeUpdate", async () => {
+        await runTest(directory, "get-snapshot-before-update.js");
+      });
     });
 
     describe("Factory class component folding", () => {
@@ -624,6 +651,14 @@ function runTestSuite(outputJsx, shouldTranspileSource) {
       it("Simple factory classes 2", async () => {
         await runTest(directory, "simple2.js");
       });
+
+      it("Simple factory classes 3", async () => {
+        await runTest(directory, "simple3.js");
+      });
+
+      it("Factory classes with state", async () => {
+        await runTest(directory, "state.js");
+      });
     });
 
     describe("Render props", () => {
@@ -681,6 +716,10 @@ function runTestSuite(outputJsx, shouldTranspileSource) {
         await runTest(directory, "will-mount.js", true);
       });
 
+      it("Factory class components", async () => {
+        await runTest(directory, "factory-class-components.js", true);
+      });
+
       it("getDerivedStateFromProps", async () => {
         await runTest(directory, "get-derived-state-from-props.js", true);
       });
@@ -843,6 +882,10 @@ function runTestSuite(outputJsx, shouldTranspileSource) {
         await runTest(directory, "fb23.js");
       });
 
+      it("fb-www 24", async () => {
+        await runTest(directory, "fb24.js", true);
+      });
+
       it("repl example", async () => {
         await runTest(directory, "repl-example.js");
       });
@@ -852,6 +895,18 @@ function runTestSuite(outputJsx, shouldTranspileSource) {
         await runTest(directory, "hacker-news.js", false, data);
       });
 
+      if (output === "bytecode") {
+        it("Hacker News app is smaller than with create-element output", async () => {
+          let source = getDataFile(directory, "hacker-news.js");
+          if (shouldTranspileSource) {
+            source = transpileSource(source);
+          }
+          let bytecodeSource = compileSourceWithPrepack(source).compiledSource;
+          let createElementSource = compileSourceWithPrepack(source, "create-element").compiledSource;
+          expect(bytecodeSource.length).toBeLessThan(createElementSource.length);
+        });
+      }
+
       it("Function bind", async () => {
         await runTest(directory, "function-bind.js");
       });
@@ -860,8 +915,10 @@ function runTestSuite(outputJsx, shouldTranspileSource) {
 }
 
 // pre non-transpiled
-runTestSuite(true, false);
-runTestSuite(false, false);
+runTestSuite("jsx", false);
+runTestSuite("create-element", false);
+runTestSuite("bytecode", false);
 // pre transpiled
-runTestSuite(true, true);
-runTestSuite(false, true);
+runTestSuite("jsx", true);
+runTestSuite("create-element", true);
+runTestSuite("bytecode", true);
@@ -110,16 +110,41 @@ function execExternal(externalSpec, code) {
 function augmentCodeWithLazyObjectSupport(code, lazyRuntimeName) {
   const mockLazyObjectsSupport = `
     /* Lazy objects mock support begin */
+    // the code under test may replace these globals, i.e. RegExp, so the runtime holds on to the originals
+    var __lazyBuiltins = { Map, WeakMap, Set, WeakSet, RegExp, ArrayBuffer };
     var ${lazyRuntimeName} = {
       _lazyObjectIds: new Map(),
+      _lazyObjectTargets: new WeakMap(),
+      _lazyObjectProxies: new WeakMap(),
       _callback: null,
       setLazyObjectInitializer: function(callback) {
         this._callback = callback;
       },
-      createLazyObject: function(id) {
-        var obj = {};
+      createLazyObject: function(id, constructor, ...args) {
+        // lazy constructor arguments, i.e. the buffer of a typed array, have to be the real objects
+        args = args.map(arg => {
+          var target = this._lazyObjectTargets.get(arg);
+          if (target === undefined) return arg;
+          this.hydrateObject(target);
+          return target;
+        });
+        var obj = constructor === undefined ? {} : new constructor(...args);
         this._lazyObjectIds.set(obj, id);
-        return obj;
+        var proxy = new Proxy(obj, __hydrationHook);
+        this._lazyObjectTargets.set(proxy, obj);
+        this._lazyObjectProxies.set(obj, proxy);
+        return proxy;
+      },
+      hasInternalSlots: function(obj) {
+        return (
+          obj instanceof __lazyBuiltins.Map ||
+          obj instanceof __lazyBuiltins.WeakMap ||
+          obj instanceof __lazyBuiltins.Set ||
+          obj instanceof __lazyBuiltins.WeakSet ||
+          obj instanceof __lazyBuiltins.RegExp ||
+          obj instanceof __lazyBuiltins.ArrayBuffer ||
+          __lazyBuiltins.ArrayBuffer.isView(obj)
+        );
       },
       hydrateObject: function(obj) {
         const AlreadyHydratedLazyId = -1;
@@ -127,15 +152,27 @@ function augmentCodeWithLazyObjectSupport(code, lazyRuntimeName) {
         if (lazyId === AlreadyHydratedLazyId) {
           return;
         }
-        this._callback(obj, lazyId);
+        // mark the object first, as the callback accesses it through the lazy object itself
         this._lazyObjectIds.set(obj, AlreadyHydratedLazyId);
+        // the callback gets the lazy object, so that references of the object to itself keep their identity,
+        // except for an ArrayBuffer, whose contents can only be written through a view of the real buffer
+        this._callback(obj instanceof __lazyBuiltins.ArrayBuffer ? obj : this._lazyObjectProxies.get(obj), lazyId);
       }
     };
 
     var __hydrationHook = {
       get: function(target, prop) {
         ${LAZY_OBJECTS_RUNTIME_NAME}.hydrateObject(target);
-        return Reflect.get(target, prop);
+        var value = Reflect.get(target, prop);
+        // methods like Map.prototype.get only work when called on the object with the internal slots
+        if (
+          typeof value === "function" &&
+          prop !== "constructor" &&
+          ${LAZY_OBJECTS_RUNTIME_NAME}.hasInternalSlots(target)
+        ) {
+          return value.bind(target);
+        }
+        return value;
       },
       set: function(target, property, value, receiver) {
         ${LAZY_OBJECTS_RUNTIME_NAME}.hydrateObject(target);
@@ -188,20 +225,43 @@ function augmentCodeWithLazyObjectSupport(code, lazyRuntimeName) {
     };
     /* Lazy objects mock support end */
   `;
-  function wrapLazyObjectWithProxyHook(lazyCode) {
-    const lazyObjectCreationRegex = new RegExp(`(${lazyRuntimeName}\.createLazyObject\\(\\d+\\))`, "g");
-    return lazyCode.replace(lazyObjectCreationRegex, "new Proxy($1, __hydrationHook)");
-  }
-  code = wrapLazyObjectWithProxyHook(code);
   return `${mockLazyObjectsSupport}
     ${code}; // keep newline here as code may end with comment`;
 }
 
+// a minimal DOM EventTarget, whose events are dispatched synchronously by the code under test
+function createEventTarget(target: any) {
+  let listeners = [];
+  let matches = (listener, type, callback, capture) =>
+    listener.type === type && listener.callback === callback && listener.capture === capture;
+  let getCapture = options => !!(options !== null && typeof options === "object" ? options.capture : options);
+  target.addEventListener = function(type, callback, options) {
+    let capture = getCapture(options);
+    if (callback == null || listeners.some(listener => matches(listener, type, callback, capture))) return;
+    let once = options !== null && typeof options === "object" && !!options.once;
+    listeners.push({ type, callback, capture, once });
+  };
+  target.removeEventListener = function(type, callback, options) {
+    let capture = getCapture(options);
+    listeners = listeners.filter(listener => !matches(listener, type, callback, capture));
+  };
+  target.dispatchEvent = function(event) {
+    for (let listener of listeners.filter(l => l.type === event.type)) {
+      if (listener.once) target.removeEventListener(listener.type, listener.callback, listener.capture);
+      if (typeof listener.callback === "function") listener.callback.call(target, event);
+      else listener.callback.handleEvent(event);
+    }
+    return true;
+  };
+  return target;
+}
+
 // run code in a seperate context
 function execInContext(code) {
   let script = new vm.Script(
     `var global = this;
     var self = this;
+    var window = this;
     ${code}
     report(inspect());`,
     { cachedDataProduced: false }
@@ -212,7 +272,8 @@ function execInContext(code) {
   function write(prefix, values) {
     logOutput += "\n" + prefix + values.join("");
   }
-  script.runInNewContext({
+  let sandbox = createEventTarget({
+    document: createEventTarget({}),
     setTimeout: setTimeout,
     setInterval: setInterval,
     clearTimeout: clearTimeout,
@@ -232,6 +293,7 @@ function execInContext(code) {
       },
     },
   });
+  script.runInNewContext(sandbox);
   return (result + logOutput).trim();
 }
 
@@ -271,10 +333,16 @@ function runTest(name, code, options: PrepackOptions, args) {
   options.invariantLevel = code.includes("// omit invariants") || args.verbose ? 0 : 99;
   if (code.includes("// emit concrete model")) options.emitConcreteModel = true;
   if (code.includes("// exceeds stack limit")) options.maxStackDepth = 10;
+  if (code.includes("// tail calls")) options.tailCalls = true;
+  if (code.includes("// run timers")) options.runTimers = true;
   if (code.includes("// react")) {
     options.reactEnabled = true;
     options.reactOutput = "jsx";
   }
+  let localeMatch = code.match(/\/\/ locale: (\S+)/);
+  if (localeMatch) options.locale = localeMatch[1];
+  let timeZoneMatch = code.match(/\/\/ time zone: (\S+)/);
+  if (timeZoneMatch) options.timeZone = timeZoneMatch[1];
   let compileJSXWithBabel = code.includes("// babel:jsx");
   let functionCloneCountMatch = code.match(/\/\/ serialized function clone count: (\d+)/);
   options = ((Object.assign({}, options, {
@@ -60,6 +60,11 @@ class PrepackDebugSession extends DebugSession {
         )
       );
     });
+    this._adapterChannel.registerChannelEvent(DebugMessage.OUTPUT_EVENT, (response: DebuggerResponse) => {
+      let result = response.result;
+      invariant(result.kind === "output");
+      this.sendEvent(new OutputEvent(result.output + "\n", "console"));
+    });
     this._adapterChannel.registerChannelEvent(DebugMessage.STEPINTO_RESPONSE, (response: DebuggerResponse) => {
       let result = response.result;
       invariant(result.kind === "stepInto");
@@ -85,6 +90,9 @@ class PrepackDebugSession extends DebugSession {
     this._clientID = args.clientID;
     response.body = response.body || {};
     response.body.supportsConfigurationDoneRequest = true;
+    response.body.supportsConditionalBreakpoints = true;
+    response.body.supportsHitConditionalBreakpoints = true;
+    response.body.supportsLogPoints = true;
     // Respond back to the UI with the configurations. Will add more configurations gradually as needed.
     // Adapter can respond immediately here because no message is sent to Prepack
     this.sendResponse(response);
@@ -163,6 +171,9 @@ class PrepackDebugSession extends DebugSession {
         line: line,
         column: column,
       };
+      if (breakpoint.condition) breakpointInfo.condition = breakpoint.condition;
+      if (breakpoint.hitCondition) breakpointInfo.hitCondition = breakpoint.hitCondition;
+      if (breakpoint.logMessage) breakpointInfo.logMessage = breakpoint.logMessage;
       breakpointInfos.push(breakpointInfo);
     }
     this._adapterChannel.setBreakpoints(response.request_seq, breakpointInfos, (dbgResponse: DebuggerResponse) => {
@@ -290,6 +301,13 @@ class PrepackDebugSession extends DebugSession {
     });
   }
 
+  // Override
+  stepOutRequest(response: DebugProtocol.StepOutResponse, args: DebugProtocol.StepOutArguments): void {
+    this._adapterChannel.stepOut(response.request_seq, (dbgResponse: DebuggerResponse) => {
+      this.sendResponse(response);
+    });
+  }
+
   // Override
   evaluateRequest(response: DebugProtocol.EvaluateResponse, args: DebugProtocol.EvaluateArguments): void {
     this._adapterChannel.evaluate(
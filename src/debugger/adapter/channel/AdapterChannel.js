@@ -42,6 +42,12 @@ export class AdapterChannel {
 
   _processPrepackMessage(message: string) {
     let dbgResponse = this._marshaller.unmarshallResponse(message);
+    if (dbgResponse.result.kind === "output") {
+      // Prepack is still running and has not responded to the pending request yet
+      this._eventEmitter.emit(DebugMessage.OUTPUT_EVENT, dbgResponse);
+      this.listenOnFile(this._processPrepackMessage.bind(this));
+      return;
+    }
     if (dbgResponse.result.kind === "breakpoint-add") {
       this._eventEmitter.emit(DebugMessage.BREAKPOINT_ADD_ACKNOWLEDGE, dbgResponse.id, dbgResponse);
     } else if (dbgResponse.result.kind === "stopped") {
@@ -162,6 +168,12 @@ export class AdapterChannel {
     this._addRequestCallback(requestID, callback);
   }
 
+  stepOut(requestID: number, callback: DebuggerResponse => void) {
+    this._queue.enqueue(this._marshaller.marshallStepOutRequest(requestID));
+    this.trySendNextRequest();
+    this._addRequestCallback(requestID, callback);
+  }
+
   evaluate(requestID: number, frameId: void | number, expression: string, callback: DebuggerResponse => void) {
     this._queue.enqueue(this._marshaller.marshallEvaluateRequest(requestID, frameId, expression));
     this.trySendNextRequest();
@@ -34,6 +34,8 @@ export class DebugMessage {
   static STEPINTO_COMMAND: string = "StepInto-command";
   // Command to step over a function
   static STEPOVER_COMMAND: string = "StepOver-command";
+  // Command to step out of a function
+  static STEPOUT_COMMAND: string = "StepOut-command";
   // Command to evaluate an expression
   static EVALUATE_COMMAND: string = "Evaluate-command";
 
@@ -55,6 +57,10 @@ export class DebugMessage {
   // Respond to the adapter with the evaluation results
   static EVALUATE_RESPONSE: string = "Evaluate-response";
 
+  /* Messages from Prepack to adapter while it is running, which do not respond to a request */
+  // Output of a logpoint, forwarded to the UI as an output event
+  static OUTPUT_EVENT: string = "Output-event";
+
   /* Messages from Prepack to adapter to acknowledge having received the request */
   // Acknowledgement for setting a breakpoint
   static BREAKPOINT_ADD_ACKNOWLEDGE: string = "Breakpoint-add-acknowledge";
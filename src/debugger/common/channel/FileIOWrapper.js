@@ -74,6 +74,13 @@ export class FileIOWrapper {
     fs.writeFileSync(this._outFilePath, this._packager.package(contents));
   }
 
+  // Block until the other side has read the last message that was written out
+  waitForOutReadSync() {
+    while (fs.readFileSync(this._outFilePath, "utf8") !== "") {
+      // the other side clears the file once it has read the message
+    }
+  }
+
   clearInFile() {
     fs.writeFileSync(this._inFilePath, "");
   }
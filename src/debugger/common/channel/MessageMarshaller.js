@@ -18,6 +18,7 @@ import type {
   StackframeResult,
   BreakpointsAddResult,
   StoppedResult,
+  OutputResult,
   ReadyResult,
   Scope,
   ScopesResult,
@@ -30,6 +31,7 @@ import type {
   StackframeArguments,
   StepIntoArguments,
   StepOverArguments,
+  StepOutArguments,
   StoppedReason,
   EvaluateArguments,
   EvaluateResult,
@@ -58,6 +60,14 @@ export class MessageMarshaller {
     return `${this._lastRunRequestID} ${DebugMessage.STOPPED_RESPONSE} ${JSON.stringify(result)}`;
   }
 
+  marshallOutputEvent(output: string): string {
+    let result: OutputResult = {
+      kind: "output",
+      output: output,
+    };
+    return `${this._lastRunRequestID} ${DebugMessage.OUTPUT_EVENT} ${JSON.stringify(result)}`;
+  }
+
   marshallDebuggerStart(requestID: number): string {
     return `${requestID} ${DebugMessage.DEBUGGER_ATTACHED}`;
   }
@@ -102,6 +112,10 @@ export class MessageMarshaller {
     return `${requestID} ${DebugMessage.STEPOVER_COMMAND}`;
   }
 
+  marshallStepOutRequest(requestID: number): string {
+    return `${requestID} ${DebugMessage.STEPOUT_COMMAND}`;
+  }
+
   marshallEvaluateRequest(requestID: number, frameId: void | number, expression: string): string {
     let evalArgs: EvaluateArguments = {
       kind: "evaluate",
@@ -163,6 +177,13 @@ export class MessageMarshaller {
         };
         args = stepOverArgs;
         break;
+      case DebugMessage.STEPOUT_COMMAND:
+        this._lastRunRequestID = requestID;
+        let stepOutArgs: StepOutArguments = {
+          kind: "stepOut",
+        };
+        args = stepOutArgs;
+        break;
       case DebugMessage.EVALUATE_COMMAND:
         args = this._unmarshallEvaluateArguments(requestID, parts.slice(2).join(" "));
         break;
@@ -244,6 +265,8 @@ export class MessageMarshaller {
         dbgResult = this._unmarshallVariablesResult(resultString);
       } else if (messageType === DebugMessage.EVALUATE_RESPONSE) {
         dbgResult = this._unmarshallEvaluateResult(resultString);
+      } else if (messageType === DebugMessage.OUTPUT_EVENT) {
+        dbgResult = this._unmarshallOutputResult(resultString);
       } else {
         invariant(false, "Unexpected response type");
       }
@@ -345,6 +368,13 @@ export class MessageMarshaller {
     return result;
   }
 
+  _unmarshallOutputResult(resultString: string): OutputResult {
+    let result = JSON.parse(resultString);
+    invariant(result.kind === "output");
+    invariant(typeof result.output === "string");
+    return result;
+  }
+
   _unmarshallReadyResult(): ReadyResult {
     let result: ReadyResult = {
       kind: "ready",
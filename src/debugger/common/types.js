@@ -25,6 +25,7 @@ export type DebuggerRequestArguments =
   | VariablesArguments
   | StepIntoArguments
   | StepOverArguments
+  | StepOutArguments
   | EvaluateArguments;
 
 export type PrepackLaunchArguments = {
@@ -38,10 +39,19 @@ export type PrepackLaunchArguments = {
   exitCallback: () => void,
 };
 
+export type BreakpointOptions = {
+  condition?: string,
+  hitCondition?: string,
+  logMessage?: string,
+};
+
 export type Breakpoint = {
   filePath: string,
   line: number,
   column: number,
+  condition?: string,
+  hitCondition?: string,
+  logMessage?: string,
 };
 
 export type BreakpointsArguments = {
@@ -83,6 +93,10 @@ export type StepOverArguments = {
   kind: "stepOver",
 };
 
+export type StepOutArguments = {
+  kind: "stepOut",
+};
+
 export type EvaluateArguments = {
   kind: "evaluate",
   frameId?: number,
@@ -101,7 +115,8 @@ export type DebuggerResponseResult =
   | StoppedResult
   | ScopesResult
   | VariablesResult
-  | EvaluateResult;
+  | EvaluateResult
+  | OutputResult;
 
 export type ReadyResult = {
   kind: "ready",
@@ -124,6 +139,10 @@ export type StoppedResult = {
   line: number,
   column: number,
 };
+export type OutputResult = {
+  kind: "output",
+  output: string,
+};
 export type Scope = {
   name: string,
   variablesReference: number,
@@ -161,7 +180,7 @@ export type LaunchRequestArguments = {
   prepackArguments: Array<string>,
 };
 
-export type SteppingType = "Step Into" | "Step Over";
+export type SteppingType = "Step Into" | "Step Over" | "Step Out";
 export type StoppedReason = "Entry" | "Breakpoint" | SteppingType;
 
 export type SourceData = {
@@ -229,18 +229,36 @@ export class UISession {
         this._sendContinueRequest(continueArgs);
         break;
       case "breakpoint":
-        // format: breakpoint add <filePath> <line> ?<column>
-        if (parts.length !== 4 && parts.length !== 5) return false;
+        // format: breakpoint add <filePath> <line> ?<column> ?<if|hits|log> ?<condition, hit condition or log message>
+        if (parts.length < 4) return false;
         if (parts[1] === "add") {
           let filePath = parts[2];
           let line = parseInt(parts[3], 10);
           if (isNaN(line)) return false;
           let column = 0;
-          if (parts.length === 5) {
+          let optionIndex = 4;
+          if (parts.length > 4 && !isNaN(parseInt(parts[4], 10))) {
             column = parseInt(parts[4], 10);
-            if (isNaN(column)) return false;
+            optionIndex = 5;
           }
-          this._sendBreakpointRequest(filePath, line, column);
+          let breakpoint: DebugProtocol.SourceBreakpoint = {
+            line: line,
+            column: column,
+          };
+          if (parts.length > optionIndex) {
+            let text = parts.slice(optionIndex + 1).join(" ");
+            if (text.length === 0) return false;
+            if (parts[optionIndex] === "if") {
+              breakpoint.condition = text;
+            } else if (parts[optionIndex] === "hits") {
+              breakpoint.hitCondition = text;
+            } else if (parts[optionIndex] === "log") {
+              breakpoint.logMessage = text;
+            } else {
+              return false;
+            }
+          }
+          this._sendBreakpointRequest(filePath, breakpoint);
         }
         break;
       case "stackframes":
@@ -287,6 +305,13 @@ export class UISession {
         };
         this._sendStepOverRequest(stepOverArgs);
         break;
+      case "stepOut":
+        if (parts.length !== 1) return false;
+        let stepOutArgs: DebugProtocol.StepOutArguments = {
+          threadId: DebuggerConstants.PREPACK_THREAD_ID,
+        };
+        this._sendStepOutRequest(stepOutArgs);
+        break;
       case "eval":
         if (parts.length < 2) return false;
         let evalFrameId = parseInt(parts[1], 10);
@@ -384,14 +409,10 @@ export class UISession {
     this._prepackWaiting = false;
   }
 
-  _sendBreakpointRequest(filePath: string, line: number, column: number = 0) {
+  _sendBreakpointRequest(filePath: string, breakpoint: DebugProtocol.SourceBreakpoint) {
     let source: DebugProtocol.Source = {
       path: filePath,
     };
-    let breakpoint: DebugProtocol.SourceBreakpoint = {
-      line: line,
-      column: column,
-    };
     let args: DebugProtocol.SetBreakpointsArguments = {
       source: source,
       breakpoints: [breakpoint],
@@ -471,6 +492,17 @@ export class UISession {
     this._packageAndSend(json);
   }
 
+  _sendStepOutRequest(args: DebugProtocol.StepOutArguments) {
+    let message = {
+      type: "request",
+      seq: this._sequenceNum,
+      command: "stepOut",
+      arguments: args,
+    };
+    let json = JSON.stringify(message);
+    this._packageAndSend(json);
+  }
+
   _sendEvaluateRequest(args: DebugProtocol.EvaluateArguments) {
     let message = {
       type: "request",
@@ -9,13 +9,26 @@
 
 /* @flow strict */
 
+import type { BreakpointOptions } from "./../common/types.js";
+
 export class Breakpoint {
-  constructor(filePath: string, line: number, column: number = 0, temporary: boolean = false, enabled: boolean = true) {
+  constructor(
+    filePath: string,
+    line: number,
+    column: number = 0,
+    temporary: boolean = false,
+    enabled: boolean = true,
+    options: BreakpointOptions = {}
+  ) {
     this.filePath = filePath;
     this.line = line;
     this.temporary = temporary;
     this.enabled = enabled;
     this.column = column;
+    this.condition = options.condition;
+    this.hitCondition = options.hitCondition;
+    this.logMessage = options.logMessage;
+    this.hitCount = 0;
   }
   filePath: string;
   line: number;
@@ -24,4 +37,38 @@ export class Breakpoint {
   //real breakpoint set by client or temporary one set by debugger
   temporary: boolean;
   enabled: boolean;
+
+  // expression that has to evaluate to true for the debuggee to stop
+  condition: void | string;
+  // comparison such as ">= 3" or "% 2" that the hit count has to satisfy for the debuggee to stop
+  hitCondition: void | string;
+  // message that is logged instead of stopping, expressions in braces are interpolated
+  logMessage: void | string;
+  // number of times the breakpoint was reached while its condition was true
+  hitCount: number;
+
+  isHitConditionSatisfied(): boolean {
+    let hitCondition = this.hitCondition;
+    if (hitCondition === undefined) return true;
+    let match = /^\s*(>=|<=|==|=|>|<|%)?\s*(\d+)\s*$/.exec(hitCondition);
+    // stop on malformed hit conditions so that the user notices them
+    if (match === null) return true;
+    let n = parseInt(match[2], 10);
+    switch (match[1]) {
+      case ">":
+        return this.hitCount > n;
+      case "<":
+        return this.hitCount < n;
+      case "<=":
+        return this.hitCount <= n;
+      case "==":
+      case "=":
+        return this.hitCount === n;
+      case "%":
+        return n !== 0 && this.hitCount % n === 0;
+      default:
+        // a plain number means the debuggee stops from the nth hit on
+        return this.hitCount >= n;
+    }
+  }
 }
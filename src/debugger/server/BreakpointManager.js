@@ -56,7 +56,8 @@ export class BreakpointManager {
       breakpointMap = new PerFileBreakpointMap(bp.filePath);
       this._breakpointMaps.set(bp.filePath, breakpointMap);
     }
-    breakpointMap.addBreakpoint(bp.line, bp.column);
+    let { condition, hitCondition, logMessage } = bp;
+    breakpointMap.addBreakpoint(bp.line, bp.column, false, true, { condition, hitCondition, logMessage });
   }
 
   getBreakpoint(filePath: string, lineNum: number, columnNum: number = 0): void | Breakpoint {
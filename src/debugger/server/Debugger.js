@@ -10,6 +10,7 @@
 /* @flow */
 
 import { BreakpointManager } from "./BreakpointManager.js";
+import { Breakpoint } from "./Breakpoint.js";
 import type { BabelNode, BabelNodeSourceLocation } from "babel-types";
 import invariant from "../common/invariant.js";
 import type { DebugChannel } from "./channel/DebugChannel.js";
@@ -47,6 +48,7 @@ export class DebugServer {
     this._variableManager = new VariableManager(realm);
     this._stepManager = new SteppingManager(this._realm, /* default discard old steppers */ false);
     this._stopEventManager = new StopEventManager();
+    this._isEvaluatingBreakpoint = false;
     this.waitForRun(undefined);
   }
   // the collection of breakpoints
@@ -56,6 +58,7 @@ export class DebugServer {
   _realm: Realm;
   _variableManager: VariableManager;
   _stepManager: SteppingManager;
+  _isEvaluatingBreakpoint: boolean;
   _stopEventManager: StopEventManager;
   _lastExecuted: SourceData;
 
@@ -74,10 +77,12 @@ export class DebugServer {
 
   // Checking if the debugger needs to take any action on reaching this ast node
   checkForActions(ast: BabelNode) {
+    // the code that evaluates breakpoint conditions and log messages is not debugged
+    if (this._isEvaluatingBreakpoint) return;
     if (this._checkAndUpdateLastExecuted(ast)) {
       let stoppables: Array<StoppableObject> = this._stepManager.getAndDeleteCompletedSteppers(ast);
       let breakpoint = this._breakpointManager.getStoppableBreakpoint(ast);
-      if (breakpoint) stoppables.push(breakpoint);
+      if (breakpoint && this._shouldStopOnBreakpoint(breakpoint)) stoppables.push(breakpoint);
       let reason = this._stopEventManager.getDebuggeeStopReason(ast, stoppables);
       if (reason) {
         invariant(ast.loc && ast.loc.source);
@@ -87,6 +92,25 @@ export class DebugServer {
     }
   }
 
+  _shouldStopOnBreakpoint(breakpoint: Breakpoint): boolean {
+    this._isEvaluatingBreakpoint = true;
+    try {
+      let condition = breakpoint.condition;
+      if (condition !== undefined && !this._variableManager.evaluateCondition(condition)) return false;
+      breakpoint.hitCount++;
+      if (!breakpoint.isHitConditionSatisfied()) return false;
+      let logMessage = breakpoint.logMessage;
+      if (logMessage !== undefined) {
+        // logpoints do not stop, their output is forwarded to the UI by the adapter
+        this._channel.sendOutputEvent(this._variableManager.interpolateLogMessage(logMessage));
+        return false;
+      }
+      return true;
+    } finally {
+      this._isEvaluatingBreakpoint = false;
+    }
+  }
+
   // Process a command from a debugger. Returns whether Prepack should unblock
   // if it is blocked
   processDebuggerCommand(request: DebuggerRequest, ast: void | BabelNode) {
@@ -140,6 +164,11 @@ export class DebugServer {
         this._stepManager.processStepCommand("over", ast);
         this._onDebuggeeResume();
         return true;
+      case DebugMessage.STEPOUT_COMMAND:
+        invariant(ast !== undefined);
+        this._stepManager.processStepCommand("out", ast);
+        this._onDebuggeeResume();
+        return true;
       case DebugMessage.EVALUATE_COMMAND:
         invariant(args.kind === "evaluate");
         this.processEvaluateCommand(requestID, args);
@@ -10,6 +10,7 @@
 /* @flow strict */
 
 import { Breakpoint } from "./Breakpoint.js";
+import type { BreakpointOptions } from "./../common/types.js";
 
 // Storage for all the breakpoints in one source file
 // Each source file will be associated with one PerFileBreakpointMap
@@ -23,8 +24,8 @@ export class PerFileBreakpointMap {
   //map of line:column to Breakpoint objects
   _breakpoints: Map<string, Breakpoint>;
 
-  addBreakpoint(line: number, column: number = 0, temporary?: boolean, enabled?: boolean) {
-    let breakpoint = new Breakpoint(this._filePath, line, column, temporary, enabled);
+  addBreakpoint(line: number, column: number = 0, temporary?: boolean, enabled?: boolean, options?: BreakpointOptions) {
+    let breakpoint = new Breakpoint(this._filePath, line, column, temporary, enabled, options);
     let key = this._getKey(line, column);
     this._breakpoints.set(key, breakpoint);
   }
@@ -82,3 +82,18 @@ export class StepOverStepper extends Stepper {
     return false;
   }
 }
+
+export class StepOutStepper extends Stepper {
+  constructor(filePath: string, line: number, column: number, stackSize: number) {
+    super(filePath, line, column);
+    this._startStackSize = stackSize;
+  }
+  _startStackSize: number;
+
+  isComplete(ast: BabelNode, currentStackSize: number): boolean {
+    if (!this.isAstLocationChanged(ast)) return false;
+    // the current function has returned (or thrown) to a caller once the stack
+    // is shorter than it was when the step out started
+    return currentStackSize < this._startStackSize;
+  }
+}
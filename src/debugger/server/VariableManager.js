@@ -27,13 +27,14 @@ import {
   AbstractValue,
   StringValue,
 } from "./../../values/index.js";
+import { ValuesDomain } from "./../../domains/index.js";
 import invariant from "./../common/invariant.js";
 import type { Realm } from "./../../realm.js";
 import { IsDataDescriptor } from "./../../methods/is.js";
 import { DebuggerError } from "./../common/DebuggerError.js";
 import { Functions } from "./../../singletons.js";
 
-type VariableContainer = LexicalEnvironment | ObjectValue | AbstractValue;
+type VariableContainer = LexicalEnvironment | ObjectValue | AbstractValue | ValuesDomain;
 
 // This class manages the handling of variable requests in the debugger
 // The DebugProtocol specifies collections of variables are to be fetched using a
@@ -75,6 +76,8 @@ export class VariableManager {
       return this._getVariablesFromObject(container);
     } else if (container instanceof AbstractValue) {
       return this._getAbstractValueContent(container);
+    } else if (container instanceof ValuesDomain) {
+      return this._getVariablesFromValuesDomain(container);
     } else {
       invariant(false, "Invalid variable container");
     }
@@ -105,15 +108,80 @@ export class VariableManager {
       value: value.kind || "undefined",
       variablesReference: 0,
     };
-    let contents: Array<Variable> = [kindVar];
+    let typeVar: Variable = {
+      name: "type",
+      value: value.types.isTop() ? "top" : value.types.getType().name,
+      variablesReference: 0,
+    };
+    let contents: Array<Variable> = [kindVar, typeVar, this._getVariableFromValuesDomain("values", value.values)];
     let argCount = 1;
     for (let arg of value.args) {
       contents.push(this._getVariableFromValue("arg-" + argCount, arg));
       argCount++;
     }
+    if (value instanceof AbstractObjectValue) {
+      // The template is the partial object that holds the properties that are known about the abstract object
+      let template = this._getTemplate(value);
+      if (template !== undefined) {
+        contents.push(this._getVariableFromConcreteValue("template", template));
+        contents.push({
+          name: "isSimpleObject",
+          value: String(template.isSimpleObject()),
+          variablesReference: 0,
+        });
+      }
+    }
     return contents;
   }
 
+  _getVariableFromValuesDomain(name: string, values: ValuesDomain): Variable {
+    if (values.isTop()) {
+      return { name: name, value: "top", variablesReference: 0 };
+    }
+    let count = values.getElements().size;
+    return {
+      name: name,
+      value: count === 1 ? "1 possible value" : `${count} possible values`,
+      variablesReference: this.getReferenceForValue(values),
+    };
+  }
+
+  _getVariablesFromValuesDomain(values: ValuesDomain): Array<Variable> {
+    let variables = [];
+    let valueCount = 1;
+    for (let element of values.getElements()) {
+      variables.push(this._getVariableFromConcreteValue("value-" + valueCount, element));
+      valueCount++;
+    }
+    return variables;
+  }
+
+  // Unlike AbstractObjectValue.getTemplate, this does not report an introspection error
+  // if the abstract object has no template, since the debugger must not change the outcome of Prepack
+  _getTemplate(object: AbstractObjectValue): void | ObjectValue {
+    if (object.values.isTop()) return undefined;
+    let elements = object.values.getElements();
+    if (elements.size !== 1) return undefined;
+    for (let element of elements) {
+      invariant(element instanceof ObjectValue);
+      if (element.isPartialObject()) return element;
+    }
+    return undefined;
+  }
+
+  _getVariablesFromAbstractObject(object: AbstractObjectValue): Array<Variable> {
+    if (object.values.isTop()) return [];
+    let elements = object.values.getElements();
+    if (elements.size === 1) {
+      for (let element of elements) {
+        invariant(element instanceof ObjectValue);
+        return this._getVariablesFromObject(element);
+      }
+    }
+    // The object is one of several concrete objects, so let the UI expand each of them
+    return this._getVariablesFromValuesDomain(object.values);
+  }
+
   _getVariablesFromEnvRecord(envRecord: EnvironmentRecord): Array<Variable> {
     if (envRecord instanceof DeclarativeEnvironmentRecord) {
       return this._getVariablesFromDeclarativeEnv(envRecord);
@@ -121,8 +189,7 @@ export class VariableManager {
       if (envRecord.object instanceof ObjectValue) {
         return this._getVariablesFromObject(envRecord.object);
       } else if (envRecord.object instanceof AbstractObjectValue) {
-        // TODO: call _getVariablesFromAbstractObject when it is implemented
-        return [];
+        return this._getVariablesFromAbstractObject(envRecord.object);
       } else {
         invariant(false, "Invalid type of object environment record");
       }
@@ -195,24 +262,8 @@ export class VariableManager {
   }
 
   evaluate(frameId: void | number, expression: string): EvaluateResult {
-    let evalRealm = this._realm;
-    let isDirect = false;
-    let isStrict = false;
-    if (frameId !== undefined) {
-      if (frameId < 0 || frameId >= this._realm.contextStack.length) {
-        throw new DebuggerError("Invalid command", "Invalid value for frame ID");
-      }
-      // frameId's are in reverse order of context stack
-      let stackIndex = this._realm.contextStack.length - 1 - frameId;
-      let context = this._realm.contextStack[stackIndex];
-      isDirect = true;
-      isStrict = true;
-      evalRealm = context.realm;
-    }
-
-    let evalString = new StringValue(this._realm, expression);
     try {
-      let value = Functions.PerformEval(this._realm, evalString, evalRealm, isStrict, isDirect);
+      let value = this._performEval(frameId, expression);
       let varInfo = this._getVariableFromValue(expression, value);
       let result: EvaluateResult = {
         kind: "evaluate",
@@ -232,6 +283,64 @@ export class VariableManager {
     }
   }
 
+  // Returns whether a breakpoint condition holds in the innermost frame.
+  // A condition that fails to evaluate or that is abstract is taken to hold, so that the debuggee stops on it.
+  evaluateCondition(condition: string): boolean {
+    let value = this._evaluateWithoutEffects(condition);
+    if (value === undefined) return true;
+    return value.mightNotBeFalse();
+  }
+
+  // Replaces each expression in braces in the log message of a logpoint by its value in the innermost frame
+  interpolateLogMessage(logMessage: string): string {
+    return logMessage.replace(/{([^}]+)}/g, (match, expression) => {
+      let value = this._evaluateWithoutEffects(expression);
+      if (value === undefined) return `<Failed to evaluate: ${expression}>`;
+      return this._getVariableFromValue(expression, value).value;
+    });
+  }
+
+  // Breakpoint conditions and log messages are evaluated for effects that are then discarded,
+  // so that they do not change the program being prepacked
+  _evaluateWithoutEffects(expression: string): void | Value {
+    let realm = this._realm;
+    let savedHandler = realm.errorHandler;
+    // diagnostics about the expression are not diagnostics about the program being prepacked
+    realm.errorHandler = () => "Fail";
+    try {
+      let effects = realm.evaluateForEffects(
+        () => this._performEval(0, expression),
+        undefined,
+        "_evaluateWithoutEffects"
+      );
+      return effects.result instanceof Value ? effects.result : undefined;
+    } catch (e) {
+      return undefined;
+    } finally {
+      realm.errorHandler = savedHandler;
+    }
+  }
+
+  _performEval(frameId: void | number, expression: string): Value {
+    let evalRealm = this._realm;
+    let isDirect = false;
+    let isStrict = false;
+    if (frameId !== undefined) {
+      if (frameId < 0 || frameId >= this._realm.contextStack.length) {
+        throw new DebuggerError("Invalid command", "Invalid value for frame ID");
+      }
+      // frameId's are in reverse order of context stack
+      let stackIndex = this._realm.contextStack.length - 1 - frameId;
+      let context = this._realm.contextStack[stackIndex];
+      isDirect = true;
+      isStrict = true;
+      evalRealm = context.realm;
+    }
+
+    let evalString = new StringValue(this._realm, expression);
+    return Functions.PerformEval(this._realm, evalString, evalRealm, isStrict, isDirect);
+  }
+
   clean() {
     this._containerCache = new Map();
     this._referenceMap.clean();
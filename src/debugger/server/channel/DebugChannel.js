@@ -71,6 +71,14 @@ export class DebugChannel {
     this._requestReceived = false;
   }
 
+  // Send output to the debug adapter while Prepack is running. This does not respond to the pending request,
+  // so Prepack waits until the adapter has read the output before it writes out anything else.
+  sendOutputEvent(output: string): void {
+    invariant(this._requestReceived, "Prepack writing output while it is not running: " + output);
+    this._ioWrapper.writeOutSync(this._marshaller.marshallOutputEvent(output));
+    this._ioWrapper.waitForOutReadSync();
+  }
+
   sendBreakpointsAcknowledge(messageType: string, requestID: number, args: BreakpointsArguments): void {
     this.writeOut(this._marshaller.marshallBreakpointAcknowledge(requestID, messageType, args.breakpoints));
   }
@@ -0,0 +1,367 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { BabelBinaryOperator, BabelUnaryOperator } from "babel-types";
+import invariant from "../invariant.js";
+import { AbstractValue, IntegralValue, NumberValue, Value } from "../values/index.js";
+
+/* An abstract domain for the range of numbers a variable might have.
+   Unless the domain is top, the variable is known to be a number other than NaN,
+   that lies within the closed interval [lower, upper]. If the domain is integral,
+   the variable is furthermore known to be an integer.
+   An interval with lower > upper is empty, i.e. the variable cannot have a value. */
+
+const MIN_INT32 = -2147483648;
+const MAX_INT32 = 2147483647;
+const MAX_UINT32 = 4294967295;
+
+// Bounds how deep the ranges of operands are recomputed for the current path.
+const MAX_OPERAND_DEPTH = 4;
+
+export default class IntervalsDomain {
+  constructor(lower?: number, upper?: number, integral?: boolean) {
+    invariant(lower === undefined || (!isNaN(lower) && upper !== undefined && !isNaN(upper)));
+    if (integral && lower !== undefined && upper !== undefined) {
+      lower = Math.ceil(lower);
+      upper = Math.floor(upper);
+    }
+    this._lower = lower;
+    this._upper = upper;
+    this._integral = !!integral;
+  }
+
+  static topVal: IntervalsDomain = new IntervalsDomain();
+
+  _lower: void | number;
+  _upper: void | number;
+  _integral: boolean;
+
+  isTop(): boolean {
+    return this._lower === undefined;
+  }
+
+  isBottom(): boolean {
+    return !this.isTop() && this.getLowerBound() > this.getUpperBound();
+  }
+
+  isIntegral(): boolean {
+    return !this.isTop() && this._integral;
+  }
+
+  getLowerBound(): number {
+    invariant(this._lower !== undefined);
+    return this._lower;
+  }
+
+  getUpperBound(): number {
+    invariant(this._upper !== undefined);
+    return this._upper;
+  }
+
+  contains(n: number): boolean {
+    if (this.isTop()) return true;
+    if (this._integral && !Number.isInteger(n)) return false;
+    return this.getLowerBound() <= n && n <= this.getUpperBound();
+  }
+
+  joinWith(x: IntervalsDomain): IntervalsDomain {
+    if (this.isTop() || x.isTop()) return IntervalsDomain.topVal;
+    return new IntervalsDomain(
+      Math.min(this.getLowerBound(), x.getLowerBound()),
+      Math.max(this.getUpperBound(), x.getUpperBound()),
+      this._integral && x._integral
+    );
+  }
+
+  meetWith(x: IntervalsDomain): IntervalsDomain {
+    if (this.isTop()) return x;
+    if (x.isTop()) return this;
+    return new IntervalsDomain(
+      Math.max(this.getLowerBound(), x.getLowerBound()),
+      Math.min(this.getUpperBound(), x.getUpperBound()),
+      this._integral || x._integral
+    );
+  }
+
+  // Returns the range of a variable with this range once it is known that (variable op y) is true,
+  // where y is a number in the (non top) range bound.
+  refine(op: BabelBinaryOperator, bound: IntervalsDomain): IntervalsDomain {
+    invariant(!bound.isTop());
+    let lower = bound.getLowerBound();
+    let upper = bound.getUpperBound();
+    let integral = this._integral;
+    let refinement;
+    switch (op) {
+      case "<":
+        refinement = new IntervalsDomain(
+          -Infinity,
+          integral && isFinite(upper) ? Math.ceil(upper) - 1 : upper,
+          integral
+        );
+        break;
+      case "<=":
+        refinement = new IntervalsDomain(-Infinity, upper, integral);
+        break;
+      case ">":
+        refinement = new IntervalsDomain(
+          integral && isFinite(lower) ? Math.floor(lower) + 1 : lower,
+          Infinity,
+          integral
+        );
+        break;
+      case ">=":
+        refinement = new IntervalsDomain(lower, Infinity, integral);
+        break;
+      case "==":
+      case "===":
+        refinement = bound;
+        break;
+      default:
+        return this;
+    }
+    return this.meetWith(refinement);
+  }
+
+  static fromValue(value: void | Value): IntervalsDomain {
+    if (value instanceof NumberValue) {
+      let n = value.value;
+      if (isNaN(n)) return IntervalsDomain.topVal;
+      return new IntervalsDomain(n, n, Number.isInteger(n));
+    }
+    if (value instanceof AbstractValue) {
+      let intervals = value.intervals;
+      // Values of type IntegralValue are known to be integers, hence they cannot be NaN.
+      if (intervals.isTop() && value.getType() === IntegralValue) return new IntervalsDomain(-Infinity, Infinity, true);
+      return intervals;
+    }
+    return IntervalsDomain.topVal;
+  }
+
+  // Returns the range of the given value, refined by the comparisons in the path conditions of the current path.
+  static fromValueOnCurrentPath(value: Value, depth: number = 0): IntervalsDomain {
+    let intervals = IntervalsDomain.fromValue(value);
+    if (!(value instanceof AbstractValue)) return intervals;
+    if (depth < MAX_OPERAND_DEPTH) {
+      // the operands of the operation that computes value might have been refined by the path conditions
+      let [operand0, operand1, operand2] = value.args;
+      switch (value.kind) {
+        case "+":
+        case "-":
+        case "*":
+        case "%":
+        case "&":
+          if (value.args.length === 2) {
+            let xIntervals = IntervalsDomain.fromValueOnCurrentPath(operand0, depth + 1);
+            let yIntervals = IntervalsDomain.fromValueOnCurrentPath(operand1, depth + 1);
+            intervals = intervals.meetWith(IntervalsDomain.binaryOp((value.kind: any), xIntervals, yIntervals));
+          } else if (value.args.length === 1) {
+            let xIntervals = IntervalsDomain.fromValueOnCurrentPath(operand0, depth + 1);
+            intervals = intervals.meetWith(IntervalsDomain.unaryOp((value.kind: any), xIntervals));
+          }
+          break;
+        case "~": {
+          let xIntervals = IntervalsDomain.fromValueOnCurrentPath(operand0, depth + 1);
+          intervals = intervals.meetWith(IntervalsDomain.unaryOp("~", xIntervals));
+          break;
+        }
+        case "conditional": {
+          let consequentIntervals = IntervalsDomain.fromValueOnCurrentPath(operand1, depth + 1);
+          let alternateIntervals = IntervalsDomain.fromValueOnCurrentPath(operand2, depth + 1);
+          intervals = intervals.meetWith(consequentIntervals.joinWith(alternateIntervals));
+          break;
+        }
+        default:
+          break;
+      }
+    }
+    let isNumber = !value.mightNotBeNumber();
+    for (let condition of value.$Realm.pathConditions) {
+      let op: ?string = condition.kind;
+      let isNegated = false;
+      if (op === "!") {
+        let [negatedCondition] = condition.args;
+        if (!(negatedCondition instanceof AbstractValue)) continue;
+        condition = negatedCondition;
+        op = negateComparison(condition.kind);
+        isNegated = true;
+      }
+      if (op !== "<" && op !== "<=" && op !== ">" && op !== ">=" && op !== "==" && op !== "===") continue;
+      if (condition.args.length !== 2) continue;
+      let [x, y] = condition.args;
+      if (!x.equals(value)) {
+        if (!y.equals(value)) continue;
+        [x, y] = [y, x];
+        op = mirrorComparison(op);
+      }
+      let bound = IntervalsDomain.fromValue(y);
+      if (bound.isTop()) continue;
+      if (intervals.isTop()) {
+        // A negated comparison can be true because the value is NaN, and only === implies that the value is a number.
+        if (isNegated || (!isNumber && op !== "===")) continue;
+        intervals = new IntervalsDomain(-Infinity, Infinity, false);
+      }
+      intervals = intervals.refine((op: any), bound);
+    }
+    return intervals;
+  }
+
+  // Returns the result of (left op right) if it can be determined from the ranges of the operands.
+  static compare(op: BabelBinaryOperator, left: IntervalsDomain, right: IntervalsDomain): void | boolean {
+    if (left.isTop() || right.isTop() || left.isBottom() || right.isBottom()) return undefined;
+    let lLower = left.getLowerBound();
+    let lUpper = left.getUpperBound();
+    let rLower = right.getLowerBound();
+    let rUpper = right.getUpperBound();
+    switch (op) {
+      case "<":
+        if (lUpper < rLower) return true;
+        if (lLower >= rUpper) return false;
+        return undefined;
+      case "<=":
+        if (lUpper <= rLower) return true;
+        if (lLower > rUpper) return false;
+        return undefined;
+      case ">":
+        return IntervalsDomain.compare("<", right, left);
+      case ">=":
+        return IntervalsDomain.compare("<=", right, left);
+      case "==":
+      case "===":
+        if (lUpper < rLower || rUpper < lLower) return false;
+        if (lLower === lUpper && rLower === rUpper) return true;
+        return undefined;
+      case "!=":
+      case "!==": {
+        let result = IntervalsDomain.compare("===", left, right);
+        return result === undefined ? undefined : !result;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  // return the range of the result in the case where there is no exception
+  static binaryOp(op: BabelBinaryOperator, left: IntervalsDomain, right: IntervalsDomain): IntervalsDomain {
+    switch (op) {
+      case "&":
+        // the result of a bitwise and with a non negative integer cannot exceed that integer
+        if (left.isIntegral() && left.getLowerBound() >= 0 && left.getUpperBound() <= MAX_INT32)
+          return new IntervalsDomain(0, left.getUpperBound(), true);
+        if (right.isIntegral() && right.getLowerBound() >= 0 && right.getUpperBound() <= MAX_INT32)
+          return new IntervalsDomain(0, right.getUpperBound(), true);
+        return new IntervalsDomain(MIN_INT32, MAX_INT32, true);
+      case "|":
+      case "^":
+      case "<<":
+      case ">>":
+        return new IntervalsDomain(MIN_INT32, MAX_INT32, true);
+      case ">>>":
+        return new IntervalsDomain(0, MAX_UINT32, true);
+      default:
+        break;
+    }
+    if (left.isTop() || right.isTop() || left.isBottom() || right.isBottom()) return IntervalsDomain.topVal;
+    let lLower = left.getLowerBound();
+    let lUpper = left.getUpperBound();
+    let rLower = right.getLowerBound();
+    let rUpper = right.getUpperBound();
+    let integral = left._integral && right._integral;
+    switch (op) {
+      case "+":
+        // Infinity + -Infinity is NaN
+        if ((lUpper === Infinity && rLower === -Infinity) || (lLower === -Infinity && rUpper === Infinity))
+          return IntervalsDomain.topVal;
+        return new IntervalsDomain(lLower + rLower, lUpper + rUpper, integral);
+      case "-":
+        // Infinity - Infinity is NaN
+        if ((lUpper === Infinity && rUpper === Infinity) || (lLower === -Infinity && rLower === -Infinity))
+          return IntervalsDomain.topVal;
+        return new IntervalsDomain(lLower - rUpper, lUpper - rLower, integral);
+      case "*": {
+        // 0 * Infinity is NaN
+        if (
+          (left.contains(0) && (!isFinite(rLower) || !isFinite(rUpper))) ||
+          (right.contains(0) && (!isFinite(lLower) || !isFinite(lUpper)))
+        )
+          return IntervalsDomain.topVal;
+        let products = [lLower * rLower, lLower * rUpper, lUpper * rLower, lUpper * rUpper];
+        return new IntervalsDomain(Math.min(...products), Math.max(...products), integral);
+      }
+      case "%": {
+        // Infinity % y and x % 0 are NaN
+        if (!isFinite(lLower) || !isFinite(lUpper) || right.contains(0)) return IntervalsDomain.topVal;
+        // the result has the sign of the dividend and a smaller magnitude than both the dividend and the divisor
+        let magnitude = Math.min(
+          Math.max(Math.abs(lLower), Math.abs(lUpper)),
+          Math.max(Math.abs(rLower), Math.abs(rUpper))
+        );
+        return new IntervalsDomain(lLower < 0 ? -magnitude : 0, lUpper > 0 ? magnitude : 0, integral);
+      }
+      default:
+        return IntervalsDomain.topVal;
+    }
+  }
+
+  static joinValues(v1: void | Value, v2: void | Value): IntervalsDomain {
+    return IntervalsDomain.fromValue(v1).joinWith(IntervalsDomain.fromValue(v2));
+  }
+
+  // return the range of the result in the case where there is no exception
+  static unaryOp(op: BabelUnaryOperator, operand: IntervalsDomain): IntervalsDomain {
+    switch (op) {
+      case "~":
+        if (operand.isIntegral() && operand.getLowerBound() >= MIN_INT32 && operand.getUpperBound() <= MAX_INT32)
+          return new IntervalsDomain(~operand.getUpperBound(), ~operand.getLowerBound(), true);
+        return new IntervalsDomain(MIN_INT32, MAX_INT32, true);
+      case "-":
+        if (operand.isTop() || operand.isBottom()) return IntervalsDomain.topVal;
+        return new IntervalsDomain(-operand.getUpperBound(), -operand.getLowerBound(), operand._integral);
+      case "+":
+        return operand;
+      default:
+        return IntervalsDomain.topVal;
+    }
+  }
+}
+
+function negateComparison(op: ?string): ?string {
+  switch (op) {
+    case "<":
+      return ">=";
+    case "<=":
+      return ">";
+    case ">":
+      return "<=";
+    case ">=":
+      return "<";
+    case "!=":
+      return "==";
+    case "!==":
+      return "===";
+    default:
+      return undefined;
+  }
+}
+
+function mirrorComparison(op: string): string {
+  switch (op) {
+    case "<":
+      return ">";
+    case "<=":
+      return ">=";
+    case ">":
+      return "<";
+    case ">=":
+      return "<=";
+    default:
+      return op;
+  }
+}
@@ -9,5 +9,6 @@
 
 /* @flow */
 
+export { default as IntervalsDomain } from "./IntervalsDomain.js";
 export { default as TypesDomain } from "./TypesDomain.js";
 export { default as ValuesDomain } from "./ValuesDomain.js";
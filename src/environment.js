@@ -52,6 +52,7 @@ import invariant from "./invariant.js";
 import traverseFast from "./utils/traverse-fast.js";
 import { HasProperty, Get, IsExtensible, HasOwnProperty, IsDataDescriptor } from "./methods/index.js";
 import { Environment, Havoc, Properties, To } from "./singletons.js";
+import { EvaluateModuleGraph, ParseModule, SourceTextModuleRecord } from "./methods/module.js";
 import * as t from "babel-types";
 import { TypesDomain, ValuesDomain } from "./domains/index.js";
 import PrimitiveValue from "./values/PrimitiveValue";
@@ -1037,6 +1038,77 @@ export class GlobalEnvironmentRecord extends EnvironmentRecord {
   }
 }
 
+// ECMA262 8.1.1.5
+// An import binding shares the Binding of the exporting module, so that it observes every update of the exported
+// variable, and so that the serializer sees a single binding no matter through which module it is referenced.
+export class ModuleEnvironmentRecord extends DeclarativeEnvironmentRecord {
+  constructor(realm: Realm) {
+    super(realm);
+    this.$ImportedNames = new Set();
+  }
+
+  $ImportedNames: Set<string>;
+
+  // ECMA262 8.1.1.5.1
+  SetMutableBinding(N: string, V: Value, S: boolean): Value {
+    // Import bindings are immutable bindings and module code is always strict code.
+    if (this.$ImportedNames.has(N)) {
+      throw this.realm.createErrorThrowCompletion(
+        this.realm.intrinsics.TypeError,
+        `attempt to assign to imported binding ${N}`
+      );
+    }
+    return super.SetMutableBinding(N, V, S);
+  }
+
+  // ECMA262 8.1.1.5.2
+  DeleteBinding(N: string): boolean {
+    // 1. Assert: This method is never invoked. See 12.5.4.1.
+    invariant(false, "module bindings cannot be deleted");
+  }
+
+  // ECMA262 8.1.1.5.3
+  HasThisBinding(): boolean {
+    // 1. Return true.
+    return true;
+  }
+
+  // ECMA262 8.1.1.5.4
+  GetThisBinding(): NullValue | ObjectValue | AbstractObjectValue | UndefinedValue {
+    // 1. Return undefined.
+    return this.realm.intrinsics.undefined;
+  }
+
+  // ECMA262 8.1.1.5.5
+  CreateImportBinding(N: string, M: ModuleEnvironmentRecord, N2: string): Value {
+    invariant(!this.frozen);
+
+    // 1. Let envRec be the module Environment Record for which the method was invoked.
+    let envRec = this;
+
+    // 2. Assert: envRec does not already have a binding for N.
+    invariant(!envRec.bindings[N], `shouldn't have the binding ${N}`);
+
+    // 3. Assert: M is a Module Record.
+    // 4. Assert: When M.[[Environment]] is instantiated it will have a direct binding for N2.
+    let binding = M.bindings[N2];
+    invariant(binding !== undefined, `expected binding ${N2} in the environment of the exporting module`);
+
+    // 5. Create an immutable indirect binding in envRec for N that references M and N2 as its target binding and
+    //    record that the binding is initialized.
+    envRec.bindings[N] = binding;
+    envRec.$ImportedNames.add(N);
+
+    // 6. Return NormalCompletion(empty).
+    return this.realm.intrinsics.empty;
+  }
+
+  // Returns the Binding of the exporting module that the import binding N refers to.
+  getImportedBinding(N: string): void | Binding {
+    return this.$ImportedNames.has(N) ? this.bindings[N] : undefined;
+  }
+}
+
 // ECMA262 8.1
 let uid = 0;
 export class LexicalEnvironment {
@@ -1137,6 +1209,41 @@ export class LexicalEnvironment {
     }
   }
 
+  parseSource(source: SourceFile, sourceType: SourceType = "script"): BabelNodeFile {
+    try {
+      let node = this.realm.statistics.parsing.measure(() =>
+        parse(this.realm, source.fileContents, source.filePath, sourceType)
+      );
+
+      let sourceMapContents = source.sourceMapContents;
+      if (sourceMapContents && sourceMapContents.length > 0) {
+        this.realm.statistics.fixupSourceLocations.measure(() => this.fixup_source_locations(node, sourceMapContents));
+      }
+
+      this.realm.statistics.fixupFilenames.measure(() => this.fixup_filenames(node));
+      return node;
+    } catch (e) {
+      if (e instanceof ThrowCompletion) {
+        let error = e.value;
+        if (error instanceof ObjectValue) {
+          let message = error._SafeGetDataPropertyValue("message");
+          if (message instanceof StringValue) {
+            message.value = `Syntax error: ${message.value}`;
+            e.location.source = source.filePath;
+            // the position was not located properly on the
+            // syntax errors happen on one given position, so start position = end position
+            e.location.start = { line: e.location.line, column: e.location.column };
+            e.location.end = { line: e.location.line, column: e.location.column };
+            let diagnostic = new CompilerDiagnostic(message.value, e.location, "PP1004", "FatalError");
+            this.realm.handleError(diagnostic);
+            throw new FatalError(message.value);
+          }
+        }
+      }
+      throw e;
+    }
+  }
+
   concatenateAndParse(
     sources: Array<SourceFile>,
     sourceType: SourceType = "script"
@@ -1145,45 +1252,50 @@ export class LexicalEnvironment {
     let code = {};
     let directives = [];
     for (let source of sources) {
-      try {
-        let node = this.realm.statistics.parsing.measure(() =>
-          parse(this.realm, source.fileContents, source.filePath, sourceType)
-        );
-
-        let sourceMapContents = source.sourceMapContents;
-        if (sourceMapContents && sourceMapContents.length > 0) {
-          this.realm.statistics.fixupSourceLocations.measure(() =>
-            this.fixup_source_locations(node, sourceMapContents)
-          );
-        }
-
-        this.realm.statistics.fixupFilenames.measure(() => this.fixup_filenames(node));
+      let node = this.parseSource(source, sourceType);
+      asts = asts.concat(node.program.body);
+      code[source.filePath] = source.fileContents;
+      if (node.program.directives) directives = directives.concat(node.program.directives);
+    }
+    return [t.file(t.program(asts, directives)), code];
+  }
 
-        asts = asts.concat(node.program.body);
+  // Each source file is an ES module. They are linked with each other and evaluated in dependency order.
+  executeModules(
+    sources: Array<SourceFile>,
+    onParse: void | (BabelNodeFile => void) = undefined
+  ): [AbruptCompletion | Array<SourceTextModuleRecord>, { [string]: string }] {
+    let context = new ExecutionContext();
+    context.lexicalEnvironment = this;
+    context.variableEnvironment = this;
+    context.realm = this.realm;
+    this.realm.pushContext(context);
+    let modules = [];
+    let code = {};
+    let res;
+    try {
+      for (let source of sources) {
+        let ast = this.parseSource(source, "module");
+        if (onParse) onParse(ast);
         code[source.filePath] = source.fileContents;
-        directives = directives.concat(node.program.directives);
-      } catch (e) {
-        if (e instanceof ThrowCompletion) {
-          let error = e.value;
-          if (error instanceof ObjectValue) {
-            let message = error._SafeGetDataPropertyValue("message");
-            if (message instanceof StringValue) {
-              message.value = `Syntax error: ${message.value}`;
-              e.location.source = source.filePath;
-              // the position was not located properly on the
-              // syntax errors happen on one given position, so start position = end position
-              e.location.start = { line: e.location.line, column: e.location.column };
-              e.location.end = { line: e.location.line, column: e.location.column };
-              let diagnostic = new CompilerDiagnostic(message.value, e.location, "PP1004", "FatalError");
-              this.realm.handleError(diagnostic);
-              throw new FatalError(message.value);
-            }
-          }
-        }
-        throw e;
+        modules.push(ParseModule(this.realm, ast, source.filePath));
       }
+      try {
+        res = this.realm.statistics.evaluation.measure(() => EvaluateModuleGraph(this.realm, modules));
+      } catch (err) {
+        if (!(err instanceof AbruptCompletion)) throw err;
+        res = err;
+      }
+      // Once the modules have been evaluated, the pending promise jobs run (ECMA262 8.6 RunJobs).
+      if (!(res instanceof AbruptCompletion)) res = this.realm.runPendingJobs() || res;
+      if (!(res instanceof AbruptCompletion) && this.realm.runTimers) res = this.realm.runPendingTimers() || res;
+    } finally {
+      this.realm.popContext(context);
+      if (!this.destroyed) this.realm.onDestroyScope(this);
+      invariant(this.realm.activeLexicalEnvironments.size === 0);
     }
-    return [t.file(t.program(asts, directives)), code];
+    if (res instanceof AbruptCompletion) return [res, code];
+    return [modules, code];
   }
 
   executeSources(
@@ -1191,6 +1303,10 @@ export class LexicalEnvironment {
     sourceType: SourceType = "script",
     onParse: void | (BabelNodeFile => void) = undefined
   ): [AbruptCompletion | Value, { [string]: string }] {
+    if (sourceType === "module") {
+      let [res, code] = this.executeModules(sources, onParse);
+      return [res instanceof AbruptCompletion ? res : this.realm.intrinsics.undefined, code];
+    }
     let context = new ExecutionContext();
     context.lexicalEnvironment = this;
     context.variableEnvironment = this;
@@ -1202,6 +1318,9 @@ export class LexicalEnvironment {
       [ast, code] = this.concatenateAndParse(sources, sourceType);
       if (onParse) onParse(ast);
       res = this.realm.statistics.evaluation.measure(() => this.evaluateCompletion(ast, false));
+      // Once the script has been evaluated, the pending promise jobs run (ECMA262 8.6 RunJobs).
+      if (!(res instanceof AbruptCompletion)) res = this.realm.runPendingJobs() || res;
+      if (!(res instanceof AbruptCompletion) && this.realm.runTimers) res = this.realm.runPendingTimers() || res;
     } finally {
       this.realm.popContext(context);
       this.realm.onDestroyScope(context.lexicalEnvironment);
@@ -1267,6 +1386,8 @@ export class LexicalEnvironment {
       if (map.length > 0) this.fixup_source_locations(ast, map);
       this.fixup_filenames(ast);
       res = this.evaluateCompletion(ast, false);
+      if (!(res instanceof AbruptCompletion)) res = this.realm.runPendingJobs() || res;
+      if (!(res instanceof AbruptCompletion) && this.realm.runTimers) res = this.realm.runPendingTimers() || res;
     } finally {
       this.realm.popContext(context);
       // Avoid destroying "this" scope as execute may be called many times.
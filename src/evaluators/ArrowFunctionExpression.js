@@ -41,7 +41,10 @@ export default function(
   let parameters = ast.params;
 
   // 4. Let closure be FunctionCreate(Arrow, parameters, ConciseBody, scope, strict).
-  let closure = Functions.FunctionCreate(realm, "arrow", parameters, ConciseBody, scope, strict);
+  // (ECMA262 14.7.10: For an async arrow function, let closure be ! AsyncFunctionCreate(Arrow, parameters, AsyncConciseBody, scope, strict).)
+  let closure = ast.async
+    ? Functions.AsyncFunctionCreate(realm, "arrow", parameters, ConciseBody, scope, strict)
+    : Functions.FunctionCreate(realm, "arrow", parameters, ConciseBody, scope, strict);
   closure.loc = ast.loc;
 
   // 5. Return closure.
@@ -11,7 +11,7 @@
 
 import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
-import { FatalError } from "../errors.js";
+import { CompilerDiagnostic, FatalError } from "../errors.js";
 import type { Value } from "../values/index.js";
 import type { BabelNodeAwaitExpression } from "babel-types";
 
@@ -21,5 +21,13 @@ export default function(
   env: LexicalEnvironment,
   realm: Realm
 ): Value {
-  throw new FatalError("TODO #712: AwaitExpression");
+  // Await expressions that the resumable evaluation of async function bodies can suspend never get here.
+  let error = new CompilerDiagnostic(
+    "await expressions in this position are not supported",
+    ast.loc,
+    "PP0038",
+    "FatalError"
+  );
+  realm.handleError(error);
+  throw new FatalError();
 }
@@ -10,7 +10,7 @@
 /* @flow */
 
 import type { Realm } from "../realm.js";
-import { TypesDomain, ValuesDomain } from "../domains/index.js";
+import { IntervalsDomain, TypesDomain, ValuesDomain } from "../domains/index.js";
 import type { LexicalEnvironment } from "../environment.js";
 import { CompilerDiagnostic, FatalError } from "../errors.js";
 import {
@@ -244,13 +244,22 @@ export function computeBinary(
       Havoc.value(realm, rval, loc);
     }
     return realm.evaluateWithPossibleThrowCompletion(
-      () =>
-        AbstractValue.createTemporalFromBuildFunction(
+      () => {
+        let result = AbstractValue.createTemporalFromBuildFunction(
           realm,
           resultType,
           [lval, rval],
           ([lnode, rnode]: Array<BabelNodeExpression>) => t.binaryExpression(op, lnode, rnode)
-        ),
+        );
+        // The bitwise operators produce an integer whatever the operands, so x | 0 has a known range.
+        invariant(result instanceof AbstractValue);
+        result.intervals = IntervalsDomain.binaryOp(
+          op,
+          IntervalsDomain.fromValue(lval),
+          IntervalsDomain.fromValue(rval)
+        );
+        return result;
+      },
       TypesDomain.topVal,
       ValuesDomain.topVal
     );
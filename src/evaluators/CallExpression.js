@@ -157,11 +157,11 @@ function tryToEvaluateCallOrLeaveAsAbstract(
   thisValue: Value,
   tailCall: boolean
 ): Value {
-  let effects;
+  let effects, jobs;
   let savedSuppressDiagnostics = realm.suppressDiagnostics;
   try {
     realm.suppressDiagnostics = true;
-    effects = realm.evaluateForEffects(
+    [effects, jobs] = realm.evaluateForEffectsAndJobs(
       () => EvaluateDirectCall(realm, strictCode, env, ref, func, thisValue, ast.arguments, tailCall),
       undefined,
       "tryToEvaluateCallOrLeaveAsAbstract"
@@ -183,6 +183,7 @@ function tryToEvaluateCallOrLeaveAsAbstract(
   // Note that the effects of (non joining) abrupt branches are not included
   // in effects, but are tracked separately inside completion.
   realm.applyEffects(effects);
+  realm.pendingJobs.push(...jobs);
   let completion = effects.result;
   if (completion instanceof PossiblyNormalCompletion) {
     // in this case one of the branches may complete abruptly, which means that
@@ -0,0 +1,83 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../realm.js";
+import type { LexicalEnvironment } from "../environment.js";
+import { ObjectValue, StringValue, Value } from "../values/index.js";
+import { ClassDefinitionEvaluation } from "./ClassDeclaration.js";
+import { HasOwnProperty, IsAnonymousFunctionDefinition } from "../methods/index.js";
+import { Environment, Functions } from "../singletons.js";
+import invariant from "../invariant.js";
+import type { BabelNodeClassDeclaration, BabelNodeExportDefaultDeclaration, BabelNodeExpression } from "babel-types";
+
+// ECMA262 15.2.3.11
+export default function(
+  ast: BabelNodeExportDefaultDeclaration,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm
+): Value {
+  let declaration = ast.declaration;
+
+  if (declaration.type === "FunctionDeclaration") {
+    // ExportDeclaration : export default HoistableDeclaration
+    // 1. Return the result of evaluating HoistableDeclaration.
+    // Function declarations are instantiated when the module is instantiated.
+    return realm.intrinsics.empty;
+  }
+
+  let value;
+  if (declaration.type === "ClassDeclaration") {
+    // ExportDeclaration : export default ClassDeclaration
+    let classDeclaration = ((declaration: any): BabelNodeClassDeclaration);
+    if (classDeclaration.id) {
+      // A named class declaration initializes its own binding.
+      let res = env.evaluate(classDeclaration, strictCode);
+      invariant(res instanceof Value);
+      return res;
+    }
+
+    // 1. Let value be ? BindingClassDeclarationEvaluation of ClassDeclaration.
+    value = ClassDefinitionEvaluation(realm, classDeclaration, undefined, strictCode, env);
+    invariant(value instanceof ObjectValue);
+
+    // 2. Let className be the sole element of BoundNames of ClassDeclaration.
+    // 3. If className is "*default*", then
+    // a. Let hasNameProperty be ? HasOwnProperty(value, "name").
+    // b. If hasNameProperty is false, perform SetFunctionName(value, "default").
+    if (!HasOwnProperty(realm, value, "name"))
+      Functions.SetFunctionName(realm, value, new StringValue(realm, "default"));
+  } else {
+    // ExportDeclaration : export default AssignmentExpression ;
+    let expression = ((declaration: any): BabelNodeExpression);
+
+    // 1. Let rhs be the result of evaluating AssignmentExpression.
+    let rhs = env.evaluate(expression, strictCode);
+
+    // 2. Let value be ? GetValue(rhs).
+    value = Environment.GetValue(realm, rhs);
+
+    // 3. If IsAnonymousFunctionDefinition(AssignmentExpression) is true, then
+    if (IsAnonymousFunctionDefinition(realm, expression) && value instanceof ObjectValue) {
+      // a. Let hasNameProperty be ? HasOwnProperty(value, "name").
+      // b. If hasNameProperty is false, perform SetFunctionName(value, "default").
+      if (!HasOwnProperty(realm, value, "name"))
+        Functions.SetFunctionName(realm, value, new StringValue(realm, "default"));
+    }
+  }
+
+  // 4. Let env be the running execution context's LexicalEnvironment.
+  // 5. Perform ? InitializeBoundName("*default*", value, env).
+  Environment.InitializeBoundName(realm, "*default*", value, env);
+
+  // 6. Return NormalCompletion(empty).
+  return realm.intrinsics.empty;
+}
@@ -0,0 +1,43 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../realm.js";
+import type { LexicalEnvironment } from "../environment.js";
+import { Value } from "../values/index.js";
+import invariant from "../invariant.js";
+import type { BabelNodeExportNamedDeclaration } from "babel-types";
+
+// ECMA262 15.2.3.11
+export default function(
+  ast: BabelNodeExportNamedDeclaration,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm
+): Value {
+  let declaration = ast.declaration;
+
+  // ExportDeclaration : export ExportClause FromClause ;
+  // ExportDeclaration : export ExportClause ;
+  // 1. Return NormalCompletion(empty).
+  if (!declaration) return realm.intrinsics.empty;
+
+  // ExportDeclaration : export HoistableDeclaration
+  // 1. Return the result of evaluating HoistableDeclaration.
+  // Function declarations are instantiated when the module is instantiated.
+  if (declaration.type === "FunctionDeclaration") return realm.intrinsics.empty;
+
+  // ExportDeclaration : export VariableStatement
+  // ExportDeclaration : export Declaration
+  // 1. Return the result of evaluating VariableStatement or Declaration.
+  let res = env.evaluate(declaration, strictCode);
+  invariant(res instanceof Value);
+  return res;
+}
@@ -55,6 +55,28 @@ export default function(
 
     // 7 .Return F.
     return F;
+  } else if (ast.async) {
+    // ECMA262 14.6.12
+    // 1. If the function code for AsyncFunctionDeclaration is strict mode code, let strict be true. Otherwise, let strict be false.
+    let strict = strictCode || IsStrict(ast.body);
+
+    // 2. Let name be StringValue of BindingIdentifier.
+    let name;
+    if (ast.id) {
+      name = new StringValue(realm, ast.id.name);
+    } else {
+      name = new StringValue(realm, "default");
+    }
+
+    // 3. Let F be ! AsyncFunctionCreate(Normal, FormalParameters, AsyncFunctionBody, scope, strict).
+    let F = Functions.AsyncFunctionCreate(realm, "normal", ast.params, ast.body, env, strict);
+    if (ast.id && ast.id.name) F.__originalName = ast.id.name;
+
+    // 4. Perform ! SetFunctionName(F, name).
+    Functions.SetFunctionName(realm, F, name);
+
+    // 5. Return F.
+    return F;
   } else {
     // 1. If the function code for FunctionDeclaration is strict mode code, let strict be true. Otherwise let strict be false.
     let strict = strictCode || IsStrict(ast.body);
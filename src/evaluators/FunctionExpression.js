@@ -72,6 +72,39 @@ export default function(
 
       // 12. Return closure.
       return closure;
+    } else if (ast.async) {
+      // ECMA262 14.6.15
+      // 1. If the function code for AsyncFunctionExpression is strict mode code, let strict be true. Otherwise let strict be false.
+      let strict = strictCode || IsStrict(ast.body);
+
+      // 2. Let scope be the LexicalEnvironment of the running execution context.
+      let scope = env;
+
+      // 3. Let funcEnv be ! NewDeclarativeEnvironment(scope).
+      let funcEnv = Environment.NewDeclarativeEnvironment(realm, scope);
+
+      // 4. Let envRec be funcEnv's EnvironmentRecord.
+      let envRec = funcEnv.environmentRecord;
+
+      // 5. Let name be StringValue of BindingIdentifier.
+      invariant(ast.id);
+      let name = ast.id.name;
+
+      // 6. Perform ! envRec.CreateImmutableBinding(name).
+      envRec.CreateImmutableBinding(name, false);
+
+      // 7. Let closure be ! AsyncFunctionCreate(Normal, FormalParameters, AsyncFunctionBody, funcEnv, strict).
+      let closure = Functions.AsyncFunctionCreate(realm, "normal", ast.params, ast.body, funcEnv, strict);
+      closure.loc = ast.loc;
+
+      // 8. Perform ! SetFunctionName(closure, name).
+      Functions.SetFunctionName(realm, closure, new StringValue(realm, name));
+
+      // 9. Perform ! envRec.InitializeBinding(name, closure).
+      envRec.InitializeBinding(name, closure);
+
+      // 10. Return closure.
+      return closure;
     } else {
       // 1. If the function code for FunctionExpression is strict mode code, let strict be true. Otherwise let strict be false.
       let strict = strictCode || IsStrict(ast.body);
@@ -135,6 +168,20 @@ export default function(
 
       // 6. Return closure.
       return closure;
+    } else if (ast.async) {
+      // ECMA262 14.6.15
+      // 1. If the function code for AsyncFunctionExpression is strict mode code, let strict be true. Otherwise let strict be false.
+      let strict = strictCode || IsStrict(ast.body);
+
+      // 2. Let scope be the LexicalEnvironment of the running execution context.
+      let scope = env;
+
+      // 3. Let closure be ! AsyncFunctionCreate(Normal, FormalParameters, AsyncFunctionBody, scope, strict).
+      let closure = Functions.AsyncFunctionCreate(realm, "normal", ast.params, ast.body, scope, strict);
+      closure.loc = ast.loc;
+
+      // 4. Return closure.
+      return closure;
     } else {
       // 1. If the function code for FunctionExpression is strict mode code, let strict be true. Otherwise let strict be false.
       let strict = strictCode || IsStrict(ast.body);
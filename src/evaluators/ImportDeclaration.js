@@ -0,0 +1,27 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../realm.js";
+import type { LexicalEnvironment } from "../environment.js";
+import type { Value } from "../values/index.js";
+import type { BabelNodeImportDeclaration } from "babel-types";
+
+// ECMA262 15.2.2.5
+// The import bindings are created when the module is instantiated.
+export default function(
+  ast: BabelNodeImportDeclaration,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm
+): Value {
+  // 1. Return NormalCompletion(empty).
+  return realm.intrinsics.empty;
+}
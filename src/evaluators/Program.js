@@ -223,6 +223,55 @@ export function GlobalDeclarationInstantiation(
   return realm.intrinsics.empty;
 }
 
+// Global code that ends abruptly presents a join point where all non exceptional control flows converge into a
+// single flow using the joined effects as the new state. Returns the completion value of the global code.
+export function incorporateAbruptGlobalCodeCompletion(realm: Realm, res: AbruptCompletion): Value {
+  if (!realm.useAbstractInterpretation) throw res;
+  let c = Functions.incorporateSavedCompletion(realm, res);
+  // The call to incorporateSavedCompletion above, has taken care of the join because res is abrupt.
+  // What remains to be done is to emit throw statements to the generator.
+  let generator = realm.generator;
+  invariant(generator !== undefined);
+  if (c instanceof JoinedAbruptCompletions) {
+    generator.emitConditionalThrow(c.joinCondition, c.consequent, c.alternate);
+    return c.value;
+  } else if (c instanceof ThrowCompletion) {
+    generator.emitThrow(c.value);
+    return realm.intrinsics.undefined;
+  } else {
+    invariant(false); // other kinds of abrupt completions should not get this far
+  }
+}
+
+// We are about to leave global code and this presents a join point where all control flows
+// converge into a single flow and the joined effects become the final state.
+export function incorporateGlobalCodeCompletion(realm: Realm, val: Value): Value {
+  let res = Functions.incorporateSavedCompletion(realm, val);
+  if (res instanceof PossiblyNormalCompletion) {
+    // There are still some conditional throws to emit and state still has to be joined in.
+    // Get state to be joined in
+    let e = realm.getCapturedEffects(res);
+    invariant(e !== undefined);
+    realm.stopEffectCaptureAndUndoEffects(res);
+    let joinedEffects = Join.joinPossiblyNormalCompletionWithAbruptCompletion(
+      realm,
+      res,
+      new ReturnCompletion(realm.intrinsics.undefined),
+      e
+    );
+    // apply joined state because the serializer expects a single end program-state. It will
+    // handle conditionally emitting the abrupt and normal paths
+    realm.applyEffects(joinedEffects);
+    // The global state has now been updated to the join of all the flows reaching this join point
+    let generator = realm.generator;
+    invariant(generator !== undefined);
+    generator.emitConditionalThrow(res.joinCondition, res.consequent, res.alternate);
+    return res.value;
+  }
+  invariant(res instanceof Value);
+  return res;
+}
+
 export default function(ast: BabelNodeProgram, strictCode: boolean, env: LexicalEnvironment, realm: Realm): Value {
   strictCode = IsStrict(ast);
 
@@ -234,23 +283,8 @@ export default function(ast: BabelNodeProgram, strictCode: boolean, env: Lexical
     if (node.type !== "FunctionDeclaration") {
       let res = env.evaluateCompletionDeref(node, strictCode);
       if (res instanceof AbruptCompletion) {
-        if (!realm.useAbstractInterpretation) throw res;
-        // We are about the leave this program and this presents a join point where all non exeptional control flows
-        // converge into a single flow using the joined effects as the new state.
-        res = Functions.incorporateSavedCompletion(realm, res);
-        // The call to incorporateSavedCompletion above, has taken care of the join because res is abrupt.
-        // What remains to be done is to emit throw statements to the generator.
-        let generator = realm.generator;
-        invariant(generator !== undefined);
-        if (res instanceof JoinedAbruptCompletions) {
-          generator.emitConditionalThrow(res.joinCondition, res.consequent, res.alternate);
-          res = res.value;
-        } else if (res instanceof ThrowCompletion) {
-          generator.emitThrow(res.value);
-          res = realm.intrinsics.undefined;
-        } else {
-          invariant(false); // other kinds of abrupt completions should not get this far
-        }
+        // We are about to leave this program and this presents a join point.
+        incorporateAbruptGlobalCodeCompletion(realm, res);
         break;
       }
       if (!(res instanceof EmptyValue)) {
@@ -265,31 +299,8 @@ export default function(ast: BabelNodeProgram, strictCode: boolean, env: Lexical
     invariant(val instanceof Value);
   }
 
-  // We are about to leave this program and this presents a join point where all control flows
-  // converge into a single flow and the joined effects become the final state.
   if (val instanceof Value) {
-    val = Functions.incorporateSavedCompletion(realm, val);
-    if (val instanceof PossiblyNormalCompletion) {
-      // There are still some conditional throws to emit and state still has to be joined in.
-      // Get state to be joined in
-      let e = realm.getCapturedEffects(val);
-      invariant(e !== undefined);
-      realm.stopEffectCaptureAndUndoEffects(val);
-      let joinedEffects = Join.joinPossiblyNormalCompletionWithAbruptCompletion(
-        realm,
-        val,
-        new ReturnCompletion(realm.intrinsics.undefined),
-        e
-      );
-      // apply joined state because the serializer expects a single end program-state. It will
-      // handle conditionally emitting the abrupt and normal paths
-      realm.applyEffects(joinedEffects);
-      // The global state has now been updated to the join of all the flows reaching this join point
-      let generator = realm.generator;
-      invariant(generator !== undefined);
-      generator.emitConditionalThrow(val.joinCondition, val.consequent, val.alternate);
-      val = val.value;
-    }
+    val = incorporateGlobalCodeCompletion(realm, val);
   } else {
     // program was empty. Nothing to do.
   }
@@ -13,6 +13,7 @@ import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
 import type { Value } from "../values/index.js";
 import { EvaluateCall } from "../methods/call.js";
+import { IsInTailPosition } from "../methods/is.js";
 import type { BabelNodeTaggedTemplateExpression } from "babel-types";
 
 // ECMA262 12.3.7
@@ -28,7 +29,8 @@ export default function(
   // 2. Let thisCall be this MemberExpression.
 
   // 3. Let tailCall be IsInTailPosition(thisCall).
+  let tailCall = IsInTailPosition(realm, ast);
 
   // 4. Return ? EvaluateCall(tagRef, TemplateLiteral, tailCall).
-  return EvaluateCall(realm, strictCode, env, tagRef, ast.quasi);
+  return EvaluateCall(realm, strictCode, env, tagRef, ast.quasi, tailCall);
 }
@@ -11,7 +11,6 @@
 
 import type { Realm } from "../realm.js";
 import type { LexicalEnvironment } from "../environment.js";
-import { FatalError } from "../errors.js";
 import type { Value } from "../values/index.js";
 import { ObjectValue, StringValue } from "../values/index.js";
 import { IsAnonymousFunctionDefinition, HasOwnProperty } from "../methods/index.js";
@@ -27,11 +26,24 @@ function letAndConst(
   realm: Realm
 ): Value {
   for (let declar of ast.declarations) {
-    if (declar.id.type !== "Identifier") {
-      throw new FatalError("TODO #415: Patterns aren't supported yet");
+    let Initializer = declar.init;
+    if (declar.id.type === "ObjectPattern" || declar.id.type === "ArrayPattern") {
+      // LexicalBinding : BindingPattern Initializer
+      invariant(Initializer, "binding pattern without an initializer");
+
+      // 1. Let rhs be the result of evaluating Initializer.
+      let rhs = env.evaluate(Initializer, strictCode);
+
+      // 2. Let value be ? GetValue(rhs).
+      let value = Environment.GetValue(realm, rhs);
+
+      // 3. Let env be the running execution context's LexicalEnvironment.
+      // 4. Return the result of performing BindingInitialization for BindingPattern using value and env as the arguments.
+      Environment.BindingInitialization(realm, declar.id, value, strictCode, env);
+      continue;
     }
+    invariant(declar.id.type === "Identifier", "unrecognized declaration");
 
-    let Initializer = declar.init;
     if (!Initializer) {
       invariant(ast.kind !== "const", "const without an initializer");
 
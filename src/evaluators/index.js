@@ -28,6 +28,9 @@ export { default as DirectiveLiteral } from "./DirectiveLiteral.js";
 export { default as DoExpression } from "./DoExpression.js";
 export { default as DoWhileStatement } from "./DoWhileStatement.js";
 export { default as EmptyStatement } from "./EmptyStatement.js";
+export { default as ExportAllDeclaration } from "./ExportAllDeclaration.js";
+export { default as ExportDefaultDeclaration } from "./ExportDefaultDeclaration.js";
+export { default as ExportNamedDeclaration } from "./ExportNamedDeclaration.js";
 export { default as ExpressionStatement } from "./ExpressionStatement.js";
 export { default as File } from "./File.js";
 export { default as ForInStatement } from "./ForInStatement.js";
@@ -37,6 +40,7 @@ export { default as FunctionDeclaration } from "./FunctionDeclaration.js";
 export { default as FunctionExpression } from "./FunctionExpression.js";
 export { default as Identifier } from "./Identifier.js";
 export { evaluate as IfStatement } from "./IfStatement.js";
+export { default as ImportDeclaration } from "./ImportDeclaration.js";
 export { default as LabeledStatement } from "./LabeledStatement.js";
 export { default as LogicalExpression } from "./LogicalExpression.js";
 export { default as MemberExpression } from "./MemberExpression.js";
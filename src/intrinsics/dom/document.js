@@ -14,6 +14,7 @@ import { ObjectValue, AbstractObjectValue } from "../../values/index.js";
 import { createAbstract } from "../prepack/utils.js";
 import { Properties } from "../../singletons.js";
 import invariant from "../../invariant";
+import initializeEventTarget from "./eventTarget.js";
 
 const functions = [
   "getElementById",
@@ -32,6 +33,7 @@ const functions = [
 export default function(realm: Realm): AbstractObjectValue {
   // document object
   let document = new ObjectValue(realm, realm.intrinsics.ObjectPrototype, "document", false);
+  if (realm.isCompatibleWith("browser")) initializeEventTarget(realm, document);
 
   // check if we can use abstracts
   if (realm.useAbstractInterpretation) {
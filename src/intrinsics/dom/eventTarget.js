@@ -0,0 +1,210 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../../realm.js";
+import { AbstractObjectValue, NullValue, ObjectValue, UndefinedValue, Value } from "../../values/index.js";
+import { Call, Get, IsCallable } from "../../methods/index.js";
+import { To } from "../../singletons.js";
+import { CompilerDiagnostic, FatalError } from "../../errors.js";
+import invariant from "../../invariant.js";
+import type { EventListener } from "../../types.js";
+import * as t from "babel-types";
+import type { BabelNodeExpression } from "babel-types";
+
+type ListenerOptions = { capture: boolean, once: boolean, passive: boolean };
+
+// DOM 2.7, flatten and flatten more
+function flattenOptions(realm: Realm, options: void | Value): ListenerOptions {
+  if (options === undefined) return { capture: false, once: false, passive: false };
+  let obj = options.throwIfNotConcrete();
+  if (!(obj instanceof ObjectValue)) {
+    return { capture: To.ToBoolean(realm, obj), once: false, passive: false };
+  }
+  let flag = name => To.ToBoolean(realm, Get(realm, obj, name).throwIfNotConcrete());
+  return { capture: flag("capture"), once: flag("once"), passive: flag("passive") };
+}
+
+// The options argument with which the residual program adds or removes the listener.
+function buildOptions({ capture, once, passive }: ListenerOptions): Array<BabelNodeExpression> {
+  if (once || passive) {
+    let properties = [];
+    if (capture) properties.push(t.objectProperty(t.identifier("capture"), t.booleanLiteral(true)));
+    if (once) properties.push(t.objectProperty(t.identifier("once"), t.booleanLiteral(true)));
+    if (passive) properties.push(t.objectProperty(t.identifier("passive"), t.booleanLiteral(true)));
+    return [t.objectExpression(properties)];
+  }
+  return capture ? [t.booleanLiteral(true)] : [];
+}
+
+function getCallback(realm: Realm, callback: Value): void | ObjectValue {
+  callback = callback.throwIfNotConcrete();
+  if (callback instanceof NullValue || callback instanceof UndefinedValue) return undefined;
+  if (!(callback instanceof ObjectValue))
+    throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "listener is not an object");
+  return callback;
+}
+
+// Turns obj into an EventTarget (DOM 2.7). Its event listener list is modeled so that removeEventListener and
+// dispatchEvent see the listeners at prepack time. Since that list is not part of the heap that the residual program
+// is serialized from, the residual program adds and removes the listeners at the same points in time instead.
+export default function(realm: Realm, obj: ObjectValue): void {
+  obj.$EventListeners = [];
+
+  // Returns the value that the residual program calls the method on.
+  function getEventTarget(thisValue: Value): Value {
+    // A bare call such as addEventListener("load", f) goes to the global object.
+    if (thisValue instanceof UndefinedValue && obj === realm.$GlobalObject) return obj;
+    // The methods of document are called on the abstract value that stands for it.
+    let target = thisValue instanceof AbstractObjectValue ? thisValue.getTemplate() : thisValue;
+    if (target !== obj) throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "Illegal invocation");
+    return thisValue;
+  }
+
+  function findListener(type: string, callback: ObjectValue, capture: boolean): void | EventListener {
+    let listeners = obj.$EventListeners;
+    invariant(listeners !== undefined);
+    return listeners.find(l => l.type === type && l.callback === callback && l.capture === capture);
+  }
+
+  function emitListenerChange(
+    name: "addEventListener" | "removeEventListener",
+    target: Value,
+    type: string,
+    callback: ObjectValue,
+    options: ListenerOptions
+  ): void {
+    if (!realm.useAbstractInterpretation) return;
+    let generator = realm.generator;
+    invariant(generator !== undefined);
+    generator.emitStatement([target, callback], ([targetNode, callbackNode]) =>
+      t.expressionStatement(
+        t.callExpression(t.memberExpression(targetNode, t.identifier(name)), [
+          t.stringLiteral(type),
+          callbackNode,
+          ...buildOptions(options),
+        ])
+      )
+    );
+  }
+
+  function removeListener(target: Value, listener: EventListener): void {
+    let listeners = obj.$EventListeners;
+    invariant(listeners !== undefined);
+    listeners.splice(listeners.indexOf(listener), 1);
+    emitListenerChange("removeEventListener", target, listener.type, listener.callback, {
+      capture: listener.capture,
+      once: false,
+      passive: false,
+    });
+  }
+
+  // DOM 2.7, addEventListener(type, callback, options)
+  obj.defineNativeMethod("addEventListener", 2, (context, [type, callback, options]) => {
+    let target = getEventTarget(context);
+    let typeString = To.ToStringPartial(realm, type);
+
+    // 1. Let capture, passive, and once be the result of flattening more options.
+    let { capture, once, passive } = flattenOptions(realm, options);
+
+    // 2. Add an event listener with the context object and an event listener whose type is type, callback is callback,
+    //    capture is capture, passive is passive, and once is once.
+    let listenerCallback = getCallback(realm, callback);
+    if (listenerCallback === undefined) return realm.intrinsics.undefined;
+    let listener = findListener(typeString, listenerCallback, capture);
+    if (listener === undefined) {
+      let listeners = obj.$EventListeners;
+      invariant(listeners !== undefined);
+      listeners.push({
+        type: typeString,
+        callback: listenerCallback,
+        capture,
+        once,
+        passive,
+        generator: realm.generator,
+      });
+    } else if (listener.generator === realm.generator) {
+      return realm.intrinsics.undefined;
+    } else {
+      // Where the listener is in the list is only known when the residual program runs.
+      listener.generator = undefined;
+    }
+    emitListenerChange("addEventListener", target, typeString, listenerCallback, { capture, once, passive });
+    return realm.intrinsics.undefined;
+  });
+
+  // DOM 2.7, removeEventListener(type, callback, options)
+  obj.defineNativeMethod("removeEventListener", 2, (context, [type, callback, options]) => {
+    let target = getEventTarget(context);
+    let typeString = To.ToStringPartial(realm, type);
+
+    // 1. Let capture be the result of flattening options.
+    let { capture } = flattenOptions(realm, options);
+
+    // 2. If the context object's event listener list contains an event listener whose type is type, callback is
+    //    callback, and capture is capture, then remove an event listener with the context object and that event listener.
+    let listenerCallback = getCallback(realm, callback);
+    if (listenerCallback === undefined) return realm.intrinsics.undefined;
+    let listener = findListener(typeString, listenerCallback, capture);
+    if (listener !== undefined && listener.generator === realm.generator) {
+      removeListener(target, listener);
+    } else if (listener !== undefined && realm.useAbstractInterpretation) {
+      // Whether the listener gets removed is only known when the residual program runs.
+      listener.generator = undefined;
+      emitListenerChange("removeEventListener", target, typeString, listenerCallback, {
+        capture,
+        once: false,
+        passive: false,
+      });
+    }
+    return realm.intrinsics.undefined;
+  });
+
+  // DOM 2.7, dispatchEvent(event), for events that are not part of a tree, so that only the listeners of the target
+  // are invoked.
+  obj.defineNativeMethod("dispatchEvent", 1, (context, [event]) => {
+    let target = getEventTarget(context);
+    event = event.throwIfNotConcrete();
+    if (!(event instanceof ObjectValue))
+      throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "event is not an object");
+    let typeString = To.ToStringPartial(realm, Get(realm, event, "type"));
+
+    // DOM 2.9, inner invoke: invoke the listeners of a clone of the event listener list whose type is the event's type.
+    let listeners = obj.$EventListeners;
+    invariant(listeners !== undefined);
+    let matchingListeners = listeners.filter(l => l.type === typeString);
+    if (matchingListeners.some(l => l.generator !== realm.generator)) {
+      let error = new CompilerDiagnostic(
+        "event listeners that are added or removed by code that is evaluated speculatively cannot be dispatched",
+        realm.currentLocation,
+        "PP0040",
+        "FatalError"
+      );
+      realm.handleError(error);
+      throw new FatalError();
+    }
+    for (let listener of matchingListeners) {
+      // 1. If listener's removed is true, then continue.
+      if (!listeners.includes(listener)) continue;
+
+      // 2. If listener's once is true, then remove listener from event's currentTarget attribute value's event
+      //    listener list.
+      if (listener.once) removeListener(target, listener);
+
+      // 3. Call a user object's operation with listener's callback, "handleEvent", event, and event's currentTarget.
+      let callback = listener.callback;
+      if (IsCallable(realm, callback)) Call(realm, callback, target, [event]);
+      else Call(realm, Get(realm, callback, "handleEvent"), callback, [event]);
+    }
+
+    // The event has no canceled flag, since it is not an Event object.
+    return realm.intrinsics.true;
+  });
+}
@@ -11,12 +11,19 @@
 
 import type { Realm } from "../../realm.js";
 
-import { FunctionValue, NativeFunctionValue } from "../../values/index.js";
+import {
+  AbstractValue,
+  FunctionValue,
+  NativeFunctionValue,
+  NumberValue,
+  ObjectValue,
+  Value,
+} from "../../values/index.js";
 import initializeDocument from "./document.js";
+import initializeEventTarget from "./eventTarget.js";
 import initializeConsole from "../common/console.js";
-import { FatalError } from "../../errors.js";
 import invariant from "../../invariant.js";
-import { TypesDomain, ValuesDomain } from "../../domains/index.js";
+import { To } from "../../singletons.js";
 
 export default function(realm: Realm): void {
   let global = realm.$GlobalObject;
@@ -43,6 +50,11 @@ export default function(realm: Realm): void {
     configurable: true,
   });
 
+  if (realm.isCompatibleWith("browser")) {
+    invariant(global instanceof ObjectValue);
+    initializeEventTarget(realm, global);
+  }
+
   global.$DefineOwnProperty("document", {
     value: initializeDocument(realm),
     writable: true,
@@ -50,67 +62,88 @@ export default function(realm: Realm): void {
     configurable: true,
   });
 
-  global.$DefineOwnProperty("setTimeout", {
-    value: new NativeFunctionValue(realm, "global.setTimeout", "", 2, (context, args) => {
-      let callback = args[0].throwIfNotConcrete();
-      if (!(callback instanceof FunctionValue))
-        throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "callback arguments must be function");
-      if (!realm.useAbstractInterpretation) throw new FatalError("TODO #1003: implement global.setTimeout");
+  // HTML 8.6, the list of active timers is shared by both kinds of timers.
+  let nextHandle = 1;
+
+  function registerTimer(name: "setTimeout" | "setInterval", args: Array<Value>, repeat: boolean): Value {
+    let callback = args.length > 0 ? args[0].throwIfNotConcrete() : realm.intrinsics.undefined;
+    if (!(callback instanceof FunctionValue))
+      throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "callback arguments must be function");
+    let delay;
+    if (args.length < 2) delay = 0;
+    else if (args[1] instanceof AbstractValue) delay = undefined;
+    else delay = Math.max(To.ToInt32(realm, args[1]), 0);
+    let timer = {
+      handle: realm.intrinsics.undefined,
+      callback,
+      delay,
+      arguments: args.slice(2),
+      repeat,
+      generator: realm.generator,
+      state: "pending",
+    };
+    if (realm.useAbstractInterpretation) {
       invariant(realm.generator !== undefined);
       let generator = realm.generator;
-      return generator.emitCallAndCaptureResult(
-        TypesDomain.topVal,
-        ValuesDomain.topVal,
-        () => generator.preludeGenerator.memoizeReference("global.setTimeout"),
+      timer.handle = generator.emitTimerRegistration(
+        timer,
+        () => generator.preludeGenerator.memoizeReference("global." + name),
         args
       );
-    }),
+    } else {
+      timer.handle = new NumberValue(realm, nextHandle++);
+    }
+    realm.timers.push(timer);
+    return timer.handle;
+  }
+
+  function clearTimer(name: "clearTimeout" | "clearInterval", args: Array<Value>): Value {
+    let handle = args.length > 0 ? args[0] : realm.intrinsics.undefined;
+    let timer = realm.timers.find(t1 => t1.handle === handle);
+    if (timer !== undefined && (timer.generator === realm.generator || !realm.useAbstractInterpretation)) {
+      realm.timers.splice(realm.timers.indexOf(timer), 1);
+      timer.state = "cleared";
+    } else if (realm.useAbstractInterpretation) {
+      // Whether the timer gets cleared is only known when the residual program runs.
+      if (timer !== undefined) timer.generator = undefined;
+      invariant(realm.generator !== undefined);
+      let generator = realm.generator;
+      generator.emitCall(() => generator.preludeGenerator.memoizeReference("global." + name), args);
+    }
+    return realm.intrinsics.undefined;
+  }
+
+  global.$DefineOwnProperty("setTimeout", {
+    value: new NativeFunctionValue(realm, "global.setTimeout", "", 2, (context, args) =>
+      registerTimer("setTimeout", args, false)
+    ),
     writable: true,
     enumerable: true,
     configurable: true,
   });
 
   global.$DefineOwnProperty("clearTimeout", {
-    value: new NativeFunctionValue(realm, "global.clearTimeout", "", 2, (context, args) => {
-      if (!realm.useAbstractInterpretation) throw new FatalError("TODO #1003: implement global.clearTimeout");
-      invariant(realm.generator !== undefined);
-      let generator = realm.generator;
-      generator.emitCall(() => generator.preludeGenerator.memoizeReference("global.clearTimeout"), args);
-      return realm.intrinsics.undefined;
-    }),
+    value: new NativeFunctionValue(realm, "global.clearTimeout", "", 2, (context, args) =>
+      clearTimer("clearTimeout", args)
+    ),
     writable: true,
     enumerable: true,
     configurable: true,
   });
 
   global.$DefineOwnProperty("setInterval", {
-    value: new NativeFunctionValue(realm, "global.setInterval", "", 2, (context, args) => {
-      if (!realm.useAbstractInterpretation) throw new FatalError("TODO #1003: implement global.setInterval");
-      let callback = args[0].throwIfNotConcrete();
-      if (!(callback instanceof FunctionValue))
-        throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "callback arguments must be function");
-      invariant(realm.generator !== undefined);
-      let generator = realm.generator;
-      return generator.emitCallAndCaptureResult(
-        TypesDomain.topVal,
-        ValuesDomain.topVal,
-        () => generator.preludeGenerator.memoizeReference("global.setInterval"),
-        args
-      );
-    }),
+    value: new NativeFunctionValue(realm, "global.setInterval", "", 2, (context, args) =>
+      registerTimer("setInterval", args, true)
+    ),
     writable: true,
     enumerable: true,
     configurable: true,
   });
 
   global.$DefineOwnProperty("clearInterval", {
-    value: new NativeFunctionValue(realm, "global.clearInterval", "", 2, (context, args) => {
-      if (!realm.useAbstractInterpretation) throw new FatalError("TODO #1003: implement global.clearInterval");
-      invariant(realm.generator !== undefined);
-      let generator = realm.generator;
-      generator.emitCall(() => generator.preludeGenerator.memoizeReference("global.clearInterval"), args);
-      return realm.intrinsics.undefined;
-    }),
+    value: new NativeFunctionValue(realm, "global.clearInterval", "", 2, (context, args) =>
+      clearTimer("clearInterval", args)
+    ),
     writable: true,
     enumerable: true,
     configurable: true,
@@ -11,7 +11,7 @@
 
 import type { Realm } from "../../realm.js";
 import { FatalError } from "../../errors.js";
-import { StringValue, ObjectValue, NumberValue } from "../../values/index.js";
+import { StringValue, ObjectValue, NumberValue, Value } from "../../values/index.js";
 import {
   Invoke,
   MakeTime,
@@ -34,9 +34,38 @@ import {
   msPerMinute,
   UTC,
 } from "../../methods/index.js";
+import { CreateIntlService, FormatWithIntlService } from "../../methods/intl.js";
 import { To } from "../../singletons";
 import invariant from "../../invariant.js";
 
+// ECMA-402 13.3.1, 13.3.2 and 13.3.3
+function ToLocaleDateTimeString(
+  realm: Realm,
+  name: string,
+  context: Value,
+  locales: Value,
+  options: Value,
+  required: "date" | "time" | "any",
+  defaults: "date" | "time" | "all"
+): Value {
+  // 1. Let x be ? thisTimeValue(this value).
+  let x = thisTimeValue(realm, context).throwIfNotConcreteNumber();
+
+  // 2. If x is NaN, return "Invalid Date".
+  if (isNaN(x.value)) return new StringValue(realm, "Invalid Date");
+
+  if (realm.intrinsics.DateTimeFormat === undefined) {
+    throw new FatalError(`Date.prototype.${name} is not supported when Intl is not available`);
+  }
+
+  // 3. Let options be ? ToDateTimeOptions(options, required, defaults).
+  // 4. Let dateFormat be ? Construct(%DateTimeFormat%, « locales, options »).
+  let dateFormat = CreateIntlService(realm, "DateTimeFormat", locales, options, [required, defaults]);
+
+  // 5. Return FormatDateTime(dateFormat, x).
+  return FormatWithIntlService(realm, dateFormat, x);
+}
+
 export default function(realm: Realm, obj: ObjectValue): void {
   // ECMA262 20.3.4.2
   obj.defineNativeMethod("getDate", 0, context => {
@@ -705,19 +734,31 @@ export default function(realm: Realm, obj: ObjectValue): void {
   });
 
   // ECMA262 20.3.4.38
-  obj.defineNativeMethod("toLocaleDateString", 0, context => {
-    throw new FatalError("TODO #1005: implement Date.prototype.toLocaleDateString");
-  });
+  obj.defineNativeMethod(
+    "toLocaleDateString",
+    0,
+    (context, [locales = realm.intrinsics.undefined, options = realm.intrinsics.undefined]) => {
+      return ToLocaleDateTimeString(realm, "toLocaleDateString", context, locales, options, "date", "date");
+    }
+  );
 
   // ECMA262 20.3.4.39
-  obj.defineNativeMethod("toLocaleString", 0, context => {
-    throw new FatalError("TODO #1005: implement Date.prototype.toLocaleString");
-  });
+  obj.defineNativeMethod(
+    "toLocaleString",
+    0,
+    (context, [locales = realm.intrinsics.undefined, options = realm.intrinsics.undefined]) => {
+      return ToLocaleDateTimeString(realm, "toLocaleString", context, locales, options, "any", "all");
+    }
+  );
 
   // ECMA262 20.3.4.40
-  obj.defineNativeMethod("toLocaleTimeString", 0, context => {
-    throw new FatalError("TODO #1005: implement Date.prototype.toLocaleTimeString");
-  });
+  obj.defineNativeMethod(
+    "toLocaleTimeString",
+    0,
+    (context, [locales = realm.intrinsics.undefined, options = realm.intrinsics.undefined]) => {
+      return ToLocaleDateTimeString(realm, "toLocaleTimeString", context, locales, options, "time", "time");
+    }
+  );
 
   // ECMA262 20.3.4.41
   obj.defineNativeMethod("toString", 0, context => {
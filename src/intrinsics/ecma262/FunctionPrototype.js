@@ -22,7 +22,7 @@ import {
   NativeFunctionValue,
   ObjectValue,
 } from "../../values/index.js";
-import { Call } from "../../methods/call.js";
+import { Call, PrepareForTailCall, TailCall } from "../../methods/call.js";
 import { Create, To } from "../../singletons.js";
 import { Get } from "../../methods/get.js";
 import { IsCallable } from "../../methods/is.js";
@@ -54,7 +54,8 @@ export default function(realm: Realm, obj: ObjectValue): void {
     //    starting with the second argument, append each argument as the last element of argList.
     argList;
 
-    // TODO #1008 4. Perform PrepareForTailCall().
+    // 4. Perform PrepareForTailCall().
+    if (PrepareForTailCall(realm)) throw new TailCall(func, thisArg, argList);
 
     // 5. Return ? Call(func, thisArg, argList).
     return Call(realm, func, thisArg, argList);
@@ -69,7 +70,8 @@ export default function(realm: Realm, obj: ObjectValue): void {
 
     // 2. If argArray is null or undefined, then
     if (HasSomeCompatibleType(argArray, NullValue, UndefinedValue)) {
-      // TODO #1008 a. Perform PrepareForTailCall().
+      // a. Perform PrepareForTailCall().
+      if (PrepareForTailCall(realm)) throw new TailCall(func, thisArg, []);
 
       // b. Return ? Call(func, thisArg).
       return Call(realm, func, thisArg);
@@ -78,7 +80,8 @@ export default function(realm: Realm, obj: ObjectValue): void {
     // 3. Let argList be ? CreateListFromArrayLike(argArray).
     let argList = Create.CreateListFromArrayLike(realm, argArray);
 
-    // TODO #1008 4. Perform PrepareForTailCall().
+    // 4. Perform PrepareForTailCall().
+    if (PrepareForTailCall(realm)) throw new TailCall(func, thisArg, argList);
 
     // 5. Return ? Call(func, thisArg, argList).
     return Call(realm, func, thisArg, argList);
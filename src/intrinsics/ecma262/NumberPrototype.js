@@ -18,6 +18,7 @@ import {
   NumberValue,
   IntegralValue,
 } from "../../values/index.js";
+import { CreateIntlService, FormatWithIntlService } from "../../methods/intl.js";
 import { To } from "../../singletons.js";
 import invariant from "../../invariant.js";
 import buildExpressionTemplate from "../../utils/builder.js";
@@ -91,16 +92,29 @@ export default function(realm: Realm, obj: ObjectValue): void {
   let toLocaleString = buildExpressionTemplate(toLocaleStringSrc);
 
   // ECMA262 20.1.3.4
-  obj.defineNativeMethod("toLocaleString", 0, context => {
-    let x = To.thisNumberValue(realm, context);
-    if (realm.useAbstractInterpretation) {
-      // The locale is environment-dependent and may also be time-dependent
-      // so do this at runtime and at this point in time
-      return AbstractValue.createTemporalFromTemplate(realm, toLocaleString, StringValue, [x]);
-    } else {
-      return new StringValue(realm, x.toLocaleString());
+  obj.defineNativeMethod(
+    "toLocaleString",
+    0,
+    (context, [locales = realm.intrinsics.undefined, options = realm.intrinsics.undefined]) => {
+      // ECMA-402 13.2.1
+      // 1. Let x be ? thisNumberValue(this value).
+      let x = To.thisNumberValue(realm, context);
+      if (realm.intrinsics.NumberFormat !== undefined) {
+        // 2. Let numberFormat be ? Construct(%NumberFormat%, « locales, options »).
+        let numberFormat = CreateIntlService(realm, "NumberFormat", locales, options);
+
+        // 3. Return ? FormatNumber(numberFormat, x).
+        return FormatWithIntlService(realm, numberFormat, x);
+      }
+      if (realm.useAbstractInterpretation) {
+        // The locale is environment-dependent and may also be time-dependent
+        // so do this at runtime and at this point in time
+        return AbstractValue.createTemporalFromTemplate(realm, toLocaleString, StringValue, [x]);
+      } else {
+        return new StringValue(realm, x.toLocaleString());
+      }
     }
-  });
+  );
 
   // ECMA262 20.1.3.5
   obj.defineNativeMethod("toPrecision", 1, (context, [precision]) => {
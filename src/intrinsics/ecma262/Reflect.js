@@ -11,7 +11,7 @@
 
 import type { Realm } from "../../realm.js";
 import { BooleanValue, ObjectValue, NullValue } from "../../values/index.js";
-import { Call, Construct, IsCallable, IsConstructor } from "../../methods/index.js";
+import { Call, Construct, IsCallable, IsConstructor, PrepareForTailCall, TailCall } from "../../methods/index.js";
 import { Create, Properties, To } from "../../singletons.js";
 
 export default function(realm: Realm): ObjectValue {
@@ -27,7 +27,8 @@ export default function(realm: Realm): ObjectValue {
     // 2. Let args be ? CreateListFromArrayLike(argumentsList).
     let args = Create.CreateListFromArrayLike(realm, argumentsList);
 
-    // TODO #1008 3. Perform PrepareForTailCall().
+    // 3. Perform PrepareForTailCall().
+    if (PrepareForTailCall(realm)) throw new TailCall(target, thisArgument, args);
 
     // 4. Return ? Call(target, thisArgument, args).
     return Call(realm, target, thisArgument, args);
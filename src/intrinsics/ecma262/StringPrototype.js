@@ -17,6 +17,7 @@ import { GetMethod, GetSubstitution } from "../../methods/get.js";
 import { Call, Invoke } from "../../methods/call.js";
 import { Create, To } from "../../singletons.js";
 import { RegExpCreate } from "../../methods/regexp.js";
+import { CompareStrings, CreateIntlService } from "../../methods/intl.js";
 import { SplitMatch, RequireObjectCoercible } from "../../methods/abstract.js";
 import { HasSomeCompatibleType } from "../../methods/has.js";
 import invariant from "../../invariant.js";
@@ -293,7 +294,7 @@ export default function(realm: Realm, obj: ObjectValue): ObjectValue {
   });
 
   // ECMA262 21.1.3.10
-  obj.defineNativeMethod("localeCompare", 1, (context, [that]) => {
+  obj.defineNativeMethod("localeCompare", 1, (context, [that, locales, options]) => {
     // 1. Let O be ? RequireObjectCoercible(this value).
     let O = RequireObjectCoercible(realm, context);
 
@@ -303,6 +304,20 @@ export default function(realm: Realm, obj: ObjectValue): ObjectValue {
     // 3. Let That be ? ToString(that).
     let That = To.ToStringPartial(realm, that);
 
+    if (realm.intrinsics.Collator !== undefined) {
+      // ECMA-402 13.1.1
+      // 4. Let collator be ? Construct(%Collator%, « locales, options »).
+      let collator = CreateIntlService(
+        realm,
+        "Collator",
+        locales || realm.intrinsics.undefined,
+        options || realm.intrinsics.undefined
+      );
+
+      // 5. Return CompareStrings(collator, S, That).
+      return CompareStrings(realm, collator, new StringValue(realm, S), new StringValue(realm, That));
+    }
+
     return new NumberValue(realm, S.localeCompare(That));
   });
 
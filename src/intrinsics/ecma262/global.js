@@ -65,7 +65,7 @@ export default function(realm: Realm): void {
     "JSON",
   ];
   if (!realm.isCompatibleWith(realm.MOBILE_JSC_VERSION) && !realm.isCompatibleWith("mobile"))
-    typeNames = typeNames.concat("Symbol", "Promise", "WeakSet", "Proxy", "Reflect");
+    typeNames = typeNames.concat("Symbol", "Promise", "WeakSet", "Proxy", "Reflect", "Intl");
   for (let name of typeNames) {
     // need to check if the property exists (it may not due to --compatibility)
     if (realm.intrinsics[name]) {
@@ -77,7 +77,12 @@ export default function(realm: Realm): void {
       });
     } else {
       invariant(
-        name === "Symbol" || name === "Promise" || name === "WeakSet" || name === "Proxy" || name === "Reflect"
+        name === "Symbol" ||
+          name === "Promise" ||
+          name === "WeakSet" ||
+          name === "Proxy" ||
+          name === "Reflect" ||
+          name === "Intl"
       );
       invariant(realm.isCompatibleWith(realm.MOBILE_JSC_VERSION) || realm.isCompatibleWith("mobile"));
     }
@@ -0,0 +1,54 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../../realm.js";
+import { AbstractValue, NativeFunctionValue, ObjectValue } from "../../values/index.js";
+import { CompareStrings, ResolvedOptions, thisIntlService } from "../../methods/intl.js";
+import { To } from "../../singletons.js";
+
+export default function(realm: Realm, obj: ObjectValue): void {
+  // ECMA-402 10.3.3
+  obj.defineNativeGetter("compare", context => {
+    // 1. Let collator be this value.
+    // 2. If Type(collator) is not Object, throw a TypeError exception.
+    // 3. If collator does not have an [[InitializedCollator]] internal slot, throw a TypeError exception.
+    let collator = thisIntlService(realm, context, "Collator");
+
+    // 4. If collator.[[BoundCompare]] is undefined, then
+    let F = collator.$BoundCompare;
+    if (F === undefined) {
+      // a. Let F be a new built-in function object as defined in 10.3.3.1.
+      // b. Set F.[[Collator]] to collator.
+      F = new NativeFunctionValue(realm, undefined, undefined, 2, (unused, [x, y]) => {
+        // 5. Let X be ? ToString(x).
+        let X = x instanceof AbstractValue ? x : To.ToStringValue(realm, x);
+
+        // 6. Let Y be ? ToString(y).
+        let Y = y instanceof AbstractValue ? y : To.ToStringValue(realm, y);
+
+        // 7. Return CompareStrings(collator, X, Y).
+        return CompareStrings(realm, collator, X, Y);
+      });
+
+      // c. Set collator.[[BoundCompare]] to F.
+      // (A collator that was created outside of the current speculative evaluation just gets a new function each time.)
+      if (realm.isNewObject(collator)) collator.$BoundCompare = F;
+    }
+
+    // 5. Return collator.[[BoundCompare]].
+    return F;
+  });
+
+  // ECMA-402 10.3.5
+  obj.defineNativeMethod("resolvedOptions", 0, context => {
+    return ResolvedOptions(realm, thisIntlService(realm, context, "Collator"));
+  });
+}
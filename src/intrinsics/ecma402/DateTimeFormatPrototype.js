@@ -0,0 +1,61 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../../realm.js";
+import { AbstractValue, NativeFunctionValue, NumberValue, ObjectValue, UndefinedValue } from "../../values/index.js";
+import { Invoke } from "../../methods/index.js";
+import { FormatWithIntlService, ResolvedOptions, thisIntlService } from "../../methods/intl.js";
+import { To } from "../../singletons.js";
+
+export default function(realm: Realm, obj: ObjectValue): void {
+  // ECMA-402 12.4.3
+  obj.defineNativeGetter("format", context => {
+    // 1. Let dtf be this value.
+    // 2. If Type(dtf) is not Object, throw a TypeError exception.
+    // 3. If dtf does not have an [[InitializedDateTimeFormat]] internal slot, throw a TypeError exception.
+    let dtf = thisIntlService(realm, context, "DateTimeFormat");
+
+    // 4. If dtf.[[BoundFormat]] is undefined, then
+    let F = dtf.$BoundFormat;
+    if (F === undefined) {
+      // a. Let F be a new built-in function object as defined in DateTimeFormat Functions (12.1.3).
+      // b. Set F.[[DateTimeFormat]] to dtf.
+      F = new NativeFunctionValue(realm, undefined, undefined, 1, (unused, [date]) => {
+        // 1. Let dtf be F.[[DateTimeFormat]].
+        // 3. If date is not provided or is undefined, then
+        let x;
+        if (date instanceof UndefinedValue) {
+          // a. Let x be Call(%Date_now%, undefined).
+          x = Invoke(realm, realm.intrinsics.Date, "now");
+        } else {
+          // 4. Else,
+          // a. Let x be ? ToNumber(date).
+          x = date instanceof AbstractValue ? date : new NumberValue(realm, To.ToNumber(realm, date));
+        }
+
+        // 5. Return FormatDateTime(dtf, x).
+        return FormatWithIntlService(realm, dtf, x);
+      });
+
+      // c. Set dtf.[[BoundFormat]] to F.
+      // (An object that was created outside of the current speculative evaluation just gets a new function each time.)
+      if (realm.isNewObject(dtf)) dtf.$BoundFormat = F;
+    }
+
+    // 5. Return dtf.[[BoundFormat]].
+    return F;
+  });
+
+  // ECMA-402 12.4.5
+  obj.defineNativeMethod("resolvedOptions", 0, context => {
+    return ResolvedOptions(realm, thisIntlService(realm, context, "DateTimeFormat"));
+  });
+}
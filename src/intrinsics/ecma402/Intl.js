@@ -0,0 +1,35 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../../realm.js";
+import { ObjectValue } from "../../values/index.js";
+import { CanonicalizeLocaleList } from "../../methods/intl.js";
+import convert from "../../utils/native-to-interp.js";
+
+export default function(realm: Realm): ObjectValue {
+  let obj = new ObjectValue(realm, realm.intrinsics.ObjectPrototype, "Intl");
+
+  // ECMA-402 8.2.1
+  obj.defineNativeMethod("getCanonicalLocales", 1, (context, [locales]) => {
+    // 1. Let ll be ? CanonicalizeLocaleList(locales).
+    let ll = CanonicalizeLocaleList(realm, locales);
+
+    // 2. Return CreateArrayFromList(ll).
+    return convert(realm, ll);
+  });
+
+  // ECMA-402 8.3
+  obj.defineNativeProperty("Collator", realm.intrinsics.Collator);
+  obj.defineNativeProperty("DateTimeFormat", realm.intrinsics.DateTimeFormat);
+  obj.defineNativeProperty("NumberFormat", realm.intrinsics.NumberFormat);
+
+  return obj;
+}
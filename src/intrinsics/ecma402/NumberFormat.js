@@ -0,0 +1,44 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../../realm.js";
+import { NativeFunctionValue } from "../../values/index.js";
+import { InitializeIntlService, SupportedLocalesOf } from "../../methods/intl.js";
+import { Create } from "../../singletons.js";
+
+export default function(realm: Realm): NativeFunctionValue {
+  // ECMA-402 11.2.1
+  let func = new NativeFunctionValue(
+    realm,
+    "Intl.NumberFormat",
+    "NumberFormat",
+    0,
+    (context, [locales = realm.intrinsics.undefined, options = realm.intrinsics.undefined], argCount, NewTarget) => {
+      // 1. If NewTarget is undefined, let newTarget be the active function object, else let newTarget be NewTarget.
+      let newTarget = NewTarget || func;
+
+      // 2. Let numberFormat be ? OrdinaryCreateFromConstructor(newTarget, "%NumberFormatPrototype%", internalSlotsList).
+      let numberFormat = Create.OrdinaryCreateFromConstructor(realm, newTarget, "NumberFormatPrototype", {
+        $IntlService: undefined,
+      });
+
+      // 3. Return ? InitializeNumberFormat(numberFormat, locales, options).
+      return InitializeIntlService(realm, numberFormat, "NumberFormat", locales, options);
+    }
+  );
+
+  // ECMA-402 11.3.2
+  func.defineNativeMethod("supportedLocalesOf", 1, (context, [locales, options = realm.intrinsics.undefined]) => {
+    return SupportedLocalesOf(realm, "NumberFormat", locales, options);
+  });
+
+  return func;
+}
@@ -0,0 +1,53 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import type { Realm } from "../../realm.js";
+import { AbstractValue, NativeFunctionValue, NumberValue, ObjectValue } from "../../values/index.js";
+import { FormatWithIntlService, ResolvedOptions, thisIntlService } from "../../methods/intl.js";
+import { To } from "../../singletons.js";
+
+export default function(realm: Realm, obj: ObjectValue): void {
+  // ECMA-402 11.4.3
+  obj.defineNativeGetter("format", context => {
+    // 1. Let nf be this value.
+    // 2. If Type(nf) is not Object, throw a TypeError exception.
+    // 3. If nf does not have an [[InitializedNumberFormat]] internal slot, throw a TypeError exception.
+    let nf = thisIntlService(realm, context, "NumberFormat");
+
+    // 4. If nf.[[BoundFormat]] is undefined, then
+    let F = nf.$BoundFormat;
+    if (F === undefined) {
+      // a. Let F be a new built-in function object as defined in NumberFormat Functions (11.1.3).
+      // b. Set F.[[NumberFormat]] to nf.
+      F = new NativeFunctionValue(realm, undefined, undefined, 1, (unused, [value]) => {
+        // 1. Let nf be F.[[NumberFormat]].
+        // 3. If value is not provided, let value be undefined.
+        // 4. Let x be ? ToNumber(value).
+        let x = value instanceof AbstractValue ? value : new NumberValue(realm, To.ToNumber(realm, value));
+
+        // 5. Return FormatNumber(nf, x).
+        return FormatWithIntlService(realm, nf, x);
+      });
+
+      // c. Set nf.[[BoundFormat]] to F.
+      // (An object that was created outside of the current speculative evaluation just gets a new function each time.)
+      if (realm.isNewObject(nf)) nf.$BoundFormat = F;
+    }
+
+    // 5. Return nf.[[BoundFormat]].
+    return F;
+  });
+
+  // ECMA-402 11.4.5
+  obj.defineNativeMethod("resolvedOptions", 0, context => {
+    return ResolvedOptions(realm, thisIntlService(realm, context, "NumberFormat"));
+  });
+}
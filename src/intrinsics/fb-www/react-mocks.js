@@ -625,8 +625,31 @@ export function createMockReactDOM(realm: Realm, reactDomRequireName: string): O
   addMockFunctionToObject(realm, reactDomValue, reactDomRequireName, "hydrate", genericTemporalFunc);
   addMockFunctionToObject(realm, reactDomValue, reactDomRequireName, "findDOMNode", genericTemporalFunc);
   addMockFunctionToObject(realm, reactDomValue, reactDomRequireName, "unmountComponentAtNode", genericTemporalFunc);
-  // TODO we will have to treat createPortal differently
-  addMockFunctionToObject(realm, reactDomValue, reactDomRequireName, "createPortal", genericTemporalFunc);
+  addMockFunctionToObject(
+    realm,
+    reactDomValue,
+    reactDomRequireName,
+    "createPortal",
+    (funcVal, [children = realm.intrinsics.undefined, container = realm.intrinsics.undefined]) => {
+      // portals are pure, so the call can be omitted when the reconciler replaces it
+      // with a portal of the folded children
+      let reactPortal = AbstractValue.createTemporalFromBuildFunction(
+        realm,
+        ObjectValue,
+        [funcVal, children, container],
+        ([createPortalNode, ...portalArgs]) => {
+          return t.callExpression(createPortalNode, ((portalArgs: any): Array<any>));
+        },
+        { isPure: true }
+      );
+      invariant(reactPortal instanceof AbstractObjectValue);
+      realm.react.abstractHints.set(
+        reactPortal,
+        createReactHintObject(reactDomValue, "createPortal", [children, container], realm.intrinsics.undefined)
+      );
+      return reactPortal;
+    }
+  );
 
   reactDomValue.refuseSerialization = false;
   reactDomValue.makeFinal();
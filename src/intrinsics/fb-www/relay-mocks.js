@@ -10,7 +10,13 @@
 /* @flow */
 
 import type { Realm } from "../../realm.js";
-import { ObjectValue, FunctionValue, AbstractValue, ECMAScriptSourceFunctionValue } from "../../values/index.js";
+import {
+  AbstractObjectValue,
+  AbstractValue,
+  ECMAScriptSourceFunctionValue,
+  FunctionValue,
+  ObjectValue,
+} from "../../values/index.js";
 import { Create, Environment } from "../../singletons.js";
 import { createAbstract } from "../prepack/utils.js";
 import { Get } from "../../methods/index.js";
@@ -63,7 +69,7 @@ let reactRelayCode = `
       return String(name);
     }
 
-    function createFragmentContainer(Component, fragmentSpec) {
+    function createContainerWithFragments(Component, fragmentSpec, createRelayProp) {
       var componentName = getComponentName(Component);
       var containerName = \`Relay(\${componentName})\`;
 
@@ -80,19 +86,123 @@ let reactRelayCode = `
           fragments,
           props,
         );
-        var relayProp = {
-          isLoading: resolver.isLoading(),
-          environment: relay.environment,
-        };
-        var newProps = Object.assign({}, props, resolver.resolve(), {
+        var data = resolver.resolve();
+        var relayProp = createRelayProp(relay, resolver, props, data);
+        var newProps = Object.assign({}, props, data, {
           relay: relayProp,
         });
         return React.createElement(Component, newProps);
       };
     }
 
+    function createFragmentContainer(Component, fragmentSpec) {
+      return createContainerWithFragments(Component, fragmentSpec, function(relay, resolver) {
+        return {
+          isLoading: resolver.isLoading(),
+          environment: relay.environment,
+        };
+      });
+    }
+
+    function createRefetchContainer(Component, fragmentSpec, taggedNode) {
+      return createContainerWithFragments(Component, fragmentSpec, function(relay) {
+        return {
+          environment: relay.environment,
+          // refetching only happens after the first render
+          refetch: function() {
+            return null;
+          },
+        };
+      });
+    }
+
+    function getFragmentNode(taggedNode) {
+      // compiled graphql tags are functions that return the fragment node
+      var fragment = typeof taggedNode === 'function' ? taggedNode() : taggedNode;
+      return fragment && typeof fragment.modern === 'function' ? fragment.modern() : fragment;
+    }
+
+    function findConnectionMetadata(fragmentSpec) {
+      var connectionMetadata = null;
+
+      Object.keys(fragmentSpec).forEach(function(fragmentName) {
+        var fragment = getFragmentNode(fragmentSpec[fragmentName]);
+        var connections = fragment && fragment.metadata && fragment.metadata.connection;
+
+        if (connectionMetadata === null && connections && connections.length > 0) {
+          connectionMetadata = {
+            direction: connections[0].direction,
+            fragmentName: fragmentName,
+            path: connections[0].path,
+          };
+        }
+      });
+      if (connectionMetadata === null) {
+        throw new Error('ReactRelayPaginationContainer: A @connection directive must be present.');
+      }
+      return connectionMetadata;
+    }
+
+    function createPaginationContainer(Component, fragmentSpec, connectionConfig) {
+      var getConnectionFromProps = connectionConfig.getConnectionFromProps;
+      var direction = connectionConfig.direction;
+
+      if (typeof getConnectionFromProps !== 'function' || direction === undefined) {
+        var connectionMetadata = findConnectionMetadata(fragmentSpec);
+
+        if (typeof getConnectionFromProps !== 'function') {
+          getConnectionFromProps = function(props) {
+            var data = props[connectionMetadata.fragmentName];
+            for (var i = 0; data != null && i < connectionMetadata.path.length; i++) {
+              data = data[connectionMetadata.path[i]];
+            }
+            return data;
+          };
+        }
+        if (direction === undefined) {
+          direction = connectionMetadata.direction;
+        }
+      }
+
+      return createContainerWithFragments(Component, fragmentSpec, function(relay, resolver, props, data) {
+        function getConnectionData() {
+          var connection = getConnectionFromProps(Object.assign({}, props, data));
+          if (connection == null || connection.edges == null || connection.pageInfo == null) {
+            return null;
+          }
+          var pageInfo = connection.pageInfo;
+          var isForward = direction === 'forward';
+          return {
+            cursor: isForward ? pageInfo.endCursor : pageInfo.startCursor,
+            hasMore: isForward ? pageInfo.hasNextPage : pageInfo.hasPreviousPage,
+          };
+        }
+
+        return {
+          environment: relay.environment,
+          hasMore: function() {
+            var connectionData = getConnectionData();
+            return !!(connectionData && connectionData.hasMore && connectionData.cursor);
+          },
+          // nothing has been requested yet on the first render
+          isLoading: function() {
+            return false;
+          },
+          // loading more and refetching only happens after the first render
+          loadMore: function() {
+            return null;
+          },
+          refetchConnection: function() {
+            return null;
+          },
+        };
+      });
+    }
+
     return {
       createFragmentContainer,
+      createPaginationContainer,
+      createRefetchContainer,
     };
   }
 `;
@@ -148,8 +258,20 @@ export function createMockReactRelay(realm: Realm, relayRequireName: string): Ob
   let queryRendererComponent = createAbstract(realm, "function", `require("${relayRequireName}").QueryRenderer`);
   Create.CreateDataPropertyOrThrow(realm, reactRelay, "QueryRenderer", queryRendererComponent);
 
-  let graphql = createAbstract(realm, "function", `require("${relayRequireName}").graphql`);
-  Create.CreateDataPropertyOrThrow(realm, reactRelay, "graphql", graphql);
+  // graphql tagged templates are pure, so if the query or fragment they describe is never used, they can be omitted
+  addMockFunctionToObject(realm, reactRelay, relayRequireName, "graphql", (funcValue, args) => {
+    let value = AbstractValue.createTemporalFromBuildFunction(
+      realm,
+      ObjectValue,
+      [funcValue, ...args],
+      ([graphqlNode, ...graphqlArgs]) => {
+        return t.callExpression(graphqlNode, ((graphqlArgs: any): Array<any>));
+      },
+      { isPure: true }
+    );
+    invariant(value instanceof AbstractObjectValue);
+    return value;
+  });
 
   let reactRelayContainers = ["createFragmentContainer", "createPaginationContainer", "createRefetchContainer"];
   for (let reactRelayContainer of reactRelayContainers) {
@@ -55,6 +55,9 @@ import initializeGenerator from "./ecma262/Generator.js";
 import initializeGeneratorFunction from "./ecma262/GeneratorFunction.js";
 import initializeGeneratorPrototype from "./ecma262/GeneratorPrototype.js";
 
+import initializeAsyncFunction from "./ecma262/AsyncFunction.js";
+import initializeAsyncFunctionPrototype from "./ecma262/AsyncFunctionPrototype.js";
+
 import initializeArray from "./ecma262/Array.js";
 import initializeArrayPrototype from "./ecma262/ArrayPrototype.js";
 
@@ -154,6 +157,14 @@ import initializeObjectProto_toString from "./ecma262/ObjectProto_toString.js";
 import initializeTypedArrayProto_values from "./ecma262/TypedArrayProto_values.js";
 import initializeThrowTypeError from "./ecma262/ThrowTypeError.js";
 
+import initializeIntl from "./ecma402/Intl.js";
+import initializeCollator from "./ecma402/Collator.js";
+import initializeCollatorPrototype from "./ecma402/CollatorPrototype.js";
+import initializeDateTimeFormat from "./ecma402/DateTimeFormat.js";
+import initializeDateTimeFormatPrototype from "./ecma402/DateTimeFormatPrototype.js";
+import initializeNumberFormat from "./ecma402/NumberFormat.js";
+import initializeNumberFormatPrototype from "./ecma402/NumberFormatPrototype.js";
+
 import initialize__IntrospectionError from "./prepack/__IntrospectionError.js";
 import initialize__IntrospectionErrorPrototype from "./prepack/__IntrospectionErrorPrototype.js";
 
@@ -237,6 +248,13 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
     i.WeakSetPrototype = new ObjectValue(realm, i.ObjectPrototype, "WeakSet.prototype");
   }
 
+  // intl prototypes
+  if (!realm.isCompatibleWith(realm.MOBILE_JSC_VERSION) && !realm.isCompatibleWith("mobile")) {
+    i.CollatorPrototype = new ObjectValue(realm, i.ObjectPrototype, "Intl.Collator.prototype");
+    i.DateTimeFormatPrototype = new ObjectValue(realm, i.ObjectPrototype, "Intl.DateTimeFormat.prototype");
+    i.NumberFormatPrototype = new ObjectValue(realm, i.ObjectPrototype, "Intl.NumberFormat.prototype");
+  }
+
   // typed array prototypes
   if (!realm.isCompatibleWith(realm.MOBILE_JSC_VERSION) && !realm.isCompatibleWith("mobile"))
     i.TypedArrayPrototype = new ObjectValue(
@@ -285,6 +303,9 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
   if (!realm.isCompatibleWith(realm.MOBILE_JSC_VERSION) && !realm.isCompatibleWith("mobile")) {
     initializeTypedArrayPrototype(realm, i.TypedArrayPrototype);
     initializeWeakSetPrototype(realm, i.WeakSetPrototype);
+    initializeCollatorPrototype(realm, i.CollatorPrototype);
+    initializeDateTimeFormatPrototype(realm, i.DateTimeFormatPrototype);
+    initializeNumberFormatPrototype(realm, i.NumberFormatPrototype);
   }
   initializeFloat32ArrayPrototype(realm, i.Float32ArrayPrototype);
   initializeFloat64ArrayPrototype(realm, i.Float64ArrayPrototype);
@@ -334,6 +355,14 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
   }
   i.ArrayBuffer = initializeArrayBuffer(realm);
 
+  // intl
+  if (!realm.isCompatibleWith(realm.MOBILE_JSC_VERSION) && !realm.isCompatibleWith("mobile")) {
+    i.Collator = initializeCollator(realm);
+    i.DateTimeFormat = initializeDateTimeFormat(realm);
+    i.NumberFormat = initializeNumberFormat(realm);
+    i.Intl = initializeIntl(realm);
+  }
+
   // typed arrays
   if (!realm.isCompatibleWith(realm.MOBILE_JSC_VERSION) && !realm.isCompatibleWith("mobile"))
     i.TypedArray = initializeTypedArray(realm);
@@ -392,7 +421,7 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
     "ArrayBuffer",
   ];
   if (!realm.isCompatibleWith(realm.MOBILE_JSC_VERSION) && !realm.isCompatibleWith("mobile")) {
-    builtins = builtins.concat(["WeakSet", "TypedArray"]);
+    builtins = builtins.concat(["WeakSet", "TypedArray", "Collator", "DateTimeFormat", "NumberFormat"]);
   }
 
   for (let name of builtins) {
@@ -422,9 +451,9 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
   }
 
   //
-  i.GeneratorPrototype = new ObjectValue(realm, i.FunctionPrototype, "Generator.prototype");
+  i.GeneratorPrototype = new ObjectValue(realm, i.IteratorPrototype, "(function*(){}).__proto__.prototype");
   initializeGeneratorPrototype(realm, i.GeneratorPrototype);
-  i.Generator = new ObjectValue(realm, i.FunctionPrototype, "Generator");
+  i.Generator = new ObjectValue(realm, i.FunctionPrototype, "(function*(){}).__proto__");
   initializeGenerator(realm, i.Generator);
   i.GeneratorFunction = initializeGeneratorFunction(realm);
 
@@ -454,6 +483,24 @@ export function initialize(i: Intrinsics, realm: Realm): Intrinsics {
     configurable: true,
   });
 
+  //
+  i.AsyncFunctionPrototype = new ObjectValue(realm, i.FunctionPrototype, "(async function(){}).__proto__");
+  initializeAsyncFunctionPrototype(realm, i.AsyncFunctionPrototype);
+  i.AsyncFunction = initializeAsyncFunction(realm);
+
+  i.AsyncFunction.$DefineOwnProperty("prototype", {
+    value: i.AsyncFunctionPrototype,
+    writable: false,
+    enumerable: false,
+    configurable: false,
+  });
+  i.AsyncFunctionPrototype.$DefineOwnProperty("constructor", {
+    value: i.AsyncFunction,
+    writable: false,
+    enumerable: false,
+    configurable: true,
+  });
+
   //
   i.isNaN = initializeIsNaN(realm);
   i.isFinite = initializeIsFinite(realm);
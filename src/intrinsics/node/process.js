@@ -327,8 +327,8 @@ export default function(realm: Realm, processArgv: Array<string>): ObjectValue {
   // exist in all environments such as the webpack version.
 
   // Constant bindings
-  // TODO: Implement icu module so that we can let hasIntl be true.
-  let configOverride = { ...process.binding("config"), hasIntl: false };
+  // Intl is only available with a fixed locale, in which case its results are computed at compile time.
+  let configOverride = { ...process.binding("config"), hasIntl: realm.locale !== undefined };
   // By the time we run the host has already deleted natives.config so we have
   // to restore it.
   let nativeOverride = { ...process.binding("natives"), config: reverseConfigJSON(process.config) };
@@ -24,12 +24,12 @@ import {
   Value,
 } from "../../values/index.js";
 import { To } from "../../singletons.js";
-import { ValuesDomain } from "../../domains/index.js";
+import { IntervalsDomain, ValuesDomain } from "../../domains/index.js";
 import * as t from "babel-types";
 import type { BabelNodeExpression, BabelNodeSpreadElement } from "babel-types";
 import invariant from "../../invariant.js";
 import { createAbstract, parseTypeNameOrTemplate } from "./utils.js";
-import { valueIsKnownReactAbstraction } from "../../react/utils.js";
+import { getProperty, valueIsKnownReactAbstraction } from "../../react/utils.js";
 import { CompilerDiagnostic, FatalError } from "../../errors.js";
 
 export function createAbstractFunction(realm: Realm, ...additionalValues: Array<ConcreteValue>): NativeFunctionValue {
@@ -105,8 +105,26 @@ export default function(realm: Realm): void {
     configurable: true,
   });
 
+  let reactComponentRootUid = 0;
+  let registerReactComponentTree = (component: Value, config: void | Value) => {
+    let reactComponentTree = new ObjectValue(realm, realm.intrinsics.ObjectPrototype);
+    reactComponentTree.$Set("rootComponent", component, reactComponentTree);
+    reactComponentTree.$Set("config", config || realm.intrinsics.undefined, reactComponentTree);
+
+    realm.assignToGlobal(
+      t.memberExpression(
+        t.memberExpression(t.identifier("global"), t.identifier("__reactComponentTrees")),
+        t.identifier("" + reactComponentRootUid++)
+      ),
+      reactComponentTree
+    );
+  };
+
   let additonalFunctionUid = 0;
   // Allows dynamically registering optimized functions.
+  // The optional config object can declare models for the arguments and the this value of the function,
+  // and whether the function is assumed to be pure; see convertConfigObjectToOptimizedFunctionConfig.
+  // A config with firstRenderOnly registers the function as a React component tree root instead.
   // WARNING: these functions will get exposed at global scope and called there.
   // NB: If we interpret one of these calls in an evaluateForEffects context
   //     that is not subsequently applied, the function will not be registered
@@ -114,15 +132,46 @@ export default function(realm: Realm): void {
   global.$DefineOwnProperty("__optimize", {
     value: new NativeFunctionValue(realm, "global.__optimize", "__optimize", 0, (context, [value, config]) => {
       // only optimize functions for now
-      if (value instanceof ECMAScriptSourceFunctionValue) {
-        realm.assignToGlobal(
-          t.memberExpression(
-            t.memberExpression(t.identifier("global"), t.identifier("__optimizedFunctions")),
-            t.identifier("" + additonalFunctionUid++)
-          ),
-          value
+      if (!(value instanceof ECMAScriptSourceFunctionValue)) return value;
+      if (!(config instanceof ObjectValue || config === realm.intrinsics.undefined || config === undefined)) {
+        let diagnostic = new CompilerDiagnostic(
+          "__optimize(value, config) has been called with an invalid config",
+          realm.currentLocation,
+          "PP0041",
+          "FatalError"
         );
+        if (realm.handleError(diagnostic) === "Fail") throw new FatalError();
+        return value;
       }
+      let firstRenderOnly = config instanceof ObjectValue ? getProperty(realm, config, "firstRenderOnly") : undefined;
+      if (firstRenderOnly instanceof BooleanValue && firstRenderOnly.value) {
+        if (!realm.react.enabled) {
+          let diagnostic = new CompilerDiagnostic(
+            "__optimize(value, config) has been called with firstRenderOnly, but React mode is not enabled",
+            realm.currentLocation,
+            "PP0041",
+            "FatalError"
+          );
+          if (realm.handleError(diagnostic) === "Fail") throw new FatalError();
+          return value;
+        }
+        registerReactComponentTree(value, config);
+        return value;
+      }
+      let optimizedFunction = value;
+      if (config instanceof ObjectValue) {
+        // remember the config along with the function, it is parsed once the function gets optimized
+        optimizedFunction = new ObjectValue(realm, realm.intrinsics.ObjectPrototype);
+        optimizedFunction.$Set("optimizedFunction", value, optimizedFunction);
+        optimizedFunction.$Set("config", config, optimizedFunction);
+      }
+      realm.assignToGlobal(
+        t.memberExpression(
+          t.memberExpression(t.identifier("global"), t.identifier("__optimizedFunctions")),
+          t.identifier("" + additonalFunctionUid++)
+        ),
+        optimizedFunction
+      );
       return value;
     }),
     writable: true,
@@ -142,7 +191,6 @@ export default function(realm: Realm): void {
       enumerable: false,
       configurable: true,
     });
-    let reactComponentRootUid = 0;
     global.$DefineOwnProperty("__optimizeReactComponentTree", {
       value: new NativeFunctionValue(
         realm,
@@ -165,17 +213,7 @@ export default function(realm: Realm): void {
             realm.handleError(diagnostic);
             if (realm.handleError(diagnostic) === "Fail") throw new FatalError();
           }
-          let reactComponentTree = new ObjectValue(realm, realm.intrinsics.ObjectPrototype);
-          reactComponentTree.$Set("rootComponent", component, reactComponentTree);
-          reactComponentTree.$Set("config", config || realm.intrinsics.undefined, reactComponentTree);
-
-          realm.assignToGlobal(
-            t.memberExpression(
-              t.memberExpression(t.identifier("global"), t.identifier("__reactComponentTrees")),
-              t.identifier("" + reactComponentRootUid++)
-            ),
-            reactComponentTree
-          );
+          registerReactComponentTree(component, config);
           return component;
         }
       ),
@@ -394,6 +432,7 @@ export default function(realm: Realm): void {
 
   global.$DefineOwnProperty("__isIntegral", {
     value: new NativeFunctionValue(realm, "global.__isIntegral", "__isIntegral", 1, (context, [value]) => {
+      if (value instanceof AbstractValue) return new BooleanValue(realm, IntervalsDomain.fromValue(value).isIntegral());
       return new BooleanValue(realm, value instanceof IntegralValue);
     }),
     writable: true,
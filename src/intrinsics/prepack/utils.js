@@ -10,15 +10,21 @@
 /* @flow */
 
 import type { Realm } from "../../realm.js";
+import type { BabelNodeSourceLocation } from "babel-types";
+import type { OptimizedFunctionConfig } from "../../types.js";
 import {
   Value,
   AbstractValue,
+  ArrayValue,
+  BooleanValue,
   ConcreteValue,
   FunctionValue,
+  NumberValue,
   StringValue,
   ObjectValue,
   UndefinedValue,
 } from "../../values/index.js";
+import { Get } from "../../methods/index.js";
 import buildExpressionTemplate from "../../utils/builder.js";
 import { ValuesDomain } from "../../domains/index.js";
 import { describeLocation } from "../ecma262/Error.js";
@@ -121,3 +127,109 @@ export function createAbstract(
     result = AbstractValue.createAbstractConcreteUnion(realm, result, ...additionalValues);
   return result;
 }
+
+function isValidTypeNameOrTemplate(typeNameOrTemplate: Value): boolean {
+  if (typeNameOrTemplate instanceof UndefinedValue || typeNameOrTemplate instanceof ObjectValue) return true;
+  if (!(typeNameOrTemplate instanceof StringValue)) return false;
+  let typeNameString = typeNameOrTemplate.value;
+  if (typeNameString.startsWith(":")) typeNameString = typeNameString.substring(1);
+  return Utils.getTypeFromName(typeNameString) !== undefined;
+}
+
+// Parses the config argument of __optimize(value, config), which can contain...
+// - arguments: an array with a type name or template for each parameter of the function,
+// - this: a type name or template for the this value of the function,
+// - pure: whether the function is assumed not to mutate any state that existed before it was called,
+// - firstRenderOnly: whether the function is a React component tree that only gets rendered once,
+//   which is handled before getting here, so it can only be false.
+// Type names and templates are the ones accepted by __abstract.
+export function convertConfigObjectToOptimizedFunctionConfig(
+  realm: Realm,
+  config: ObjectValue | UndefinedValue
+): OptimizedFunctionConfig {
+  // defaults
+  let argumentModels = [];
+  let thisModel;
+  let pure = false;
+
+  let reportInvalidConfig = (message: string) => {
+    let diagnostic = new CompilerDiagnostic(
+      `__optimize(value, config) has been called with an invalid config: ${message}`,
+      realm.currentLocation,
+      "PP0041",
+      "FatalError"
+    );
+    if (realm.handleError(diagnostic) === "Fail") throw new FatalError();
+  };
+
+  if (config instanceof ObjectValue) {
+    let configObject = config;
+    for (let [key, binding] of configObject.properties) {
+      if (binding.descriptor === undefined) continue; // deleted
+      let propValue = Get(realm, configObject, key);
+      if (key === "arguments") {
+        if (!(propValue instanceof ArrayValue)) {
+          reportInvalidConfig(`"arguments" must be an array`);
+          continue;
+        }
+        let length = Get(realm, propValue, "length");
+        invariant(length instanceof NumberValue);
+        for (let i = 0; i < length.value; i++) {
+          let model = Get(realm, propValue, i + "");
+          if (isValidTypeNameOrTemplate(model)) {
+            argumentModels.push(model instanceof UndefinedValue ? undefined : model);
+          } else {
+            reportInvalidConfig(`"arguments[${i}]" is not a type name or template`);
+            argumentModels.push(undefined);
+          }
+        }
+      } else if (key === "this") {
+        if (isValidTypeNameOrTemplate(propValue)) {
+          thisModel = propValue instanceof UndefinedValue ? undefined : propValue;
+        } else {
+          reportInvalidConfig(`"this" is not a type name or template`);
+        }
+      } else if (key === "pure") {
+        if (propValue instanceof BooleanValue) {
+          pure = propValue.value;
+        } else {
+          reportInvalidConfig(`"pure" must be a boolean`);
+        }
+      } else if (key === "firstRenderOnly") {
+        if (!(propValue instanceof BooleanValue)) reportInvalidConfig(`"firstRenderOnly" must be a boolean`);
+      } else {
+        reportInvalidConfig(`unknown key "${key}"`);
+      }
+    }
+  }
+  return {
+    argumentModels,
+    thisModel,
+    pure,
+  };
+}
+
+// Creates an abstract value for a parameter (or the this value) of an optimized function,
+// using a model from its __optimize config when there is one.
+export function createAbstractArgumentFromModel(
+  realm: Realm,
+  name: string,
+  location: ?BabelNodeSourceLocation,
+  model: void | Value,
+  defaultType: typeof Value = Value
+): AbstractValue {
+  if (model === undefined) return AbstractValue.createAbstractArgument(realm, name, location, defaultType);
+
+  let { type, template, functionResultType } = parseTypeNameOrTemplate(realm, model);
+  let result = AbstractValue.createAbstractArgument(realm, name, location, type);
+  if (template) result.values = new ValuesDomain(new Set([template]));
+  if (template && !(template instanceof FunctionValue)) {
+    template.makePartial();
+    realm.rebuildNestedProperties(result, name);
+  }
+  if (functionResultType) {
+    invariant(result instanceof AbstractObjectValue);
+    result.functionResultType = functionResultType;
+  }
+  return result;
+}
@@ -0,0 +1,321 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+/*
+  An async function body runs in its own execution context until it awaits. Like a generator body,
+  it is evaluated by the resumable evaluators, and it is resumed by the promise jobs that settle
+  the awaited promise. Those jobs run once the global code has been evaluated.
+*/
+
+import type { Realm } from "../realm.js";
+import type { PromiseCapability } from "../types.js";
+import { ExecutionContext } from "../realm.js";
+import { AbruptCompletion, ReturnCompletion, ThrowCompletion } from "../completions.js";
+import { FatalError } from "../errors.js";
+import { FunctionEnvironmentRecord } from "../environment.js";
+import {
+  AbstractValue,
+  ECMAScriptSourceFunctionValue,
+  NativeFunctionValue,
+  ObjectValue,
+  Value,
+} from "../values/index.js";
+import { Call } from "./call.js";
+import { NewPromiseCapability, PerformPromiseThen } from "./promise.js";
+import { reportAbstractControlFlowIfAny } from "./generator.js";
+import { Functions, Havoc } from "../singletons.js";
+import invariant from "../invariant.js";
+import * as t from "babel-types";
+import type { BabelNodeBlockStatement, BabelNodeExpression, BabelNodeSpreadElement } from "babel-types";
+
+// Evaluates the body of an async function in the running (callee) execution context and returns its promise.
+// In a pure scope, a body that cannot be evaluated up to its first await turns into a call in the residual program.
+export function EvaluateAsyncFunctionBody(
+  realm: Realm,
+  functionObject: ECMAScriptSourceFunctionValue,
+  argumentsList: Array<Value>
+): Value {
+  if (!realm.isInPureScope()) return EvaluateBody(realm, functionObject, argumentsList);
+
+  let thisValue = getThisValue(realm, functionObject);
+  let effects, jobs;
+  let savedSuppressDiagnostics = realm.suppressDiagnostics;
+  let savedErrorHandler = realm.errorHandler;
+  try {
+    // Errors only mean that the call has to be residualized, so they must not reach the user.
+    realm.suppressDiagnostics = true;
+    realm.errorHandler = d => (d.severity === "Information" || d.severity === "Warning" ? "Recover" : "Fail");
+    [effects, jobs] = realm.evaluateForEffectsAndJobs(
+      () => EvaluateBody(realm, functionObject, argumentsList),
+      undefined,
+      "EvaluateAsyncFunctionBody"
+    );
+  } catch (error) {
+    if (!(error instanceof FatalError)) throw error;
+  } finally {
+    realm.suppressDiagnostics = savedSuppressDiagnostics;
+    realm.errorHandler = savedErrorHandler;
+  }
+  if (effects === undefined) return generateResidualCall(realm, functionObject, thisValue, argumentsList);
+
+  realm.applyEffects(effects);
+  invariant(jobs !== undefined);
+  realm.pendingJobs.push(...jobs);
+  let promise = effects.result;
+  invariant(promise instanceof ObjectValue);
+  return promise;
+}
+
+function getThisValue(realm: Realm, functionObject: ECMAScriptSourceFunctionValue): Value {
+  // Arrow functions ignore the this value they are called with.
+  if (functionObject.$ThisMode === "lexical") return realm.intrinsics.undefined;
+  let envRec = realm.getRunningContext().lexicalEnvironment.environmentRecord;
+  invariant(envRec instanceof FunctionEnvironmentRecord);
+  return envRec.GetThisBinding();
+}
+
+function generateResidualCall(
+  realm: Realm,
+  functionObject: ECMAScriptSourceFunctionValue,
+  thisValue: Value,
+  argumentsList: Array<Value>
+): Value {
+  let args = [functionObject, thisValue, ...argumentsList];
+  // The residual call may change anything that is reachable from the function, including the bindings it closes over,
+  // and from its arguments.
+  for (let arg of args) Havoc.value(realm, arg, realm.currentLocation);
+  return AbstractValue.createTemporalFromBuildFunction(realm, ObjectValue, args, nodes => {
+    let argNodes = ((nodes.slice(1): any): Array<BabelNodeExpression | BabelNodeSpreadElement>);
+    return t.callExpression(t.memberExpression(nodes[0], t.identifier("call")), argNodes);
+  });
+}
+
+// ECMA262 14.6.11
+function EvaluateBody(
+  realm: Realm,
+  functionObject: ECMAScriptSourceFunctionValue,
+  argumentsList: Array<Value>
+): ObjectValue {
+  // 1. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+  let promiseCapability = NewPromiseCapability(realm, realm.intrinsics.Promise);
+
+  // 2. Let declResult be FunctionDeclarationInstantiation(functionObject, argumentsList).
+  let declResult;
+  try {
+    Functions.FunctionDeclarationInstantiation(realm, functionObject, argumentsList);
+  } catch (e) {
+    if (!(e instanceof AbruptCompletion)) throw e;
+    declResult = e;
+  }
+
+  if (declResult === undefined) {
+    // 3. If declResult is not an abrupt completion, then
+    // a. Perform ! AsyncFunctionStart(promiseCapability, FunctionBody).
+    let code = functionObject.$ECMAScriptCode;
+    invariant(code !== undefined);
+    AsyncFunctionStart(realm, promiseCapability, code);
+  } else {
+    // 4. Else declResult is an abrupt completion,
+    // a. Perform ! Call(promiseCapability.[[Reject]], undefined, « declResult.[[Value]] »).
+    Call(realm, promiseCapability.reject, realm.intrinsics.undefined, [declResult.value]);
+  }
+
+  // 5. Return Completion{[[Type]]: return, [[Value]]: promiseCapability.[[Promise]], [[Target]]: empty}.
+  let promise = promiseCapability.promise;
+  invariant(promise instanceof ObjectValue);
+  realm.asyncFunctionPromises.set(promise, functionObject);
+  return promise;
+}
+
+// ECMA262 25.5.5.2
+function AsyncFunctionStart(
+  realm: Realm,
+  promiseCapability: PromiseCapability,
+  asyncFunctionBody: BabelNodeBlockStatement
+): void {
+  // 1. Let runningContext be the running execution context.
+  let runningContext = realm.getRunningContext();
+
+  // 2. Let asyncContext be a copy of runningContext.
+  let asyncContext = new ExecutionContext();
+  asyncContext.caller = runningContext.caller;
+  asyncContext.function = runningContext.function;
+  asyncContext.loc = runningContext.loc;
+  asyncContext.setRealm(runningContext.realm);
+  asyncContext.ScriptOrModule = runningContext.ScriptOrModule;
+  asyncContext.variableEnvironment = runningContext.variableEnvironment;
+  asyncContext.lexicalEnvironment = runningContext.lexicalEnvironment;
+  asyncContext.isStrict = runningContext.isStrict;
+  let asyncFunction = asyncContext.function;
+  invariant(asyncFunction instanceof ECMAScriptSourceFunctionValue);
+
+  // 3. Set the code evaluation state of asyncContext such that when evaluation is resumed for that execution context the following steps will be performed:
+  let bodyEvaluation;
+  asyncContext.codeEvaluationState = resumptionValue => {
+    if (bodyEvaluation === undefined) {
+      invariant(resumptionValue instanceof Value);
+      bodyEvaluation = Functions.EvaluateResumableBody(realm, asyncFunctionBody, asyncContext.isStrict);
+    }
+    // a. Let result be the result of evaluating asyncFunctionBody.
+    let result;
+    let savedCompletion = realm.savedCompletion;
+    realm.savedCompletion = undefined;
+    try {
+      let step = bodyEvaluation.next(resumptionValue);
+      reportAbstractControlFlowIfAny(realm, asyncFunction, "async function");
+      // The body awaits, AsyncFunctionAwait has already removed asyncContext from the execution context stack.
+      if (!step.done) return step.value;
+      result = step.value;
+    } catch (e) {
+      if (!(e instanceof AbruptCompletion)) {
+        if (realm.getRunningContext() === asyncContext) realm.popContext(asyncContext);
+        asyncContext.codeEvaluationState = undefined;
+        throw e;
+      }
+      reportAbstractControlFlowIfAny(realm, asyncFunction, "async function", e);
+      result = e;
+    } finally {
+      realm.savedCompletion = savedCompletion;
+    }
+
+    // b. Assert: If we return here, the async function either threw an exception or performed an implicit or explicit return; all awaiting is done.
+    // c. Remove asyncContext from the execution context stack and restore the execution context that is at the top of the execution context stack as the running execution context.
+    realm.popContext(asyncContext);
+    asyncContext.codeEvaluationState = undefined;
+
+    if (!(result instanceof AbruptCompletion)) {
+      // d. If result.[[Type]] is normal, then
+      // i. Perform ! Call(promiseCapability.[[Resolve]], undefined, «undefined»).
+      Call(realm, promiseCapability.resolve, realm.intrinsics.undefined, [realm.intrinsics.undefined]);
+    } else if (result instanceof ReturnCompletion) {
+      // e. Else if result.[[Type]] is return, then
+      // i. Perform ! Call(promiseCapability.[[Resolve]], undefined, «result.[[Value]]»).
+      Call(realm, promiseCapability.resolve, realm.intrinsics.undefined, [result.value]);
+    } else {
+      // f. Else,
+      // i. Assert: result.[[Type]] is throw.
+      invariant(result instanceof ThrowCompletion, "result.[[Type]] is throw");
+
+      // ii. Perform ! Call(promiseCapability.[[Reject]], undefined, «result.[[Value]]»).
+      Call(realm, promiseCapability.reject, realm.intrinsics.undefined, [result.value]);
+    }
+
+    // g. Return.
+    return realm.intrinsics.undefined;
+  };
+
+  // 4. Push asyncContext onto the execution context stack; asyncContext is now the running execution context.
+  realm.pushContext(asyncContext);
+
+  // 5. Resume the suspended evaluation of asyncContext. Let result be the value returned by the resumed computation.
+  let result = asyncContext.resume();
+
+  // 6. Assert: When we return here, asyncContext has already been removed from the execution context stack and runningContext is the currently running execution context.
+  invariant(realm.getRunningContext() === runningContext);
+
+  // 7. Assert: result is a normal completion with a value of undefined. The possible sources of completion values are Await or, if the async function doesn't await anything, the step 3.g above.
+  invariant(result === realm.intrinsics.undefined);
+
+  // 8. Return.
+}
+
+// ECMA262 25.5.5.3
+export function AsyncFunctionAwait(realm: Realm, value: Value): void {
+  // 1. Let asyncContext be the running execution context.
+  let asyncContext = realm.getRunningContext();
+  let asyncFunction = asyncContext.function;
+  invariant(asyncFunction instanceof ECMAScriptSourceFunctionValue && asyncFunction.$FunctionKind === "async");
+  reportAbstractControlFlowIfAny(realm, asyncFunction, "async function");
+
+  // 2. Let promiseCapability be ! NewPromiseCapability(%Promise%).
+  let promiseCapability = NewPromiseCapability(realm, realm.intrinsics.Promise);
+
+  // 3. Perform ! Call(promiseCapability.[[Resolve]], undefined, « value »).
+  Call(realm, promiseCapability.resolve, realm.intrinsics.undefined, [value]);
+
+  // 4. Let stepsFulfilled be the algorithm steps defined in AsyncFunction Awaited Fulfilled.
+  // 5. Let onFulfilled be CreateBuiltinFunction(stepsFulfilled, « [[AsyncContext]] »).
+  // 6. Set onFulfilled.[[AsyncContext]] to asyncContext.
+  let onFulfilled = new NativeFunctionValue(
+    realm,
+    undefined,
+    undefined,
+    1,
+    (context, [fulfilledValue]) => {
+      // ECMA262 25.5.5.4
+      return resumeAsyncContext(realm, asyncContext, fulfilledValue);
+    },
+    false
+  );
+
+  // 7. Let stepsRejected be the algorithm steps defined in AsyncFunction Awaited Rejected.
+  // 8. Let onRejected be CreateBuiltinFunction(stepsRejected, « [[AsyncContext]] »).
+  // 9. Set onRejected.[[AsyncContext]] to asyncContext.
+  let onRejected = new NativeFunctionValue(
+    realm,
+    undefined,
+    undefined,
+    1,
+    (context, [reason]) => {
+      // ECMA262 25.5.5.5
+      return resumeAsyncContext(realm, asyncContext, new ThrowCompletion(reason, realm.currentLocation));
+    },
+    false
+  );
+
+  // 10. Let throwawayCapability be ! NewPromiseCapability(%Promise%).
+  let throwawayCapability = NewPromiseCapability(realm, realm.intrinsics.Promise);
+
+  // 11. Set throwawayCapability.[[Promise]].[[PromiseIsHandled]] to true.
+  let throwawayPromise = throwawayCapability.promise;
+  invariant(throwawayPromise instanceof ObjectValue);
+  throwawayPromise.$PromiseIsHandled = true;
+
+  // 12. Perform ! PerformPromiseThen(promiseCapability.[[Promise]], onFulfilled, onRejected, throwawayCapability).
+  let promise = promiseCapability.promise;
+  invariant(promise instanceof ObjectValue);
+  realm.asyncFunctionPromises.set(promise, asyncFunction);
+  PerformPromiseThen(realm, promise, onFulfilled, onRejected, throwawayCapability);
+
+  // 13. Remove asyncContext from the execution context stack and restore the execution context that is at the top of the execution context stack as the running execution context.
+  realm.popContext(asyncContext);
+
+  // 14. Set the code evaluation state of asyncContext such that when evaluation is resumed with a Completion resumptionValue the following steps will be performed:
+  // a. Return resumptionValue.
+  // (The resumable evaluation of the async function body is suspended by its caller once this returns.)
+
+  // 15. Return.
+}
+
+// ECMA262 25.5.5.4 and 25.5.5.5, steps 1-7
+function resumeAsyncContext(
+  realm: Realm,
+  asyncContext: ExecutionContext,
+  resumptionValue: Value | AbruptCompletion
+): Value {
+  // 2. Let prevContext be the running execution context.
+  let prevContext = realm.getRunningContext();
+
+  // 3. Suspend prevContext.
+  prevContext.suspend();
+
+  // 4. Push asyncContext onto the execution context stack; asyncContext is now the running execution context.
+  realm.pushContext(asyncContext);
+
+  // 5. Resume the suspended evaluation of asyncContext using resumptionValue as the result of the operation that suspended it. Let result be the value returned by the resumed computation.
+  let result = asyncContext.resume(resumptionValue);
+
+  // 6. Assert: When we reach this step, asyncContext has already been removed from the execution context stack and prevContext is the currently running execution context.
+  invariant(realm.getRunningContext() === prevContext);
+
+  // 7. Return Completion(result).
+  return result;
+}
@@ -11,15 +11,22 @@
 
 import type { PropertyKeyValue } from "../types.js";
 import type { ECMAScriptFunctionValue } from "../values/index.js";
-import { LexicalEnvironment, Reference, EnvironmentRecord, GlobalEnvironmentRecord } from "../environment.js";
+import {
+  LexicalEnvironment,
+  Reference,
+  EnvironmentRecord,
+  FunctionEnvironmentRecord,
+  GlobalEnvironmentRecord,
+} from "../environment.js";
 import { FatalError } from "../errors.js";
-import { Realm, ExecutionContext } from "../realm.js";
+import { Effects, Realm, ExecutionContext } from "../realm.js";
 import Value from "../values/Value.js";
 import {
   FunctionValue,
   ECMAScriptSourceFunctionValue,
   ObjectValue,
   NullValue,
+  PrimitiveValue,
   UndefinedValue,
   NativeFunctionValue,
   AbstractObjectValue,
@@ -148,7 +155,8 @@ export function EvaluateCall(
   strictCode: boolean,
   env: LexicalEnvironment,
   ref: Reference | Value,
-  args: Array<BabelNode> | BabelNodeTemplateLiteral
+  args: Array<BabelNode> | BabelNodeTemplateLiteral,
+  tailPosition?: boolean
 ): Value {
   let thisValue;
 
@@ -177,7 +185,7 @@ export function EvaluateCall(
   }
 
   // 4. Return ? EvaluateDirectCall(func, thisValue, arguments, tailPosition).
-  return EvaluateDirectCall(realm, strictCode, env, ref, func, thisValue, args);
+  return EvaluateDirectCall(realm, strictCode, env, ref, func, thisValue, args, tailPosition);
 }
 
 // ECMA262 9.2.1.1
@@ -323,23 +331,38 @@ export function OrdinaryCallEvaluateBody(
       let code = F.$ECMAScriptCode;
       invariant(code !== undefined);
       GeneratorStart(realm, G, code);
+      // Remember how the generator got started, so that it can be serialized as a call while it has not run yet.
+      G.$GeneratorArguments = argumentsList;
 
       // 4. Return Completion{[[Type]]: return, [[Value]]: G, [[Target]]: empty}.
       return new ReturnCompletion(G, realm.currentLocation);
+    } else if (F.$FunctionKind === "async") {
+      // ECMA262 14.6.11, AsyncFunctionBody : FunctionBody
+      return new ReturnCompletion(Functions.EvaluateAsyncFunctionBody(realm, F, argumentsList), realm.currentLocation);
     } else {
-      // TODO #1586: abstractRecursionSummarization is disabled for now, as it is likely too limiting
-      // (as observed in large internal tests).
-      const abstractRecursionSummarization = false;
-      if (!realm.useAbstractInterpretation || realm.pathConditions.length === 0 || !abstractRecursionSummarization)
-        return normalCall();
+      if (!realm.useAbstractInterpretation || realm.pathConditions.length === 0) return normalCall();
       let savedIsSelfRecursive = F.isSelfRecursive;
       try {
         F.isSelfRecursive = false;
+        // guardedCall replaces argumentsList with widened arguments, which only exist at compile time,
+        // and the instantiation of F may replace the lexical environment of the call
+        let actualArgumentsList = argumentsList;
+        let env = realm.getRunningContext().lexicalEnvironment.environmentRecord;
         let effects = realm.evaluateForEffects(guardedCall, undefined, "OrdinaryCallEvaluateBody");
         if (F.isSelfRecursive) {
-          AbstractValue.reportIntrospectionError(F, "call to function that calls itself");
-          throw new FatalError();
-          //todo: need to emit a specialized function that temporally captures the heap state at this point
+          // The effects of this call depend on the effects of a recursive call with widened arguments,
+          // which are not known, so they are discarded. Instead, F gets called at runtime.
+          if (
+            !realm.isInPureScope() ||
+            F.$FunctionKind !== "normal" ||
+            !(env instanceof FunctionEnvironmentRecord) ||
+            env.$NewTarget !== undefined ||
+            modifiesExistingState(env, effects)
+          ) {
+            AbstractValue.reportIntrospectionError(F, "call to function that calls itself");
+            throw new FatalError();
+          }
+          return new ReturnCompletion(generateResidualCall(env, actualArgumentsList, effects), realm.currentLocation);
         } else {
           realm.applyEffects(effects);
           let c = effects.result;
@@ -349,13 +372,66 @@ export function OrdinaryCallEvaluateBody(
           });
         }
       } finally {
-        F.isSelfRecursive = savedIsSelfRecursive;
+        // A recursive call that reached a fixed point is summarized by the calls that are still active,
+        // so they must become residual as well.
+        F.isSelfRecursive = savedIsSelfRecursive || F.isSelfRecursive;
+      }
+
+      // The residual call is only sound if the summary of F does not modify any binding or property
+      // that existed before the call, since such modifications would happen at runtime only,
+      // after the values they replace were already used at compile time.
+      function modifiesExistingState(env: EnvironmentRecord, summary: Effects): boolean {
+        // environments are numbered in order of creation, starting with env for this call
+        for (let binding of summary.modifiedBindings.keys()) if (binding.environment.id < env.id) return true;
+        for (let binding of summary.modifiedProperties.keys()) {
+          // objects that are havoced by the recursive residual calls can only be modified by F,
+          // so they are covered by the summary as well
+          if (binding.internalSlot && binding.key === "_isHavoced") continue;
+          if (!(binding.object instanceof ObjectValue) || !summary.createdObjects.has(binding.object)) return true;
+        }
+        return false;
+      }
+
+      // Emits a call to F that happens at runtime. The arguments of the call become havoced.
+      // The type of the result is taken from the summary of F, i.e. the effects of evaluating F
+      // with arguments widened until they reached a fixed point.
+      function generateResidualCall(
+        env: FunctionEnvironmentRecord,
+        actualArguments: Array<Value>,
+        summary: Effects
+      ): AbstractValue | UndefinedValue {
+        let thisValue;
+        if (F.$ThisMode !== "lexical") {
+          thisValue = env.GetThisBinding();
+          let isImplicitThis =
+            F.$ThisMode === "strict"
+              ? thisValue instanceof UndefinedValue
+              : thisValue === realm.$GlobalEnv.environmentRecord.GetThisBinding();
+          if (isImplicitThis) thisValue = undefined;
+        }
+        let args = thisValue === undefined ? [F, ...actualArguments] : [F, thisValue, ...actualArguments];
+        for (let arg of args) Havoc.value(realm, arg);
+
+        // Only primitive result types are kept, since an object type would need a template for its properties.
+        let result = summary.result;
+        let resultType = Value;
+        if (result instanceof ReturnCompletion) resultType = result.value.getType();
+        else if (result instanceof Value) resultType = UndefinedValue;
+        if (!Value.isTypeCompatibleWith(resultType, PrimitiveValue) || resultType === NullValue) resultType = Value;
+        return AbstractValue.createTemporalFromBuildFunction(realm, resultType, args, ([func, ...nodes]) => {
+          let callArguments = ((nodes: any): Array<BabelNodeExpression | BabelNodeSpreadElement>);
+          return thisValue === undefined
+            ? t.callExpression(func, callArguments)
+            : t.callExpression(t.memberExpression(func, t.identifier("call")), callArguments);
+        });
       }
 
       function guardedCall() {
         let currentLocation = realm.currentLocation;
-        if (F.activeArguments !== undefined && F.activeArguments.has(currentLocation)) {
-          let [previousPathLength, previousArguments] = F.activeArguments.get(currentLocation);
+        let activeArguments = F.activeArguments;
+        let previousEntry = activeArguments === undefined ? undefined : activeArguments.get(currentLocation);
+        if (previousEntry !== undefined) {
+          let [previousPathLength, previousArguments] = previousEntry;
           if (realm.pathConditions.length > previousPathLength) {
             invariant(previousArguments !== undefined);
             // F is being called recursively while a call to it is still active
@@ -364,18 +440,23 @@ export function OrdinaryCallEvaluateBody(
             if (Widen.containsArraysOfValue(realm, previousArguments, widenedArgumentsList)) {
               // Reached a fixed point. Executing this call will not add any knowledge
               // about the effects of the original call.
-              return AbstractValue.createFromType(realm, Value, "widened return result");
+              return new ReturnCompletion(
+                AbstractValue.createFromType(realm, Value, "widened return result"),
+                realm.currentLocation
+              );
             } else {
               argumentsList = widenedArgumentsList;
             }
           }
         }
+        if (activeArguments === undefined) activeArguments = F.activeArguments = new Map();
         try {
-          if (F.activeArguments === undefined) F.activeArguments = new Map();
-          F.activeArguments.set(currentLocation, [realm.pathConditions.length, argumentsList]);
+          activeArguments.set(currentLocation, [realm.pathConditions.length, argumentsList]);
           return normalCall();
         } finally {
-          F.activeArguments.delete(currentLocation);
+          // a recursive call must not forget about the call that is still active at this location
+          if (previousEntry === undefined) activeArguments.delete(currentLocation);
+          else activeArguments.set(currentLocation, previousEntry);
         }
       }
 
@@ -506,9 +587,9 @@ export function EvaluateDirectCallWithArgList(
   }
 
   // 4. If tailPosition is true, perform PrepareForTailCall().
-  if (tailPosition === true) PrepareForTailCall(realm);
-
   // 5. Let result be Call(func, thisValue, argList).
+  // (The call is made by [[Call]] of the running function, once the running execution context has been removed.)
+  if (tailPosition === true && PrepareForTailCall(realm)) throw new TailCall(func, thisValue, argList);
   let result = Call(realm, func, thisValue, argList);
 
   // 6. Assert: If tailPosition is true, the above call will not return here, but instead
@@ -521,20 +602,64 @@ export function EvaluateDirectCallWithArgList(
   return result;
 }
 
+// This is thrown by a call in tail position, so that the evaluation of the function body that contains it unwinds
+// until [[Call]] of the function removes its execution context, and only then makes the call in its place.
+export class TailCall extends Error {
+  constructor(func: Value, thisValue: Value, argList: Array<Value>) {
+    super("Tail call");
+    this.func = func;
+    this.thisValue = thisValue;
+    this.argList = argList;
+  }
+
+  func: Value;
+  thisValue: Value;
+  argList: Array<Value>;
+}
+
 // ECMA262 14.6.3
-export function PrepareForTailCall(realm: Realm) {
+// Returns false if the running execution context cannot be replaced, in which case the call is an ordinary one.
+export function PrepareForTailCall(realm: Realm): boolean {
   // 1. Let leafContext be the running execution context.
   let leafContext = realm.getRunningContext();
 
+  // Only the body of a function that was called with [[Call]] can be left early, and only if no effects have been
+  // captured, or completions saved, since it started to be evaluated. Both need the call to return to the body.
+  if (
+    !realm.tailCalls ||
+    !leafContext.tailCallsEnabled ||
+    leafContext.tailCallsGenerator !== realm.generator ||
+    realm.savedCompletion !== undefined
+  )
+    return false;
+
   // 2. Suspend leafContext.
   leafContext.suspend();
 
   // 3. Pop leafContext from the execution context stack. The execution context now on the
   //    top of the stack becomes the running execution context.
-  realm.onDestroyScope(leafContext.lexicalEnvironment);
-  realm.popContext(leafContext);
+  // 4. Assert: leafContext has no further use. It will never be activated as the running execution context.
+  // (Both happen in [[Call]] of the running function, which catches the TailCall.)
+  return true;
+}
 
-  // TODO #1008 4. Assert: leafContext has no further use. It will never be activated as the running execution context.
+// Makes a call that was in tail position, along with the calls in tail position that take its place in turn,
+// one after the other, so that tail recursion does not grow the execution context stack.
+export function PerformTailCalls(realm: Realm, tailCall: TailCall): Value {
+  let result;
+  while (result === undefined) {
+    let { func, thisValue, argList } = tailCall;
+    realm.tailCallee = func;
+    try {
+      result = Call(realm, func, thisValue, argList);
+    } catch (e) {
+      if (!(e instanceof TailCall)) throw e;
+      tailCall = e;
+    } finally {
+      realm.tailCallee = undefined;
+    }
+  }
+  return result;
 }
 
 // ECMA262 7.3.12
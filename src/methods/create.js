@@ -746,7 +746,7 @@ export class CreateImplementation {
     realm: Realm,
     constructor: ObjectValue,
     newTarget: void | ObjectValue,
-    kind: "normal" | "generator",
+    kind: "normal" | "generator" | "async",
     args: Array<Value>
   ): Value {
     // 1. If newTarget is undefined, let newTarget be constructor.
@@ -761,14 +761,25 @@ export class CreateImplementation {
 
       // c. Let fallbackProto be "%FunctionPrototype%".
       fallbackProto = "FunctionPrototype";
-    } else {
-      // 3. Else,
+    } else if (kind === "generator") {
+      // 3. Else if kind is "generator", then
       // a. Let goal be the grammar symbol GeneratorBody.
 
       // b. Let parameterGoal be the grammar symbol FormalParameters[Yield].
 
       // c. Let fallbackProto be "%Generator%".
       fallbackProto = "Generator";
+    } else {
+      // 4. Else,
+      // a. Assert: kind is "async".
+      invariant(kind === "async");
+
+      // b. Let goal be the grammar symbol AsyncFunctionBody.
+
+      // c. Let parameterGoal be the grammar symbol FormalParameters[Await].
+
+      // d. Let fallbackProto be "%AsyncFunctionPrototype%".
+      fallbackProto = "AsyncFunctionPrototype";
     }
 
     // 4. Let argCount be the number of elements in args.
@@ -821,7 +832,18 @@ export class CreateImplementation {
     // 11. Let body be the result of parsing bodyText, interpreted as UTF-16 encoded Unicode text as described in 6.1.4, using goal as the goal symbol. Throw a SyntaxError exception if the parse fails.
     let ast;
     try {
-      ast = parse(realm, "function" + (kind === "generator" ? "*" : "") + " _(" + P + "){" + bodyText + "}", "eval");
+      ast = parse(
+        realm,
+        (kind === "async" ? "async " : "") +
+          "function" +
+          (kind === "generator" ? "*" : "") +
+          " _(" +
+          P +
+          "){" +
+          bodyText +
+          "}",
+        "eval"
+      );
     } catch (e) {
       throw realm.createErrorThrowCompletion(realm.intrinsics.SyntaxError, "parse failed");
     }
@@ -908,10 +930,11 @@ export class CreateImplementation {
         enumerable: false,
         configurable: false,
       });
-    } else {
-      // 28. Else, perform MakeConstructor(F).
+    } else if (kind === "normal") {
+      // 28. Else if kind is "normal", perform MakeConstructor(F).
       MakeConstructor(realm, F);
     }
+    // NOTE: Async functions are not constructors and do not have a [[Construct]] internal method or a "prototype" property.
 
     // 29. Perform SetFunctionName(F, "anonymous").
     Functions.SetFunctionName(realm, F, "anonymous");
@@ -33,6 +33,7 @@ import {
   EnvironmentRecord,
   DeclarativeEnvironmentRecord,
   GlobalEnvironmentRecord,
+  ModuleEnvironmentRecord,
   Reference,
   LexicalEnvironment,
 } from "../environment.js";
@@ -208,6 +209,25 @@ export class EnvironmentImplementation {
     return env;
   }
 
+  // ECMA262 8.1.2.6
+  NewModuleEnvironment(realm: Realm, E: LexicalEnvironment): LexicalEnvironment {
+    // 1. Let env be a new Lexical Environment.
+    let env = new LexicalEnvironment(realm);
+    realm.activeLexicalEnvironments.add(env);
+
+    // 2. Let envRec be a new module Environment Record containing no bindings.
+    let envRec = new ModuleEnvironmentRecord(realm);
+
+    // 3. Set env's EnvironmentRecord to envRec.
+    env.environmentRecord = envRec;
+
+    // 4. Set the outer lexical environment reference of env to E.
+    env.parent = E;
+
+    // 5. Return env.
+    return env;
+  }
+
   BoundNames(realm: Realm, node: BabelNode): Array<string> {
     return Object.keys(t.getOuterBindingIdentifiers(node));
   }
@@ -720,23 +740,27 @@ export class EnvironmentImplementation {
         }
 
         // 5. If Initializer is present and v is undefined, then
-        if (Initializer && v instanceof UndefinedValue) {
-          // a. Let defaultValue be the result of evaluating Initializer.
-          let defaultValue = env.evaluate(Initializer, strictCode);
-
-          // b. Let v be ? GetValue(defaultValue).
-          v = this.GetValue(realm, defaultValue);
-
-          // c. If IsAnonymousFunctionDefinition(Initializer) is true, then
-          if (IsAnonymousFunctionDefinition(realm, Initializer) && v instanceof ObjectValue) {
-            // i. Let hasNameProperty be ? HasOwnProperty(v, "name").
-            let hasNameProperty = HasOwnProperty(realm, v, "name");
-
-            // ii. If hasNameProperty is false, perform SetFunctionName(v, bindingId).
-            if (hasNameProperty === false) {
-              Functions.SetFunctionName(realm, v, bindingId);
+        if (Initializer) {
+          let initializer = Initializer;
+          v = this._defaultIfUndefined(realm, v, () => {
+            // a. Let defaultValue be the result of evaluating Initializer.
+            let defaultValue = env.evaluate(initializer, strictCode);
+
+            // b. Let v be ? GetValue(defaultValue).
+            let w = this.GetValue(realm, defaultValue);
+
+            // c. If IsAnonymousFunctionDefinition(Initializer) is true, then
+            if (IsAnonymousFunctionDefinition(realm, initializer) && w instanceof ObjectValue) {
+              // i. Let hasNameProperty be ? HasOwnProperty(v, "name").
+              let hasNameProperty = HasOwnProperty(realm, w, "name");
+
+              // ii. If hasNameProperty is false, perform SetFunctionName(v, bindingId).
+              if (hasNameProperty === false) {
+                Functions.SetFunctionName(realm, w, bindingId);
+              }
             }
-          }
+            return w;
+          });
         }
 
         // 6. If environment is undefined, return ? PutValue(lhs, v).
@@ -796,12 +820,15 @@ export class EnvironmentImplementation {
         }
 
         // 3. If Initializer is present and v is undefined, then
-        if (Initializer && v instanceof UndefinedValue) {
-          // a. Let defaultValue be the result of evaluating Initializer.
-          let defaultValue = env.evaluate(Initializer, strictCode);
-
-          // b. Let v be ? GetValue(defaultValue).
-          v = this.GetValue(realm, defaultValue);
+        if (Initializer) {
+          let initializer = Initializer;
+          v = this._defaultIfUndefined(realm, v, () => {
+            // a. Let defaultValue be the result of evaluating Initializer.
+            let defaultValue = env.evaluate(initializer, strictCode);
+
+            // b. Let v be ? GetValue(defaultValue).
+            return this.GetValue(realm, defaultValue);
+          });
         }
 
         // 4. Return the result of performing BindingInitialization of BindingPattern with v and environment as the arguments.
@@ -1020,6 +1047,23 @@ export class EnvironmentImplementation {
   }
 
   // ECMA262 13.3.3.7
+  // Returns the value computed by evaluateDefault if v is undefined, and v otherwise.
+  // If v is abstract and might be undefined, evaluateDefault is evaluated on the path where v is undefined
+  // and the result is the join of both paths, i.e. v === undefined ? default : v.
+  _defaultIfUndefined(realm: Realm, v: Value, evaluateDefault: () => Value): Value {
+    if (v instanceof UndefinedValue) return evaluateDefault();
+    if (!(v instanceof AbstractValue) || !v.mightBeUndefined()) return v;
+    let isUndefined = AbstractValue.createFromBinaryOp(realm, "===", v, realm.intrinsics.undefined);
+    return AbstractValue.evaluateWithAbstractConditional(
+      realm,
+      isUndefined,
+      () => realm.evaluateForEffects(evaluateDefault, undefined, "_defaultIfUndefined/default"),
+      () => v,
+      () => realm.evaluateForEffects(() => v, undefined, "_defaultIfUndefined/value"),
+      evaluateDefault
+    );
+  }
+
   KeyedBindingInitialization(
     realm: Realm,
     node: BabelNodeIdentifier | BabelNodePattern,
@@ -1049,23 +1093,27 @@ export class EnvironmentImplementation {
       let v = GetV(realm, value, propertyName);
 
       // 4. If Initializer is present and v is undefined, then
-      if (Initializer && v instanceof UndefinedValue) {
-        // a. Let defaultValue be the result of evaluating Initializer.
-        let defaultValue = env.evaluate(Initializer, strictCode);
+      if (Initializer) {
+        let initializer = Initializer;
+        v = this._defaultIfUndefined(realm, v, () => {
+          // a. Let defaultValue be the result of evaluating Initializer.
+          let defaultValue = env.evaluate(initializer, strictCode);
 
-        // b. Let v be ? GetValue(defaultValue).
-        v = this.GetValue(realm, defaultValue);
+          // b. Let v be ? GetValue(defaultValue).
+          let w = this.GetValue(realm, defaultValue);
 
-        // c. If IsAnonymousFunctionDefinition(Initializer) is true, then
-        if (IsAnonymousFunctionDefinition(realm, Initializer) && v instanceof ObjectValue) {
-          // i. Let hasNameProperty be ? HasOwnProperty(v, "name").
-          let hasNameProperty = HasOwnProperty(realm, v, "name");
+          // c. If IsAnonymousFunctionDefinition(Initializer) is true, then
+          if (IsAnonymousFunctionDefinition(realm, initializer) && w instanceof ObjectValue) {
+            // i. Let hasNameProperty be ? HasOwnProperty(v, "name").
+            let hasNameProperty = HasOwnProperty(realm, w, "name");
 
-          // ii. If hasNameProperty is false, perform SetFunctionName(v, bindingId).
-          if (hasNameProperty === false) {
-            Functions.SetFunctionName(realm, v, bindingId);
+            // ii. If hasNameProperty is false, perform SetFunctionName(v, bindingId).
+            if (hasNameProperty === false) {
+              Functions.SetFunctionName(realm, w, bindingId);
+            }
           }
-        }
+          return w;
+        });
       }
 
       // 5. If environment is undefined, return ? PutValue(lhs, v).
@@ -1080,12 +1128,15 @@ export class EnvironmentImplementation {
       let v = GetV(realm, value, propertyName);
 
       // 2. If Initializer is present and v is undefined, then
-      if (Initializer && v instanceof UndefinedValue) {
-        // a. Let defaultValue be the result of evaluating Initializer.
-        let defaultValue = env.evaluate(Initializer, strictCode);
+      if (Initializer) {
+        let initializer = Initializer;
+        v = this._defaultIfUndefined(realm, v, () => {
+          // a. Let defaultValue be the result of evaluating Initializer.
+          let defaultValue = env.evaluate(initializer, strictCode);
 
-        // b. Let v be ? GetValue(defaultValue).
-        v = this.GetValue(realm, defaultValue);
+          // b. Let v be ? GetValue(defaultValue).
+          return this.GetValue(realm, defaultValue);
+        });
       }
 
       // 3. Return the result of performing BindingInitialization for BindingPattern passing v and environment as arguments.
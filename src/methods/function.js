@@ -10,7 +10,7 @@
 /* @flow */
 
 import type { LexicalEnvironment } from "../environment.js";
-import type { PropertyKeyValue, FunctionBodyAstNode } from "../types.js";
+import type { PropertyKeyValue, FunctionBodyAstNode, ResumableEvaluation } from "../types.js";
 import { FatalError } from "../errors.js";
 import type { Realm } from "../realm.js";
 import type { ECMAScriptFunctionValue } from "../values/index.js";
@@ -37,11 +37,20 @@ import {
   UndefinedValue,
   Value,
 } from "../values/index.js";
-import { OrdinaryCallEvaluateBody, OrdinaryCallBindThis, PrepareForOrdinaryCall, Call } from "./call.js";
+import {
+  OrdinaryCallEvaluateBody,
+  OrdinaryCallBindThis,
+  PerformTailCalls,
+  PrepareForOrdinaryCall,
+  Call,
+  TailCall,
+} from "./call.js";
 import { SameValue } from "../methods/abstract.js";
 import { Construct } from "../methods/construct.js";
 import { UpdateEmpty } from "../methods/index.js";
 import { CreateListIterator } from "../methods/iterator.js";
+import { EvaluateResumableBody } from "./resumable.js";
+import { EvaluateAsyncFunctionBody } from "./async.js";
 import { EvalPropertyName } from "../evaluators/ObjectExpression.js";
 import { Create, Environment, Join, Properties } from "../singletons.js";
 import traverseFast from "../utils/traverse-fast.js";
@@ -90,6 +99,10 @@ function InternalCall(
     if (detourResult instanceof Value) return detourResult;
   }
 
+  // Whether this call takes the place of a call in tail position, see PerformTailCalls.
+  let isTailCall = realm.tailCallee === F;
+  realm.tailCallee = undefined;
+
   // 2. If F's [[FunctionKind]] internal slot is "classConstructor", throw a TypeError exception.
   if (F.$FunctionKind === "classConstructor")
     throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "not callable");
@@ -100,6 +113,8 @@ function InternalCall(
   // 4. Let calleeContext be PrepareForOrdinaryCall(F, undefined).
   let calleeContext = PrepareForOrdinaryCall(realm, F, undefined);
   let calleeEnv = calleeContext.lexicalEnvironment;
+  calleeContext.tailCallsEnabled = true;
+  calleeContext.tailCallsGenerator = realm.generator;
 
   let result;
   try {
@@ -113,6 +128,9 @@ function InternalCall(
 
     // 7. Let result be OrdinaryCallEvaluateBody(F, argumentsList).
     result = OrdinaryCallEvaluateBody(realm, F, argsList);
+  } catch (e) {
+    if (!(e instanceof TailCall)) throw e;
+    result = e;
   } finally {
     // 8. Remove calleeContext from the execution context stack and restore callerContext as the running execution context.
     realm.popContext(calleeContext);
@@ -123,6 +141,13 @@ function InternalCall(
     for (let t2 of realm.tracers) t2.afterCall(F, thisArgument, argsList, undefined, (result: any));
   }
 
+  // A call in tail position of the body is made now that calleeContext has been removed from the stack.
+  if (result instanceof TailCall) {
+    // If this call took the place of a call in tail position itself, the call is made in its place in turn.
+    if (isTailCall) throw result;
+    return PerformTailCalls(realm, result);
+  }
+
   // 9. If result.[[Type]] is return, return NormalCompletion(result.[[Value]]).
   if (result instanceof ReturnCompletion) {
     return result.value;
@@ -833,6 +858,25 @@ export class FunctionImplementation {
     return this.FunctionInitialize(realm, F, kind, ParameterList, Body, Scope);
   }
 
+  // ECMA262 9.2.8
+  AsyncFunctionCreate(
+    realm: Realm,
+    kind: "normal" | "method" | "arrow",
+    parameters: Array<BabelNodeLVal>,
+    body: BabelNodeBlockStatement,
+    Scope: LexicalEnvironment,
+    Strict: boolean
+  ): ECMAScriptSourceFunctionValue {
+    // 1. Let functionPrototype be the intrinsic object %AsyncFunctionPrototype%.
+    let functionPrototype = realm.intrinsics.AsyncFunctionPrototype;
+
+    // 2. Let F be ! FunctionAllocate(functionPrototype, Strict, "async").
+    let F = this.FunctionAllocate(realm, functionPrototype, Strict, "async");
+
+    // 3. Return ! FunctionInitialize(F, kind, parameters, body, Scope).
+    return this.FunctionInitialize(realm, F, kind, parameters, body, Scope);
+  }
+
   // ECMA262 9.2.7
   AddRestrictedFunctionProperties(F: FunctionValue, realm: Realm): boolean {
     // 1. Assert: realm.[[Intrinsics]].[[%ThrowTypeError%]] exists and has been initialized.
@@ -872,14 +916,17 @@ export class FunctionImplementation {
     realm: Realm,
     functionPrototype: ObjectValue | AbstractObjectValue,
     strict: boolean,
-    functionKind: "normal" | "non-constructor" | "generator"
+    functionKind: "normal" | "non-constructor" | "generator" | "async"
   ): ECMAScriptSourceFunctionValue {
     // 1. Assert: Type(functionPrototype) is Object.
     invariant(functionPrototype instanceof ObjectValue, "expected functionPrototype to be an object");
 
-    // 2. Assert: functionKind is either "normal", "non-constructor" or "generator".
+    // 2. Assert: functionKind is either "normal", "non-constructor", "generator" or "async".
     invariant(
-      functionKind === "normal" || functionKind === "non-constructor" || functionKind === "generator",
+      functionKind === "normal" ||
+        functionKind === "non-constructor" ||
+        functionKind === "generator" ||
+        functionKind === "async",
       "invalid functionKind"
     );
 
@@ -1183,6 +1230,14 @@ export class FunctionImplementation {
     return blockValue || realm.intrinsics.empty;
   }
 
+  EvaluateResumableBody(realm: Realm, body: BabelNodeBlockStatement, strictCode: boolean): ResumableEvaluation {
+    return EvaluateResumableBody(realm, body, strictCode);
+  }
+
+  EvaluateAsyncFunctionBody(realm: Realm, F: ECMAScriptSourceFunctionValue, argumentsList: Array<Value>): Value {
+    return EvaluateAsyncFunctionBody(realm, F, argumentsList);
+  }
+
   PartiallyEvaluateStatements(
     body: Array<BabelNodeStatement>,
     blockValue: void | NormalCompletion | Value,
@@ -10,9 +10,10 @@
 /* @flow */
 
 import type { Realm } from "../realm.js";
-import { AbruptCompletion } from "../completions.js";
-import { Value, ObjectValue, UndefinedValue } from "../values/index.js";
-import { Create, Properties } from "../singletons.js";
+import { AbruptCompletion, JoinedAbruptCompletions, ReturnCompletion } from "../completions.js";
+import { CompilerDiagnostic, FatalError } from "../errors.js";
+import { ECMAScriptSourceFunctionValue, Value, ObjectValue, UndefinedValue } from "../values/index.js";
+import { Create, Functions, Properties } from "../singletons.js";
 import invariant from "../invariant.js";
 import type { BabelNodeBlockStatement } from "babel-types";
 
@@ -33,20 +34,66 @@ export function GeneratorStart(
 
   // 2. Let genContext be the running execution context.
   let genContext = realm.getRunningContext();
+  let generatorFunction = genContext.function;
+  invariant(generatorFunction instanceof ECMAScriptSourceFunctionValue);
 
   // 3. Set the Generator component of genContext to generator.
+  genContext.generatorObject = generator;
 
   // 4. Set the code evaluation state of genContext such that when evaluation is resumed for that execution context the following steps will be performed:
-  // a. Let result be the result of evaluating generatorBody.
-  // b. Assert: If we return here, the generator either threw an exception or performed either an implicit or explicit return.
-  // c. Remove genContext from the execution context stack and restore the execution context that is at the top of the execution context stack as the running execution context.
-  // d. Set generator.[[GeneratorState]] to "completed".
-  // e. Once a generator enters the "completed" state it never leaves it and its associated execution context is never resumed. Any execution state associated with generator can be discarded at this point.
-  // f. If result is a normal completion, let resultValue be undefined.
-  // g. Else,
-  // i. If result.[[Type]] is return, let resultValue be result.[[Value]].
-  // ii. Else, return Completion(result).
-  // h. Return CreateIterResultObject(resultValue, true).
+  let bodyEvaluation;
+  genContext.codeEvaluationState = resumptionValue => {
+    if (bodyEvaluation === undefined) {
+      invariant(resumptionValue instanceof Value);
+      bodyEvaluation = Functions.EvaluateResumableBody(realm, generatorBody, genContext.isStrict);
+    }
+    // a. Let result be the result of evaluating generatorBody.
+    let result;
+    let savedCompletion = realm.savedCompletion;
+    realm.savedCompletion = undefined;
+    try {
+      let step = bodyEvaluation.next(resumptionValue);
+      reportAbstractControlFlowIfAny(realm, generatorFunction, "generator");
+      // The generator yielded, GeneratorYield has already removed genContext from the execution context stack.
+      if (!step.done) return step.value;
+      result = step.value;
+    } catch (e) {
+      if (!(e instanceof AbruptCompletion)) {
+        if (realm.getRunningContext() === genContext) realm.popContext(genContext);
+        genContext.codeEvaluationState = undefined;
+        throw e;
+      }
+      reportAbstractControlFlowIfAny(realm, generatorFunction, "generator", e);
+      result = e;
+    } finally {
+      realm.savedCompletion = savedCompletion;
+    }
+
+    // b. Assert: If we return here, the generator either threw an exception or performed either an implicit or explicit return.
+    // c. Remove genContext from the execution context stack and restore the execution context that is at the top of the execution context stack as the running execution context.
+    realm.popContext(genContext);
+
+    // d. Set generator.[[GeneratorState]] to "completed".
+    Properties.ThrowIfInternalSlotNotWritable(realm, generator, "$GeneratorState").$GeneratorState = "completed";
+
+    // e. Once a generator enters the "completed" state it never leaves it and its associated execution context is never resumed. Any execution state associated with generator can be discarded at this point.
+    genContext.codeEvaluationState = undefined;
+
+    // f. If result is a normal completion, let resultValue be undefined.
+    let resultValue = realm.intrinsics.undefined;
+    if (result instanceof AbruptCompletion) {
+      // g. Else,
+      // i. If result.[[Type]] is return, let resultValue be result.[[Value]].
+      if (result instanceof ReturnCompletion) resultValue = result.value;
+      else {
+        // ii. Else, return Completion(result).
+        throw result;
+      }
+    }
+
+    // h. Return CreateIterResultObject(resultValue, true).
+    return Create.CreateIterResultObject(realm, resultValue, true);
+  };
 
   // 5. Set generator.[[GeneratorContext]] to genContext.
   generator.$GeneratorContext = genContext;
@@ -62,12 +109,12 @@ export function GeneratorStart(
 export function GeneratorValidate(realm: Realm, generator: Value) {
   // 1. If Type(generator) is not Object, throw a TypeError exception.
   if (!(generator instanceof ObjectValue)) {
-    throw realm.createErrorThrowCompletion(realm.intrinsics.SyntaxError, "Type(generator) is not Object");
+    throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "Type(generator) is not Object");
   }
 
   // 2. If generator does not have a [[GeneratorState]] internal slot, throw a TypeError exception.
   if (!("$GeneratorState" in generator)) {
-    throw realm.createErrorThrowCompletion(realm.intrinsics.SyntaxError, "Type(generator) is not Object");
+    throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "generator has no [[GeneratorState]]");
   }
 
   // 3. Assert: generator also has a [[GeneratorContext]] internal slot.
@@ -78,7 +125,7 @@ export function GeneratorValidate(realm: Realm, generator: Value) {
 
   // 5. If state is "executing", throw a TypeError exception.
   if (state === "executing") {
-    throw realm.createErrorThrowCompletion(realm.intrinsics.SyntaxError, "Type(generator) is not Object");
+    throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "generator is already running");
   }
 
   // 6. Return state.
@@ -117,7 +164,7 @@ export function GeneratorResume(realm: Realm, generator: Value, value: Value): V
   realm.pushContext(genContext);
 
   // 9. Resume the suspended evaluation of genContext using NormalCompletion(value) as the result of the operation that suspended it. Let result be the value returned by the resumed computation.
-  let result = genContext.resume();
+  let result = genContext.resume(value);
 
   // 10. Assert: When we return here, genContext has already been removed from the execution context stack and methodContext is the currently running execution context.
   invariant(realm.getRunningContext() === methodContext);
@@ -129,24 +176,60 @@ export function GeneratorResume(realm: Realm, generator: Value, value: Value): V
 // ECMA26225.3.3.4
 export function GeneratorResumeAbrupt(realm: Realm, generator: Value, abruptCompletion: AbruptCompletion): Value {
   // 1. Let state be ? GeneratorValidate(generator).
+  let state = GeneratorValidate(realm, generator);
+  invariant(generator instanceof ObjectValue);
+
   // 2. If state is "suspendedStart", then
-  // a. Set generator.[[GeneratorState]] to "completed".
-  // b. Once a generator enters the "completed" state it never leaves it and its associated execution context is never resumed. Any execution state associated with generator can be discarded at this point.
-  // c. Let state be "completed".
+  if (state === "suspendedStart") {
+    // a. Set generator.[[GeneratorState]] to "completed".
+    Properties.ThrowIfInternalSlotNotWritable(realm, generator, "$GeneratorState").$GeneratorState = "completed";
+
+    // b. Once a generator enters the "completed" state it never leaves it and its associated execution context is never resumed. Any execution state associated with generator can be discarded at this point.
+    invariant(generator.$GeneratorContext);
+    generator.$GeneratorContext.codeEvaluationState = undefined;
+
+    // c. Let state be "completed".
+    state = "completed";
+  }
+
   // 3. If state is "completed", then
-  // a. If abruptCompletion.[[Type]] is return, then
-  // i. Return CreateIterResultObject(abruptCompletion.[[Value]], true).
-  // b. Return Completion(abruptCompletion).
+  if (state === "completed") {
+    // a. If abruptCompletion.[[Type]] is return, then
+    if (abruptCompletion instanceof ReturnCompletion) {
+      // i. Return CreateIterResultObject(abruptCompletion.[[Value]], true).
+      return Create.CreateIterResultObject(realm, abruptCompletion.value, true);
+    }
+    // b. Return Completion(abruptCompletion).
+    throw abruptCompletion;
+  }
+
   // 4. Assert: state is "suspendedYield".
+  invariant(state === "suspendedYield", "state is 'suspendedYield'");
+
   // 5. Let genContext be generator.[[GeneratorContext]].
+  let genContext = generator.$GeneratorContext;
+  invariant(genContext);
+
   // 6. Let methodContext be the running execution context.
+  let methodContext = realm.getRunningContext();
+
   // 7. Suspend methodContext.
+  methodContext.suspend();
+
   // 8. Set generator.[[GeneratorState]] to "executing".
+  Properties.ThrowIfInternalSlotNotWritable(realm, generator, "$GeneratorState").$GeneratorState = "executing";
+
   // 9. Push genContext onto the execution context stack; genContext is now the running execution context.
+  realm.pushContext(genContext);
+
   // 10. Resume the suspended evaluation of genContext using abruptCompletion as the result of the operation that suspended it. Let result be the completion record returned by the resumed computation.
+  let result = genContext.resume(abruptCompletion);
+
   // 11. Assert: When we return here, genContext has already been removed from the execution context stack and methodContext is the currently running execution context.
+  invariant(realm.getRunningContext() === methodContext);
+
   // 12. Return Completion(result).
-  return realm.intrinsics.undefined;
+  return result;
 }
 
 // ECMA26225.3.3.5
@@ -154,15 +237,52 @@ export function GeneratorYield(realm: Realm, iterNextObj: ObjectValue): Value {
   // 1. Assert: iterNextObj is an Object that implements the IteratorResult interface.
 
   // 2. Let genContext be the running execution context.
+  let genContext = realm.getRunningContext();
+
   // 3. Assert: genContext is the execution context of a generator.
   // 4. Let generator be the value of the Generator component of genContext.
+  let generator = genContext.generatorObject;
+  invariant(generator instanceof ObjectValue, "genContext is the execution context of a generator");
+  let generatorFunction = genContext.function;
+  invariant(generatorFunction instanceof ECMAScriptSourceFunctionValue);
+  reportAbstractControlFlowIfAny(realm, generatorFunction, "generator");
+
   // 5. Set generator.[[GeneratorState]] to "suspendedYield".
+  Properties.ThrowIfInternalSlotNotWritable(realm, generator, "$GeneratorState").$GeneratorState = "suspendedYield";
+
   // 6. Remove genContext from the execution context stack and restore the execution context that is at the top of the execution context stack as the running execution context.
+  realm.popContext(genContext);
+
   // 7. Set the code evaluation state of genContext such that when evaluation is resumed with a Completion resumptionValue the following steps will be performed:
   // a.  Return resumptionValue.
   // b. NOTE: This returns to the evaluation of the YieldExpression production that originally called this abstract operation.
+  // (The resumable evaluation of the generator body is suspended by its caller once this returns.)
+
   // 8. Return NormalCompletion(iterNextObj).
-  return realm.intrinsics.undefined;
+  return iterNextObj;
 
   // 9. NOTE: This returns to the evaluation of the operation that had most previously resumed evaluation of genContext.
 }
+
+// Generator and async function bodies are evaluated one step at a time and the evaluation state cannot be forked,
+// so any control flow that depends on abstract values and leaves such a body undecided is not supported.
+export function reportAbstractControlFlowIfAny(
+  realm: Realm,
+  func: ECMAScriptSourceFunctionValue,
+  kind: "generator" | "async function",
+  result?: AbruptCompletion
+) {
+  if (realm.savedCompletion === undefined && !(result instanceof JoinedAbruptCompletions)) return;
+  if (!realm.suppressDiagnostics) {
+    let body = func.$ECMAScriptCode;
+    invariant(body !== undefined);
+    let error = new CompilerDiagnostic(
+      `${kind} bodies with control flow that depends on abstract values are not supported (in ${kind} ${func.getName()})`,
+      realm.currentLocation || body.loc,
+      kind === "generator" ? "PP0036" : "PP0039",
+      "FatalError"
+    );
+    realm.handleError(error);
+  }
+  throw new FatalError();
+}
@@ -0,0 +1,420 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+/*
+  The Intl services delegate the locale-sensitive work to the services of the host. Their results are only
+  deterministic if the realm has a default locale (and time zone), the program does not ask for any other locale,
+  and the host actually supports the default locale rather than falling back to another one, as hosts built with
+  a small ICU do. Otherwise, when Prepack serializes the heap, they become temporal abstract values that the
+  residual program computes with the same locales and options.
+*/
+
+import type { Realm } from "../realm.js";
+import type { IntlServiceData, IntlServiceKind } from "../types.js";
+import {
+  AbstractValue,
+  ArrayValue,
+  NumberValue,
+  ObjectValue,
+  StringValue,
+  UndefinedValue,
+  Value,
+} from "../values/index.js";
+import { Get, HasProperty } from "./index.js";
+import { Create, To } from "../singletons.js";
+import invariant from "../invariant.js";
+import buildExpressionTemplate from "../utils/builder.js";
+import convert from "../utils/native-to-interp.js";
+
+type OptionType = "boolean" | "number" | "string";
+
+// The options that the host services understand, in the order in which the constructors read them.
+const serviceOptions: { [IntlServiceKind]: Array<[string, OptionType]> } = {
+  Collator: [
+    ["usage", "string"],
+    ["localeMatcher", "string"],
+    ["numeric", "boolean"],
+    ["caseFirst", "string"],
+    ["sensitivity", "string"],
+    ["ignorePunctuation", "boolean"],
+  ],
+  DateTimeFormat: [
+    ["localeMatcher", "string"],
+    ["hour12", "boolean"],
+    ["timeZone", "string"],
+    ["weekday", "string"],
+    ["era", "string"],
+    ["year", "string"],
+    ["month", "string"],
+    ["day", "string"],
+    ["hour", "string"],
+    ["minute", "string"],
+    ["second", "string"],
+    ["timeZoneName", "string"],
+    ["formatMatcher", "string"],
+  ],
+  NumberFormat: [
+    ["localeMatcher", "string"],
+    ["style", "string"],
+    ["currency", "string"],
+    ["currencyDisplay", "string"],
+    ["minimumIntegerDigits", "number"],
+    ["minimumFractionDigits", "number"],
+    ["maximumFractionDigits", "number"],
+    ["minimumSignificantDigits", "number"],
+    ["maximumSignificantDigits", "number"],
+    ["useGrouping", "boolean"],
+  ],
+};
+
+const compareTemplate = buildExpressionTemplate("(A).compare(B, C)");
+const formatTemplate = buildExpressionTemplate("(A).format(B)");
+const resolvedOptionsTemplate = buildExpressionTemplate("(A).resolvedOptions()");
+const supportedLocalesOfTemplates = {
+  Collator: buildExpressionTemplate("global.Intl.Collator.supportedLocalesOf(A)"),
+  DateTimeFormat: buildExpressionTemplate("global.Intl.DateTimeFormat.supportedLocalesOf(A)"),
+  NumberFormat: buildExpressionTemplate("global.Intl.NumberFormat.supportedLocalesOf(A)"),
+};
+
+// The options are validated by the host services themselves, which the Flow library definitions do not reflect.
+const hostIntl: any = Intl;
+
+// The host services are expensive to create, so they are shared by all objects that were initialized the same way.
+const hostServices: WeakMap<IntlServiceData, any> = new WeakMap();
+
+// Whether the host services of the given kind support the locale itself, cached by kind and locale.
+const hostSupportedLocales: Map<string, boolean> = new Map();
+
+function isSupportedByHost(kind: IntlServiceKind, locale: string): boolean {
+  let key = kind + " " + locale;
+  let supported = hostSupportedLocales.get(key);
+  if (supported === undefined) {
+    try {
+      let resolvedLocale = new hostIntl[kind](locale).resolvedOptions().locale;
+      supported = resolvedLocale.toLowerCase() === locale.toLowerCase();
+    } catch (e) {
+      if (!(e instanceof RangeError)) throw e;
+      supported = false;
+    }
+    hostSupportedLocales.set(key, supported);
+  }
+  return supported;
+}
+
+// Whether locale-sensitive results for the given locales can be computed now rather than by the residual program.
+// The default locale of the realm is the only locale that is known to be available when the program runs.
+function isDeterministic(realm: Realm, kind: IntlServiceKind, locales: Array<string>): boolean {
+  let locale = realm.locale;
+  if (locale === undefined) return false;
+  if (locales.some(l => l.toLowerCase() !== locale.toLowerCase())) return false;
+  return isSupportedByHost(kind, locale);
+}
+
+// Without abstract interpretation, there is no residual program, and the host services provide the results.
+function mustBeComputedByResidualProgram(realm: Realm, kind: IntlServiceKind, locales: Array<string>): boolean {
+  return realm.useAbstractInterpretation && !isDeterministic(realm, kind, locales);
+}
+
+// The arguments with which the host constructor creates a service with the behavior that the service object
+// will have when the program runs, taking the default locale and time zone of the realm into account.
+export function GetIntlServiceArguments(
+  realm: Realm,
+  data: IntlServiceData
+): [Array<string>, { [string]: string | number | boolean }] {
+  let { kind, locales, options } = data;
+  if (realm.locale !== undefined && locales.indexOf(realm.locale) < 0) locales = locales.concat(realm.locale);
+  if (kind === "DateTimeFormat" && options.timeZone === undefined) {
+    let timeZone = realm.timeZone;
+    if (timeZone === undefined && realm.locale !== undefined) timeZone = "UTC";
+    if (timeZone !== undefined) options = { ...options, timeZone };
+  }
+  return [locales, options];
+}
+
+function createHostService(realm: Realm, data: IntlServiceData): any {
+  let [locales, options] = GetIntlServiceArguments(realm, data);
+  try {
+    return new hostIntl[data.kind](locales, options);
+  } catch (e) {
+    if (e instanceof RangeError) throw realm.createErrorThrowCompletion(realm.intrinsics.RangeError, e.message);
+    throw e;
+  }
+}
+
+function getHostService(realm: Realm, data: IntlServiceData): any {
+  let hostService = hostServices.get(data);
+  if (hostService === undefined) {
+    hostService = createHostService(realm, data);
+    hostServices.set(data, hostService);
+  }
+  return hostService;
+}
+
+// ECMA-402 9.2.1
+export function CanonicalizeLocaleList(realm: Realm, locales: Value): Array<string> {
+  // 1. If locales is undefined, then
+  if (locales instanceof UndefinedValue) {
+    // a. Return a new empty List.
+    return [];
+  }
+
+  // 2. Let seen be a new empty List.
+  let seen = [];
+
+  // 3. If Type(locales) is String, then
+  let O;
+  if (locales instanceof StringValue) {
+    // a. Let O be CreateArrayFromList(« locales »).
+    O = Create.CreateArrayFromList(realm, [locales]);
+  } else {
+    // 4. Else,
+    // a. Let O be ? ToObject(locales).
+    O = To.ToObject(realm, locales.throwIfNotConcrete());
+  }
+
+  // 5. Let len be ? ToLength(? Get(O, "length")).
+  let len = To.ToLength(realm, Get(realm, O, "length"));
+
+  // 6. Let k be 0.
+  // 7. Repeat, while k < len
+  for (let k = 0; k < len; k++) {
+    // a. Let Pk be ToString(k).
+    let Pk = k + "";
+
+    // b. Let kPresent be ? HasProperty(O, Pk).
+    // c. If kPresent is true, then
+    if (HasProperty(realm, O, Pk)) {
+      // i. Let kValue be ? Get(O, Pk).
+      let kValue = Get(realm, O, Pk).throwIfNotConcrete();
+
+      // ii. If Type(kValue) is not String or Object, throw a TypeError exception.
+      if (!(kValue instanceof StringValue || kValue instanceof ObjectValue)) {
+        throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "locales must be strings or objects");
+      }
+
+      // iii. Let tag be ? ToString(kValue).
+      let tag = To.ToString(realm, kValue);
+
+      // iv. If IsStructurallyValidLanguageTag(tag) is false, throw a RangeError exception.
+      // v. Let canonicalizedTag be CanonicalizeLanguageTag(tag).
+      let canonicalizedTag;
+      try {
+        [canonicalizedTag] = hostIntl.getCanonicalLocales(tag);
+      } catch (e) {
+        if (e instanceof RangeError) throw realm.createErrorThrowCompletion(realm.intrinsics.RangeError, e.message);
+        throw e;
+      }
+
+      // vi. If canonicalizedTag is not an element of seen, append canonicalizedTag as the last element of seen.
+      if (seen.indexOf(canonicalizedTag) < 0) seen.push(canonicalizedTag);
+    }
+  }
+
+  // 8. Return seen.
+  return seen;
+}
+
+// Reads the options of a service constructor, see ECMA-402 9.2.10 GetOption.
+function GetServiceOptions(
+  realm: Realm,
+  kind: IntlServiceKind,
+  options: Value
+): { [string]: string | number | boolean } {
+  let result = {};
+  if (options instanceof UndefinedValue) return result;
+  let O = To.ToObject(realm, options.throwIfNotConcrete());
+  for (let [name, type] of serviceOptions[kind]) {
+    let value = Get(realm, O, name);
+    if (value instanceof UndefinedValue) continue;
+    value = value.throwIfNotConcrete();
+    if (type === "boolean") result[name] = To.ToBoolean(realm, value);
+    else if (type === "number") result[name] = To.ToNumber(realm, value);
+    else result[name] = To.ToString(realm, value);
+  }
+  return result;
+}
+
+// ECMA-402 12.1.2
+function ToDateTimeOptions(
+  options: { [string]: string | number | boolean },
+  required: "date" | "time" | "any",
+  defaults: "date" | "time" | "all"
+): { [string]: string | number | boolean } {
+  // 3. Let needDefaults be true.
+  let needDefaults = true;
+
+  // 4. If required is "date" or "any", then
+  if (required === "date" || required === "any") {
+    // a. For each of the property names "weekday", "year", "month", "day", do
+    for (let name of ["weekday", "year", "month", "day"]) {
+      // i. Let prop be the property name.
+      // ii. Let value be ? Get(options, prop).
+      // iii. If value is not undefined, let needDefaults be false.
+      if (options[name] !== undefined) needDefaults = false;
+    }
+  }
+
+  // 5. If required is "time" or "any", then
+  if (required === "time" || required === "any") {
+    // a. For each of the property names "hour", "minute", "second", do
+    for (let name of ["hour", "minute", "second"]) {
+      // i. Let prop be the property name.
+      // ii. Let value be ? Get(options, prop).
+      // iii. If value is not undefined, let needDefaults be false.
+      if (options[name] !== undefined) needDefaults = false;
+    }
+  }
+  if (!needDefaults) return options;
+  let result = { ...options };
+
+  // 6. If needDefaults is true and defaults is either "date" or "all", then
+  if (defaults === "date" || defaults === "all") {
+    // a. For each of the property names "year", "month", "day", do
+    // i. Perform ? CreateDataPropertyOrThrow(options, prop, "numeric").
+    for (let name of ["year", "month", "day"]) result[name] = "numeric";
+  }
+
+  // 7. If needDefaults is true and defaults is either "time" or "all", then
+  if (defaults === "time" || defaults === "all") {
+    // a. For each of the property names "hour", "minute", "second", do
+    // i. Perform ? CreateDataPropertyOrThrow(options, prop, "numeric").
+    for (let name of ["hour", "minute", "second"]) result[name] = "numeric";
+  }
+
+  // 8. Return options.
+  return result;
+}
+
+// ECMA-402 10.1.1, 11.1.1 and 12.1.1
+export function InitializeIntlService(
+  realm: Realm,
+  service: ObjectValue,
+  kind: IntlServiceKind,
+  locales: Value,
+  options: Value,
+  dateTimeDefaults?: ["date" | "time" | "any", "date" | "time" | "all"]
+): ObjectValue {
+  // Let requestedLocales be ? CanonicalizeLocaleList(locales).
+  let requestedLocales = CanonicalizeLocaleList(realm, locales);
+  let coercedOptions = GetServiceOptions(realm, kind, options);
+  if (kind === "DateTimeFormat") {
+    // Let options be ? ToDateTimeOptions(options, "any", "date").
+    let [required, defaults] = dateTimeDefaults || ["any", "date"];
+    coercedOptions = ToDateTimeOptions(coercedOptions, required, defaults);
+  }
+  let data = { kind, locales: requestedLocales, options: coercedOptions };
+
+  // The host service validates the options and throws a RangeError for values it does not support.
+  getHostService(realm, data);
+  service.$IntlService = data;
+  return service;
+}
+
+// Creates a new service object of the given kind, as if by Construct(%Collator%, « locales, options ») and so on.
+export function CreateIntlService(
+  realm: Realm,
+  kind: IntlServiceKind,
+  locales: Value,
+  options: Value,
+  dateTimeDefaults?: ["date" | "time" | "any", "date" | "time" | "all"]
+): ObjectValue {
+  let service = new ObjectValue(realm, realm.intrinsics[kind + "Prototype"]);
+  return InitializeIntlService(realm, service, kind, locales, options, dateTimeDefaults);
+}
+
+// Returns the service object that is the this value of an Intl method, or throws a TypeError.
+export function thisIntlService(realm: Realm, value: Value, kind: IntlServiceKind): ObjectValue {
+  if (!(value instanceof ObjectValue) || value.$IntlService === undefined || value.$IntlService.kind !== kind) {
+    throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, `this is not an Intl.${kind} object`);
+  }
+  return value;
+}
+
+// ECMA-402 10.3.4
+export function CompareStrings(realm: Realm, collator: ObjectValue, x: Value, y: Value): Value {
+  let data = collator.$IntlService;
+  invariant(data !== undefined && data.kind === "Collator");
+  if (
+    mustBeComputedByResidualProgram(realm, data.kind, data.locales) ||
+    x instanceof AbstractValue ||
+    y instanceof AbstractValue
+  ) {
+    return AbstractValue.createTemporalFromTemplate(realm, compareTemplate, NumberValue, [collator, x, y], {
+      isPure: true,
+      skipInvariant: true,
+    });
+  }
+  invariant(x instanceof StringValue && y instanceof StringValue);
+  return new NumberValue(realm, getHostService(realm, data).compare(x.value, y.value));
+}
+
+// ECMA-402 11.1.4 and 12.1.6
+export function FormatWithIntlService(realm: Realm, service: ObjectValue, x: Value): Value {
+  let data = service.$IntlService;
+  invariant(data !== undefined && data.kind !== "Collator");
+  if (mustBeComputedByResidualProgram(realm, data.kind, data.locales) || x instanceof AbstractValue) {
+    return AbstractValue.createTemporalFromTemplate(realm, formatTemplate, StringValue, [service, x], {
+      isPure: true,
+      skipInvariant: true,
+    });
+  }
+  invariant(x instanceof NumberValue);
+  // FormatDateTime: If x is not a finite Number, throw a RangeError exception.
+  if (data.kind === "DateTimeFormat" && !isFinite(x.value)) {
+    throw realm.createErrorThrowCompletion(realm.intrinsics.RangeError, "Invalid time value");
+  }
+  return new StringValue(realm, getHostService(realm, data).format(x.value));
+}
+
+// ECMA-402 10.3.5, 11.4.5 and 12.4.5
+export function ResolvedOptions(realm: Realm, service: ObjectValue): Value {
+  let data = service.$IntlService;
+  invariant(data !== undefined);
+  if (mustBeComputedByResidualProgram(realm, data.kind, data.locales)) {
+    return AbstractValue.createTemporalFromTemplate(realm, resolvedOptionsTemplate, ObjectValue, [service], {
+      isPure: true,
+      skipInvariant: true,
+    });
+  }
+  return convert(realm, getHostService(realm, data).resolvedOptions());
+}
+
+// ECMA-402 10.2.2, 11.3.2 and 12.3.2
+export function SupportedLocalesOf(realm: Realm, kind: IntlServiceKind, locales: Value, options: Value): Value {
+  // 1. Let availableLocales be %Collator%.[[AvailableLocales]].
+  // 2. Let requestedLocales be ? CanonicalizeLocaleList(locales).
+  let requestedLocales = CanonicalizeLocaleList(realm, locales);
+
+  // 3. Return ? SupportedLocales(availableLocales, requestedLocales, options).
+  let localeMatcher;
+  if (!(options instanceof UndefinedValue)) {
+    let matcher = Get(realm, To.ToObject(realm, options.throwIfNotConcrete()), "localeMatcher");
+    if (!(matcher instanceof UndefinedValue)) localeMatcher = To.ToStringPartial(realm, matcher);
+  }
+  if (mustBeComputedByResidualProgram(realm, kind, requestedLocales)) {
+    let requestedLocalesArray = convert(realm, requestedLocales);
+    return AbstractValue.createTemporalFromTemplate(
+      realm,
+      supportedLocalesOfTemplates[kind],
+      ArrayValue,
+      [requestedLocalesArray],
+      { isPure: true, skipInvariant: true }
+    );
+  }
+  let supportedLocales;
+  try {
+    supportedLocales = hostIntl[kind].supportedLocalesOf(requestedLocales, { localeMatcher });
+  } catch (e) {
+    if (e instanceof RangeError) throw realm.createErrorThrowCompletion(realm.intrinsics.RangeError, e.message);
+    throw e;
+  }
+  return convert(realm, supportedLocales);
+}
@@ -15,6 +15,7 @@ import type { Realm } from "../realm.js";
 import type { Descriptor } from "../types.js";
 import { Get } from "./get.js";
 import {
+  ECMAScriptSourceFunctionValue,
   FunctionValue,
   NullValue,
   ProxyValue,
@@ -30,7 +31,21 @@ import { To } from "../singletons.js";
 import { Value } from "../values/index.js";
 import invariant from "../invariant.js";
 import { HasName, HasCompatibleType } from "./has.js";
-import type { BabelNodeExpression, BabelNodeCallExpression, BabelNodeLVal, BabelNodeClassMethod } from "babel-types";
+import type {
+  BabelNodeBlockStatement,
+  BabelNodeCallExpression,
+  BabelNodeClassMethod,
+  BabelNodeConditionalExpression,
+  BabelNodeExpression,
+  BabelNodeIfStatement,
+  BabelNodeLogicalExpression,
+  BabelNodeLVal,
+  BabelNodeReturnStatement,
+  BabelNodeSequenceExpression,
+  BabelNodeSwitchStatement,
+  BabelNodeTaggedTemplateExpression,
+  BabelNodeTryStatement,
+} from "babel-types";
 import { BabelNode } from "babel-types";
 
 // ECMA262 22.1.3.1.1
@@ -190,10 +205,93 @@ export function IsArray(realm: Realm, argument: Value): boolean {
   return false;
 }
 
+// The calls in tail position of each function body, see HasCallInTailPosition.
+const callsInTailPosition: WeakMap<BabelNodeBlockStatement, Set<BabelNode>> = new WeakMap();
+
 // ECMA262 14.6.1
-export function IsInTailPosition(realm: Realm, node: BabelNodeCallExpression): boolean {
-  // TODO #1008: implement tail calls
-  return false;
+export function IsInTailPosition(
+  realm: Realm,
+  node: BabelNodeCallExpression | BabelNodeTaggedTemplateExpression
+): boolean {
+  if (!realm.tailCalls) return false;
+
+  // 1. Assert: call is a Parse Node.
+  // 2. If the source code matching call is non-strict code, return false.
+  // 3. If call is not contained within a FunctionBody or ConciseBody, return false.
+  // 4. Let body be the FunctionBody or ConciseBody that most closely contains call.
+  let F = realm.getRunningContext().function;
+  if (!(F instanceof ECMAScriptSourceFunctionValue) || !F.$Strict) return false;
+  let body = F.$ECMAScriptCode;
+  invariant(body !== undefined);
+
+  // 5. If body is the FunctionBody of a GeneratorBody, return false.
+  // 6. If body is the FunctionBody of an AsyncFunctionBody, return false.
+  if (F.$FunctionKind === "generator" || F.$FunctionKind === "async") return false;
+
+  // 7. Return the result of HasCallInTailPosition of body with argument call.
+  let calls = callsInTailPosition.get(body);
+  if (calls === undefined) {
+    calls = new Set();
+    HasCallInTailPosition(body, calls);
+    callsInTailPosition.set(body, calls);
+  }
+  return calls.has(node);
+}
+
+// ECMA262 14.6.2
+// Rather than checking a single call, this adds all the calls in tail position of the given node to calls.
+function HasCallInTailPosition(node: BabelNode, calls: Set<BabelNode>): void {
+  switch (node.type) {
+    // 14.6.2.1 Statement Rules
+    case "BlockStatement":
+      for (let statement of ((node: any): BabelNodeBlockStatement).body) HasCallInTailPosition(statement, calls);
+      return;
+    case "IfStatement":
+      let ifStatement = ((node: any): BabelNodeIfStatement);
+      HasCallInTailPosition(ifStatement.consequent, calls);
+      if (ifStatement.alternate) HasCallInTailPosition(ifStatement.alternate, calls);
+      return;
+    case "DoWhileStatement":
+    case "WhileStatement":
+    case "ForStatement":
+    case "ForInStatement":
+    case "LabeledStatement":
+      // (for-of loops are left out, as a return from their body must close the iterator after the call.)
+      HasCallInTailPosition((node: any).body, calls);
+      return;
+    case "SwitchStatement":
+      for (let switchCase of ((node: any): BabelNodeSwitchStatement).cases)
+        for (let statement of switchCase.consequent) HasCallInTailPosition(statement, calls);
+      return;
+    case "TryStatement":
+      let tryStatement = ((node: any): BabelNodeTryStatement);
+      if (tryStatement.finalizer) HasCallInTailPosition(tryStatement.finalizer, calls);
+      else if (tryStatement.handler) HasCallInTailPosition(tryStatement.handler.body, calls);
+      return;
+    case "ReturnStatement":
+      let argument = ((node: any): BabelNodeReturnStatement).argument;
+      if (argument) HasCallInTailPosition(argument, calls);
+      return;
+
+    // 14.6.2.2 Expression Rules
+    case "ConditionalExpression":
+      HasCallInTailPosition(((node: any): BabelNodeConditionalExpression).consequent, calls);
+      HasCallInTailPosition(((node: any): BabelNodeConditionalExpression).alternate, calls);
+      return;
+    case "LogicalExpression":
+      HasCallInTailPosition(((node: any): BabelNodeLogicalExpression).right, calls);
+      return;
+    case "SequenceExpression":
+      let expressions = ((node: any): BabelNodeSequenceExpression).expressions;
+      HasCallInTailPosition(expressions[expressions.length - 1], calls);
+      return;
+    case "CallExpression":
+    case "TaggedTemplateExpression":
+      calls.add(node);
+      return;
+    default:
+      return;
+  }
 }
 
 // ECMA262 7.2.8
@@ -273,6 +371,12 @@ export function IsFunctionDefinition(realm: Realm, node: BabelNodeExpression): b
     //12.16.1 Static Semantics: IsFunctionDefinition
     case "SequenceExpression":
       return false;
+    // 14.4.8 Static Semantics: IsFunctionDefinition
+    case "YieldExpression":
+      return false;
+    // 14.6.9 Static Semantics: IsFunctionDefinition
+    case "AwaitExpression":
+      return false;
     case "ArrowFunctionExpression":
     case "FunctionExpression":
       return true;
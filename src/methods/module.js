@@ -0,0 +1,711 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+/*
+  The source files of a module graph are linked by file path: a relative module specifier is resolved against the
+  path of the importing file, and ".js" or "/index.js" are tried if the specifier does not name a file itself.
+  All modules of the graph are instantiated before the first one is evaluated, and they are evaluated in dependency
+  order, in the order of the source files for the modules that do not depend on each other.
+*/
+
+import type { Realm } from "../realm.js";
+import type {
+  BabelNode,
+  BabelNodeClassDeclaration,
+  BabelNodeExportAllDeclaration,
+  BabelNodeExportDefaultDeclaration,
+  BabelNodeExportNamedDeclaration,
+  BabelNodeFile,
+  BabelNodeFunctionDeclaration,
+  BabelNodeImportDeclaration,
+  BabelNodeProgram,
+  BabelNodeStatement,
+  BabelNodeVariableDeclaration,
+} from "babel-types";
+import { ExecutionContext } from "../realm.js";
+import { AbruptCompletion } from "../completions.js";
+import { CompilerDiagnostic, FatalError } from "../errors.js";
+import { LexicalEnvironment, ModuleEnvironmentRecord } from "../environment.js";
+import { ObjectValue, StringValue, Value } from "../values/index.js";
+import { incorporateAbruptGlobalCodeCompletion, incorporateGlobalCodeCompletion } from "../evaluators/Program.js";
+import { Create, Environment, Functions, Properties } from "../singletons.js";
+import invariant from "../invariant.js";
+
+export type ImportEntry = {|
+  moduleRequest: string,
+  importName: string,
+  localName: string,
+|};
+
+export type ExportEntry = {|
+  exportName: null | string,
+  moduleRequest: null | string,
+  importName: null | string,
+  localName: null | string,
+|};
+
+export type ExportResolution = null | "ambiguous" | {| module: SourceTextModuleRecord, bindingName: string |};
+
+// ECMA262 15.2.1.16
+export class SourceTextModuleRecord {
+  constructor(realm: Realm, ast: BabelNodeProgram, filePath: string) {
+    this.realm = realm;
+    this.ast = ast;
+    this.filePath = filePath;
+    this.$Environment = undefined;
+    this.$Namespace = undefined;
+    this.$Status = "uninstantiated";
+    this.$RequestedModules = [];
+    this.$ImportEntries = [];
+    this.$LocalExportEntries = [];
+    this.$IndirectExportEntries = [];
+    this.$StarExportEntries = [];
+    this.resolvedModules = new Map();
+  }
+
+  realm: Realm;
+  ast: BabelNodeProgram;
+  filePath: string;
+  $Environment: void | LexicalEnvironment;
+  $Namespace: void | ObjectValue;
+  $Status: "uninstantiated" | "instantiated" | "evaluating" | "evaluated";
+  $RequestedModules: Array<string>;
+  $ImportEntries: Array<ImportEntry>;
+  $LocalExportEntries: Array<ExportEntry>;
+  $IndirectExportEntries: Array<ExportEntry>;
+  $StarExportEntries: Array<ExportEntry>;
+  // The modules of the graph that the module specifiers in $RequestedModules resolve to.
+  resolvedModules: Map<string, SourceTextModuleRecord>;
+
+  getEnvironmentRecord(): ModuleEnvironmentRecord {
+    let env = this.$Environment;
+    invariant(env !== undefined, "module has not been instantiated");
+    let envRec = env.environmentRecord;
+    invariant(envRec instanceof ModuleEnvironmentRecord);
+    return envRec;
+  }
+}
+
+function ExportEntriesOfDeclaration(realm: Realm, node: BabelNodeStatement): Array<ExportEntry> {
+  let entries = [];
+  if (node.type === "ExportNamedDeclaration") {
+    let exportDeclaration = ((node: any): BabelNodeExportNamedDeclaration);
+    let moduleRequest = exportDeclaration.source ? exportDeclaration.source.value : null;
+    let declaration = exportDeclaration.declaration;
+    if (declaration) {
+      for (let name of Environment.BoundNames(realm, declaration)) {
+        entries.push({ exportName: name, moduleRequest: null, importName: null, localName: name });
+      }
+    }
+    for (let specifier of exportDeclaration.specifiers) {
+      invariant(specifier.type === "ExportSpecifier");
+      let localName = specifier.local.name;
+      let exportName = specifier.exported.name;
+      if (moduleRequest === null) {
+        entries.push({ exportName, moduleRequest: null, importName: null, localName });
+      } else {
+        entries.push({ exportName, moduleRequest, importName: localName, localName: null });
+      }
+    }
+  } else if (node.type === "ExportDefaultDeclaration") {
+    let declaration = ((node: any): BabelNodeExportDefaultDeclaration).declaration;
+    let localName =
+      (declaration.type === "FunctionDeclaration" || declaration.type === "ClassDeclaration") && declaration.id
+        ? declaration.id.name
+        : "*default*";
+    entries.push({ exportName: "default", moduleRequest: null, importName: null, localName });
+  } else if (node.type === "ExportAllDeclaration") {
+    let moduleRequest = ((node: any): BabelNodeExportAllDeclaration).source.value;
+    entries.push({ exportName: null, moduleRequest, importName: "*", localName: null });
+  }
+  return entries;
+}
+
+// ECMA262 15.2.1.16.1
+export function ParseModule(realm: Realm, file: BabelNodeFile, filePath: string): SourceTextModuleRecord {
+  let body = file.program;
+  let module = new SourceTextModuleRecord(realm, body, filePath);
+
+  // 4. Let requestedModules be the ModuleRequests of body.
+  let requestedModules = module.$RequestedModules;
+  let addRequest = (moduleRequest: string) => {
+    if (requestedModules.indexOf(moduleRequest) < 0) requestedModules.push(moduleRequest);
+  };
+
+  // 5. Let importEntries be ImportEntries of body.
+  let importEntries = module.$ImportEntries;
+  for (let node of body.body) {
+    if (node.type === "ImportDeclaration") {
+      let importDeclaration = ((node: any): BabelNodeImportDeclaration);
+      let moduleRequest = importDeclaration.source.value;
+      addRequest(moduleRequest);
+      for (let specifier of importDeclaration.specifiers) {
+        let localName = specifier.local.name;
+        if (specifier.type === "ImportDefaultSpecifier") {
+          importEntries.push({ moduleRequest, importName: "default", localName });
+        } else if (specifier.type === "ImportNamespaceSpecifier") {
+          importEntries.push({ moduleRequest, importName: "*", localName });
+        } else {
+          importEntries.push({ moduleRequest, importName: specifier.imported.name, localName });
+        }
+      }
+    } else if (node.type === "ExportNamedDeclaration" || node.type === "ExportAllDeclaration") {
+      let source = ((node: any): BabelNodeExportNamedDeclaration | BabelNodeExportAllDeclaration).source;
+      if (source) addRequest(source.value);
+    }
+  }
+
+  // 6. Let importedBoundNames be ImportedLocalNames(importEntries).
+  let importedBoundNames = importEntries.map(ie => ie.localName);
+
+  // 10. Let exportEntries be ExportEntries of body.
+  for (let node of body.body) {
+    // 11. For each record ee in exportEntries, do
+    for (let ee of ExportEntriesOfDeclaration(realm, node)) {
+      // a. If ee.[[ModuleRequest]] is null, then
+      if (ee.moduleRequest === null) {
+        invariant(ee.localName !== null);
+        let ie = importEntries[importedBoundNames.indexOf(ee.localName)];
+        if (ie === undefined) {
+          // i. If ee.[[LocalName]] is not an element of importedBoundNames, then
+          // 1. Append ee to localExportEntries.
+          module.$LocalExportEntries.push(ee);
+        } else if (ie.importName === "*") {
+          // ii. Else,
+          // 1. Let ie be the element of importEntries whose [[LocalName]] is the same as ee.[[LocalName]].
+          // 2. If ie.[[ImportName]] is "*", then
+          // a. Assert: This is a re-export of an imported module namespace object.
+          // b. Append ee to localExportEntries.
+          module.$LocalExportEntries.push(ee);
+        } else {
+          // 3. Else this is a re-export of a single name,
+          // a. Append the ExportEntry Record {[[ModuleRequest]]: ie.[[ModuleRequest]], [[ImportName]]: ie.[[ImportName]], [[LocalName]]: null, [[ExportName]]: ee.[[ExportName]] } to indirectExportEntries.
+          module.$IndirectExportEntries.push({
+            exportName: ee.exportName,
+            moduleRequest: ie.moduleRequest,
+            importName: ie.importName,
+            localName: null,
+          });
+        }
+      } else if (ee.importName === "*") {
+        // b. Else if ee.[[ImportName]] is "*", then
+        // i. Append ee to starExportEntries.
+        module.$StarExportEntries.push(ee);
+      } else {
+        // c. Else,
+        // i. Append ee to indirectExportEntries.
+        module.$IndirectExportEntries.push(ee);
+      }
+    }
+  }
+
+  // 12. Return Source Text Module Record {...}
+  return module;
+}
+
+function ResolveModulePath(referencingPath: string, specifier: string): string {
+  if (!specifier.startsWith("./") && !specifier.startsWith("../")) return specifier;
+  let segments = referencingPath.split("/");
+  segments.pop();
+  for (let segment of specifier.split("/")) {
+    if (segment === ".") continue;
+    if (segment === ".." && segments.length > 0 && segments[segments.length - 1] !== "..") segments.pop();
+    else segments.push(segment);
+  }
+  return segments.join("/");
+}
+
+// Resolves the module specifiers of all modules of the graph to the modules that they name.
+export function LinkModules(realm: Realm, modules: Array<SourceTextModuleRecord>): void {
+  let modulesByPath = new Map();
+  for (let module of modules) modulesByPath.set(module.filePath, module);
+  for (let module of modules) {
+    for (let specifier of module.$RequestedModules) {
+      let path = ResolveModulePath(module.filePath, specifier);
+      let requiredModule =
+        modulesByPath.get(path) || modulesByPath.get(path + ".js") || modulesByPath.get(path + "/index.js");
+      if (requiredModule === undefined) {
+        let error = new CompilerDiagnostic(
+          `module "${specifier}" imported by ${module.filePath} is not one of the source files`,
+          module.ast.loc,
+          "PP0042",
+          "FatalError"
+        );
+        realm.handleError(error);
+        throw new FatalError();
+      }
+      module.resolvedModules.set(specifier, requiredModule);
+    }
+  }
+}
+
+// ECMA262 15.2.1.17
+export function HostResolveImportedModule(
+  realm: Realm,
+  referencingModule: SourceTextModuleRecord,
+  specifier: string
+): SourceTextModuleRecord {
+  let module = referencingModule.resolvedModules.get(specifier);
+  invariant(module !== undefined, "module specifiers are resolved when the module graph is linked");
+  return module;
+}
+
+// ECMA262 15.2.1.16.2
+export function GetExportedNames(
+  realm: Realm,
+  module: SourceTextModuleRecord,
+  exportStarSet: Array<SourceTextModuleRecord> = []
+): Array<string> {
+  // 2. If exportStarSet contains module, then
+  if (exportStarSet.indexOf(module) >= 0) {
+    // a. Assert: We've reached the starting point of an import * circularity.
+    // b. Return a new empty List.
+    return [];
+  }
+
+  // 3. Append module to exportStarSet.
+  exportStarSet.push(module);
+
+  // 4. Let exportedNames be a new empty List.
+  let exportedNames = [];
+
+  // 5. For each ExportEntry Record e in module.[[LocalExportEntries]], do
+  for (let e of module.$LocalExportEntries) {
+    // a. Assert: module provides the direct binding for this export.
+    // b. Append e.[[ExportName]] to exportedNames.
+    invariant(e.exportName !== null);
+    exportedNames.push(e.exportName);
+  }
+
+  // 6. For each ExportEntry Record e in module.[[IndirectExportEntries]], do
+  for (let e of module.$IndirectExportEntries) {
+    // a. Assert: module imports a specific binding for this export.
+    // b. Append e.[[ExportName]] to exportedNames.
+    invariant(e.exportName !== null);
+    exportedNames.push(e.exportName);
+  }
+
+  // 7. For each ExportEntry Record e in module.[[StarExportEntries]], do
+  for (let e of module.$StarExportEntries) {
+    // a. Let requestedModule be ? HostResolveImportedModule(module, e.[[ModuleRequest]]).
+    invariant(e.moduleRequest !== null);
+    let requestedModule = HostResolveImportedModule(realm, module, e.moduleRequest);
+
+    // b. Let starNames be ? requestedModule.GetExportedNames(exportStarSet).
+    let starNames = GetExportedNames(realm, requestedModule, exportStarSet);
+
+    // c. For each element n of starNames, do
+    for (let n of starNames) {
+      // i. If SameValue(n, "default") is false, then
+      // 1. If n is not an element of exportedNames, then
+      // a. Append n to exportedNames.
+      if (n !== "default" && exportedNames.indexOf(n) < 0) exportedNames.push(n);
+    }
+  }
+
+  // 8. Return exportedNames.
+  return exportedNames;
+}
+
+// ECMA262 15.2.1.16.3
+export function ResolveExport(
+  realm: Realm,
+  module: SourceTextModuleRecord,
+  exportName: string,
+  resolveSet: Array<{ module: SourceTextModuleRecord, exportName: string }> = []
+): ExportResolution {
+  // 2. For each Record {[[Module]], [[ExportName]]} r in resolveSet, do
+  for (let r of resolveSet) {
+    // a. If module and r.[[Module]] are the same Module Record and SameValue(exportName, r.[[ExportName]]) is true, then
+    if (r.module === module && r.exportName === exportName) {
+      // i. Assert: This is a circular import request.
+      // ii. Return null.
+      return null;
+    }
+  }
+
+  // 3. Append the Record {[[Module]]: module, [[ExportName]]: exportName} to resolveSet.
+  resolveSet.push({ module, exportName });
+
+  // 4. For each ExportEntry Record e in module.[[LocalExportEntries]], do
+  for (let e of module.$LocalExportEntries) {
+    // a. If SameValue(exportName, e.[[ExportName]]) is true, then
+    if (e.exportName === exportName) {
+      // i. Assert: module provides the direct binding for this export.
+      // ii. Return ResolvedBinding Record {[[Module]]: module, [[BindingName]]: e.[[LocalName]]}.
+      invariant(e.localName !== null);
+      return { module, bindingName: e.localName };
+    }
+  }
+
+  // 5. For each ExportEntry Record e in module.[[IndirectExportEntries]], do
+  for (let e of module.$IndirectExportEntries) {
+    // a. If SameValue(exportName, e.[[ExportName]]) is true, then
+    if (e.exportName === exportName) {
+      // i. Assert: module imports a specific binding for this export.
+      // ii. Let importedModule be ? HostResolveImportedModule(module, e.[[ModuleRequest]]).
+      let { moduleRequest, importName } = e;
+      invariant(moduleRequest !== null && importName !== null);
+      let importedModule = HostResolveImportedModule(realm, module, moduleRequest);
+
+      // iii. Return importedModule.ResolveExport(e.[[ImportName]], resolveSet).
+      return ResolveExport(realm, importedModule, importName, resolveSet);
+    }
+  }
+
+  // 6. If SameValue(exportName, "default") is true, then
+  if (exportName === "default") {
+    // a. Assert: A default export was not explicitly defined by this module.
+    // b. Return null.
+    // c. NOTE A default export cannot be provided by an export *.
+    return null;
+  }
+
+  // 7. Let starResolution be null.
+  let starResolution = null;
+
+  // 8. For each ExportEntry Record e in module.[[StarExportEntries]], do
+  for (let e of module.$StarExportEntries) {
+    // a. Let importedModule be ? HostResolveImportedModule(module, e.[[ModuleRequest]]).
+    invariant(e.moduleRequest !== null);
+    let importedModule = HostResolveImportedModule(realm, module, e.moduleRequest);
+
+    // b. Let resolution be ? importedModule.ResolveExport(exportName, resolveSet).
+    let resolution = ResolveExport(realm, importedModule, exportName, resolveSet);
+
+    // c. If resolution is "ambiguous", return "ambiguous".
+    if (resolution === "ambiguous") return "ambiguous";
+
+    // d. If resolution is not null, then
+    if (resolution !== null) {
+      // i. If starResolution is null, let starResolution be resolution.
+      if (starResolution === null) {
+        starResolution = resolution;
+      } else if (
+        // ii. Else,
+        // 1. Assert: There is more than one * import that includes the requested name.
+        // 2. If resolution.[[Module]] and starResolution.[[Module]] are not the same Module Record or SameValue(resolution.[[BindingName]], starResolution.[[BindingName]]) is false, return "ambiguous".
+        resolution.module !== starResolution.module ||
+        resolution.bindingName !== starResolution.bindingName
+      ) {
+        return "ambiguous";
+      }
+    }
+  }
+
+  // 9. Return starResolution.
+  return starResolution;
+}
+
+// ECMA262 15.2.1.18
+export function GetModuleNamespace(realm: Realm, module: SourceTextModuleRecord): ObjectValue {
+  // 3. Let namespace be module.[[Namespace]].
+  let namespace = module.$Namespace;
+
+  // 4. If namespace is undefined, then
+  if (namespace === undefined) {
+    // The properties of the namespace are defined once the module has been evaluated, see InitializeModuleNamespace.
+    namespace = Create.ObjectCreate(realm, realm.intrinsics.null);
+    namespace.defineNativeProperty(realm.intrinsics.SymbolToStringTag, new StringValue(realm, "Module"), {
+      writable: false,
+    });
+    module.$Namespace = namespace;
+  }
+
+  // 5. Return namespace.
+  return namespace;
+}
+
+// ECMA262 9.4.6.11
+// Module namespace exotic objects are modeled as ordinary objects whose properties are data properties that are
+// defined once the module has been evaluated. Later updates of the exported bindings are not reflected.
+function InitializeModuleNamespace(realm: Realm, module: SourceTextModuleRecord, namespace: ObjectValue): void {
+  let exportedNames = GetExportedNames(realm, module);
+  let unambiguousNames = [];
+  for (let name of exportedNames) {
+    let resolution = ResolveExport(realm, module, name);
+    if (resolution !== null && resolution !== "ambiguous") unambiguousNames.push([name, resolution]);
+  }
+  unambiguousNames.sort(([x], [y]) => (x < y ? -1 : x > y ? 1 : 0));
+  for (let [name, resolution] of unambiguousNames) {
+    let value = resolution.module.getEnvironmentRecord().GetBindingValue(resolution.bindingName, true);
+    Properties.DefinePropertyOrThrow(realm, namespace, name, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: false,
+    });
+  }
+  namespace.$PreventExtensions();
+}
+
+// ECMA262 15.2.1.16.4
+// The environments of all modules of the graph are set up before any import binding is created, so that an
+// import binding of a module in an import cycle can share the binding of a module whose setup would come later.
+function ModuleDeclarationEnvironmentSetup(realm: Realm, module: SourceTextModuleRecord): void {
+  invariant(module.$Status === "uninstantiated");
+
+  // 5. Let env be NewModuleEnvironment(realm.[[GlobalEnv]]).
+  let env = Environment.NewModuleEnvironment(realm, realm.$GlobalEnv);
+
+  // 6. Set module.[[Environment]] to env.
+  module.$Environment = env;
+
+  // 7. Let envRec be env's EnvironmentRecord.
+  let envRec = env.environmentRecord;
+
+  // The statements of the module, with export declarations replaced by the declarations that they export.
+  let items: Array<BabelNode> = module.ast.body.map(node => {
+    if (node.type === "ExportNamedDeclaration" || node.type === "ExportDefaultDeclaration") {
+      let declaration = ((node: any): BabelNodeExportNamedDeclaration | BabelNodeExportDefaultDeclaration).declaration;
+      if (declaration) return declaration;
+    }
+    return node;
+  });
+
+  // 13. Let varDeclarations be the VarScopedDeclarations of code.
+  let varDeclarations = [];
+  for (let item of items) {
+    for (let d of Functions.FindVarScopedDeclarations(item)) {
+      if (d.type === "VariableDeclaration") varDeclarations.push(d);
+    }
+  }
+
+  // 14. Let declaredVarNames be a new empty List.
+  let declaredVarNames = [];
+
+  // 15. For each element d in varDeclarations, do
+  for (let d of varDeclarations) {
+    // a. For each element dn of the BoundNames of d, do
+    for (let dn of Environment.BoundNames(realm, d)) {
+      // i. If dn is not an element of declaredVarNames, then
+      if (declaredVarNames.indexOf(dn) < 0) {
+        // 1. Perform ! envRec.CreateMutableBinding(dn, false).
+        envRec.CreateMutableBinding(dn, false);
+
+        // 2. Call envRec.InitializeBinding(dn, undefined).
+        envRec.InitializeBinding(dn, realm.intrinsics.undefined);
+
+        // 3. Append dn to declaredVarNames.
+        declaredVarNames.push(dn);
+      }
+    }
+  }
+
+  // 16. Let lexDeclarations be the LexicallyScopedDeclarations of code.
+  // 17. For each element d in lexDeclarations, do
+  for (let i = 0; i < items.length; i++) {
+    let d = items[i];
+    let boundNames = [];
+    let isConstantDeclaration = false;
+    if (d.type === "ClassDeclaration" || d.type === "FunctionDeclaration") {
+      let id = ((d: any): BabelNodeClassDeclaration | BabelNodeFunctionDeclaration).id;
+      boundNames = id ? [id.name] : ["*default*"];
+    } else if (d.type === "VariableDeclaration" && ((d: any): BabelNodeVariableDeclaration).kind !== "var") {
+      boundNames = Environment.BoundNames(realm, d);
+      isConstantDeclaration = ((d: any): BabelNodeVariableDeclaration).kind === "const";
+    } else if (module.ast.body[i].type === "ExportDefaultDeclaration") {
+      boundNames = ["*default*"];
+    } else {
+      continue;
+    }
+
+    // a. For each element dn of the BoundNames of d, do
+    for (let dn of boundNames) {
+      // i. If IsConstantDeclaration of d is true, then
+      if (isConstantDeclaration) {
+        // 1. Perform ! envRec.CreateImmutableBinding(dn, true).
+        envRec.CreateImmutableBinding(dn, true);
+      } else {
+        // ii. Else,
+        // 1. Perform ! envRec.CreateMutableBinding(dn, false).
+        envRec.CreateMutableBinding(dn, false);
+      }
+
+      // iii. If d is a FunctionDeclaration, a GeneratorDeclaration, or an AsyncFunctionDeclaration, then
+      if (d.type === "FunctionDeclaration") {
+        // 1. Let fo be the result of performing InstantiateFunctionObject for d with argument env.
+        let fo = env.evaluate(d, true);
+        invariant(fo instanceof Value);
+
+        // 2. Call envRec.InitializeBinding(dn, fo).
+        envRec.InitializeBinding(dn, fo);
+      }
+    }
+  }
+}
+
+// ECMA262 15.2.1.16.4
+function ModuleImportBindingsSetup(realm: Realm, module: SourceTextModuleRecord): void {
+  // 2. For each ExportEntry Record e in module.[[IndirectExportEntries]], do
+  for (let e of module.$IndirectExportEntries) {
+    // a. Let resolution be ? module.ResolveExport(e.[[ExportName]], « »).
+    let exportName = e.exportName;
+    invariant(exportName !== null);
+    let resolution = ResolveExport(realm, module, exportName);
+
+    // b. If resolution is null or "ambiguous", throw a SyntaxError exception.
+    if (resolution === null || resolution === "ambiguous") {
+      let { moduleRequest, importName } = e;
+      invariant(moduleRequest !== null && importName !== null);
+      ReportMissingExport(realm, HostResolveImportedModule(realm, module, moduleRequest), importName);
+      throw new FatalError();
+    }
+  }
+
+  let envRec = module.getEnvironmentRecord();
+
+  // 9. For each ImportEntry Record in in module.[[ImportEntries]], do
+  for (let ie of module.$ImportEntries) {
+    // a. Let importedModule be ! HostResolveImportedModule(module, in.[[ModuleRequest]]).
+    let importedModule = HostResolveImportedModule(realm, module, ie.moduleRequest);
+
+    // b. NOTE: The above call cannot fail because imported module requests are a subset of module.[[RequestedModules]], and these have been resolved earlier in this algorithm.
+    // c. If in.[[ImportName]] is "*", then
+    if (ie.importName === "*") {
+      // i. Let namespace be ? GetModuleNamespace(importedModule).
+      let namespace = GetModuleNamespace(realm, importedModule);
+
+      // ii. Perform ! envRec.CreateImmutableBinding(in.[[LocalName]], true).
+      envRec.CreateImmutableBinding(ie.localName, true);
+
+      // iii. Call envRec.InitializeBinding(in.[[LocalName]], namespace).
+      envRec.InitializeBinding(ie.localName, namespace);
+    } else {
+      // d. Else,
+      // i. Let resolution be ? importedModule.ResolveExport(in.[[ImportName]], « »).
+      let resolution = ResolveExport(realm, importedModule, ie.importName);
+
+      // ii. If resolution is null or "ambiguous", throw a SyntaxError exception.
+      if (resolution === null || resolution === "ambiguous") {
+        ReportMissingExport(realm, importedModule, ie.importName);
+        throw new FatalError();
+      }
+
+      // iii. Call envRec.CreateImportBinding(in.[[LocalName]], resolution.[[Module]], resolution.[[BindingName]]).
+      envRec.CreateImportBinding(ie.localName, resolution.module.getEnvironmentRecord(), resolution.bindingName);
+    }
+  }
+
+  module.$Status = "instantiated";
+}
+
+// The SyntaxError of a module graph that cannot be linked is reported at the module that lacks the export.
+function ReportMissingExport(realm: Realm, module: SourceTextModuleRecord, exportName: string): void {
+  let error = new CompilerDiagnostic(
+    `${module.filePath} does not provide an unambiguous export named ${exportName}`,
+    module.ast.loc,
+    "PP0044",
+    "FatalError"
+  );
+  realm.handleError(error);
+}
+
+// ECMA262 15.2.1.16.6
+function ModuleExecution(realm: Realm, module: SourceTextModuleRecord): AbruptCompletion | Value {
+  let env = module.$Environment;
+  invariant(env !== undefined);
+
+  // 4. Let moduleCxt be a new ECMAScript code execution context.
+  let moduleContext = new ExecutionContext();
+
+  // 6. Set the Realm of moduleCxt to module.[[Realm]].
+  moduleContext.realm = realm;
+
+  // 7. Set the ScriptOrModule of moduleCxt to module.
+  moduleContext.ScriptOrModule = module;
+
+  // 8. Set the VariableEnvironment of moduleCxt to module.[[Environment]].
+  moduleContext.variableEnvironment = env;
+
+  // 9. Set the LexicalEnvironment of moduleCxt to module.[[Environment]].
+  moduleContext.lexicalEnvironment = env;
+
+  // Module code is always strict mode code.
+  moduleContext.isStrict = true;
+
+  // 11. Push moduleCxt on to the execution context stack; moduleCxt is now the running execution context.
+  realm.pushContext(moduleContext);
+  try {
+    // 12. Let result be the result of evaluating module.[[ECMAScriptCode]].
+    for (let node of module.ast.body) {
+      if (node.type === "FunctionDeclaration") continue;
+      let res = env.evaluateCompletionDeref(node, true);
+      if (res instanceof AbruptCompletion) return res;
+    }
+  } finally {
+    // 13. Suspend moduleCxt and remove it from the execution context stack.
+    realm.popContext(moduleContext);
+  }
+
+  // 15. Return Completion(result).
+  return realm.intrinsics.undefined;
+}
+
+// ECMA262 15.2.1.16.5
+export function ModuleEvaluation(realm: Realm, module: SourceTextModuleRecord): AbruptCompletion | Value {
+  // A module that is being evaluated is part of an import cycle, and it is evaluated only once.
+  if (module.$Status === "evaluated" || module.$Status === "evaluating") return realm.intrinsics.undefined;
+  invariant(module.$Status === "instantiated");
+  module.$Status = "evaluating";
+
+  // 6. For each String required that is an element of module.[[RequestedModules]], do
+  for (let required of module.$RequestedModules) {
+    // a. Let requiredModule be ! HostResolveImportedModule(module, required).
+    let requiredModule = HostResolveImportedModule(realm, module, required);
+
+    // b. Perform ? requiredModule.ModuleEvaluation().
+    let res = ModuleEvaluation(realm, requiredModule);
+    if (res instanceof AbruptCompletion) return res;
+  }
+
+  let res = ModuleExecution(realm, module);
+  module.$Status = "evaluated";
+  if (!(res instanceof AbruptCompletion) && module.$Namespace !== undefined) {
+    InitializeModuleNamespace(realm, module, module.$Namespace);
+  }
+  return res;
+}
+
+// Returns the modules of the graph that no other module of the graph imports.
+export function GetRootModules(realm: Realm, modules: Array<SourceTextModuleRecord>): Array<SourceTextModuleRecord> {
+  let importedModules = new Set();
+  for (let module of modules) {
+    for (let requiredModule of module.resolvedModules.values()) {
+      if (requiredModule !== module) importedModules.add(requiredModule);
+    }
+  }
+  return modules.filter(module => !importedModules.has(module));
+}
+
+// Links, instantiates and evaluates the modules of a graph as the global code of the realm.
+export function EvaluateModuleGraph(realm: Realm, modules: Array<SourceTextModuleRecord>): Value {
+  realm.getRunningContext().isStrict = realm.isStrict = true;
+  LinkModules(realm, modules);
+  try {
+    for (let module of modules) ModuleDeclarationEnvironmentSetup(realm, module);
+    for (let module of modules) ModuleImportBindingsSetup(realm, module);
+
+    for (let module of modules) {
+      let res = ModuleEvaluation(realm, module);
+      if (res instanceof AbruptCompletion) {
+        // We are about to leave the global code and this presents a join point.
+        return incorporateAbruptGlobalCodeCompletion(realm, res);
+      }
+    }
+    return incorporateGlobalCodeCompletion(realm, realm.intrinsics.undefined);
+  } finally {
+    for (let module of modules) {
+      let env = module.$Environment;
+      if (env !== undefined && !env.destroyed) realm.onDestroyScope(env);
+    }
+  }
+}
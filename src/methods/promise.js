@@ -11,7 +11,7 @@
 
 import type { Realm } from "../realm.js";
 import type { ResolvingFunctions, PromiseCapability, PromiseReaction } from "../types.js";
-import { AbruptCompletion } from "../completions.js";
+import { AbruptCompletion, ThrowCompletion } from "../completions.js";
 import { Value, ObjectValue, StringValue, NativeFunctionValue, FunctionValue } from "../values/index.js";
 import { SameValue } from "../methods/abstract.js";
 import { Construct } from "../methods/construct.js";
@@ -23,7 +23,29 @@ import { Create, Properties } from "../singletons.js";
 import invariant from "../invariant.js";
 
 // ECMA262 8.4.1
-export function EnqueueJob(realm: Realm, queueName: string, job: Function, args: Array<any>) {}
+export function EnqueueJob(realm: Realm, queueName: string, job: Function, args: Array<any>, promise?: ObjectValue) {
+  // 1. Assert: Type(queueName) is String and its value is the name of a Job Queue recognized by this implementation.
+  invariant(queueName === "PromiseJobs", "the only Job Queue recognized by this implementation is PromiseJobs");
+
+  // 2. Assert: job is the name of a Job.
+  // 3. Assert: arguments is a List that has the same number of elements as the number of parameters required by job.
+  invariant(job.length === args.length + 1, "arguments match the parameters of job");
+
+  // 4. Let callerContext be the running execution context.
+  // 5. Let callerRealm be callerContext's Realm.
+  invariant(realm.getRunningContext().realm === realm);
+
+  // 6. Let callerScriptOrModule be callerContext's ScriptOrModule.
+  // 7. Let pending be PendingJob{ [[Job]]: job, [[Arguments]]: arguments, [[Realm]]: callerRealm, [[ScriptOrModule]]: callerScriptOrModule, [[HostDefined]]: undefined }.
+  // 8. Perform any implementation or host environment defined processing of pending.
+  // Prepack remembers the promise that the job belongs to, so that diagnostics can tell where the job comes from.
+  let pending = { job, arguments: args, promise };
+
+  // 9. Add pending at the back of the Job Queue named by queueName.
+  realm.pendingJobs.push(pending);
+
+  // 10. Return NormalCompletion(empty).
+}
 
 // ECMA262 25.4.1.5
 export function NewPromiseCapability(realm: Realm, C: Value): PromiseCapability {
@@ -368,7 +390,7 @@ export function PerformPromiseThen(
   }
 
   // 4. If IsCallable(onRejected) is false, then
-  if (IsCallable(realm, onRejected)) {
+  if (IsCallable(realm, onRejected) === false) {
     // a. Let onRejected be "Thrower".
     onRejected = new StringValue(realm, "Thrower");
   }
@@ -394,7 +416,7 @@ export function PerformPromiseThen(
     // a. Let value be the value of promise's [[PromiseResult]] internal slot.
     let value = promise.$PromiseResult;
     // b. Perform EnqueueJob("PromiseJobs", PromiseReactionJob, « fulfillReaction, value »).
-    EnqueueJob(realm, "PromiseJobs", PromiseReactionJob, [fulfillReaction, value]);
+    EnqueueJob(realm, "PromiseJobs", PromiseReactionJob, [fulfillReaction, value], promise);
   } else {
     // 9. Else,
     // a. Assert: The value of promise's [[PromiseState]] internal slot is "rejected".
@@ -407,7 +429,7 @@ export function PerformPromiseThen(
     if (promise.$PromiseIsHandled === false) HostPromiseRejectionTracker(realm, promise, "handle");
 
     // d. Perform EnqueueJob("PromiseJobs", PromiseReactionJob, « rejectReaction, reason »).
-    EnqueueJob(realm, "PromiseJobs", PromiseReactionJob, [rejectReaction, reason]);
+    EnqueueJob(realm, "PromiseJobs", PromiseReactionJob, [rejectReaction, reason], promise);
   }
 
   // 10. Set promise's [[PromiseIsHandled]] internal slot to true.
@@ -419,8 +441,42 @@ export function PerformPromiseThen(
 }
 
 // ECMA262 25.4.2.1
-export function PromiseReactionJob(realm: Realm, reaction: Function, argument: Value): Value {
-  return realm.intrinsics.undefined;
+export function PromiseReactionJob(realm: Realm, reaction: PromiseReaction, argument: Value): Value {
+  // 1. Assert: reaction is a PromiseReaction Record.
+
+  // 2. Let promiseCapability be reaction.[[Capabilities]].
+  let promiseCapability = reaction.capabilities;
+
+  // 3. Let handler be reaction.[[Handler]].
+  let handler = reaction.handler;
+
+  let handlerResult;
+  // 4. If handler is "Identity", let handlerResult be NormalCompletion(argument).
+  if (handler instanceof StringValue && handler.value === "Identity") {
+    handlerResult = argument;
+  } else if (handler instanceof StringValue && handler.value === "Thrower") {
+    // 5. Else if handler is "Thrower", let handlerResult be Completion{[[Type]]: throw, [[Value]]: argument, [[Target]]: empty}.
+    handlerResult = new ThrowCompletion(argument, realm.currentLocation);
+  } else {
+    // 6. Else, let handlerResult be Call(handler, undefined, « argument »).
+    try {
+      handlerResult = Call(realm, handler, realm.intrinsics.undefined, [argument]);
+    } catch (e) {
+      if (e instanceof AbruptCompletion) handlerResult = e;
+      else throw e;
+    }
+  }
+
+  // 7. If handlerResult is an abrupt completion, then
+  if (handlerResult instanceof AbruptCompletion) {
+    // a. Let status be Call(promiseCapability.[[Reject]], undefined, « handlerResult.[[Value]] »).
+    // b. NextJob Completion(status).
+    return Call(realm, promiseCapability.reject, realm.intrinsics.undefined, [handlerResult.value]);
+  }
+
+  // 8. Let status be Call(promiseCapability.[[Resolve]], undefined, « handlerResult.[[Value]] »).
+  // 9. NextJob Completion(status).
+  return Call(realm, promiseCapability.resolve, realm.intrinsics.undefined, [handlerResult]);
 }
 
 // ECMA262 25.4.1.3.2
@@ -470,7 +526,7 @@ function createResolveFunction(realm) {
         // 9. If then is an abrupt completion, then
         if (e instanceof AbruptCompletion) {
           // a. Return RejectPromise(promise, then.[[Value]]).
-          return RejectPromise(realm, promise, e);
+          return RejectPromise(realm, promise, e.value);
         } else throw e;
       }
 
@@ -478,13 +534,13 @@ function createResolveFunction(realm) {
       let thenAction = then;
 
       // 11. If IsCallable(thenAction) is false, then
-      if (IsCallable(realm, thenAction)) {
+      if (IsCallable(realm, thenAction) === false) {
         // a. Return FulfillPromise(promise, resolution).
         return FulfillPromise(realm, promise, resolution);
       }
 
       // 12. Perform EnqueueJob("PromiseJobs", PromiseResolveThenableJob, « promise, resolution, thenAction »).
-      EnqueueJob(realm, "PromiseJobs", PromiseResolveThenableJob, [promise, resolution, thenAction]);
+      EnqueueJob(realm, "PromiseJobs", PromiseResolveThenableJob, [promise, resolution, thenAction], promise);
 
       // 13. Return undefined.
       return realm.intrinsics.undefined;
@@ -584,7 +640,7 @@ export function FulfillPromise(realm: Realm, promise: ObjectValue, value: Value)
   Properties.ThrowIfInternalSlotNotWritable(realm, promise, "$PromiseState").$PromiseState = "fulfilled";
 
   // 7. Return TriggerPromiseReactions(reactions, value).
-  return TriggerPromiseReactions(realm, reactions, value);
+  return TriggerPromiseReactions(realm, reactions, value, promise);
 }
 
 // ECMA262 25.4.1.7
@@ -593,7 +649,7 @@ export function RejectPromise(realm: Realm, promise: ObjectValue, reason: Value)
   invariant(promise.$PromiseState === "pending");
 
   // 2. Let reactions be promise.[[PromiseRejectReactions]].
-  let reactions = promise.$PromiseFulfillReactions;
+  let reactions = promise.$PromiseRejectReactions;
   invariant(reactions);
 
   // 3. Set promise.[[PromiseResult]] to reason.
@@ -620,15 +676,20 @@ export function RejectPromise(realm: Realm, promise: ObjectValue, reason: Value)
   if (promise.$PromiseIsHandled === false) HostPromiseRejectionTracker(realm, promise, "reject");
 
   // 8. Return TriggerPromiseReactions(reactions, reason).
-  return TriggerPromiseReactions(realm, reactions, reason);
+  return TriggerPromiseReactions(realm, reactions, reason, promise);
 }
 
 // ECMA262 25.4.1.8
-export function TriggerPromiseReactions(realm: Realm, reactions: Array<PromiseReaction>, argument: Value) {
+export function TriggerPromiseReactions(
+  realm: Realm,
+  reactions: Array<PromiseReaction>,
+  argument: Value,
+  promise?: ObjectValue
+) {
   // 1. Repeat for each reaction in reactions, in original insertion order
   for (let reaction of reactions) {
     // a. Perform EnqueueJob("PromiseJobs", PromiseReactionJob, « reaction, argument »).
-    EnqueueJob(realm, "PromiseJobs", PromiseReactionJob, [reaction, argument]);
+    EnqueueJob(realm, "PromiseJobs", PromiseReactionJob, [reaction, argument], promise);
   }
   // 2. Return undefined.
   return realm.intrinsics.undefined;
@@ -638,4 +699,26 @@ export function TriggerPromiseReactions(realm: Realm, reactions: Array<PromiseRe
 export function HostPromiseRejectionTracker(realm: Realm, promise: ObjectValue, operation: "reject" | "handle") {}
 
 // ECMA262 25.4.2.2
-export function PromiseResolveThenableJob(realm: Realm, promiseToResolve: ObjectValue, thenable: Value, then: Value) {}
+export function PromiseResolveThenableJob(
+  realm: Realm,
+  promiseToResolve: ObjectValue,
+  thenable: Value,
+  then: Value
+): Value {
+  // 1. Let resolvingFunctions be CreateResolvingFunctions(promiseToResolve).
+  let resolvingFunctions = CreateResolvingFunctions(realm, promiseToResolve);
+
+  // 2. Let thenCallResult be Call(then, thenable, « resolvingFunctions.[[Resolve]], resolvingFunctions.[[Reject]] »).
+  try {
+    // 4. NextJob Completion(thenCallResult).
+    return Call(realm, then, thenable, [resolvingFunctions.resolve, resolvingFunctions.reject]);
+  } catch (e) {
+    // 3. If thenCallResult is an abrupt completion, then
+    if (e instanceof AbruptCompletion) {
+      // a. Let status be Call(resolvingFunctions.[[Reject]], undefined, « thenCallResult.[[Value]] »).
+      // b. NextJob Completion(status).
+      return Call(realm, resolvingFunctions.reject, realm.intrinsics.undefined, [e.value]);
+    }
+    throw e;
+  }
+}
@@ -42,7 +42,6 @@ import {
   IsDataDescriptor,
   IsGenericDescriptor,
   IsPropertyKey,
-  MakeConstructor,
   SameValue,
   SameValuePartial,
 } from "../methods/index.js";
@@ -1325,12 +1324,19 @@ export class PropertiesImplementation {
               realm.markPropertyAsChecked(O, P);
               realmGenerator.emitFullInvariant(O, P, value);
             }
-            InternalSetProperty(realm, O, P, {
-              value: value,
-              writable: "writable" in X ? X.writable : false,
-              enumerable: "enumerable" in X ? X.enumerable : false,
-              configurable: "configurable" in X ? X.configurable : false,
-            });
+            // Remembering the resolved value refines the model of the object, which is not a side effect of the program.
+            let savedReportSideEffectCallback = realm.reportSideEffectCallback;
+            realm.reportSideEffectCallback = undefined;
+            try {
+              InternalSetProperty(realm, O, P, {
+                value: value,
+                writable: "writable" in X ? X.writable : false,
+                enumerable: "enumerable" in X ? X.enumerable : false,
+                configurable: "configurable" in X ? X.configurable : false,
+              });
+            } finally {
+              realm.reportSideEffectCallback = savedReportSideEffectCallback;
+            }
           }
         } else if (realm.invariantLevel >= 1 && value instanceof Value && !(value instanceof AbstractValue)) {
           let realmGenerator = realm.generator;
@@ -1513,7 +1519,7 @@ export class PropertiesImplementation {
     enumerable: boolean
   ): boolean {
     // MethodDefinition : PropertyName ( StrictFormalParameters ) { FunctionBody }
-    if (MethodDefinition.kind === "method") {
+    if (MethodDefinition.kind === "method" && !MethodDefinition.generator && !MethodDefinition.async) {
       // 1. Let methodDef be DefineMethod of MethodDefinition with argument object.
       let methodDef = Functions.DefineMethod(realm, MethodDefinition, object, env, strictCode);
 
@@ -1530,7 +1536,7 @@ export class PropertiesImplementation {
 
       // 5. Return DefinePropertyOrThrow(object, methodDef.[[key]], desc).
       return this.DefinePropertyOrThrow(realm, object, methodDef.$Key, desc);
-    } else if (MethodDefinition.kind === "generator") {
+    } else if (MethodDefinition.kind === "method" && MethodDefinition.generator) {
       // MethodDefinition : GeneratorMethod
       // See 14.4.
       // ECMA 14.4.13
@@ -1559,10 +1565,14 @@ export class PropertiesImplementation {
 
       // 7. Let prototype be ObjectCreate(%GeneratorPrototype%).
       let prototype = Create.ObjectCreate(realm, realm.intrinsics.GeneratorPrototype);
-      prototype.originalConstructor = closure;
 
-      // 8. Perform MakeConstructor(closure, true, prototype).
-      MakeConstructor(realm, closure, true, prototype);
+      // 8. Perform DefinePropertyOrThrow(closure, "prototype", PropertyDescriptor{[[Value]]: prototype, [[Writable]]: true, [[Enumerable]]: false, [[Configurable]]: false}).
+      this.DefinePropertyOrThrow(realm, closure, "prototype", {
+        value: prototype,
+        writable: true,
+        enumerable: false,
+        configurable: false,
+      });
 
       // 9. Perform SetFunctionName(closure, propKey).
       Functions.SetFunctionName(realm, closure, propKey);
@@ -1572,6 +1582,44 @@ export class PropertiesImplementation {
 
       // 11. Return DefinePropertyOrThrow(object, propKey, desc).
       return this.DefinePropertyOrThrow(realm, object, propKey, desc);
+    } else if (MethodDefinition.kind === "method" && MethodDefinition.async) {
+      // MethodDefinition : AsyncMethod
+      // See 14.6.
+      // ECMA 14.6.13
+      // 1. Let propKey be the result of evaluating PropertyName.
+      let propKey = EvalPropertyName(MethodDefinition, env, realm, strictCode);
+
+      // 2. ReturnIfAbrupt(propKey).
+      // 3. If the function code for this AsyncMethod is strict mode code, let strict be true. Otherwise let strict be false.
+      let strict = strictCode || IsStrict(MethodDefinition.body);
+
+      // 4. Let scope be the LexicalEnvironment of the running execution context.
+      let scope = env;
+
+      // 5. Let closure be ! AsyncFunctionCreate(Method, UniqueFormalParameters, AsyncFunctionBody, scope, strict).
+      let closure = Functions.AsyncFunctionCreate(
+        realm,
+        "method",
+        MethodDefinition.params,
+        MethodDefinition.body,
+        scope,
+        strict
+      );
+
+      // 6. Perform ! MakeMethod(closure, object).
+      Functions.MakeMethod(realm, closure, object);
+
+      // 7. Perform ! SetFunctionName(closure, propKey).
+      Functions.SetFunctionName(realm, closure, propKey);
+
+      // If the AST name was computed, give the hint to the closure
+      closure.$HasComputedName = !!MethodDefinition.computed;
+
+      // 8. Let desc be the PropertyDescriptor{[[Value]]: closure, [[Writable]]: true, [[Enumerable]]: enumerable, [[Configurable]]: true}.
+      let desc: Descriptor = { value: closure, writable: true, enumerable: enumerable, configurable: true };
+
+      // 9. Return ? DefinePropertyOrThrow(object, propKey, desc).
+      return this.DefinePropertyOrThrow(realm, object, propKey, desc);
     } else if (MethodDefinition.kind === "get") {
       // 1. Let propKey be the result of evaluating PropertyName.
       let propKey = EvalPropertyName(MethodDefinition, env, realm, strictCode);
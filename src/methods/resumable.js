@@ -0,0 +1,729 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+/*
+  Generator and async function bodies need to be suspended in the middle of their evaluation and resumed later on.
+  The regular evaluators run on the host stack and cannot do that, so the statements and expressions
+  that (transitively) contain a yield or await expression are evaluated here by host generator functions.
+  A host generator suspends by yielding the IteratorResult object of a yield expression, or undefined for an
+  await expression, and is resumed with the completion that is passed to the suspended execution context
+  by GeneratorResume, GeneratorResumeAbrupt or the functions that settle an awaited promise.
+  Everything that does not contain a yield or await expression is handed off to the regular evaluators.
+*/
+
+import type { Realm } from "../realm.js";
+import type { LexicalEnvironment } from "../environment.js";
+import type { ResumableEvaluation, ResumptionValue } from "../types.js";
+import { DeclarativeEnvironmentRecord, Reference } from "../environment.js";
+import {
+  AbruptCompletion,
+  BreakCompletion,
+  NormalCompletion,
+  ReturnCompletion,
+  ThrowCompletion,
+} from "../completions.js";
+import { EmptyValue, ObjectValue, StringValue, UndefinedValue, Value } from "../values/index.js";
+import {
+  Call,
+  DestructuringAssignmentEvaluation,
+  GetIterator,
+  GetMethod,
+  HasOwnProperty,
+  IsAnonymousFunctionDefinition,
+  IsIdentifierRef,
+  IteratorClose,
+  IteratorComplete,
+  IteratorNext,
+  IteratorStep,
+  IteratorValue,
+  UpdateEmpty,
+} from "./index.js";
+import { GeneratorYield } from "./generator.js";
+import { AsyncFunctionAwait } from "./async.js";
+import { computeBinary } from "../evaluators/BinaryExpression.js";
+import { LoopContinues, InternalGetResultValue } from "../evaluators/ForOfStatement.js";
+import { Create, Environment, Functions, Properties, To } from "../singletons.js";
+import traverseFast from "../utils/traverse-fast.js";
+import invariant from "../invariant.js";
+import * as t from "babel-types";
+import type {
+  BabelNode,
+  BabelNodeAssignmentExpression,
+  BabelNodeAwaitExpression,
+  BabelNodeBlockStatement,
+  BabelNodeExpression,
+  BabelNodeForOfStatement,
+  BabelNodeForStatement,
+  BabelNodeStatement,
+  BabelNodeTryStatement,
+  BabelNodeVariableDeclaration,
+  BabelNodeYieldExpression,
+} from "babel-types";
+import type { BabelBinaryOperator } from "babel-types";
+
+type Resumable<T> = Generator<Value, T, ResumptionValue>;
+
+const containsSuspensionCache: WeakMap<BabelNode, boolean> = new WeakMap();
+
+// Whether evaluating the given node might suspend the running generator or async function.
+// Yield and await expressions in nested functions belong to those functions and do not count.
+export function ContainsSuspension(node: BabelNode): boolean {
+  let result = containsSuspensionCache.get(node);
+  if (result === undefined) {
+    result = false;
+    traverseFast(node, child => {
+      if (result) return true;
+      if (child !== node && t.isFunction(child)) return true;
+      if (child.type === "YieldExpression" || child.type === "AwaitExpression") {
+        result = true;
+        return true;
+      }
+      return false;
+    });
+    containsSuspensionCache.set(node, result);
+  }
+  return result;
+}
+
+// Evaluates the body of a generator or async function in the running execution context.
+export function EvaluateResumableBody(
+  realm: Realm,
+  body: BabelNodeBlockStatement,
+  strictCode: boolean
+): ResumableEvaluation {
+  return evaluateBody(realm, body, strictCode);
+}
+
+function* evaluateBody(realm: Realm, body: BabelNodeBlockStatement, strictCode: boolean): Resumable<Value> {
+  let env = realm.getRunningContext().lexicalEnvironment;
+  yield* EvaluateStatement(body, strictCode, env, realm);
+  return realm.intrinsics.undefined;
+}
+
+// ECMA262 25.3.3.5, with the resumption completion becoming the result of the operation that suspended the generator
+function* Suspend(realm: Realm, iterNextObj: ObjectValue): Resumable<ResumptionValue> {
+  GeneratorYield(realm, iterNextObj);
+  let resumptionValue = yield iterNextObj;
+  return resumptionValue;
+}
+
+function* SuspendAndContinue(realm: Realm, iterNextObj: ObjectValue): Resumable<Value> {
+  let resumptionValue = yield* Suspend(realm, iterNextObj);
+  if (resumptionValue instanceof AbruptCompletion) throw resumptionValue;
+  return resumptionValue;
+}
+
+function* EvaluateStatements(
+  body: Array<BabelNodeStatement>,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm
+): Resumable<Value> {
+  let blockValue = realm.intrinsics.empty;
+  for (let node of body) {
+    let res = yield* EvaluateStatement(node, strictCode, env, realm);
+    if (!(res instanceof EmptyValue)) blockValue = res;
+  }
+  return blockValue;
+}
+
+function* EvaluateStatement(
+  ast: BabelNodeStatement,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm,
+  labelSet: ?Array<string>
+): Resumable<Value> {
+  if (!ContainsSuspension(ast)) return evaluateStatementNow(ast, strictCode, env, labelSet);
+  switch (ast.type) {
+    case "BlockStatement":
+      return yield* EvaluateBlock(ast, strictCode, env, realm);
+    case "ExpressionStatement":
+      return yield* EvaluateExpression(ast.expression, strictCode, env, realm);
+    case "VariableDeclaration":
+      return yield* EvaluateVariableDeclaration(ast, strictCode, env, realm);
+    case "IfStatement": {
+      let exprValue = yield* EvaluateExpression(ast.test, strictCode, env, realm);
+      let stmtCompletion;
+      if (To.ToBooleanPartial(realm, exprValue)) {
+        stmtCompletion = yield* EvaluateStatement(ast.consequent, strictCode, env, realm);
+      } else if (ast.alternate) {
+        stmtCompletion = yield* EvaluateStatement(ast.alternate, strictCode, env, realm);
+      } else {
+        stmtCompletion = realm.intrinsics.undefined;
+      }
+      let completion = UpdateEmpty(realm, stmtCompletion, realm.intrinsics.undefined);
+      invariant(completion instanceof Value);
+      return completion;
+    }
+    case "ReturnStatement": {
+      invariant(ast.argument);
+      let arg = yield* EvaluateExpression(ast.argument, strictCode, env, realm);
+      throw new ReturnCompletion(arg, ast.loc);
+    }
+    case "ThrowStatement": {
+      let exprValue = yield* EvaluateExpression(ast.argument, strictCode, env, realm);
+      throw new ThrowCompletion(exprValue, ast.loc);
+    }
+    case "LabeledStatement": {
+      let label = ast.label.name;
+      let body = ast.body;
+      if (
+        body.type === "VariableDeclaration" ||
+        body.type === "FunctionDeclaration" ||
+        body.type === "ClassDeclaration"
+      )
+        return evaluateStatementNow(ast, strictCode, env, labelSet);
+      let newLabelSet = labelSet ? labelSet.concat(label) : [label];
+      try {
+        return yield* EvaluateStatement(body, strictCode, env, realm, newLabelSet);
+      } catch (stmtResult) {
+        if (stmtResult instanceof BreakCompletion && stmtResult.target === label) return stmtResult.value;
+        throw stmtResult;
+      }
+    }
+    case "WhileStatement":
+    case "DoWhileStatement":
+      return yield* EvaluateLoop(
+        ast.test,
+        null,
+        ast.body,
+        ast.type === "DoWhileStatement",
+        strictCode,
+        realm,
+        labelSet
+      );
+    case "ForStatement":
+      return yield* EvaluateForStatement(ast, strictCode, env, realm, labelSet);
+    case "ForOfStatement":
+      if (ContainsSuspension(ast.left) || ContainsSuspension(ast.right)) break;
+      return yield* EvaluateForOfStatement(ast, strictCode, env, realm, labelSet);
+    case "TryStatement":
+      return yield* EvaluateTryStatement(ast, strictCode, env, realm);
+    default:
+      break;
+  }
+  // The regular evaluator reports the yield expression it cannot suspend.
+  return evaluateStatementNow(ast, strictCode, env, labelSet);
+}
+
+function evaluateStatementNow(
+  ast: BabelNode,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  labelSet: ?Array<string>
+): Value {
+  let res = env.evaluate(ast, strictCode, labelSet);
+  invariant(res instanceof Value);
+  return res;
+}
+
+// ECMA262 13.2.13
+function* EvaluateBlock(
+  ast: BabelNodeBlockStatement,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm
+): Resumable<Value> {
+  let oldEnv = realm.getRunningContext().lexicalEnvironment;
+  // The block environment must survive suspensions, so it is not tracked as an active scope.
+  let blockEnv = Environment.NewDeclarativeEnvironment(realm, oldEnv, false);
+  Environment.BlockDeclarationInstantiation(realm, strictCode, ast.body, blockEnv);
+  realm.getRunningContext().lexicalEnvironment = blockEnv;
+  try {
+    return yield* EvaluateStatements(ast.body, strictCode, blockEnv, realm);
+  } finally {
+    realm.getRunningContext().lexicalEnvironment = oldEnv;
+  }
+}
+
+// ECMA262 13.3.1.4 and 13.3.2.4
+function* EvaluateVariableDeclaration(
+  ast: BabelNodeVariableDeclaration,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm
+): Resumable<Value> {
+  for (let declar of ast.declarations) {
+    let Initializer = declar.init;
+    if (!Initializer) {
+      if (ast.kind !== "var") {
+        invariant(declar.id.type === "Identifier");
+        let lhs = Environment.ResolveBinding(realm, declar.id.name, strictCode);
+        Environment.InitializeReferencedBinding(realm, lhs, realm.intrinsics.undefined);
+      }
+      continue;
+    }
+    if (declar.id.type === "Identifier") {
+      let bindingId = declar.id.name;
+      let lhs = Environment.ResolveBinding(realm, bindingId, strictCode);
+      let value = yield* EvaluateExpression(Initializer, strictCode, env, realm);
+      if (IsAnonymousFunctionDefinition(realm, Initializer)) {
+        invariant(value instanceof ObjectValue);
+        let hasNameProperty = HasOwnProperty(realm, value, "name");
+        if (!hasNameProperty) Functions.SetFunctionName(realm, value, new StringValue(realm, bindingId));
+      }
+      if (ast.kind === "var") Properties.PutValue(realm, lhs, value);
+      else Environment.InitializeReferencedBinding(realm, lhs, value);
+    } else {
+      let rval = yield* EvaluateExpression(Initializer, strictCode, env, realm);
+      Environment.BindingInitialization(realm, declar.id, rval, strictCode, ast.kind === "var" ? undefined : env);
+    }
+  }
+  return realm.intrinsics.empty;
+}
+
+// ECMA262 13.7.2.6, 13.7.3.6 and 13.7.4.8
+function* EvaluateLoop(
+  test: ?BabelNodeExpression,
+  increment: ?BabelNodeExpression,
+  stmt: BabelNodeStatement,
+  testAfterBody: boolean,
+  strictCode: boolean,
+  realm: Realm,
+  labelSet: ?Array<string>,
+  perIterationBindings: Array<string> = []
+): Resumable<Value> {
+  let V = realm.intrinsics.undefined;
+  CreatePerIterationEnvironment(realm, perIterationBindings);
+  let first = true;
+  try {
+    while (true) {
+      let env = realm.getRunningContext().lexicalEnvironment;
+      if (test && !(testAfterBody && first)) {
+        let testValue = yield* EvaluateExpression(test, strictCode, env, realm);
+        if (!To.ToBooleanPartial(realm, testValue)) return V;
+      }
+      first = false;
+
+      let result;
+      try {
+        result = yield* EvaluateStatement(stmt, strictCode, env, realm);
+      } catch (e) {
+        if (!(e instanceof AbruptCompletion)) throw e;
+        result = e;
+      }
+      if (!LoopContinues(realm, result, labelSet)) {
+        invariant(result instanceof AbruptCompletion);
+        throw UpdateEmpty(realm, result, V);
+      }
+      let resultValue = InternalGetResultValue(realm, result);
+      if (!(resultValue instanceof EmptyValue)) V = resultValue;
+
+      CreatePerIterationEnvironment(realm, perIterationBindings);
+      if (increment) {
+        env = realm.getRunningContext().lexicalEnvironment;
+        yield* EvaluateExpression(increment, strictCode, env, realm);
+      }
+    }
+    invariant(false);
+  } catch (e) {
+    if (e instanceof BreakCompletion && !e.target) return (UpdateEmpty(realm, e, V): any).value;
+    throw e;
+  }
+}
+
+// ECMA262 13.7.4.9, using environments that are not tracked as active scopes
+function CreatePerIterationEnvironment(realm: Realm, perIterationBindings: Array<string>) {
+  if (perIterationBindings.length === 0) return;
+  let lastIterationEnv = realm.getRunningContext().lexicalEnvironment;
+  let lastIterationEnvRec = lastIterationEnv.environmentRecord;
+  let outer = lastIterationEnv.parent;
+  invariant(outer !== null);
+  let thisIterationEnv = Environment.NewDeclarativeEnvironment(realm, outer, false);
+  let thisIterationEnvRec = thisIterationEnv.environmentRecord;
+  for (let bn of perIterationBindings) {
+    thisIterationEnvRec.CreateMutableBinding(bn, false);
+    let lastValue = lastIterationEnvRec.GetBindingValue(bn, true);
+    thisIterationEnvRec.InitializeBinding(bn, lastValue);
+  }
+  realm.getRunningContext().lexicalEnvironment = thisIterationEnv;
+}
+
+// ECMA262 13.7.4.7
+function* EvaluateForStatement(
+  ast: BabelNodeForStatement,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm,
+  labelSet: ?Array<string>
+): Resumable<Value> {
+  let { init, test, update, body } = ast;
+  let oldEnv = realm.getRunningContext().lexicalEnvironment;
+  try {
+    let perIterationLets = [];
+    if (init && init.type === "VariableDeclaration" && init.kind !== "var") {
+      let loopEnv = Environment.NewDeclarativeEnvironment(realm, oldEnv, false);
+      let loopEnvRec = loopEnv.environmentRecord;
+      let isConst = init.kind === "const";
+      let boundNames = Environment.BoundNames(realm, init);
+      for (let dn of boundNames) {
+        if (isConst) loopEnvRec.CreateImmutableBinding(dn, true);
+        else loopEnvRec.CreateMutableBinding(dn, false);
+      }
+      realm.getRunningContext().lexicalEnvironment = loopEnv;
+      yield* EvaluateStatement(init, strictCode, loopEnv, realm);
+      if (!isConst) perIterationLets = boundNames;
+    } else if (init) {
+      if (init.type === "VariableDeclaration") yield* EvaluateStatement(init, strictCode, env, realm);
+      else yield* EvaluateExpression(init, strictCode, env, realm);
+    }
+    return yield* EvaluateLoop(test, update, body, false, strictCode, realm, labelSet, perIterationLets);
+  } finally {
+    realm.getRunningContext().lexicalEnvironment = oldEnv;
+  }
+}
+
+// ECMA262 13.7.5.11 and 13.7.5.13
+function* EvaluateForOfStatement(
+  ast: BabelNodeForOfStatement,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm,
+  labelSet: ?Array<string>
+): Resumable<Value> {
+  let { left, right, body } = ast;
+  let oldEnv = realm.getRunningContext().lexicalEnvironment;
+  let isLexical = left.type === "VariableDeclaration" && left.kind !== "var";
+
+  // ForIn/OfHeadEvaluation
+  let exprValue;
+  if (isLexical) {
+    let TDZ = Environment.NewDeclarativeEnvironment(realm, oldEnv, false);
+    for (let name of Environment.BoundNames(realm, left)) TDZ.environmentRecord.CreateMutableBinding(name, false);
+    realm.getRunningContext().lexicalEnvironment = TDZ;
+    try {
+      exprValue = Environment.GetValue(realm, TDZ.evaluate(right, strictCode));
+    } finally {
+      realm.getRunningContext().lexicalEnvironment = oldEnv;
+    }
+  } else {
+    exprValue = Environment.GetValue(realm, env.evaluate(right, strictCode));
+  }
+  let iterator = GetIterator(realm, exprValue.throwIfNotConcrete());
+
+  // ForIn/OfBodyEvaluation
+  let V = realm.intrinsics.undefined;
+  try {
+    while (true) {
+      let nextResult = IteratorStep(realm, iterator);
+      if (!nextResult) return V;
+      let nextValue = IteratorValue(realm, nextResult);
+
+      let iterationEnv = oldEnv;
+      let result;
+      try {
+        if (left.type === "VariableDeclaration") {
+          let lhs = left.declarations[0].id;
+          if (isLexical) {
+            iterationEnv = Environment.NewDeclarativeEnvironment(realm, oldEnv, false);
+            let envRec = iterationEnv.environmentRecord;
+            invariant(envRec instanceof DeclarativeEnvironmentRecord);
+            for (let name of Environment.BoundNames(realm, left)) {
+              if (left.kind === "const") envRec.CreateImmutableBinding(name, true);
+              else envRec.CreateMutableBinding(name, false);
+            }
+            realm.getRunningContext().lexicalEnvironment = iterationEnv;
+            Environment.BindingInitialization(realm, lhs, nextValue, strictCode, iterationEnv);
+          } else {
+            Environment.BindingInitialization(realm, lhs, nextValue, strictCode, undefined);
+          }
+        } else if (left.type === "ArrayPattern" || left.type === "ObjectPattern") {
+          DestructuringAssignmentEvaluation(realm, left, nextValue, strictCode, env);
+        } else {
+          let lhsRef = env.evaluate(left, strictCode);
+          Properties.PutValue(realm, lhsRef, nextValue);
+        }
+        result = yield* EvaluateStatement(body, strictCode, iterationEnv, realm);
+      } catch (e) {
+        if (!(e instanceof AbruptCompletion)) throw e;
+        result = e;
+      } finally {
+        realm.getRunningContext().lexicalEnvironment = oldEnv;
+      }
+
+      if (!LoopContinues(realm, result, labelSet)) {
+        invariant(result instanceof AbruptCompletion);
+        result = UpdateEmpty(realm, result, V);
+        invariant(result instanceof AbruptCompletion);
+        throw IteratorClose(realm, iterator, result);
+      }
+      let resultValue = InternalGetResultValue(realm, result);
+      if (!(resultValue instanceof EmptyValue)) V = resultValue;
+    }
+    invariant(false);
+  } catch (e) {
+    if (e instanceof BreakCompletion && !e.target) return (UpdateEmpty(realm, e, V): any).value;
+    throw e;
+  }
+}
+
+// ECMA262 13.15.8 and 13.15.7
+function* EvaluateTryStatement(
+  ast: BabelNodeTryStatement,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm
+): Resumable<Value> {
+  let result: Value | AbruptCompletion;
+  try {
+    result = yield* EvaluateStatement(ast.block, strictCode, env, realm);
+  } catch (e) {
+    if (!(e instanceof AbruptCompletion)) throw e;
+    result = e;
+  }
+
+  let handler = ast.handler;
+  if (handler && result instanceof ThrowCompletion) {
+    let thrownValue = result;
+    let oldEnv = realm.getRunningContext().lexicalEnvironment;
+    let catchEnv = Environment.NewDeclarativeEnvironment(realm, oldEnv, false);
+    for (let argName of Environment.BoundNames(realm, handler.param)) {
+      catchEnv.environmentRecord.CreateMutableBinding(argName, false);
+    }
+    realm.getRunningContext().lexicalEnvironment = catchEnv;
+    try {
+      Environment.BindingInitialization(realm, handler.param, thrownValue.value, strictCode, catchEnv);
+      result = yield* EvaluateStatement(handler.body, strictCode, catchEnv, realm);
+    } catch (e) {
+      if (!(e instanceof AbruptCompletion)) throw e;
+      result = e;
+    } finally {
+      realm.getRunningContext().lexicalEnvironment = oldEnv;
+    }
+  }
+
+  if (ast.finalizer) {
+    let finalizerResult;
+    try {
+      finalizerResult = yield* EvaluateStatement(ast.finalizer, strictCode, env, realm);
+    } catch (e) {
+      if (!(e instanceof AbruptCompletion)) throw e;
+      finalizerResult = e;
+    }
+    if (finalizerResult instanceof AbruptCompletion) throw finalizerResult;
+  }
+
+  let completion = UpdateEmpty(realm, result, realm.intrinsics.undefined);
+  if (completion instanceof AbruptCompletion) throw completion;
+  invariant(completion instanceof Value);
+  return completion;
+}
+
+function* EvaluateExpression(
+  ast: BabelNodeExpression,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm
+): Resumable<Value> {
+  if (ContainsSuspension(ast)) {
+    switch (ast.type) {
+      case "YieldExpression":
+        return yield* EvaluateYieldExpression(ast, strictCode, env, realm);
+      case "AwaitExpression":
+        return yield* EvaluateAwaitExpression(ast, strictCode, env, realm);
+      case "AssignmentExpression":
+        if (ContainsSuspension(ast.left)) break;
+        return yield* EvaluateAssignmentExpression(ast, strictCode, env, realm);
+      case "SequenceExpression": {
+        let value = realm.intrinsics.undefined;
+        for (let expr of ast.expressions) value = yield* EvaluateExpression(expr, strictCode, env, realm);
+        return value;
+      }
+      case "BinaryExpression": {
+        let lval = yield* EvaluateExpression(ast.left, strictCode, env, realm);
+        let rval = yield* EvaluateExpression(ast.right, strictCode, env, realm);
+        return computeBinary(realm, ast.operator, lval, rval, ast.left.loc, ast.right.loc);
+      }
+      case "LogicalExpression": {
+        let lval = yield* EvaluateExpression(ast.left, strictCode, env, realm);
+        let lbool = To.ToBooleanPartial(realm, lval);
+        if (ast.operator === "&&" ? !lbool : lbool) return lval;
+        return yield* EvaluateExpression(ast.right, strictCode, env, realm);
+      }
+      case "ConditionalExpression": {
+        let testValue = yield* EvaluateExpression(ast.test, strictCode, env, realm);
+        if (To.ToBooleanPartial(realm, testValue))
+          return yield* EvaluateExpression(ast.consequent, strictCode, env, realm);
+        return yield* EvaluateExpression(ast.alternate, strictCode, env, realm);
+      }
+      default:
+        break;
+    }
+  }
+  // If ast contains a yield or await expression, the regular evaluator reports that it cannot suspend it.
+  return Environment.GetValue(realm, env.evaluate(ast, strictCode));
+}
+
+// ECMA262 14.6.14, AwaitExpression : await UnaryExpression
+function* EvaluateAwaitExpression(
+  ast: BabelNodeAwaitExpression,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm
+): Resumable<Value> {
+  // 1. Let exprRef be the result of evaluating UnaryExpression.
+  // 2. Let value be ? GetValue(exprRef).
+  let value = yield* EvaluateExpression(ast.argument, strictCode, env, realm);
+
+  // 3. Return ? AsyncFunctionAwait(value).
+  AsyncFunctionAwait(realm, value);
+  let resumptionValue = yield realm.intrinsics.undefined;
+  if (resumptionValue instanceof AbruptCompletion) throw resumptionValue;
+  return resumptionValue;
+}
+
+// ECMA262 12.15.4
+function* EvaluateAssignmentExpression(
+  ast: BabelNodeAssignmentExpression,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm
+): Resumable<Value> {
+  let LeftHandSideExpression = ast.left;
+  let AssignmentExpression = ast.right;
+  if (ast.operator === "=") {
+    if (LeftHandSideExpression.type === "ObjectPattern" || LeftHandSideExpression.type === "ArrayPattern") {
+      let rval = yield* EvaluateExpression(AssignmentExpression, strictCode, env, realm);
+      DestructuringAssignmentEvaluation(realm, LeftHandSideExpression, rval, strictCode, env);
+      return rval;
+    }
+    let lref = env.evaluate(LeftHandSideExpression, strictCode);
+    let rval = yield* EvaluateExpression(AssignmentExpression, strictCode, env, realm);
+    if (IsAnonymousFunctionDefinition(realm, AssignmentExpression) && IsIdentifierRef(realm, LeftHandSideExpression)) {
+      invariant(rval instanceof ObjectValue);
+      let hasNameProperty = HasOwnProperty(realm, rval, "name");
+      if (!hasNameProperty) {
+        invariant(lref instanceof Reference);
+        Functions.SetFunctionName(realm, rval, Environment.GetReferencedName(realm, lref));
+      }
+    }
+    Properties.PutValue(realm, lref, rval);
+    return rval;
+  }
+
+  let lref = env.evaluate(LeftHandSideExpression, strictCode);
+  let lval = Environment.GetValue(realm, lref);
+  let rval = yield* EvaluateExpression(AssignmentExpression, strictCode, env, realm);
+  let op = ((ast.operator.slice(0, -1): any): BabelBinaryOperator);
+  let r = Environment.GetValue(realm, computeBinary(realm, op, lval, rval, ast.left.loc, ast.right.loc));
+  Properties.PutValue(realm, lref, r);
+  return r;
+}
+
+// ECMA262 14.4.14
+function* EvaluateYieldExpression(
+  ast: BabelNodeYieldExpression,
+  strictCode: boolean,
+  env: LexicalEnvironment,
+  realm: Realm
+): Resumable<Value> {
+  // YieldExpression : yield
+  // YieldExpression : yield AssignmentExpression
+  if (!ast.delegate) {
+    // 1. Let exprRef be the result of evaluating AssignmentExpression.
+    // 2. Let value be ? GetValue(exprRef).
+    let value = ast.argument
+      ? yield* EvaluateExpression(ast.argument, strictCode, env, realm)
+      : realm.intrinsics.undefined;
+
+    // 3. Return ? GeneratorYield(CreateIterResultObject(value, false)).
+    return yield* SuspendAndContinue(realm, Create.CreateIterResultObject(realm, value, false));
+  }
+
+  // YieldExpression : yield * AssignmentExpression
+  invariant(ast.argument);
+  // 1. Let exprRef be the result of evaluating AssignmentExpression.
+  // 2. Let value be ? GetValue(exprRef).
+  let value = yield* EvaluateExpression(ast.argument, strictCode, env, realm);
+
+  // 3. Let iterator be ? GetIterator(value).
+  let iterator = GetIterator(realm, value);
+
+  // 4. Let received be NormalCompletion(undefined).
+  let received: ResumptionValue = realm.intrinsics.undefined;
+
+  // 5. Repeat
+  while (true) {
+    let innerResult;
+    // a. If received.[[Type]] is normal, then
+    if (received instanceof Value) {
+      // i. Let innerResult be ? IteratorNext(iterator, received.[[Value]]).
+      innerResult = IteratorNext(realm, iterator, received);
+    } else if (received instanceof ThrowCompletion) {
+      // b. Else if received.[[Type]] is throw, then
+      // i. Let throw be ? GetMethod(iterator, "throw").
+      let throwMethod = GetMethod(realm, iterator, "throw");
+
+      // ii. If throw is not undefined, then
+      if (!(throwMethod instanceof UndefinedValue)) {
+        // 1. Let innerResult be ? Call(throw, iterator, « received.[[Value]] »).
+        innerResult = Call(realm, throwMethod, iterator, [received.value]);
+
+        // 2. NOTE: Exceptions from the inner iterator throw method are propagated.
+        // 3. If Type(innerResult) is not Object, throw a TypeError exception.
+        if (!(innerResult instanceof ObjectValue)) {
+          throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "result of throw is not an object");
+        }
+      } else {
+        // iii. Else,
+        // 1. NOTE: If iterator does not have a throw method, this throw is going to terminate the yield* loop.
+        //    But first we need to give iterator a chance to clean up.
+        // 2. Perform ? IteratorClose(iterator, Completion{[[Type]]: normal, [[Value]]: empty, [[Target]]: empty}).
+        let closeCompletion = IteratorClose(realm, iterator, new NormalCompletion(realm.intrinsics.empty));
+        if (closeCompletion instanceof ThrowCompletion) throw closeCompletion;
+
+        // 3. NOTE: The next step throws a TypeError to indicate that there was a yield* protocol violation: iterator does not have a throw method.
+        // 4. Throw a TypeError exception.
+        throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "iterator does not have a throw method");
+      }
+    } else {
+      // c. Else,
+      // i. Assert: received.[[Type]] is return.
+      invariant(received instanceof ReturnCompletion);
+
+      // ii. Let return be ? GetMethod(iterator, "return").
+      let returnMethod = GetMethod(realm, iterator, "return");
+
+      // iii. If return is undefined, return Completion(received).
+      if (returnMethod instanceof UndefinedValue) throw received;
+
+      // iv. Let innerReturnResult be ? Call(return, iterator, « received.[[Value]] »).
+      let innerReturnResult = Call(realm, returnMethod, iterator, [received.value]);
+
+      // v. If Type(innerReturnResult) is not Object, throw a TypeError exception.
+      if (!(innerReturnResult instanceof ObjectValue)) {
+        throw realm.createErrorThrowCompletion(realm.intrinsics.TypeError, "result of return is not an object");
+      }
+
+      // vi. Let done be ? IteratorComplete(innerReturnResult).
+      // vii. If done is true, then
+      if (IteratorComplete(realm, innerReturnResult)) {
+        // 1. Let value be ? IteratorValue(innerReturnResult).
+        // 2. Return Completion{[[Type]]: return, [[Value]]: value, [[Target]]: empty}.
+        throw new ReturnCompletion(IteratorValue(realm, innerReturnResult), ast.loc);
+      }
+
+      // viii. Let received be GeneratorYield(innerReturnResult).
+      received = yield* Suspend(realm, innerReturnResult);
+      continue;
+    }
+
+    // Let done be ? IteratorComplete(innerResult).
+    // If done is true, then return ? IteratorValue(innerResult).
+    invariant(innerResult instanceof ObjectValue);
+    if (IteratorComplete(realm, innerResult)) return IteratorValue(realm, innerResult);
+
+    // Let received be GeneratorYield(innerResult).
+    received = yield* Suspend(realm, innerResult);
+  }
+  invariant(false);
+}
@@ -52,19 +52,26 @@ export const InvariantModeValues = [
 export type ReactOutputTypes = "create-element" | "jsx" | "bytecode";
 export const ReactOutputValues = ["create-element", "jsx", "bytecode"];
 
+export type SourceTypes = "script" | "module";
+export const SourceTypeValues = ["script", "module"];
+
 export type RealmOptions = {
   check?: Array<number>,
   compatibility?: Compatibility,
   debugNames?: boolean,
   errorHandler?: ErrorHandler,
   mathRandomSeed?: string,
+  locale?: string,
+  timeZone?: string,
   invariantLevel?: number,
   invariantMode?: InvariantModeTypes,
   emitConcreteModel?: boolean,
   uniqueSuffix?: string,
   residual?: boolean,
+  runTimers?: boolean,
   serialize?: boolean,
   strictlyMonotonicDateNow?: boolean,
+  tailCalls?: boolean,
   timeout?: number,
   maxStackDepth?: number,
   reactEnabled?: boolean,
@@ -72,6 +79,7 @@ export type RealmOptions = {
   reactVerbose?: boolean,
   stripFlow?: boolean,
   abstractValueImpliesMax?: number,
+  pathConditionsSolverBudget?: number,
 };
 
 export type SerializerOptions = {
@@ -89,6 +97,8 @@ export type SerializerOptions = {
   inlineExpressions?: boolean,
   trace?: boolean,
   heapGraphFormat?: "DotLanguage" | "VISJS",
+  sourceType?: SourceTypes,
+  moduleOutput?: SourceTypes,
 };
 
 export type PartialEvaluatorOptions = {
@@ -22,9 +22,13 @@ import { computeBinary } from "../evaluators/BinaryExpression.js";
 import { createAbstractValueForBinary } from "../partial-evaluators/BinaryExpression.js";
 import { AbruptCompletion, Completion } from "../completions.js";
 import { Reference } from "../environment.js";
-import { FatalError } from "../errors.js";
 import { BooleanValue, ConcreteValue, NullValue, ObjectValue, UndefinedValue, Value } from "../values/index.js";
-import { IsAnonymousFunctionDefinition, IsIdentifierRef, HasOwnProperty } from "../methods/index.js";
+import {
+  DestructuringAssignmentEvaluation,
+  IsAnonymousFunctionDefinition,
+  IsIdentifierRef,
+  HasOwnProperty,
+} from "../methods/index.js";
 import { Environment, Functions, Join, Properties } from "../singletons.js";
 
 import * as t from "babel-types";
@@ -44,7 +48,11 @@ export default function(
   // AssignmentExpression : LeftHandSideExpression = AssignmentExpression
   if (AssignmentOperator === "=") {
     // 1. If LeftHandSideExpression is neither an ObjectLiteral nor an ArrayLiteral, then
-    if (LeftHandSideExpression.type !== "ObjectLiteral" && LeftHandSideExpression.type !== "ArrayLiteral") {
+    //
+    // The spec assumes we haven't yet distinguished between literals and
+    // patterns, but our parser does that work for us. That means we check for
+    // "*Pattern" instead of "*Literal" like the spec text suggests.
+    if (LeftHandSideExpression.type !== "ObjectPattern" && LeftHandSideExpression.type !== "ArrayPattern") {
       // a. Let lref be the result of evaluating LeftHandSideExpression.
       let [lref, last, lio] = env.partiallyEvaluateCompletion(LeftHandSideExpression, strictCode);
 
@@ -89,13 +97,26 @@ export default function(
       rval = Join.composeNormalCompletions(leftCompletion, rightCompletion, rval, realm);
       return [rval, resultAst, io];
     }
-    throw new FatalError("Patterns aren't supported yet");
+
     // 2. Let assignmentPattern be the parse of the source text corresponding to LeftHandSideExpression using AssignmentPattern[?Yield] as the goal symbol.
+    let assignmentPattern = LeftHandSideExpression;
+
     // 3. Let rref be the result of evaluating AssignmentExpression.
     // 4. Let rval be ? GetValue(rref).
+    let [rval, rast, io] = env.partiallyEvaluateCompletionDeref(AssignmentExpression, strictCode);
+    let resultAst = t.assignmentExpression(ast.operator, assignmentPattern, (rast: any));
+    if (rval instanceof AbruptCompletion) return [rval, resultAst, io];
+    let rightCompletion;
+    [rightCompletion, rval] = Join.unbundleNormalCompletion(rval);
+    invariant(rval instanceof Value);
+
     // 5. Let status be the result of performing DestructuringAssignmentEvaluation of assignmentPattern using rval as the argument.
     // 6. ReturnIfAbrupt(status).
+    DestructuringAssignmentEvaluation(realm, assignmentPattern, rval, strictCode, env);
+
     // 7. Return rval.
+    rval = Join.composeNormalCompletions(undefined, rightCompletion, rval, realm);
+    return [rval, resultAst, io];
   }
 
   // AssignmentExpression : LeftHandSideExpression AssignmentOperator AssignmentExpression
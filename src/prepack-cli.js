@@ -19,6 +19,8 @@ import {
   ReactOutputValues,
   type InvariantModeTypes,
   InvariantModeValues,
+  type SourceTypes,
+  SourceTypeValues,
 } from "./options.js";
 import { type SerializedResult } from "./serializer/types.js";
 import { prepackStdin, prepackFileSync } from "./prepack-node.js";
@@ -51,17 +53,27 @@ function run(
     --out                    The name of the output file
     --compatibility          The target environment for Prepack [${CompatibilityValues.map(v => `"${v}"`).join(", ")}]
     --mathRandomSeed         If you want Prepack to evaluate Math.random() calls, please provide a seed.
+    --locale                 If you want Prepack to evaluate Intl and toLocaleString calls, please provide the default locale.
+    --timeZone               The time zone that Intl date formatting uses when a default locale is provided (default = UTC).
     --srcmapIn               The input sourcemap filename. If present, Prepack will output a sourcemap that maps from
                              the original file (pre-input sourcemap) to Prepack's output
     --srcmapOut              The output sourcemap filename.
     --maxStackDepth          Specify the maximum call stack depth.
+    --runTimers              Run the zero-delay timers that the global code registers instead of registering them again
+                             in the residual program.
+    --tailCalls              Evaluate calls in tail position of strict mode functions without growing the call stack.
     --timeout                The amount of time in seconds until Prepack should time out.
     --lazyObjectsRuntime     Enable lazy objects feature and specify the JS runtime that support this feature.
     --debugNames             Changes the output of Prepack so that for named functions and variables that get emitted into
                              Prepack's output, the original name is appended as a suffix to Prepack's generated identifier.
-    --initializeMoreModules  Enable speculative initialization of modules (for the module system Prepack has builtin
-                             knowledge about). Prepack will try to execute all factory functions it is able to.
+    --initializeMoreModules  Enable speculative initialization of modules (for the module systems Prepack has builtin
+                             knowledge about, i.e. the Metro bundler and the webpack runtime). Prepack will try to
+                             execute all factory functions it is able to.
     --trace                  Traces the order of module initialization.
+    --sourceType             Whether the input files are scripts that are concatenated, or ES modules that import each other
+                             and are evaluated in dependency order (default = script).
+    --moduleOutput           Whether the output is a script, or an ES module that exports what the ES modules given as
+                             input export, if they are not imported by any other input file (default = script).
     --serialize              Serializes the partially evaluated global environment as a program that recreates it.
                              (default = true)
     --check [start[, count]] Check residual functions for diagnostic messages. Do not serialize or produce residual code.
@@ -86,6 +98,8 @@ function run(
   let check: void | Array<number>;
   let compatibility: Compatibility;
   let mathRandomSeed;
+  let locale;
+  let timeZone;
   let inputSourceMap;
   let outputSourceMap;
   let statsFileName;
@@ -97,6 +111,8 @@ function run(
   let debugInFilePath: string;
   let debugOutFilePath: string;
   let reactOutput: ReactOutputTypes = "create-element";
+  let sourceType: SourceTypes = "script";
+  let moduleOutput: SourceTypes = "script";
   let reproFilePath: void | string;
   let cpuprofilePath: void | string;
   let invariantMode: void | InvariantModeTypes;
@@ -118,6 +134,8 @@ function run(
     residual: false,
     profile: false,
     reactEnabled: false,
+    runTimers: false,
+    tailCalls: false,
   };
 
   let reproArguments = [];
@@ -152,6 +170,14 @@ function run(
           mathRandomSeed = args.shift();
           reproArguments.push("--mathRandomSeed", mathRandomSeed);
           break;
+        case "locale":
+          locale = args.shift();
+          reproArguments.push("--locale", locale);
+          break;
+        case "timeZone":
+          timeZone = args.shift();
+          reproArguments.push("--timeZone", timeZone);
+          break;
         case "srcmapIn":
           inputSourceMap = args.shift();
           reproArguments.push("--srcmapIn", inputFile(inputSourceMap));
@@ -233,6 +259,24 @@ function run(
           reactOutput = (arg: any);
           reproArguments.push("--reactOutput", reactOutput);
           break;
+        case "sourceType":
+          arg = args.shift();
+          if (!SourceTypeValues.includes(arg)) {
+            console.error(`Unsupported sourceType: ${arg}`);
+            process.exit(1);
+          }
+          sourceType = (arg: any);
+          reproArguments.push("--sourceType", sourceType);
+          break;
+        case "moduleOutput":
+          arg = args.shift();
+          if (!SourceTypeValues.includes(arg)) {
+            console.error(`Unsupported moduleOutput: ${arg}`);
+            process.exit(1);
+          }
+          moduleOutput = (arg: any);
+          reproArguments.push("--moduleOutput", moduleOutput);
+          break;
         case "repro":
           reproFilePath = args.shift();
           // do not include this in reproArguments needed by --repro, as we don't need to create a repro from the repro...
@@ -265,6 +309,8 @@ function run(
             "--out output.js",
             "--compatibility jsc",
             "--mathRandomSeed seedvalue",
+            "--locale localeTag",
+            "--timeZone timeZoneName",
             "--srcmapIn inputMap",
             "--srcmapOut outputMap",
             "--maxStackDepth depthValue",
@@ -274,6 +320,8 @@ function run(
             "--lazyObjectsRuntime lazyObjectsRuntimeName",
             "--heapGraphFilePath heapGraphFilePath",
             "--reactOutput " + ReactOutputValues.join(" | "),
+            "--sourceType " + SourceTypeValues.join(" | "),
+            "--moduleOutput " + SourceTypeValues.join(" | "),
             "--repro reprofile.zip",
             "--cpuprofile name.cpuprofile",
             "--invariantMode " + InvariantModeValues.join(" | "),
@@ -328,6 +376,8 @@ fi
     {
       compatibility,
       mathRandomSeed,
+      locale,
+      timeZone,
       inputSourceMapFilename: inputSourceMap,
       errorHandler,
       sourceMaps: !!outputSourceMap,
@@ -339,6 +389,8 @@ fi
       debugInFilePath,
       debugOutFilePath,
       reactOutput,
+      sourceType,
+      moduleOutput,
       invariantMode,
       invariantLevel,
     },
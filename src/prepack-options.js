@@ -17,6 +17,7 @@ import type {
   DebuggerOptions,
   ReactOutputTypes,
   InvariantModeTypes,
+  SourceTypes,
 } from "./options";
 import { Realm } from "./realm.js";
 import invariant from "./invariant.js";
@@ -37,6 +38,8 @@ export type PrepackOptions = {|
   logStatistics?: boolean,
   logModules?: boolean,
   mathRandomSeed?: string,
+  locale?: string,
+  timeZone?: string,
   errorHandler?: ErrorHandler,
   invariantLevel?: number,
   invariantMode?: InvariantModeTypes,
@@ -53,15 +56,20 @@ export type PrepackOptions = {|
   sourceMaps?: boolean,
   initializeMoreModules?: boolean,
   statsFile?: string,
+  runTimers?: boolean,
   strictlyMonotonicDateNow?: boolean,
   stripFlow?: boolean,
+  tailCalls?: boolean,
   timeout?: number,
   trace?: boolean,
   uniqueSuffix?: string,
   maxStackDepth?: number,
+  sourceType?: SourceTypes,
+  moduleOutput?: SourceTypes,
   debugInFilePath?: string,
   debugOutFilePath?: string,
   abstractValueImpliesMax?: number,
+  pathConditionsSolverBudget?: number,
 |};
 
 export function getRealmOptions({
@@ -69,6 +77,8 @@ export function getRealmOptions({
   debugNames = false,
   errorHandler,
   mathRandomSeed,
+  locale,
+  timeZone,
   invariantLevel = 0,
   invariantMode = "throw",
   emitConcreteModel = false,
@@ -79,17 +89,22 @@ export function getRealmOptions({
   residual,
   serialize = !residual,
   check,
+  runTimers,
   strictlyMonotonicDateNow,
   stripFlow,
+  tailCalls,
   timeout,
   maxStackDepth,
   abstractValueImpliesMax,
+  pathConditionsSolverBudget,
 }: PrepackOptions): RealmOptions {
   return {
     compatibility,
     debugNames,
     errorHandler,
     mathRandomSeed,
+    locale,
+    timeZone,
     invariantLevel,
     invariantMode,
     emitConcreteModel,
@@ -100,11 +115,14 @@ export function getRealmOptions({
     residual,
     serialize,
     check,
+    runTimers,
     strictlyMonotonicDateNow,
     stripFlow,
+    tailCalls,
     timeout,
     maxStackDepth,
     abstractValueImpliesMax,
+    pathConditionsSolverBudget,
   };
 }
 
@@ -123,6 +141,8 @@ export function getSerializerOptions({
   inlineExpressions = false,
   initializeMoreModules = false,
   trace = false,
+  sourceType = "script",
+  moduleOutput = "script",
 }: PrepackOptions): SerializerOptions {
   let result: SerializerOptions = {
     delayInitializations,
@@ -137,6 +157,8 @@ export function getSerializerOptions({
     profile,
     inlineExpressions,
     trace,
+    sourceType,
+    moduleOutput,
   };
   if (lazyObjectsRuntime !== undefined) {
     result.lazyObjectsRuntime = lazyObjectsRuntime;
@@ -56,7 +56,7 @@ export function prepackSources(
       !!options.delayUnsupportedRequires,
       !!options.accelerateUnsupportedRequires
     );
-    let [result] = realm.$GlobalEnv.executeSources(sources);
+    let [result] = realm.$GlobalEnv.executeSources(sources, options.sourceType);
     if (result instanceof AbruptCompletion) throw result;
     invariant(options.check);
     checkResidualFunctions(modules, options.check[0], options.check[1]);
@@ -20,6 +20,7 @@ import {
   ECMAScriptFunctionValue,
   Value,
   FunctionValue,
+  NullValue,
 } from "../values/index.js";
 import * as t from "babel-types";
 import type { BabelNodeIdentifier } from "babel-types";
@@ -41,6 +42,7 @@ const lifecycleMethods = new Set([
   "componentWillUpdate",
   "componentDidCatch",
   "componentWillReceiveProps",
+  "getSnapshotBeforeUpdate",
 ]);
 
 const whitelistedProperties = new Set(["props", "context", "refs", "setState"]);
@@ -121,16 +123,48 @@ export function createSimpleClassInstance(
 ): AbstractObjectValue {
   let componentPrototype = Get(realm, componentType, "prototype");
   invariant(componentPrototype instanceof ObjectValue);
+  return createSimpleInstance(realm, componentPrototype, componentPrototype, props, context);
+}
+
+// a factory class component is a function that returns its own instance: an object with
+// a "render" method, which React then treats like the instance of a class component
+export function createSimpleFactoryClassInstance(
+  realm: Realm,
+  factoryInstance: ObjectValue,
+  props: ObjectValue | AbstractValue,
+  context: ObjectValue | AbstractValue
+): AbstractObjectValue {
+  if (factoryInstance.isPartialObject() || factoryInstance.isHavocedObject()) {
+    throw new SimpleClassBailOut("partial instances are not supported on simple factory classes");
+  }
+  if (factoryInstance.properties.has("state")) {
+    // this error will result in the factory class being kept as it is
+    throw new SimpleClassBailOut("state is not supported on simple factory classes");
+  }
+  let instancePrototype = factoryInstance.$Prototype;
+  if (!(instancePrototype instanceof ObjectValue || instancePrototype instanceof NullValue)) {
+    throw new SimpleClassBailOut("abstract prototypes are not supported on simple factory classes");
+  }
+  return createSimpleInstance(realm, instancePrototype, factoryInstance, props, context);
+}
+
+function createSimpleInstance(
+  realm: Realm,
+  instancePrototype: ObjectValue | NullValue,
+  methods: ObjectValue,
+  props: ObjectValue | AbstractValue,
+  context: ObjectValue | AbstractValue
+): AbstractObjectValue {
   // create an instance object and disable serialization as we don't want to output the internals we set below
-  let instance = new ObjectValue(realm, componentPrototype, "this", true);
+  let instance = new ObjectValue(realm, instancePrototype, "this", true);
   let allowedPropertyAccess = new Set(["props", "context"]);
-  for (let [name] of componentPrototype.properties) {
+  for (let [name] of methods.properties) {
     if (lifecycleMethods.has(name)) {
       // this error will result in the simple class falling back to a complex class
       throw new SimpleClassBailOut("lifecycle methods are not supported on simple classes");
     } else if (name !== "constructor") {
       allowedPropertyAccess.add(name);
-      let method = Get(realm, componentPrototype, name);
+      let method = Get(realm, methods, name);
       if (method instanceof ECMAScriptSourceFunctionValue) {
         visitClassMethodAstForThisUsage(realm, method);
       }
@@ -192,12 +226,22 @@ export function createClassInstanceForFirstRenderOnly(
   evaluatedNode: ReactEvaluatedNode
 ): ObjectValue {
   let instance = getValueFromFunctionCall(realm, componentType, realm.intrinsics.undefined, [props, context], true);
+  invariant(instance instanceof ObjectValue);
+  return prepareClassInstanceForFirstRenderOnly(realm, instance, props, context);
+}
+
+// this is also used for the instances returned by factory class components
+export function prepareClassInstanceForFirstRenderOnly(
+  realm: Realm,
+  instance: ObjectValue,
+  props: ObjectValue | AbstractValue,
+  context: ObjectValue | AbstractValue
+): ObjectValue {
   let objectAssign = Get(realm, realm.intrinsics.Object, "assign");
   invariant(objectAssign instanceof ECMAScriptFunctionValue);
   let objectAssignCall = objectAssign.$Call;
   invariant(objectAssignCall !== undefined);
 
-  invariant(instance instanceof ObjectValue);
   instance.refuseSerialization = true;
   // assign props
   Properties.Set(realm, instance, "props", props, true);
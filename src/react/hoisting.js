@@ -119,9 +119,31 @@ export function canHoistFunction(
   return false;
 }
 
-function canHoistAbstract(realm: Realm, abstract: AbstractValue, residualHeapVisitor: ResidualHeapVisitor): boolean {
-  // TODO #1687: add abstract value hoisting
-  return false;
+// an abstract value can be hoisted if it is the same for every render, i.e. if it was not
+// derived from the props, the context or anything else that is computed by a render
+function canHoistAbstract(
+  realm: Realm,
+  abstract: AbstractValue,
+  residualHeapVisitor: ResidualHeapVisitor,
+  visitedValues: Set<Value>
+): boolean {
+  let referencedDeclaredValues = residualHeapVisitor.referencedDeclaredValues;
+  if (referencedDeclaredValues.has(abstract)) {
+    // values declared by a generator can only be hoisted if they were declared by the global code,
+    // which has been evaluated by the time the hoisted React elements get created
+    return referencedDeclaredValues.get(abstract) === undefined;
+  }
+  if (abstract.args.length === 0) {
+    // the props, context and arguments of a render are abstract values without arguments too,
+    // so we only hoist the abstract values that were given a global name with __abstract
+    return typeof abstract.kind === "string" && abstract.kind.startsWith("abstract:");
+  }
+  for (let arg of abstract.args) {
+    if (!canHoistValue(realm, arg, residualHeapVisitor, visitedValues)) {
+      return false;
+    }
+  }
+  return true;
 }
 
 function isPrimitive(realm: Realm, value: Value) {
@@ -157,7 +179,7 @@ function canHoistValue(
   } else if (value instanceof ObjectValue) {
     canHoist = canHoistObject(realm, value, residualHeapVisitor, visitedValues);
   } else if (value instanceof AbstractValue) {
-    canHoist = canHoistAbstract(realm, value, residualHeapVisitor);
+    canHoist = canHoistAbstract(realm, value, residualHeapVisitor, visitedValues);
   } else if (isPrimitive) {
     canHoist = true;
   }
@@ -42,23 +42,26 @@ import {
   sanitizeReactElementForFirstRenderOnly,
   setProperty,
   valueIsClassComponent,
+  valueIsErrorBoundaryComponent,
   valueIsFactoryClassComponent,
   valueIsKnownReactAbstraction,
   valueIsLegacyCreateClassComponent,
 } from "./utils";
-import { Get } from "../methods/index.js";
+import { Call, Get } from "../methods/index.js";
 import invariant from "../invariant.js";
 import { FatalError, CompilerDiagnostic } from "../errors.js";
 import { BranchState, type BranchStatusEnum } from "./branching.js";
 import * as t from "babel-types";
-import { Completion } from "../completions.js";
+import { AbruptCompletion, Completion, JoinedAbruptCompletions, ThrowCompletion } from "../completions.js";
 import {
   getInitialProps,
   getInitialContext,
   createClassInstance,
   createSimpleClassInstance,
+  createSimpleFactoryClassInstance,
   evaluateClassConstructor,
   createClassInstanceForFirstRenderOnly,
+  prepareClassInstanceForFirstRenderOnly,
   applyGetDerivedStateFromProps,
 } from "./components.js";
 import {
@@ -91,6 +94,7 @@ export type OptimizedClosure = {
 };
 
 export type BranchReactComponentTree = {
+  caughtByErrorBoundary: boolean,
   context: ObjectValue | AbstractObjectValue | null,
   evaluatedNode: ReactEvaluatedNode,
   props: ObjectValue | AbstractObjectValue | null,
@@ -101,10 +105,26 @@ export type ComponentTreeState = {
   componentType: void | ECMAScriptSourceFunctionValue,
   contextTypes: Set<string>,
   deadEnds: number,
+  errorBoundary: boolean,
   status: "SIMPLE" | "COMPLEX",
   contextNodeReferences: Map<ObjectValue | AbstractObjectValue, number>,
 };
 
+function getCompletionErrorMessage(realm: Realm, completion: Completion): string {
+  if (completion instanceof JoinedAbruptCompletions) {
+    return "JS errors in all of its conditional branches";
+  }
+  let value = completion.value;
+  if (completion instanceof ThrowCompletion && value instanceof ObjectValue) {
+    let message = getProperty(realm, value, "message");
+    let stack = getProperty(realm, value, "stack");
+    if (message instanceof StringValue && stack instanceof StringValue) {
+      return `a JS error: ${message.value}\n${stack.value}`;
+    }
+  }
+  return "a JS error";
+}
+
 export class Reconciler {
   constructor(
     realm: Realm,
@@ -123,6 +143,7 @@ export class Reconciler {
     this.componentTreeConfig = componentTreeConfig;
     this.nestedOptimizedClosures = [];
     this.branchedComponentTrees = [];
+    this.conditionalBranchDepth = 0;
   }
 
   realm: Realm;
@@ -136,6 +157,7 @@ export class Reconciler {
   currentEffectsStack: Array<Effects>;
   nestedOptimizedClosures: Array<OptimizedClosure>;
   branchedComponentTrees: Array<BranchReactComponentTree>;
+  conditionalBranchDepth: number;
 
   renderReactComponentTree(
     componentType: ECMAScriptSourceFunctionValue,
@@ -310,6 +332,7 @@ export class Reconciler {
     let componentType = getComponentTypeFromRootValue(this.realm, rootValue);
     if (componentType !== null && !this.hasEvaluatedRootNode(componentType, evaluatedNode)) {
       this.branchedComponentTrees.push({
+        caughtByErrorBoundary: this.componentTreeState.errorBoundary,
         context,
         evaluatedNode,
         props,
@@ -327,11 +350,15 @@ export class Reconciler {
     branchState: BranchState | null,
     evaluatedNode: ReactEvaluatedNode
   ): Value {
+    let isErrorBoundary = valueIsErrorBoundaryComponent(this.realm, componentType);
+
     if (branchStatus !== "ROOT") {
       // if the tree is simple and we're not in a branch, we can make this tree complex
-      // and make this complex component the root
+      // and make this complex component the root, unless it's an error boundary, as
+      // error boundaries are always the root of their own tree (see _resolveErrorBoundaryChild)
       let evaluatedComplexNode = this.alreadyEvaluatedRootNodes.get(componentType);
       if (
+        !isErrorBoundary &&
         branchStatus === "NO_BRANCH" &&
         this.componentTreeState.status === "SIMPLE" &&
         evaluatedComplexNode &&
@@ -345,6 +372,7 @@ export class Reconciler {
       }
     }
     this.componentTreeState.status = "COMPLEX";
+    this.componentTreeState.errorBoundary = isErrorBoundary;
     // create a new instance of this React class component
     let instance = createClassInstance(this.realm, componentType, props, context, classMetadata);
     // get the "render" method off the instance
@@ -371,6 +399,42 @@ export class Reconciler {
     return getValueFromFunctionCall(this.realm, renderMethod, instance, []);
   }
 
+  _renderFactoryClassComponent(
+    componentType: ECMAScriptSourceFunctionValue,
+    factoryInstance: ObjectValue,
+    props: ObjectValue | AbstractValue | AbstractObjectValue,
+    context: ObjectValue | AbstractObjectValue,
+    branchStatus: BranchStatusEnum,
+    evaluatedNode: ReactEvaluatedNode
+  ): Value | void {
+    // like simple class components, factory class components that only have a "render" method and
+    // other methods that access "this.props" and "this.context" can be folded into the tree
+    try {
+      let instance = createSimpleFactoryClassInstance(this.realm, factoryInstance, props, context);
+      // get the "render" method off the instance
+      let renderMethod = Get(this.realm, instance, "render");
+      if (!(renderMethod instanceof ECMAScriptSourceFunctionValue)) {
+        throw new SimpleClassBailOut("the render method of factory classes must be a function");
+      }
+      // the render method doesn't have any arguments, so we just assign the context of "this" to be the instance
+      return getValueFromFunctionCall(this.realm, renderMethod, instance, []);
+    } catch (error) {
+      // if we get back a SimpleClassBailOut error, we know that this factory class component
+      // has state or lifecycle methods, otherwise we rethrow the error
+      if (!(error instanceof SimpleClassBailOut)) {
+        throw error;
+      }
+    }
+    // React has to manage the instances of such components at runtime, so they can't be folded
+    // into their parents, instead they become the root of a component tree of their own
+    if (branchStatus !== "ROOT") {
+      this._queueNewComponentTree(componentType, evaluatedNode);
+      evaluatedNode.status = "NEW_TREE";
+      throw new NewComponentTreeBranch(evaluatedNode);
+    }
+    return undefined;
+  }
+
   _renderFunctionalComponent(
     componentType: ECMAScriptSourceFunctionValue,
     props: ObjectValue | AbstractValue | AbstractObjectValue,
@@ -620,8 +684,13 @@ export class Reconciler {
     let classMetadata = this._getClassComponentMetadata(componentType, props, context);
     let { instanceProperties, instanceSymbols } = classMetadata;
 
-    // if there were no this assignments we can try and render it as a simple class component
-    if (instanceProperties.size === 0 && instanceSymbols.size === 0) {
+    // if there were no this assignments we can try and render it as a simple class component,
+    // error boundaries can never be simple, as React needs their instance to catch errors
+    if (
+      instanceProperties.size === 0 &&
+      instanceSymbols.size === 0 &&
+      !valueIsErrorBoundaryComponent(this.realm, componentType)
+    ) {
       // We first need to know what type of class component we're dealing with.
       // A "simple" class component is defined as:
       //
@@ -684,6 +753,14 @@ export class Reconciler {
   ): Value {
     // create a new simple instance of this React class component
     let instance = createClassInstanceForFirstRenderOnly(this.realm, componentType, props, context, evaluatedNode);
+    return this._renderClassInstanceForFirstRenderOnly(componentType, instance, props);
+  }
+
+  _renderClassInstanceForFirstRenderOnly(
+    componentType: ECMAScriptSourceFunctionValue,
+    instance: ObjectValue,
+    props: ObjectValue | AbstractValue | AbstractObjectValue
+  ): Value {
     let getDerivedStateFromProps = Get(this.realm, componentType, "getDerivedStateFromProps");
     let getSnapshotBeforeUpdate = Get(this.realm, instance, "getSnapshotBeforeUpdate");
 
@@ -793,14 +870,26 @@ export class Reconciler {
       value = this._renderFunctionalComponent(componentType, props, context, evaluatedNode);
       if (valueIsFactoryClassComponent(this.realm, value)) {
         invariant(value instanceof ObjectValue);
-        if (branchStatus !== "ROOT") {
-          throw new ExpectedBailOut("non-root factory class components are not suppoted");
+        if (this.componentTreeConfig.firstRenderOnly) {
+          let instance = prepareClassInstanceForFirstRenderOnly(this.realm, value, props, context);
+          value = this._renderClassInstanceForFirstRenderOnly(componentType, instance, props);
         } else {
-          // TODO support factory components
-          return {
-            result: value,
-            childContext,
-          };
+          let renderValue = this._renderFactoryClassComponent(
+            componentType,
+            value,
+            props,
+            context,
+            branchStatus,
+            evaluatedNode
+          );
+          if (renderValue === undefined) {
+            // the root factory class component could not be folded, so its instance is returned as it is
+            return {
+              result: value,
+              childContext,
+            };
+          }
+          value = renderValue;
         }
       }
     }
@@ -823,6 +912,7 @@ export class Reconciler {
       componentType: undefined,
       contextTypes: new Set(),
       deadEnds: 0,
+      errorBoundary: false,
       status: "SIMPLE",
       contextNodeReferences: new Map(),
     };
@@ -869,34 +959,57 @@ export class Reconciler {
     branchStatus: BranchStatusEnum,
     branchState: BranchState | null,
     evaluatedNode: ReactEvaluatedNode
-  ) {
+  ): Value {
+    // if the path condition already decides the condition, there is nothing to branch on
+    if (!condValue.mightNotBeTrue()) {
+      return this._resolveDeeply(componentType, consequentVal, context, branchStatus, branchState, evaluatedNode);
+    }
+    if (!condValue.mightNotBeFalse()) {
+      return this._resolveDeeply(componentType, alternateVal, context, branchStatus, branchState, evaluatedNode);
+    }
     let newBranchState = new BranchState();
+    let didBranch = true;
+    const resolveBranch = (branchValue: Value, isConsequent: boolean): Effects => {
+      return this.realm.evaluateForEffects(
+        () => {
+          // in the alternate branch, the condition is falsy, so there is nothing to render from it
+          if (!isConsequent && branchValue === condValue) {
+            return branchValue;
+          }
+          this.conditionalBranchDepth++;
+          try {
+            return this._resolveDeeply(
+              componentType,
+              branchValue,
+              context,
+              "NEW_BRANCH",
+              newBranchState,
+              evaluatedNode
+            );
+          } finally {
+            this.conditionalBranchDepth--;
+          }
+        },
+        null,
+        `_resolveAbstractConditionalValue ${isConsequent ? "consequent" : "alternate"}`
+      );
+    };
+    const resolveFeasibleBranch = (branchValue: Value): Value => {
+      // the other branch can never be taken, so this one is resolved as if there was no branching
+      didBranch = false;
+      return this._resolveDeeply(componentType, branchValue, context, branchStatus, branchState, evaluatedNode);
+    };
+    // if a branch throws, the effects of both branches are joined into a possibly normal completion,
+    // if both branches throw, evaluateWithAbstractConditional throws the joined abrupt completions
     let value = AbstractValue.evaluateWithAbstractConditional(
       this.realm,
       condValue,
-      () => {
-        return this.realm.evaluateForEffects(
-          () => this._resolveDeeply(componentType, consequentVal, context, "NEW_BRANCH", newBranchState, evaluatedNode),
-          null,
-          "_resolveAbstractConditionalValue consequent"
-        );
-      },
-      () => {
-        invariant(false, "TODO");
-      },
-      () => {
-        return this.realm.evaluateForEffects(
-          () => this._resolveDeeply(componentType, alternateVal, context, "NEW_BRANCH", newBranchState, evaluatedNode),
-          null,
-          "_resolveAbstractConditionalValue consequent"
-        );
-      },
-      () => {
-        invariant(false, "TODO");
-      }
+      () => resolveBranch(consequentVal, true),
+      () => resolveFeasibleBranch(alternateVal),
+      () => resolveBranch(alternateVal, false),
+      () => resolveFeasibleBranch(consequentVal)
     );
-    let didBranch = newBranchState.applyBranchedLogic(this.realm, this.reactSerializerState);
-    if (didBranch && branchState !== null) {
+    if (didBranch && newBranchState.applyBranchedLogic(this.realm, this.reactSerializerState) && branchState !== null) {
       branchState.mergeBranchedLogic(newBranchState);
     }
     return value;
@@ -911,7 +1024,6 @@ export class Reconciler {
     evaluatedNode: ReactEvaluatedNode
   ): Value {
     invariant(this.realm.generator);
-    // TODO investigate what other kinds than "conditional" might be safe to deeply resolve
     if (value.kind === "conditional") {
       let [condValue, consequentVal, alternateVal] = value.args;
       invariant(condValue instanceof AbstractValue);
@@ -925,12 +1037,73 @@ export class Reconciler {
         branchState,
         evaluatedNode
       );
+    } else if ((value.kind === "&&" || value.kind === "||") && value.args[0] instanceof AbstractValue) {
+      let [leftValue, rightValue] = value.args;
+      invariant(leftValue instanceof AbstractValue);
+      // "a && b" is "a ? b : a" and "a || b" is "a ? a : b"
+      return this._resolveAbstractConditionalValue(
+        componentType,
+        leftValue,
+        value.kind === "&&" ? rightValue : leftValue,
+        value.kind === "&&" ? leftValue : rightValue,
+        context,
+        branchStatus,
+        branchState,
+        evaluatedNode
+      );
+    } else if (this.realm.react.abstractHints.has(value)) {
+      let reactHint = this.realm.react.abstractHints.get(value);
+
+      invariant(reactHint !== undefined);
+      if (reactHint.object === this.realm.fbLibraries.reactDom && reactHint.propertyName === "createPortal") {
+        return this._resolveReactDomPortal(
+          value,
+          reactHint,
+          componentType,
+          context,
+          branchStatus,
+          branchState,
+          evaluatedNode
+        );
+      }
+      this.componentTreeState.deadEnds++;
     } else {
       this.componentTreeState.deadEnds++;
     }
     return value;
   }
 
+  _resolveReactDomPortal(
+    reactPortal: AbstractValue,
+    reactHint: ReactHint,
+    componentType: Value,
+    context: ObjectValue | AbstractObjectValue,
+    branchStatus: BranchStatusEnum,
+    branchState: BranchState | null,
+    evaluatedNode: ReactEvaluatedNode
+  ): Value {
+    let [children, container] = reactHint.args;
+    let evaluatedChildNode = createReactEvaluatedNode("INLINED", "ReactDOM.createPortal");
+    evaluatedNode.children.push(evaluatedChildNode);
+    // the children of a portal get rendered where the portal is, only into another DOM node
+    let resolvedChildren = this._resolveDeeply(
+      componentType,
+      children,
+      context,
+      branchStatus,
+      branchState,
+      evaluatedChildNode
+    );
+    if (resolvedChildren === children) {
+      return reactPortal;
+    }
+    // the children were folded, so we create a new portal of the folded children
+    let reactDom = this.realm.fbLibraries.reactDom;
+    invariant(reactDom instanceof ObjectValue);
+    let createPortal = getProperty(this.realm, reactDom, "createPortal");
+    return Call(this.realm, createPortal, this.realm.intrinsics.undefined, [resolvedChildren, container]);
+  }
+
   _resolveBranchedComponentType(
     componentType: Value,
     reactElement: ObjectValue,
@@ -1032,6 +1205,32 @@ export class Reconciler {
     return reactElement;
   }
 
+  _resolveErrorBoundaryChild(
+    reactElement: ObjectValue,
+    evaluatedNode: ReactEvaluatedNode,
+    branchStatus: BranchStatusEnum,
+    branchState: BranchState | null
+  ) {
+    let typeValue = getProperty(this.realm, reactElement, "type");
+    let propsValue = getProperty(this.realm, reactElement, "props");
+
+    // an error boundary only catches the errors thrown when rendering its children, if we
+    // inlined its children into its render method, their errors would no longer be caught by
+    // the error boundary, so instead the children become the roots of their own trees
+    let evaluatedChildNode = createReactEvaluatedNode("NEW_TREE", getComponentName(this.realm, typeValue));
+    evaluatedNode.children.push(evaluatedChildNode);
+    if (typeValue instanceof ECMAScriptSourceFunctionValue || valueIsKnownReactAbstraction(this.realm, typeValue)) {
+      this._queueNewComponentTree(typeValue, evaluatedChildNode);
+    } else {
+      this.componentTreeState.deadEnds++;
+    }
+    this._findReactComponentTrees(propsValue, evaluatedNode, "NORMAL_FUNCTIONS");
+    if (branchStatus === "NEW_BRANCH" && branchState) {
+      return branchState.captureBranchedValue(typeValue, reactElement);
+    }
+    return reactElement;
+  }
+
   _resolveReactElementHostChildren(
     componentType: Value,
     reactElement: ObjectValue,
@@ -1142,6 +1341,15 @@ export class Reconciler {
     }
     let componentResolutionStrategy = this._getComponentResolutionStrategy(typeValue);
 
+    if (
+      this.componentTreeState.errorBoundary &&
+      componentResolutionStrategy !== "FRAGMENT" &&
+      componentResolutionStrategy !== "CONTEXT_PROVIDER" &&
+      !(typeValue instanceof AbstractValue && typeValue.kind === "conditional")
+    ) {
+      return this._resolveErrorBoundaryChild(reactElement, evaluatedNode, branchStatus, branchState);
+    }
+
     // we do not support "ref" on <Component /> ReactElements, unless it's a forwarded ref
     if (!(refValue instanceof NullValue) && componentResolutionStrategy !== "FORWARD_REF") {
       this._resolveReactElementBadRef(reactElement, evaluatedNode);
@@ -1265,16 +1473,11 @@ export class Reconciler {
         evaluatedRootNode
       );
     } else if (error instanceof Completion) {
-      let value = error.value;
-      invariant(value instanceof ObjectValue);
-      let message = getProperty(this.realm, value, "message");
-      let stack = getProperty(this.realm, value, "stack");
-      invariant(message instanceof StringValue);
-      invariant(stack instanceof StringValue);
       throw new ReconcilerFatalError(
-        `Failed to render React component "${evaluatedRootNode.name}" due to a JS error: ${message.value}\n${
-          stack.value
-        }`,
+        `Failed to render React component "${evaluatedRootNode.name}" due to ${getCompletionErrorMessage(
+          this.realm,
+          error
+        )}`,
         evaluatedRootNode
       );
     }
@@ -1310,15 +1513,16 @@ export class Reconciler {
         `Failed to render React component "${evaluatedNode.name}" due to ${error.message}`,
         evaluatedNode
       );
+    } else if (error instanceof AbruptCompletion && this.conditionalBranchDepth > 0) {
+      // the component throws in a conditional branch, so we let _resolveAbstractConditionalValue
+      // join this completion with the other branch
+      throw error;
     } else if (error instanceof Completion) {
-      let value = error.value;
-      invariant(value instanceof ObjectValue);
-      let message = getProperty(this.realm, value, "message");
-      let stack = getProperty(this.realm, value, "stack");
-      invariant(message instanceof StringValue);
-      invariant(stack instanceof StringValue);
       throw new ReconcilerFatalError(
-        `Failed to render React component "${evaluatedNode.name}" due to a JS error: ${message.value}\n${stack.value}`,
+        `Failed to render React component "${evaluatedNode.name}" due to ${getCompletionErrorMessage(
+          this.realm,
+          error
+        )}`,
         evaluatedNode
       );
     }
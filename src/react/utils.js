@@ -174,6 +174,20 @@ export function valueIsLegacyCreateClassComponent(realm: Realm, value: Value): b
   return false;
 }
 
+// error boundaries are class components that catch the errors thrown when rendering their children
+export function valueIsErrorBoundaryComponent(realm: Realm, value: Value): boolean {
+  if (!valueIsClassComponent(realm, value)) {
+    return false;
+  }
+  invariant(value instanceof FunctionValue);
+  if (To.ToBooleanPartial(realm, Get(realm, value, "getDerivedStateFromError"))) {
+    return true;
+  }
+  let prototype = Get(realm, value, "prototype");
+  invariant(prototype instanceof ObjectValue);
+  return To.ToBooleanPartial(realm, Get(realm, prototype, "componentDidCatch"));
+}
+
 export function valueIsFactoryClassComponent(realm: Realm, value: Value): boolean {
   if (value instanceof ObjectValue) {
     return To.ToBooleanPartial(realm, Get(realm, value, "render"));
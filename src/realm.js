@@ -16,6 +16,8 @@ import type {
   DebugServerType,
   ClassComponentMetadata,
   ReactHint,
+  PendingJob,
+  Timer,
 } from "./types.js";
 import { RealmStatistics } from "./statistics.js";
 import { CompilerDiagnostic, type ErrorHandlerResult, type ErrorHandler, FatalError } from "./errors.js";
@@ -43,7 +45,7 @@ import {
   DeclarativeEnvironmentRecord,
 } from "./environment.js";
 import type { Binding } from "./environment.js";
-import { cloneDescriptor, Construct } from "./methods/index.js";
+import { Call, cloneDescriptor, Construct } from "./methods/index.js";
 import {
   AbruptCompletion,
   Completion,
@@ -134,6 +136,14 @@ export class ExecutionContext {
   lexicalEnvironment: LexicalEnvironment;
   isReadOnly: boolean;
   isStrict: boolean;
+  // The Generator component of the execution context of a generator (ECMA262 8.3, table 24)
+  generatorObject: void | ObjectValue;
+  // Evaluates the code of a suspended context when it is resumed, returning the result of the resumed computation
+  codeEvaluationState: void | ((resumptionValue: Value | AbruptCompletion) => Value);
+  // Set by [[Call]] if calls in tail position can take the place of the call of the function (ECMA262 14.6),
+  // along with the generator at that time, as calls made while effects are captured must return to the function.
+  tailCallsEnabled: void | boolean;
+  tailCallsGenerator: void | Generator;
 
   setCaller(context: ExecutionContext): void {
     this.caller = context;
@@ -167,12 +177,14 @@ export class ExecutionContext {
   }
 
   suspend(): void {
-    // TODO #712: suspend
+    // Nothing to do: the state of the suspended computation lives on the host stack,
+    // or, for generator contexts, in codeEvaluationState.
   }
 
-  resume(): Value {
-    // TODO #712: resume
-    return this.realm.intrinsics.undefined;
+  resume(resumptionValue?: Value | AbruptCompletion): Value {
+    let codeEvaluationState = this.codeEvaluationState;
+    if (codeEvaluationState === undefined) return this.realm.intrinsics.undefined;
+    return codeEvaluationState(resumptionValue || this.realm.intrinsics.undefined);
   }
 }
 
@@ -197,11 +209,19 @@ export class Realm {
       this.mathRandomGenerator = seedrandom(opts.mathRandomSeed);
     }
     this.strictlyMonotonicDateNow = !!opts.strictlyMonotonicDateNow;
+    this.tailCalls = !!opts.tailCalls;
+    this.runTimers = !!opts.runTimers;
+    this.locale = opts.locale;
+    this.timeZone = opts.timeZone;
 
     // 0 = disabled
     this.abstractValueImpliesMax = opts.abstractValueImpliesMax || 0;
     this.abstractValueImpliesCounter = 0;
     this.inSimplificationPath = false;
+    this.refiningPathConditions = false;
+    // 0 = disabled
+    this.pathConditionsSolverBudget =
+      opts.pathConditionsSolverBudget === undefined ? 200 : opts.pathConditionsSolverBudget;
 
     this.timeout = opts.timeout;
     if (this.timeout) {
@@ -280,6 +300,16 @@ export class Realm {
   timeout: void | number;
   mathRandomGenerator: void | (() => number);
   strictlyMonotonicDateNow: boolean;
+  // Whether calls in tail position of strict mode functions reuse the stack of their caller (ECMA262 14.6).
+  tailCalls: boolean;
+  // The function that is being called in the place of a call in tail position, see PerformTailCalls.
+  tailCallee: void | Value;
+  // Whether the zero-delay timers that the global code registers fire at the end of prepacking.
+  runTimers: boolean;
+  // The default locale of the Intl services, if their results are to be computed at compile time.
+  locale: void | string;
+  // The default time zone of Intl.DateTimeFormat, UTC if there is a default locale.
+  timeZone: void | string;
   maxStackDepth: number;
   invariantLevel: number;
   invariantMode: InvariantModeTypes;
@@ -289,6 +319,8 @@ export class Realm {
   abstractValueImpliesMax: number;
   abstractValueImpliesCounter: number;
   inSimplificationPath: boolean;
+  refiningPathConditions: boolean;
+  pathConditionsSolverBudget: number;
 
   modifiedBindings: void | Bindings;
   modifiedProperties: void | PropertyBindings;
@@ -310,6 +342,12 @@ export class Realm {
   currentLocation: ?BabelNodeSourceLocation;
   nextContextLocation: ?BabelNodeSourceLocation;
   contextStack: Array<ExecutionContext> = [];
+  // The PromiseJobs queue. Jobs are run once the global code has been evaluated.
+  pendingJobs: Array<PendingJob> = [];
+  // The async functions that returned, or are awaiting, each of these promises.
+  asyncFunctionPromises: WeakMap<ObjectValue, ECMAScriptSourceFunctionValue> = new WeakMap();
+  // The timers that have neither fired nor been cleared, in registration order.
+  timers: Array<Timer> = [];
   $GlobalEnv: LexicalEnvironment;
   intrinsics: Intrinsics;
 
@@ -557,6 +595,46 @@ export class Realm {
     }
   }
 
+  // ECMA262 8.6 RunJobs, steps 7.a-7.i, for the jobs that are pending once the global code has been evaluated.
+  // Returns the abrupt completion of the first job that fails.
+  runPendingJobs(): void | AbruptCompletion {
+    while (this.pendingJobs.length > 0) {
+      // a. Suspend the running execution context and remove it from the execution context stack.
+      // b. Assert: The execution context stack is now empty.
+      // c. Let nextQueue be a non-empty Job Queue chosen in an implementation-defined manner.
+      // d. Let nextPending be the PendingJob record at the front of nextQueue. Remove that record from nextQueue.
+      let nextPending = this.pendingJobs.shift();
+
+      // e. Let newContext be a new execution context.
+      let newContext = new ExecutionContext();
+
+      // f. Set newContext's Function to null.
+      // g. Set newContext's Realm to nextPending.[[Realm]].
+      newContext.realm = this;
+      newContext.isStrict = this.isStrict;
+      newContext.lexicalEnvironment = this.$GlobalEnv;
+      newContext.variableEnvironment = this.$GlobalEnv;
+
+      // h. Push newContext onto the execution context stack; newContext is now the running execution context.
+      this.pushContext(newContext);
+
+      // i. Perform any implementation or host environment defined job initialization using nextPending.
+      // j. Let result be the result of performing the abstract operation named by nextPending.[[Job]] using the elements of nextPending.[[Arguments]] as its arguments.
+      let result;
+      try {
+        result = nextPending.job(this, ...nextPending.arguments);
+      } catch (e) {
+        if (e instanceof AbruptCompletion) result = e;
+        else throw e;
+      } finally {
+        this.popContext(newContext);
+      }
+
+      // k. If result is an abrupt completion, perform HostReportErrors(« result.[[Value]] »).
+      if (result instanceof AbruptCompletion) return result;
+    }
+  }
+
   assignToGlobal(name: BabelNodeLVal, value: Value) {
     this.wrapInGlobalEnv(() => this.$GlobalEnv.assignToGlobal(name, value));
   }
@@ -735,12 +813,46 @@ export class Realm {
     return [effects, nodeAst, nodeIO];
   }
 
+  // Fires the zero-delay timers that are pending once the global code and its promise jobs have been evaluated,
+  // running the promise jobs that each callback enqueues before the next timer fires.
+  // Timers fire in the order of their delays, and timers with the same delay in registration order.
+  // Timers that may have a zero delay but cannot fire at prepack time therefore stop the remaining ones from firing.
+  // Returns the abrupt completion of the first callback or job that fails.
+  runPendingTimers(): void | AbruptCompletion {
+    while (true) {
+      let timer = this.timers.find(t1 => t1.delay === undefined || t1.delay === 0);
+      if (timer === undefined || timer.repeat || timer.generator !== this.generator) return undefined;
+      this.timers.splice(this.timers.indexOf(timer), 1);
+      timer.state = "fired";
+
+      let context = new ExecutionContext();
+      context.realm = this;
+      context.isStrict = this.isStrict;
+      context.lexicalEnvironment = this.$GlobalEnv;
+      context.variableEnvironment = this.$GlobalEnv;
+      this.pushContext(context);
+      let result;
+      try {
+        result = Call(this, timer.callback, this.intrinsics.undefined, timer.arguments);
+      } catch (e) {
+        if (e instanceof AbruptCompletion) result = e;
+        else throw e;
+      } finally {
+        this.popContext(context);
+      }
+      if (result instanceof AbruptCompletion) return result;
+      let jobsResult = this.runPendingJobs();
+      if (jobsResult !== undefined) return jobsResult;
+    }
+  }
+
   evaluateForEffects(f: () => Completion | Value, state: any, generatorName: string): Effects {
     // Save old state and set up empty state for ast
     let [savedBindings, savedProperties] = this.getAndResetModifiedMaps();
     let saved_generator = this.generator;
     let saved_createdObjects = this.createdObjects;
     let saved_completion = this.savedCompletion;
+    let savedPendingJobsCount = this.pendingJobs.length;
     this.generator = new Generator(this, generatorName);
     this.createdObjects = new Set();
     this.savedCompletion = undefined; // while in this call, we only explore the normal path.
@@ -758,6 +870,9 @@ export class Realm {
           if (e instanceof AbruptCompletion) c = e;
           else throw e;
         }
+        // Effects do not track the job queue, so jobs enqueued here would run even if the effects are never applied.
+        if (this.pendingJobs.length > savedPendingJobsCount)
+          this.reportSpeculativeJob(this.pendingJobs.slice(savedPendingJobsCount));
         // This is a join point for the normal branch of a PossiblyNormalCompletion.
         if (c instanceof Value || c instanceof AbruptCompletion) c = Functions.incorporateSavedCompletion(this, c);
         invariant(c !== undefined);
@@ -807,12 +922,55 @@ export class Realm {
         this.modifiedProperties = savedProperties;
         this.createdObjects = saved_createdObjects;
         this.savedCompletion = saved_completion;
+        this.pendingJobs.length = savedPendingJobsCount;
       }
     } finally {
       for (let t2 of this.tracers) t2.endEvaluateForEffects(state, result);
     }
   }
 
+  // Like evaluateForEffects, but the promise jobs that f enqueues are returned instead of being rejected.
+  // The caller must enqueue them again if and when it applies the effects.
+  evaluateForEffectsAndJobs(
+    f: () => Completion | Value,
+    state: any,
+    generatorName: string
+  ): [Effects, Array<PendingJob>] {
+    let jobs = [];
+    let effects = this.evaluateForEffects(
+      () => {
+        let pendingJobsCount = this.pendingJobs.length;
+        try {
+          return f();
+        } finally {
+          jobs = this.pendingJobs.splice(pendingJobsCount);
+        }
+      },
+      state,
+      generatorName
+    );
+    // The jobs must only run if the normal path is taken, which cannot be expressed with an unconditional queue.
+    if (jobs.length > 0 && effects.result instanceof PossiblyNormalCompletion) this.reportSpeculativeJob(jobs);
+    return [effects, jobs];
+  }
+
+  reportSpeculativeJob(jobs: Array<PendingJob>) {
+    if (!this.suppressDiagnostics) {
+      let message = "promise jobs cannot be scheduled by code that is evaluated speculatively";
+      // Name the async function if the jobs settle its promise, react to it, or resume it after an await.
+      for (let { promise } of jobs) {
+        let asyncFunction = promise && this.asyncFunctionPromises.get(promise);
+        if (asyncFunction !== undefined) {
+          message = `async function ${asyncFunction.getName()} cannot schedule promise jobs in code that is evaluated speculatively`;
+          break;
+        }
+      }
+      let error = new CompilerDiagnostic(message, this.currentLocation, "PP0037", "FatalError");
+      this.handleError(error);
+    }
+    throw new FatalError();
+  }
+
   evaluateWithUndo(f: () => Value, defaultValue: Value = this.intrinsics.undefined): Value {
     if (!this.useAbstractInterpretation) return f();
     let oldErrorHandler = this.errorHandler;
@@ -25,6 +25,7 @@ import { Generator } from "../utils/generator.js";
 import invariant from "../invariant.js";
 import { BodyReference } from "./types.js";
 import { ResidualFunctions } from "./ResidualFunctions.js";
+import { getGeneratorStartCall } from "./utils.js";
 
 // Type used to configure callbacks from the dependenciesVisitor of the Emitter.
 type EmitterDependenciesVisitorCallbacks<T> = {
@@ -358,6 +359,20 @@ export class Emitter {
           result = recurse(val.$DateValue);
           if (result !== undefined) return result;
           break;
+        case "Generator": {
+          let startCall = getGeneratorStartCall(val);
+          if (startCall !== undefined) {
+            result = recurse([startCall.func, startCall.thisValue].concat(startCall.args));
+            if (result !== undefined) return result;
+          }
+          break;
+        }
+        case "Promise":
+          if (val.$PromiseResult !== undefined) {
+            result = recurse(val.$PromiseResult);
+            if (result !== undefined) return result;
+          }
+          break;
         default:
           break;
       }
@@ -38,6 +38,7 @@ import type { Scope } from "./ResidualHeapVisitor.js";
 import { ResidualHeapValueIdentifiers } from "./ResidualHeapValueIdentifiers.js";
 import { ResidualHeapSerializer } from "./ResidualHeapSerializer.js";
 import { getOrDefault } from "./utils.js";
+import { IsArrayIndex } from "../methods/index.js";
 import type { DeclarativeEnvironmentRecord } from "../environment.js";
 import type { Referentializer } from "./Referentializer.js";
 import { Generator } from "../utils/generator.js";
@@ -52,8 +53,8 @@ const LAZY_OBJECTS_SERIALIZER_BODY_TYPE = "LazyObjectInitializer";
  * 2. Lazy objects' property assignments are delayed in a callback function which is registered with the runtime.
  *    lazy objects runtime will execute this callback to hydrate the lazy objects.
  *
- * Currently only the raw objects are taking part in the lazy objects feature.
- * TODO: support for other objects, like array, regex etc...
+ * Raw objects, arrays, Maps, Sets, RegExps, ArrayBuffers, typed arrays and DataViews are taking part in the
+ * lazy objects feature. Functions are not, as their closures have to be serialized along with them.
  */
 export class LazyObjectsSerializer extends ResidualHeapSerializer {
   constructor(
@@ -124,7 +125,8 @@ export class LazyObjectsSerializer extends ResidualHeapSerializer {
   // TODO: change to use _getTarget() to get the lazy objects initializer body.
   _serializeLazyObjectInitializer(
     obj: ObjectValue,
-    emitIntegrityCommand: void | (SerializedBody => void)
+    emitIntegrityCommand: void | (SerializedBody => void),
+    emitContents: () => void = () => this._emitObjectProperties(obj)
   ): SerializedBody {
     const initializerBody = {
       type: LAZY_OBJECTS_SERIALIZER_BODY_TYPE,
@@ -132,8 +134,11 @@ export class LazyObjectsSerializer extends ResidualHeapSerializer {
       entries: [],
       done: false,
     };
+    // Register the body before emitting into it, so that contents emitted right away refer to the lazy object
+    // via the callback parameter rather than via the lazy object itself, which would hydrate it again.
+    this._lazyObjectInitializers.set(obj, initializerBody);
     let oldBody = this.emitter.beginEmitting(LAZY_OBJECTS_SERIALIZER_BODY_TYPE, initializerBody);
-    this._emitObjectProperties(obj);
+    emitContents();
     if (emitIntegrityCommand !== undefined) emitIntegrityCommand(this.emitter.getBody());
     this.emitter.endEmitting(LAZY_OBJECTS_SERIALIZER_BODY_TYPE, oldBody);
     return initializerBody;
@@ -179,14 +184,98 @@ export class LazyObjectsSerializer extends ResidualHeapSerializer {
     );
   }
 
-  _serializeCreateLazyObject(obj: ObjectValue): BabelNodeExpression {
+  /**
+   * The contract with the lazy objects runtime is:
+   * - createLazyObject(id) returns a lazy raw object.
+   * - createLazyObject(id, C, ...args) returns a lazy object created as "new C(...args)" would be, where C is
+   *   Array, Map, WeakMap, Set, WeakSet, RegExp, ArrayBuffer, DataView or one of the typed array constructors.
+   *   The arguments are only the ones that cannot be changed after creation: the source and flags of a RegExp,
+   *   the byte length of an ArrayBuffer and, for a typed array or DataView, the (possibly lazy) ArrayBuffer it views,
+   *   followed by the byte offset and the length (the byte length for a DataView) of the view.
+   * - setLazyObjectInitializer(callback) registers the callback that hydrates lazy objects. The runtime calls
+   *   callback(obj, id) once, before the lazy object "obj" with the given id is first accessed, including
+   *   through the methods of its constructor, such as Map.prototype.get.
+   */
+  _serializeCreateLazyObject(obj: ObjectValue, constructorArgs: Array<BabelNodeExpression> = []): BabelNodeExpression {
     const lazyId = this._getValueLazyId(obj);
     return t.callExpression(
       t.memberExpression(this._lazyObjectJSRuntimeName, t.identifier("createLazyObject"), /*computed*/ false),
-      [t.numericLiteral(lazyId)]
+      [t.numericLiteral(lazyId), ...constructorArgs]
     );
   }
 
+  _serializeLazyValue(
+    obj: ObjectValue,
+    constructorArgs: Array<BabelNodeExpression>,
+    emitIntegrityCommand: void | (SerializedBody => void),
+    emitContents?: () => void
+  ): BabelNodeExpression {
+    this._serializeLazyObjectInitializer(obj, emitIntegrityCommand, emitContents);
+    return this._serializeCreateLazyObject(obj, constructorArgs);
+  }
+
+  // Emits a call of the given method on the lazy object for each of the given entries, i.e. "obj.set(key, value)".
+  _emitLazyCollectionEntries(obj: ObjectValue, methodName: string, entries: Array<Array<Value>>): void {
+    for (let entry of entries) {
+      this.emitter.emitNowOrAfterWaitingForDependencies(
+        entry.concat(obj),
+        () => {
+          this.emitter.emit(
+            t.expressionStatement(
+              t.callExpression(t.memberExpression(this.getSerializeObjectIdentifier(obj), t.identifier(methodName)), [
+                ...entry.map(value => this.serializeValue(value)),
+              ])
+            )
+          );
+        },
+        this.emitter.getBody()
+      );
+    }
+  }
+
+  _getLazyMapEntries(obj: ObjectValue): Array<Array<Value>> {
+    let kind = obj.getKind();
+    let entries = kind === "Map" ? obj.$MapData : obj.$WeakMapData;
+    invariant(entries !== undefined);
+    let result = [];
+    for (let { $Key: key, $Value: value } of entries) {
+      if (key === undefined || value === undefined) continue;
+      // entries of a WeakMap whose keys are not part of the residual heap can never be looked up
+      if (kind === "WeakMap" && !this.residualValues.has(key)) continue;
+      result.push([key, value]);
+    }
+    return result;
+  }
+
+  _getLazySetEntries(obj: ObjectValue): Array<Array<Value>> {
+    let kind = obj.getKind();
+    let entries = kind === "Set" ? obj.$SetData : obj.$WeakSetData;
+    invariant(entries !== undefined);
+    let result = [];
+    for (let entry of entries) {
+      if (entry === undefined) continue;
+      // entries of a WeakSet that are not part of the residual heap can never be looked up
+      if (kind === "WeakSet" && !this.residualValues.has(entry)) continue;
+      result.push([entry]);
+    }
+    return result;
+  }
+
+  _emitLazyArrayBufferContents(obj: ObjectValue): void {
+    let data = obj.$ArrayBufferData;
+    invariant(data);
+    // a new ArrayBuffer is filled with zeros, so there is only something to do if there is a non-zero byte
+    if (data.some(byte => byte !== 0)) {
+      let bytes = t.arrayExpression(Array.from(data, byte => t.numericLiteral(byte)));
+      let view = t.newExpression(this.preludeGenerator.memoizeReference("Uint8Array"), [
+        this.getSerializeObjectIdentifier(obj),
+      ]);
+      this.emitter.emit(
+        t.expressionStatement(t.callExpression(t.memberExpression(view, t.identifier("set")), [bytes]))
+      );
+    }
+  }
+
   /**
    * Check if the object currently being emitted is lazy object(inside _lazyObjectInitializers map) and
    * that its emitting body is the offspring of this lazy object's initializer body.
@@ -216,10 +305,101 @@ export class LazyObjectsSerializer extends ResidualHeapSerializer {
     emitIntegrityCommand: void | (SerializedBody => void)
   ): BabelNodeExpression {
     if (obj.temporalAlias !== undefined) return super.serializeValueRawObject(obj, skipPrototype, emitIntegrityCommand);
-    this._lazyObjectInitializers.set(obj, this._serializeLazyObjectInitializer(obj, emitIntegrityCommand));
+    this._serializeLazyObjectInitializer(obj, emitIntegrityCommand);
     return this._serializeCreateLazyObject(obj);
   }
 
+  // Override default serializer with lazy mode.
+  serializeValueArray(obj: ObjectValue, emitIntegrityCommand: void | (SerializedBody => void)): BabelNodeExpression {
+    if (obj.temporalAlias !== undefined) return super.serializeValueArray(obj, emitIntegrityCommand);
+    return this._serializeLazyValue(
+      obj,
+      [this.preludeGenerator.memoizeReference("Array")],
+      emitIntegrityCommand,
+      () => {
+        let remainingProperties = new Map(obj.properties);
+        // assigning the index properties in order gives the array the length of the last assigned index property
+        let lastIndexPropertyLength = 0;
+        for (let [key, propertyBinding] of obj.properties) {
+          if (IsArrayIndex(this.realm, key) && propertyBinding.descriptor !== undefined) {
+            lastIndexPropertyLength = Math.max(lastIndexPropertyLength, Number(key) + 1);
+          }
+        }
+        this._serializeArrayLengthIfNeeded(obj, lastIndexPropertyLength, remainingProperties);
+        this._emitObjectProperties(obj, remainingProperties);
+      }
+    );
+  }
+
+  // Override default serializer with lazy mode.
+  serializeValueObject(
+    obj: ObjectValue,
+    emitIntegrityCommand: void | (SerializedBody => void)
+  ): BabelNodeExpression | void {
+    if (obj.temporalAlias !== undefined) return super.serializeValueObject(obj, emitIntegrityCommand);
+    let kind = obj.getKind();
+    let constructorReference = () => this.preludeGenerator.memoizeReference(kind);
+    switch (kind) {
+      case "RegExp":
+        let source = obj.$OriginalSource;
+        let flags = obj.$OriginalFlags;
+        invariant(typeof source === "string");
+        invariant(typeof flags === "string");
+        return this._serializeLazyValue(
+          obj,
+          [constructorReference(), t.stringLiteral(source), t.stringLiteral(flags)],
+          emitIntegrityCommand
+        );
+      case "Map":
+      case "WeakMap":
+        return this._serializeLazyValue(obj, [constructorReference()], emitIntegrityCommand, () => {
+          this._emitLazyCollectionEntries(obj, "set", this._getLazyMapEntries(obj));
+          this._emitObjectProperties(obj);
+        });
+      case "Set":
+      case "WeakSet":
+        return this._serializeLazyValue(obj, [constructorReference()], emitIntegrityCommand, () => {
+          this._emitLazyCollectionEntries(obj, "add", this._getLazySetEntries(obj));
+          this._emitObjectProperties(obj);
+        });
+      case "ArrayBuffer":
+        let byteLength = obj.$ArrayBufferByteLength;
+        invariant(byteLength !== undefined);
+        return this._serializeLazyValue(
+          obj,
+          [constructorReference(), t.numericLiteral(byteLength)],
+          emitIntegrityCommand,
+          () => {
+            this._emitLazyArrayBufferContents(obj);
+            this._emitObjectProperties(obj);
+          }
+        );
+      case "Float32Array":
+      case "Float64Array":
+      case "Int8Array":
+      case "Int16Array":
+      case "Int32Array":
+      case "Uint8Array":
+      case "Uint16Array":
+      case "Uint32Array":
+      case "Uint8ClampedArray":
+      case "DataView":
+        let buffer = obj.$ViewedArrayBuffer;
+        let byteOffset = obj.$ByteOffset;
+        let length = kind === "DataView" ? obj.$ByteLength : obj.$ArrayLength;
+        invariant(buffer !== undefined && byteOffset !== undefined && length !== undefined);
+        // the viewed buffer has to exist before the view can be created
+        let serializedBuffer = this.serializeValue(buffer, true);
+        return this._serializeLazyValue(
+          obj,
+          [constructorReference(), serializedBuffer, t.numericLiteral(byteOffset), t.numericLiteral(length)],
+          emitIntegrityCommand
+        );
+      default:
+        return super.serializeValueObject(obj, emitIntegrityCommand);
+    }
+  }
+
   // Override.
   // Serialize the initialization callback and its registration in prelude if there are object being lazied.
   postGeneratorSerialization(): void {
@@ -9,7 +9,6 @@
 
 /* @flow */
 
-import { FatalError } from "../errors.js";
 import { Realm } from "../realm.js";
 import { FunctionValue, ECMAScriptSourceFunctionValue, ObjectValue } from "../values/index.js";
 import type { SerializerOptions } from "../options.js";
@@ -147,7 +146,9 @@ export class ResidualFunctions {
     let functionInfo = this.residualFunctionInfos.get(funcBody);
     invariant(functionInfo);
     let { usesArguments } = functionInfo;
-    return !shouldInlineFunction() && instances.length > 1 && !usesArguments;
+    // Generator objects get their prototype from the function that is called, so generator functions cannot be shared.
+    let isGenerator = instances[0].functionValue.$FunctionKind === "generator";
+    return !shouldInlineFunction() && instances.length > 1 && !usesArguments && !isGenerator;
   }
 
   _getIdentifierReplacements(
@@ -253,10 +254,15 @@ export class ResidualFunctions {
     });
   }
 
-  _createFunctionExpression(params: Array<BabelNodeLVal>, body: BabelNodeBlockStatement) {
+  _createFunctionExpression(
+    params: Array<BabelNodeLVal>,
+    body: BabelNodeBlockStatement,
+    functionValue?: ECMAScriptSourceFunctionValue
+  ) {
     // Additional statements might be inserted at the beginning of the body, so we clone it.
     body = ((Object.assign({}, body): any): BabelNodeBlockStatement);
-    return t.functionExpression(null, params, body);
+    let kind = functionValue === undefined ? "normal" : functionValue.$FunctionKind;
+    return t.functionExpression(null, params, body, kind === "generator", kind === "async");
   }
 
   spliceFunctions(
@@ -462,18 +468,21 @@ export class ResidualFunctions {
             let hasEmptyConstructor = !!functionValue.$HasEmptyConstructor;
             if (!isConstructor || (isConstructor && !hasEmptyConstructor)) {
               let methodParams = params.slice();
+              let classMethodNode = t.classMethod(
+                methodType,
+                classMethodKeyNode,
+                methodParams,
+                funcBody,
+                classMethodComputed,
+                classMethodIsStatic
+              );
+              classMethodNode.generator = functionValue.$FunctionKind === "generator";
+              classMethodNode.async = functionValue.$FunctionKind === "async";
               let classMethod = new ResidualFunctionInstantiator(
                 factoryFunctionInfos,
                 this._getIdentifierReplacements(funcBody, residualFunctionBindings),
                 this._getCallReplacements(funcBody),
-                t.classMethod(
-                  methodType,
-                  classMethodKeyNode,
-                  methodParams,
-                  funcBody,
-                  classMethodComputed,
-                  classMethodIsStatic
-                )
+                classMethodNode
               ).instantiate();
 
               // add the class method to the class expression node body
@@ -496,7 +505,7 @@ export class ResidualFunctions {
               factoryFunctionInfos,
               this._getIdentifierReplacements(funcBody, residualFunctionBindings),
               this._getCallReplacements(funcBody),
-              this._createFunctionExpression(params, funcBody)
+              this._createFunctionExpression(params, funcBody, functionValue)
             ).instantiate();
 
             let scopeInitialization = [];
@@ -589,7 +598,7 @@ export class ResidualFunctions {
           factoryFunctionInfos,
           this._getIdentifierReplacements(funcBody, sameResidualBindings),
           this._getCallReplacements(funcBody),
-          this._createFunctionExpression(factoryParams, funcBody)
+          this._createFunctionExpression(factoryParams, funcBody, normalInstances[0].functionValue)
         ).instantiate();
 
         if (scopeInitialization.length > 0) factoryNode.body.body = scopeInitialization.concat(factoryNode.body.body);
@@ -635,18 +644,27 @@ export class ResidualFunctions {
           ) {
             let callArgs: Array<BabelNodeExpression | BabelNodeSpreadElement> = [t.thisExpression()];
             for (let flatArg of flatArgs) callArgs.push(flatArg);
-            for (let param of params) {
-              if (param.type !== "Identifier") {
-                throw new FatalError("TODO: do not know how to deal with non-Identifier parameters");
-              }
-              callArgs.push(((param: any): BabelNodeIdentifier));
+            let stubParams = params;
+            if (params.every(param => param.type === "Identifier")) {
+              for (let param of params) callArgs.push(((param: any): BabelNodeIdentifier));
+            } else {
+              // Patterns, defaults and rest parameters must only be evaluated once, by the factory function,
+              // so the stub forwards its arguments as they are while keeping the length of the original function.
+              let length = params.findIndex(
+                param => param.type === "AssignmentPattern" || param.type === "RestElement"
+              );
+              if (length < 0) length = params.length;
+              stubParams = params
+                .slice(0, length)
+                .map(param => t.identifier(this.factoryNameGenerator.generate("param")));
+              callArgs.push(t.spreadElement(t.identifier("arguments")));
             }
 
             let callee = t.memberExpression(factoryId, t.identifier("call"));
 
             let childBody = t.blockStatement([t.returnStatement(t.callExpression(callee, callArgs))]);
 
-            funcNode = t.functionExpression(null, params, childBody);
+            funcNode = t.functionExpression(null, stubParams, childBody);
             if (functionValue.$Strict) {
               strictFunctionBodies.push(funcNode);
             } else {
@@ -166,7 +166,7 @@ export class ResidualHeapInspector {
         return true;
       }
 
-      // Properties `caller` and `arguments` are added to normal functions in non-strict mode to prevent TypeErrors.
+      // Properties `caller` and `arguments` are added to non-class functions in non-strict mode to prevent TypeErrors.
       // Because they are autogenerated, they should be ignored.
       if (key === "arguments" || key === "caller") {
         invariant(val instanceof ECMAScriptSourceFunctionValue);
@@ -176,7 +176,7 @@ export class ResidualHeapInspector {
           !desc.enumerable &&
           desc.configurable === targetDescriptor.configurable &&
           desc.value instanceof UndefinedValue &&
-          val.$FunctionKind === "normal"
+          val.$FunctionKind !== "classConstructor"
         )
           return true;
       }
@@ -12,6 +12,7 @@
 import { Realm } from "../realm.js";
 import type { Descriptor, PropertyBinding } from "../types.js";
 import { IsArray, Get } from "../methods/index.js";
+import { GetIntlServiceArguments } from "../methods/intl.js";
 import {
   AbstractValue,
   BooleanValue,
@@ -73,7 +74,9 @@ import {
   withDescriptorValue,
   ClassPropertiesToIgnore,
   canIgnoreClassLengthProperty,
+  getGeneratorStartCall,
   getObjectPrototypeMetadata,
+  hasDefaultPrototype,
 } from "./utils.js";
 import { CompilerDiagnostic, FatalError } from "../errors.js";
 import { canHoistFunction } from "../react/hoisting.js";
@@ -353,7 +356,6 @@ export class ResidualHeapSerializer {
   }
 
   _emitObjectPrototype(obj: ObjectValue, objectPrototypeAlreadyEstablished: boolean) {
-    let kind = obj.getKind();
     let proto = obj.$Prototype;
     if (objectPrototypeAlreadyEstablished) {
       if (this.realm.invariantLevel >= 3) {
@@ -376,7 +378,7 @@ export class ResidualHeapSerializer {
       }
       return;
     }
-    if (proto === this.realm.intrinsics[kind + "Prototype"]) return;
+    if (hasDefaultPrototype(this.realm, obj)) return;
 
     let semaphore = this._acquireOneObjectSemaphore(obj);
     this.emitter.emitNowOrAfterWaitingForDependencies(
@@ -947,6 +949,13 @@ export class ResidualHeapSerializer {
     if (val instanceof ECMAScriptSourceFunctionValue && this.residualClassMethodInstances.has(val)) {
       let classMethodInstance = this.residualClassMethodInstances.get(val);
       invariant(classMethodInstance);
+      // generator methods get their own identifier when their class is serialized,
+      // as generator objects and the method's prototype object refer to them
+      if (classMethodInstance.methodType === "method" && val.$FunctionKind === "generator") {
+        if (!this._serializedValueWithIdentifiers.has(val)) this.serializeValue(this._getClassOfMethod(val));
+        invariant(this._serializedValueWithIdentifiers.has(val));
+        return this.getSerializeObjectIdentifier(val);
+      }
       // anything other than a class constructor should never go through serializeValue()
       // so we need to log a nice error message to the user
       if (classMethodInstance.methodType !== "constructor") {
@@ -1157,7 +1166,8 @@ export class ResidualHeapSerializer {
     }
   }
 
-  _serializeValueArray(val: ObjectValue): BabelNodeExpression {
+  // Overridable.
+  serializeValueArray(val: ObjectValue, emitIntegrityCommand: void | (SerializedBody => void)): BabelNodeExpression {
     let remainingProperties = new Map(val.properties);
 
     const indexPropertyLength = getSuggestedArrayLiteralLength(this.realm, val);
@@ -1291,10 +1301,16 @@ export class ResidualHeapSerializer {
 
   _serializeValueTypedArrayOrDataView(val: ObjectValue): BabelNodeExpression {
     let buf = val.$ViewedArrayBuffer;
-    invariant(buf !== undefined);
+    let byteOffset = val.$ByteOffset;
+    let length = val.getKind() === "DataView" ? val.$ByteLength : val.$ArrayLength;
+    invariant(buf !== undefined && byteOffset !== undefined && length !== undefined);
     let outlinedArrayBuffer = this.serializeValue(buf, true);
     this._emitObjectProperties(val);
-    return t.newExpression(this.preludeGenerator.memoizeReference(val.getKind()), [outlinedArrayBuffer]);
+    return t.newExpression(this.preludeGenerator.memoizeReference(val.getKind()), [
+      outlinedArrayBuffer,
+      t.numericLiteral(byteOffset),
+      t.numericLiteral(length),
+    ]);
   }
 
   _serializeValueArrayBuffer(val: ObjectValue): BabelNodeExpression {
@@ -1406,6 +1422,7 @@ export class ResidualHeapSerializer {
     let classProtoId;
     let hasSerializedClassProtoId = false;
     let propertiesToSerialize = new Map();
+    let staticMethodsToSerialize = new Map();
 
     // handle class inheritance
     if (!(classFunc.$Prototype instanceof NativeFunctionValue)) {
@@ -1474,7 +1491,8 @@ export class ResidualHeapSerializer {
       if (propertyNameOrSymbol === "prototype") {
         this.serializedValues.add(propertyValue);
       } else if (propertyValue instanceof ECMAScriptSourceFunctionValue && propertyValue.$HomeObject === classFunc) {
-        serializeClassMethodOrProperty(propertyNameOrSymbol, propertyValue);
+        // static generator methods are read back from the class, so they wait until it is declared
+        staticMethodsToSerialize.set(propertyNameOrSymbol, propertyValue);
       } else {
         let prop = classFunc.properties.get(propertyNameOrSymbol);
         invariant(prop);
@@ -1497,6 +1515,11 @@ export class ResidualHeapSerializer {
     bindingsEmittedSemaphore.releaseOne();
     this._emitObjectProperties(classFunc, propertiesToSerialize, undefined, undefined, true);
 
+    // handle static methods
+    for (let [propertyNameOrSymbol, method] of staticMethodsToSerialize) {
+      serializeClassMethodOrProperty(propertyNameOrSymbol, method);
+    }
+
     // handle non-symbol properties
     for (let [propertyName, method] of classPrototype.properties) {
       withDescriptorValue(propertyName, method.descriptor, serializeClassMethodOrProperty);
@@ -1522,9 +1545,38 @@ export class ResidualHeapSerializer {
     } else {
       invariant(false, "Unknown method key type");
     }
+    if (methodFunc.$FunctionKind === "generator") {
+      // The method itself has no declaration, so give it one that reads it back from the class.
+      // This must precede the emission of the method's properties, its prototype in particular.
+      let classId = this.getSerializeObjectIdentifier(this._getClassOfMethod(methodFunc));
+      let homeObjectId = classMethodInstance.classMethodIsStatic
+        ? classId
+        : t.memberExpression(classId, t.identifier("prototype"));
+      let keyNode = classMethodInstance.classMethodKeyNode;
+      invariant(keyNode !== undefined);
+      this.emitter.emit(
+        t.variableDeclaration("var", [
+          t.variableDeclarator(
+            this.getSerializeObjectIdentifier(methodFunc),
+            t.memberExpression(homeObjectId, keyNode, typeof key !== "string")
+          ),
+        ])
+      );
+      this._serializedValueWithIdentifiers.add(methodFunc);
+    }
     this._serializeValueFunction(methodFunc);
   }
 
+  _getClassOfMethod(methodFunc: ECMAScriptSourceFunctionValue): ECMAScriptSourceFunctionValue {
+    let classMethodInstance = this.residualClassMethodInstances.get(methodFunc);
+    invariant(classMethodInstance !== undefined);
+    let classFunc = classMethodInstance.classMethodIsStatic
+      ? methodFunc.$HomeObject
+      : ResidualHeapInspector.getPropertyValue(classMethodInstance.classPrototype, "constructor");
+    invariant(classFunc instanceof ECMAScriptSourceFunctionValue);
+    return classFunc;
+  }
+
   // Checks whether a property can be defined via simple assignment, or using object literal syntax.
   _canEmbedProperty(obj: ObjectValue, key: string | SymbolValue | AbstractValue, prop: Descriptor): boolean {
     if (prop.joinCondition !== undefined) return false;
@@ -1563,6 +1615,17 @@ export class ResidualHeapSerializer {
     return t.regExpLiteral(source, flags);
   }
 
+  _serializeValueIntlService(val: ObjectValue): BabelNodeExpression {
+    let data = val.$IntlService;
+    invariant(data !== undefined);
+    let [locales, options] = GetIntlServiceArguments(this.realm, data);
+    this._emitObjectProperties(val);
+    return t.newExpression(this.preludeGenerator.memoizeReference(`Intl.${data.kind}`), [
+      t.valueToNode(locales),
+      t.valueToNode(options),
+    ]);
+  }
+
   // Overridable.
   serializeValueRawObject(
     val: ObjectValue,
@@ -1616,6 +1679,65 @@ export class ResidualHeapSerializer {
     return t.objectExpression(props);
   }
 
+  _serializeValueGenerator(val: ObjectValue): BabelNodeExpression {
+    let startCall = getGeneratorStartCall(val);
+    if (startCall !== undefined) {
+      // Call the generator function again, its body has not started running yet.
+      let { func, thisValue, args } = startCall;
+      let serializedFunc = this.serializeValue(func);
+      let serializedArgs = [thisValue].concat(args).map(arg => this.serializeValue(arg));
+      let funcPrototype = ResidualHeapInspector.getPropertyValue(func, "prototype");
+      this._emitObjectProperties(
+        val,
+        val.properties,
+        /*objectPrototypeAlreadyEstablished*/ val.$Prototype === funcPrototype
+      );
+      return t.callExpression(t.memberExpression(serializedFunc, t.identifier("call")), serializedArgs);
+    }
+
+    // A generator that ran to completion behaves like any other completed generator.
+    invariant(val.$GeneratorState === "completed", "invariant established by visitor");
+    let semaphore = this._acquireOneObjectSemaphore(val);
+    this.emitter.emitNowOrAfterWaitingForDependencies(
+      [val],
+      () => {
+        let uid = this.getSerializeObjectIdentifier(val);
+        this.emitter.emit(t.expressionStatement(t.callExpression(t.memberExpression(uid, t.identifier("return")), [])));
+        if (semaphore !== undefined) semaphore.releaseOne();
+      },
+      this.emitter.getBody()
+    );
+    this._emitObjectProperties(val);
+    return t.callExpression(t.functionExpression(null, [], t.blockStatement([]), true), []);
+  }
+
+  _serializeValuePromise(val: ObjectValue): BabelNodeExpression {
+    let state = val.$PromiseState;
+    let result = val.$PromiseResult;
+    invariant(state !== "pending" && result !== undefined, "invariant established by visitor");
+    let serializedResult = this.serializeValue(result);
+    if (state === "rejected" && val.$PromiseIsHandled) {
+      // The rejection was already handled when the original program ran, so the residual program must not report it.
+      let semaphore = this._acquireOneObjectSemaphore(val);
+      this.emitter.emitNowOrAfterWaitingForDependencies(
+        [val],
+        () => {
+          let uid = this.getSerializeObjectIdentifier(val);
+          let ignore = t.functionExpression(null, [], t.blockStatement([]));
+          this.emitter.emit(
+            t.expressionStatement(t.callExpression(t.memberExpression(uid, t.identifier("catch")), [ignore]))
+          );
+          if (semaphore !== undefined) semaphore.releaseOne();
+        },
+        this.emitter.getBody()
+      );
+    }
+    this._emitObjectProperties(val);
+    let method = t.identifier(state === "fulfilled" ? "resolve" : "reject");
+    let promiseConstructor = this.preludeGenerator.memoizeReference("Promise");
+    return t.callExpression(t.memberExpression(promiseConstructor, method), [serializedResult]);
+  }
+
   _serializeValueObjectViaConstructor(val: ObjectValue, skipPrototype: boolean, classConstructor?: Value) {
     let proto = val.$Prototype;
     this._emitObjectProperties(
@@ -1735,6 +1857,14 @@ export class ResidualHeapSerializer {
       case "Set":
       case "WeakSet":
         return this._serializeValueSet(val);
+      case "Generator":
+        return this._serializeValueGenerator(val);
+      case "Promise":
+        return this._serializeValuePromise(val);
+      case "Collator":
+      case "DateTimeFormat":
+      case "NumberFormat":
+        return this._serializeValueIntlService(val);
       default:
         invariant(kind === "Object", "invariant established by visitor");
 
@@ -1900,7 +2030,7 @@ export class ResidualHeapSerializer {
     }
     let res;
     if (IsArray(this.realm, obj)) {
-      res = this._serializeValueArray(obj);
+      res = this.serializeValueArray(obj, emitIntegrityCommand);
     } else if (obj instanceof FunctionValue) {
       res = this._serializeValueFunction(obj);
     } else {
@@ -1917,9 +2047,10 @@ export class ResidualHeapSerializer {
       if (boundName === "undefined") {
         binding.serializedValue = voidExpression;
       } else if (binding.value !== undefined) {
-        binding.serializedValue = t.identifier(boundName);
+        binding.serializedValue = t.identifier(binding.name);
         invariant(binding.value !== undefined);
-        this.declaredGlobalLets.set(boundName, binding.value);
+        // An exported module binding goes by the name of the top-level variable that already holds its value.
+        if (binding.name === boundName) this.declaredGlobalLets.set(boundName, binding.value);
       }
     }
   }
@@ -2175,12 +2306,8 @@ export class ResidualHeapSerializer {
     this.getStatistics().generators++;
     invariant(this.emitter.declaredCount() <= this.preludeGenerator.derivedIds.size);
 
-    // TODO #20: add timers
-
-    // TODO #21: add event listeners
-
     for (let [moduleId, moduleValue] of this.modules.initializedModules)
-      this.requireReturns.set(moduleId, getReplacement(this.serializeValue(moduleValue), moduleValue));
+      this.requireReturns.set("" + moduleId, getReplacement(this.serializeValue(moduleValue), moduleValue));
 
     for (let [name, value] of this.declaredGlobalLets) {
       this.emitter.emit(
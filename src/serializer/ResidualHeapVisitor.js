@@ -9,7 +9,12 @@
 
 /* @flow */
 
-import { GlobalEnvironmentRecord, DeclarativeEnvironmentRecord, EnvironmentRecord } from "../environment.js";
+import {
+  GlobalEnvironmentRecord,
+  DeclarativeEnvironmentRecord,
+  EnvironmentRecord,
+  ModuleEnvironmentRecord,
+} from "../environment.js";
 import { CompilerDiagnostic, FatalError } from "../errors.js";
 import { Realm } from "../realm.js";
 import { Path } from "../singletons.js";
@@ -57,7 +62,9 @@ import { Referentializer } from "./Referentializer.js";
 import {
   canIgnoreClassLengthProperty,
   ClassPropertiesToIgnore,
+  getGeneratorStartCall,
   getObjectPrototypeMetadata,
+  hasDefaultPrototype,
   getOrDefault,
   getSuggestedArrayLiteralLength,
   withDescriptorValue,
@@ -334,8 +341,7 @@ export class ResidualHeapVisitor {
   visitObjectPrototype(obj: ObjectValue) {
     let proto = obj.$Prototype;
 
-    let kind = obj.getKind();
-    if (proto === this.realm.intrinsics[kind + "Prototype"]) return;
+    if (hasDefaultPrototype(this.realm, obj)) return;
 
     if (!obj.$IsClassPrototype || proto !== this.realm.intrinsics.null) {
       this.visitValue(proto);
@@ -508,6 +514,33 @@ export class ResidualHeapVisitor {
     }
   }
 
+  visitValueGenerator(val: ObjectValue): void {
+    invariant(val.getKind() === "Generator");
+    if (val.$GeneratorState === "completed") return;
+    let startCall = getGeneratorStartCall(val);
+    if (startCall === undefined) {
+      this.logger.logError(
+        val,
+        "Generator objects that started running, or whose generator function has non-simple parameters, are not supported in residual heap."
+      );
+      return;
+    }
+    this.visitValue(startCall.func);
+    this.visitValue(startCall.thisValue);
+    for (let arg of startCall.args) this.visitValue(arg);
+  }
+
+  visitValuePromise(val: ObjectValue): void {
+    invariant(val.getKind() === "Promise");
+    if (val.$PromiseState === "pending") {
+      this.logger.logError(val, "Pending promises are not supported in residual heap.");
+      return;
+    }
+    let result = val.$PromiseResult;
+    invariant(result !== undefined);
+    this.visitValue(result);
+  }
+
   visitValueFunction(val: FunctionValue): void {
     let isClass = false;
 
@@ -682,6 +715,33 @@ export class ResidualHeapVisitor {
 
   // Visits a binding, returns a ResidualFunctionBinding
   getBinding(val: FunctionValue, environment: EnvironmentRecord, name: string): ResidualFunctionBinding {
+    if (environment instanceof ModuleEnvironmentRecord) {
+      // An import binding is the binding of the exporting module.
+      let importedBinding = environment.getImportedBinding(name);
+      if (importedBinding !== undefined) {
+        environment = importedBinding.environment;
+        name = importedBinding.name;
+      }
+      // An exported binding is a top-level variable of the residual program, just like a global binding.
+      invariant(environment instanceof DeclarativeEnvironmentRecord);
+      let binding = environment.bindings[name];
+      let exportedName = this.modules.exportedBindings.get(binding);
+      if (exportedName !== undefined) {
+        return getOrDefault(this.globalBindings, exportedName, () => {
+          let residualFunctionBinding = {
+            name: exportedName,
+            value: undefined,
+            modified: true,
+            declarativeEnvironmentRecord: null,
+            potentialReferentializationScopes: new Set(),
+          };
+          this._enqueueWithUnrelatedScope(this.globalGenerator, () => {
+            if (binding.value !== undefined) residualFunctionBinding.value = this.visitEquivalentValue(binding.value);
+          });
+          return residualFunctionBinding;
+        });
+      }
+    }
     if (environment === this.globalEnvironmentRecord.$DeclarativeRecord) environment = this.globalEnvironmentRecord;
 
     if (environment === this.globalEnvironmentRecord) {
@@ -826,6 +886,9 @@ export class ResidualHeapVisitor {
       case "String":
       case "Boolean":
       case "ArrayBuffer":
+      case "Collator":
+      case "DateTimeFormat":
+      case "NumberFormat":
         return;
       case "Date":
         let dateValue = val.$DateValue;
@@ -858,6 +921,12 @@ export class ResidualHeapVisitor {
       case "WeakSet":
         this.visitValueWeakSet(val);
         return;
+      case "Generator":
+        this.visitValueGenerator(val);
+        return;
+      case "Promise":
+        this.visitValuePromise(val);
+        return;
       default:
         if (kind !== "Object") this.logger.logError(val, `Object of kind ${kind} is not supported in residual heap.`);
         if (this.realm.react.enabled && valueIsReactLibraryObject(this.realm, val, this.logger)) {
@@ -1288,14 +1357,14 @@ export class ResidualHeapVisitor {
       if (reactLibraryObject !== undefined) {
         this.visitValue(reactLibraryObject);
       }
-    } else if (this.realm.react.output === "create-element") {
+    } else if (this.realm.react.output === "create-element" || this.realm.react.output === "bytecode") {
       let logError = () => {
         this.logger.logError(
           someReactElement,
           "unable to visit createElement due to React not being referenced in scope"
         );
       };
-      // createElement output needs React in scope
+      // createElement and bytecode output need React in scope
       if (reactLibraryObject === undefined) {
         logError();
       } else {
@@ -13,21 +13,76 @@ import { Realm } from "../realm.js";
 import { ResidualHeapSerializer } from "./ResidualHeapSerializer.js";
 import { canHoistReactElement } from "../react/hoisting.js";
 import * as t from "babel-types";
-import type { BabelNode, BabelNodeExpression } from "babel-types";
+import type { BabelNode, BabelNodeArrayExpression, BabelNodeExpression, BabelNodeNumericLiteral } from "babel-types";
 import { AbstractValue, ObjectValue, SymbolValue, Value } from "../values/index.js";
 import { convertExpressionToJSXIdentifier, convertKeyValueToJSXAttribute } from "../react/jsx.js";
 import { Logger } from "../utils/logger.js";
 import invariant from "../invariant.js";
 import { FatalError } from "../errors";
 import { traverseReactElement } from "../react/elements.js";
-import { getReactSymbol, getProperty } from "../react/utils.js";
+import { getReactSymbol, getProperty, isReactElement } from "../react/utils.js";
+import buildExpressionTemplate from "../utils/builder.js";
 import type { ReactOutputTypes } from "../options.js";
 import type { LazilyHoistedNodes } from "./types.js";
 
+// Opcodes of the "bytecode" output. A whole tree of React elements is encoded into one flat array:
+// every element starts with BYTECODE_ELEMENT or BYTECODE_ELEMENT_CONSTANT followed by its type, then
+// lists its props and children, and ends with BYTECODE_END. Property names, and types that are strings,
+// are indices into a constants array that is shared by all trees.
+const BYTECODE_PROPERTY = 0;
+const BYTECODE_SPREAD = 1;
+const BYTECODE_CHILD = 2;
+const BYTECODE_ELEMENT = 3;
+const BYTECODE_ELEMENT_CONSTANT = 4;
+const BYTECODE_END = 5;
+
+// The runtime that turns the opcode array of a tree back into nested createElement calls.
+// It gets emitted once into the prelude, and only if a React element is serialized as bytecode.
+// The elements that are still open when the end of the array is reached get closed implicitly.
+const buildReactBytecodeRuntime = buildExpressionTemplate(`
+  (function (createElement, code) {
+    var parents = [];
+    var args = null;
+    var props = null;
+    var i = 0;
+    for (;;) {
+      var op = i < code.length ? code[i++] : ${BYTECODE_END};
+      if (op === ${BYTECODE_ELEMENT} || op === ${BYTECODE_ELEMENT_CONSTANT}) {
+        if (args !== null) parents.push(args, props);
+        var type = code[i++];
+        args = [op === ${BYTECODE_ELEMENT} ? type : CONSTANTS[type], null];
+        props = null;
+      } else if (op === ${BYTECODE_END}) {
+        args[1] = props;
+        var element = createElement.apply(undefined, args);
+        if (parents.length === 0) return element;
+        props = parents.pop();
+        args = parents.pop();
+        args.push(element);
+      } else if (op === ${BYTECODE_CHILD}) {
+        args.push(code[i++]);
+      } else {
+        if (props === null) props = {};
+        if (op === ${BYTECODE_PROPERTY}) {
+          var name = CONSTANTS[code[i++]];
+          props[name] = code[i++];
+        } else {
+          var spread = code[i++];
+          if (spread != null) {
+            var keys = Object.keys(spread);
+            for (var j = 0; j < keys.length; j++) props[keys[j]] = spread[keys[j]];
+          }
+        }
+      }
+    }
+  })
+`);
+
 type ReactElementAttributeType = "SPREAD" | "PROPERTY" | "PENDING";
-type ReactElementChildType = "NORMAL" | "PENDING";
+type ReactElementChildType = "NORMAL" | "ELEMENT" | "PENDING";
 
 type ReactElementChild = {
+  element: void | ReactElement,
   expr: void | BabelNodeExpression,
   type: ReactElementChildType,
 };
@@ -53,6 +108,9 @@ export class ResidualReactElementSerializer {
     this.logger = residualHeapSerializer.logger;
     this.reactOutput = realm.react.output || "create-element";
     this._lazilyHoistedNodes = undefined;
+    this._bytecodeRuntimeIdentifier = undefined;
+    this._bytecodeConstants = undefined;
+    this._bytecodeConstantIndices = new Map();
   }
 
   realm: Realm;
@@ -60,6 +118,9 @@ export class ResidualReactElementSerializer {
   reactOutput: ReactOutputTypes;
   residualHeapSerializer: ResidualHeapSerializer;
   _lazilyHoistedNodes: void | LazilyHoistedNodes;
+  _bytecodeRuntimeIdentifier: void | BabelNodeIdentifier;
+  _bytecodeConstants: void | BabelNodeArrayExpression;
+  _bytecodeConstantIndices: Map<string, number>;
 
   _createReactElement(value: ObjectValue): ReactElement {
     return { attributes: [], children: [], declared: false, type: undefined, value };
@@ -70,7 +131,7 @@ export class ResidualReactElementSerializer {
   }
 
   _createReactElementChild(): ReactElementChild {
-    return { expr: undefined, type: "PENDING" };
+    return { element: undefined, expr: undefined, type: "PENDING" };
   }
 
   _emitHoistedReactElement(
@@ -105,6 +166,24 @@ export class ResidualReactElementSerializer {
     this._lazilyHoistedNodes.nodes.push({ id, astNode: reactElement });
   }
 
+  _shouldHoistReactElement(value: ObjectValue): boolean {
+    return (
+      this.residualHeapSerializer.isReferencedOnlyByAdditionalFunction(value) !== undefined &&
+      canHoistReactElement(this.realm, value)
+    );
+  }
+
+  _getEncodedChildReactElements(reactElement: ReactElement): Array<ReactElement> {
+    let childReactElements = [];
+    for (let child of reactElement.children) {
+      let childReactElement = child.element;
+      if (childReactElement !== undefined) {
+        childReactElements.push(childReactElement, ...this._getEncodedChildReactElements(childReactElement));
+      }
+    }
+    return childReactElements;
+  }
+
   _getReactLibraryValue() {
     let reactLibraryObject = this.realm.fbLibraries.react;
     // if there is no React library, then we should throw and error
@@ -126,11 +205,11 @@ export class ResidualReactElementSerializer {
     let refValue = getProperty(this.realm, value, "ref");
     let propsValue = getProperty(this.realm, value, "props");
 
-    let shouldHoist =
-      this.residualHeapSerializer.isReferencedOnlyByAdditionalFunction(value) !== undefined &&
-      canHoistReactElement(this.realm, value);
+    let shouldHoist = this._shouldHoistReactElement(value);
 
-    let id = this.residualHeapSerializer.getSerializeObjectIdentifier(value);
+    // the identifier doesn't count as a reference, so that the reference count tells
+    // whether the element is referenced from a single place
+    let id = this.residualHeapSerializer.residualHeapValueIdentifiers.getIdentifier(value);
     // this identifier is used as the deafult, but also passed to the hoisted factory function
     let originalCreateElementIdentifier = null;
     // this name is used when hoisting, and is passed into the factory function, rather than the original
@@ -139,7 +218,18 @@ export class ResidualReactElementSerializer {
     let dependencies = [typeValue, keyValue, refValue, propsValue, value];
     let createElement;
 
-    if (this.reactOutput === "create-element") {
+    // with bytecode output, the child elements that are encoded into this element add their dependencies too
+    for (let childReactElement of this._getEncodedChildReactElements(reactElement)) {
+      let childValue = childReactElement.value;
+      dependencies.push(
+        getProperty(this.realm, childValue, "type"),
+        getProperty(this.realm, childValue, "key"),
+        getProperty(this.realm, childValue, "ref"),
+        getProperty(this.realm, childValue, "props")
+      );
+    }
+
+    if (this.reactOutput === "create-element" || this.reactOutput === "bytecode") {
       createElement = this._getReactCreateElementValue();
       dependencies.push(createElement);
     }
@@ -149,7 +239,7 @@ export class ResidualReactElementSerializer {
       () => {
         if (this.reactOutput === "jsx") {
           reactElementAstNode = this._serializeReactElementToJSXElement(value, reactElement);
-        } else if (this.reactOutput === "create-element") {
+        } else if (this.reactOutput === "create-element" || this.reactOutput === "bytecode") {
           originalCreateElementIdentifier = this.residualHeapSerializer.serializeValue(createElement);
 
           if (shouldHoist) {
@@ -166,11 +256,15 @@ export class ResidualReactElementSerializer {
           }
 
           let createElementIdentifier = shouldHoist ? hoistedCreateElementIdentifier : originalCreateElementIdentifier;
-          reactElementAstNode = this._serializeReactElementToCreateElement(
-            value,
-            reactElement,
-            createElementIdentifier
-          );
+          if (this.reactOutput === "bytecode") {
+            reactElementAstNode = this._serializeReactElementToBytecode(value, reactElement, createElementIdentifier);
+          } else {
+            reactElementAstNode = this._serializeReactElementToCreateElement(
+              value,
+              reactElement,
+              createElementIdentifier
+            );
+          }
         } else {
           invariant(false, "Unknown reactOutput specified");
         }
@@ -240,10 +334,16 @@ export class ResidualReactElementSerializer {
 
   serializeReactElement(val: ObjectValue): BabelNodeExpression {
     let reactElement = this._createReactElement(val);
+    this._traverseReactElement(reactElement, reactElement);
+    return this._emitReactElement(reactElement);
+  }
 
+  // rootReactElement is the element that gets emitted; it differs from reactElement
+  // for the child elements that bytecode output encodes into the opcodes of their parent
+  _traverseReactElement(reactElement: ReactElement, rootReactElement: ReactElement): void {
     traverseReactElement(this.realm, reactElement.value, {
       visitType: (typeValue: Value) => {
-        this._serializeNowOrAfterWaitingForDependencies(typeValue, reactElement, () => {
+        this._serializeNowOrAfterWaitingForDependencies(typeValue, rootReactElement, () => {
           let expr;
 
           if (typeValue instanceof SymbolValue && typeValue === getReactSymbol("react.fragment", this.realm)) {
@@ -259,7 +359,7 @@ export class ResidualReactElementSerializer {
       },
       visitKey: (keyValue: Value) => {
         let reactElementKey = this._createReactElementAttribute();
-        this._serializeNowOrAfterWaitingForDependencies(keyValue, reactElement, () => {
+        this._serializeNowOrAfterWaitingForDependencies(keyValue, rootReactElement, () => {
           let expr = this.residualHeapSerializer.serializeValue(keyValue);
           reactElementKey.expr = expr;
           reactElementKey.key = "key";
@@ -269,7 +369,7 @@ export class ResidualReactElementSerializer {
       },
       visitRef: (refValue: Value) => {
         let reactElementRef = this._createReactElementAttribute();
-        this._serializeNowOrAfterWaitingForDependencies(refValue, reactElement, () => {
+        this._serializeNowOrAfterWaitingForDependencies(refValue, rootReactElement, () => {
           let expr = this.residualHeapSerializer.serializeValue(refValue);
           reactElementRef.expr = expr;
           reactElementRef.key = "ref";
@@ -279,7 +379,7 @@ export class ResidualReactElementSerializer {
       },
       visitAbstractOrPartialProps: (propsValue: AbstractValue | ObjectValue) => {
         let reactElementSpread = this._createReactElementAttribute();
-        this._serializeNowOrAfterWaitingForDependencies(propsValue, reactElement, () => {
+        this._serializeNowOrAfterWaitingForDependencies(propsValue, rootReactElement, () => {
           let expr = this.residualHeapSerializer.serializeValue(propsValue);
           reactElementSpread.expr = expr;
           reactElementSpread.type = "SPREAD";
@@ -293,7 +393,7 @@ export class ResidualReactElementSerializer {
             let propValue = getProperty(this.realm, propsValue, propName);
             let reactElementAttribute = this._createReactElementAttribute();
 
-            this._serializeNowOrAfterWaitingForDependencies(propValue, reactElement, () => {
+            this._serializeNowOrAfterWaitingForDependencies(propValue, rootReactElement, () => {
               let expr = this.residualHeapSerializer.serializeValue(propValue);
               reactElementAttribute.expr = expr;
               reactElementAttribute.key = propName;
@@ -304,10 +404,9 @@ export class ResidualReactElementSerializer {
         }
       },
       visitChildNode: (childValue: Value) => {
-        reactElement.children.push(this._serializeReactElementChild(childValue, reactElement));
+        reactElement.children.push(this._serializeReactElementChild(childValue, rootReactElement));
       },
     });
-    return this._emitReactElement(reactElement);
   }
 
   _addSerializedValueToJSXAttriutes(prop: string | null, expr: any, attributes: Array<BabelNode>): void {
@@ -369,6 +468,93 @@ export class ResidualReactElementSerializer {
     return createElementCall;
   }
 
+  _getBytecodeRuntimeIdentifier(): BabelNodeIdentifier {
+    let runtimeIdentifier = this._bytecodeRuntimeIdentifier;
+    if (runtimeIdentifier === undefined) {
+      let intrinsicNameGenerator = this.residualHeapSerializer.intrinsicNameGenerator;
+      let constantsIdentifier = t.identifier(intrinsicNameGenerator.generate("reactBytecodeConstants"));
+      runtimeIdentifier = t.identifier(intrinsicNameGenerator.generate("reactBytecode"));
+      // the constants get added while the React elements are serialized
+      let constants = t.arrayExpression([]);
+      // The runtime and its constants are shared by all React elements, including the ones in
+      // additional functions, and thus must be declared in the prelude.
+      this.residualHeapSerializer.prelude.push(
+        t.variableDeclaration("var", [t.variableDeclarator(constantsIdentifier, constants)]),
+        t.variableDeclaration("var", [
+          t.variableDeclarator(
+            runtimeIdentifier,
+            buildReactBytecodeRuntime(undefined)({ CONSTANTS: constantsIdentifier })
+          ),
+        ])
+      );
+      this._bytecodeConstants = constants;
+      this._bytecodeRuntimeIdentifier = runtimeIdentifier;
+    }
+    return runtimeIdentifier;
+  }
+
+  _getBytecodeConstantIndex(constant: string): BabelNodeNumericLiteral {
+    let index = this._bytecodeConstantIndices.get(constant);
+    if (index === undefined) {
+      let constants = this._bytecodeConstants;
+      invariant(constants !== undefined);
+      index = constants.elements.length;
+      constants.elements.push(t.stringLiteral(constant));
+      this._bytecodeConstantIndices.set(constant, index);
+    }
+    return t.numericLiteral(index);
+  }
+
+  // Appends the opcodes of the element, and of the child elements encoded into it, to code.
+  // BYTECODE_END is appended as null, so that the trailing ones can be told apart from operands.
+  _encodeReactElementToBytecode(reactElement: ReactElement, code: Array<null | BabelNodeExpression>): void {
+    let { attributes, children } = reactElement;
+    let type = ((reactElement.type: any): BabelNodeExpression);
+
+    if (t.isStringLiteral(type)) {
+      let typeName = ((type: any).value: string);
+      code.push(t.numericLiteral(BYTECODE_ELEMENT_CONSTANT), this._getBytecodeConstantIndex(typeName));
+    } else {
+      code.push(t.numericLiteral(BYTECODE_ELEMENT), type);
+    }
+    for (let attribute of attributes) {
+      let expr = ((attribute.expr: any): BabelNodeExpression);
+
+      if (attribute.type === "SPREAD") {
+        code.push(t.numericLiteral(BYTECODE_SPREAD), expr);
+      } else if (attribute.type === "PROPERTY") {
+        let attributeKey = attribute.key;
+        invariant(typeof attributeKey === "string");
+        code.push(t.numericLiteral(BYTECODE_PROPERTY), this._getBytecodeConstantIndex(attributeKey), expr);
+      }
+    }
+    for (let child of children) {
+      if (child.type === "NORMAL") {
+        code.push(t.numericLiteral(BYTECODE_CHILD), ((child.expr: any): BabelNodeExpression));
+      } else if (child.type === "ELEMENT") {
+        invariant(child.element !== undefined);
+        this._encodeReactElementToBytecode(child.element, code);
+      }
+    }
+    code.push(null);
+  }
+
+  _serializeReactElementToBytecode(
+    val: ObjectValue,
+    reactElement: ReactElement,
+    createElementIdentifier: BabelNodeIdentifier
+  ): BabelNodeExpression {
+    let runtimeIdentifier = this._getBytecodeRuntimeIdentifier();
+    let code = [];
+    this._encodeReactElementToBytecode(reactElement, code);
+    // the runtime closes the elements that are still open at the end of the code
+    while (code[code.length - 1] === null) code.pop();
+    let codeArray = t.arrayExpression(code.map(expr => (expr === null ? t.numericLiteral(BYTECODE_END) : expr)));
+    let runtimeCall = t.callExpression(runtimeIdentifier, [createElementIdentifier, codeArray]);
+    this._addBailOutMessageToBabelNode(val, runtimeCall);
+    return runtimeCall;
+  }
+
   _serializeReactElementToJSXElement(val: ObjectValue, reactElement: ReactElement): BabelNodeExpression {
     let { type, attributes, children } = reactElement;
 
@@ -416,9 +602,30 @@ export class ResidualReactElementSerializer {
     }
   }
 
-  _serializeReactElementChild(child: Value, reactElement: ReactElement): ReactElementChild {
+  _canEncodeReactElementChild(child: Value, rootReactElement: ReactElement): boolean {
+    // a child element can become part of the opcodes of its parent if nothing else references it,
+    // and if that doesn't keep it from getting hoisted on its own
+    return (
+      this.reactOutput === "bytecode" &&
+      child instanceof ObjectValue &&
+      isReactElement(child) &&
+      !this.residualHeapSerializer.residualHeapValueIdentifiers.needsIdentifier(child) &&
+      (this._shouldHoistReactElement(rootReactElement.value) || !this._shouldHoistReactElement(child))
+    );
+  }
+
+  _serializeReactElementChild(child: Value, rootReactElement: ReactElement): ReactElementChild {
     let reactElementChild = this._createReactElementChild();
-    this._serializeNowOrAfterWaitingForDependencies(child, reactElement, () => {
+    if (this._canEncodeReactElementChild(child, rootReactElement)) {
+      invariant(child instanceof ObjectValue);
+      let childReactElement = this._createReactElement(child);
+      this.residualHeapSerializer.serializedValues.add(child);
+      this._traverseReactElement(childReactElement, rootReactElement);
+      reactElementChild.element = childReactElement;
+      reactElementChild.type = "ELEMENT";
+      return reactElementChild;
+    }
+    this._serializeNowOrAfterWaitingForDependencies(child, rootReactElement, () => {
       let expr = this.residualHeapSerializer.serializeValue(child);
 
       reactElementChild.expr = expr;
@@ -71,7 +71,7 @@ export class ResidualReactElementVisitor {
       },
     });
 
-    if (this.realm.react.output === "create-element" || isReactFragment) {
+    if (this.reactOutput === "create-element" || this.reactOutput === "bytecode" || isReactFragment) {
       this.someReactElement = reactElement;
     }
     // determine if this ReactElement node tree is going to be hoistable
@@ -10,8 +10,17 @@
 /* @flow */
 
 import * as t from "babel-types";
-import type { BabelNodeStatement, BabelNodeObjectExpression, BabelNodeLVal } from "babel-types";
+import type {
+  BabelNodeCallExpression,
+  BabelNodeExpression,
+  BabelNodeIdentifier,
+  BabelNodeLVal,
+  BabelNodeObjectExpression,
+  BabelNodeSpreadElement,
+  BabelNodeStatement,
+} from "babel-types";
 import { NameGenerator } from "../utils/generator.js";
+import invariant from "../invariant.js";
 
 function isLiteral(node) {
   switch (node.type) {
@@ -79,65 +88,165 @@ function getObjectKeys(obj: BabelNodeObjectExpression): string | false {
   return keys.join("|");
 }
 
-// This function looks for recurring initialization patterns in the code of the form
-//   var x = { a: literal1, b: literal2 }
-//   var y = { a: literal1, b: literal3 }
-// and transforms them into something like
-//   function factory(b) { return { a: literal1, b } }
-//   var x = factory(literal2);
-//   var y = factory(literal3);
-// TODO #884: Right now, the visitor below only looks into top-level variable declaration
-// with a flat object literal initializer.
-// It should also look into conditional control flow, residual functions, and nested object literals.
-export function factorifyObjects(body: Array<BabelNodeStatement>, factoryNameGenerator: NameGenerator) {
-  let signatures = Object.create(null);
+// A location in the AST holding an object literal, i.e. the "init" of a variable declarator.
+// Sites inside of function bodies may refer to local bindings that are not in scope of the factories.
+type ObjectLiteralSite = { container: any, key: string | number, keys: Array<string>, inFunction: boolean };
 
-  for (let node of body) {
+function collectFromStatements(
+  statements: Array<BabelNodeStatement>,
+  inFunction: boolean,
+  sites: Array<ObjectLiteralSite>
+): void {
+  for (let node of statements) {
     switch (node.type) {
       case "VariableDeclaration":
         for (let declar of node.declarations) {
-          let { init } = declar;
-          if (!init) continue;
-          if (init.type !== "ObjectExpression") continue;
-
-          let keys = getObjectKeys(init);
-          if (!keys) continue;
-
-          let initializerAstNodeName = "init";
-          let declars = (signatures[keys] = signatures[keys] || []);
-          declars.push({ declar, initializerAstNodeName });
+          collectFromExpression(declar, "init", inFunction, sites);
         }
         break;
-
       case "ExpressionStatement":
-        const expr = node.expression;
-        if (expr.type !== "AssignmentExpression") {
-          break;
-        }
-        const { right } = expr;
-        if (right.type !== "ObjectExpression") {
-          break;
+        if (node.expression.type === "AssignmentExpression") {
+          collectFromExpression(node.expression, "right", inFunction, sites);
         }
-
-        let keys = getObjectKeys(right);
-        if (!keys) continue;
-
-        let initializerAstNodeName = "right";
-        let declars = (signatures[keys] = signatures[keys] || []);
-        declars.push({ declar: node.expression, initializerAstNodeName });
         break;
-
+      case "ReturnStatement":
+        collectFromExpression(node, "argument", inFunction, sites);
+        break;
+      case "IfStatement":
+        collectFromStatements([node.consequent], inFunction, sites);
+        if (node.alternate) collectFromStatements([node.alternate], inFunction, sites);
+        break;
+      case "BlockStatement":
+        collectFromStatements(node.body, inFunction, sites);
+        break;
+      case "FunctionDeclaration":
+        collectFromStatements(node.body.body, true, sites);
+        break;
       default:
         // Continue to next node.
         break;
     }
   }
+}
 
-  for (let signatureKey in signatures) {
-    let declars = signatures[signatureKey];
-    if (declars.length < 5) continue;
+function collectFromExpression(
+  container: any,
+  key: string | number,
+  inFunction: boolean,
+  sites: Array<ObjectLiteralSite>
+): void {
+  let node = container[key];
+  if (!node) return;
+  switch (node.type) {
+    case "ObjectExpression": {
+      for (let prop of node.properties) {
+        if (prop.type === "ObjectProperty") collectFromExpression(prop, "value", inFunction, sites);
+      }
+      let keys = getObjectKeys(node);
+      if (keys) sites.push({ container, key, keys: keys.split("|"), inFunction });
+      break;
+    }
+    case "ArrayExpression":
+      for (let i = 0; i < node.elements.length; i++) {
+        collectFromExpression(node.elements, i, inFunction, sites);
+      }
+      break;
+    case "FunctionExpression":
+    case "ArrowFunctionExpression":
+      if (node.body.type === "BlockStatement") collectFromStatements(node.body.body, true, sites);
+      break;
+    default:
+      break;
+  }
+}
+
+// The functions below estimate the size of the code printed for the nodes, so that objects are
+// only factorified if that makes the code smaller. The size of expressions that are neither
+// identifiers nor literals is left out, as those are never removed by factorification.
+// Besides expressions, the nodes include the arguments of calls and the parameters of factories.
+type SizedNode = BabelNodeExpression | BabelNodeSpreadElement | BabelNodeLVal;
 
-    let keys = signatureKey.split("|");
+function getExpressionSize(node: SizedNode): number {
+  switch (node.type) {
+    case "Identifier":
+      return node.name.length;
+    case "NullLiteral":
+      return 4;
+    case "BooleanLiteral":
+      return node.value ? 4 : 5;
+    case "StringLiteral":
+      return JSON.stringify(node.value).length;
+    case "NumericLiteral":
+      return String(node.value).length;
+    case "UnaryExpression":
+      return node.operator.length + 1 + getExpressionSize(node.argument);
+    default:
+      return 0;
+  }
+}
+
+function getKeySize(key: string): number {
+  return t.isValidIdentifier(key) ? key.length : JSON.stringify(key).length;
+}
+
+function getArgumentsSize(args: $ReadOnlyArray<SizedNode>): number {
+  let size = 0;
+  for (let arg of args) size += getExpressionSize(arg) + 2;
+  return Math.max(size - 2, 0);
+}
+
+function getObjectLiteralSize(keys: Array<string>, values: $ReadOnlyArray<SizedNode>, indentation: number): number {
+  let size = 3;
+  for (let i = 0; i < keys.length; i++) {
+    size += indentation + getKeySize(keys[i]) + getExpressionSize(values[i]) + 4;
+  }
+  return size;
+}
+
+function getCallSize(call: BabelNodeCallExpression): number {
+  let callee = call.callee;
+  invariant(callee.type === "Identifier");
+  return callee.name.length + 2 + getArgumentsSize(call.arguments);
+}
+
+function getFactorySize(id: BabelNodeIdentifier, params: Array<BabelNodeLVal>, returnSize: number): number {
+  return 9 + id.name.length + 2 + getArgumentsSize(params) + 12 + returnSize + 4;
+}
+
+// This function looks for recurring initialization patterns in the code of the form
+//   var x = { a: literal1, b: literal2 }
+//   var y = { a: literal1, b: literal3 }
+// and transforms them into something like
+//   function factory(b) { return { a: literal1, b } }
+//   var x = factory(literal2);
+//   var y = factory(literal3);
+// The object literals can be nested in other object and array literals, in conditional
+// control flow and in residual functions. Objects with the same keys are only factorified
+// if the estimated size of the resulting code is smaller than the size of the original code.
+export function factorifyObjects(body: Array<BabelNodeStatement>, factoryNameGenerator: NameGenerator) {
+  let sites = [];
+  collectFromStatements(body, false, sites);
+
+  let signatures = Object.create(null);
+  let sitesByContainer = new Map();
+  for (let site of sites) {
+    let signatureKey = site.keys.join("|");
+    let signatureSites = (signatures[signatureKey] = signatures[signatureKey] || []);
+    signatureSites.push(site);
+    sitesByContainer.set(site.container, site);
+  }
+
+  for (let signatureKey in signatures) {
+    let signatureSites = signatures[signatureKey];
+    if (signatureSites.length < 2) continue;
+
+    let keys = signatureSites[0].keys;
+    let inFunction = signatureSites.some(site => site.inFunction);
+    let originalSize = 0;
+    for (let { container, key } of signatureSites) {
+      let values = container[key].properties.map(prop => prop.value);
+      originalSize += getObjectLiteralSize(keys, values, 2);
+    }
 
     //
     let rootFactoryParams: Array<BabelNodeLVal> = [];
@@ -153,49 +262,51 @@ export function factorifyObjects(body: Array<BabelNodeStatement>, factoryNameGen
     let rootFactoryId = t.identifier(factoryNameGenerator.generate("root"));
     let rootFactoryBody = t.blockStatement([t.returnStatement(t.objectExpression(rootFactoryProps))]);
     let rootFactory = t.functionDeclaration(rootFactoryId, rootFactoryParams, rootFactoryBody);
-    body.unshift(rootFactory);
+    let factories = [rootFactory];
+    let factoriesSize = getFactorySize(
+      rootFactoryId,
+      rootFactoryParams,
+      getObjectLiteralSize(keys, rootFactoryParams, 4)
+    );
 
     //
-    for (let { declar, initializerAstNodeName } of declars) {
-      let args = [];
-      for (let prop of declar[initializerAstNodeName].properties) {
-        args.push(prop.value);
-      }
-
-      declar[initializerAstNodeName] = t.callExpression(rootFactoryId, args);
-    }
+    let calls = signatureSites.map(({ container, key }) =>
+      t.callExpression(rootFactoryId, container[key].properties.map(prop => prop.value))
+    );
 
     //
     let seen = new Set();
-    for (let { declar, initializerAstNodeName } of declars) {
-      if (seen.has(declar)) continue;
+    for (let call of calls) {
+      if (seen.has(call)) continue;
 
       // build up a map containing the arguments that are shared
       let common = new Map();
       let mostSharedArgsLength = 0;
-      for (let { declar: declar2, initializerAstNodeName: initializerAstNodeName2 } of declars) {
-        if (seen.has(declar2)) continue;
-        if (declar === declar2) continue;
+      for (let call2 of calls) {
+        if (seen.has(call2)) continue;
+        if (call === call2) continue;
 
         let sharedArgs = [];
         for (let i = 0; i < keys.length; i++) {
-          if (isSameNode(declar[initializerAstNodeName].arguments[i], declar2[initializerAstNodeName2].arguments[i])) {
+          let arg = call.arguments[i];
+          if (inFunction && arg.type === "Identifier") continue;
+          if (isSameNode(arg, call2.arguments[i])) {
             sharedArgs.push(i);
           }
         }
         if (!sharedArgs.length) continue;
 
         mostSharedArgsLength = Math.max(mostSharedArgsLength, sharedArgs.length);
-        common.set(declar2, sharedArgs);
+        common.set(call2, sharedArgs);
       }
 
       // build up a mapping of the argument positions that are shared so we can pick the top one
       let sharedPairs = Object.create(null);
-      for (let [declar2, args] of common.entries()) {
+      for (let [call2, args] of common.entries()) {
         if (args.length === mostSharedArgsLength) {
           args = args.join(",");
           let pair = (sharedPairs[args] = sharedPairs[args] || []);
-          pair.push(declar2);
+          pair.push(call2);
         }
       }
 
@@ -212,16 +323,18 @@ export function factorifyObjects(body: Array<BabelNodeStatement>, factoryNameGen
       if (!highestPairArgs) continue;
 
       //
-      let declarsSub = sharedPairs[highestPairArgs].concat(declar);
+      let callsSub = sharedPairs[highestPairArgs].concat(call);
       let removeArgs = highestPairArgs.split(",");
 
       let subFactoryArgs = [];
-      let subFactoryParams = [];
-      let sharedArgs = declarsSub[0][initializerAstNodeName].arguments;
+      let subFactoryParams: Array<BabelNodeLVal> = [];
+      let sharedArgs = callsSub[0].arguments;
+      let removedArgsSize = 0;
       for (let i = 0; i < sharedArgs.length; i++) {
         let arg = sharedArgs[i];
         if (removeArgs.indexOf(i + "") >= 0) {
           subFactoryArgs.push(arg);
+          removedArgsSize += getExpressionSize(arg) + 2;
         } else {
           let id = t.identifier(`__${i}`);
           subFactoryArgs.push(id);
@@ -229,20 +342,45 @@ export function factorifyObjects(body: Array<BabelNodeStatement>, factoryNameGen
         }
       }
 
+      // the sub factory has to be smaller than the arguments it removes from the calls
       let subFactoryId = t.identifier(factoryNameGenerator.generate("sub"));
-      let subFactoryBody = t.blockStatement([t.returnStatement(t.callExpression(rootFactoryId, subFactoryArgs))]);
-      let subFactory = t.functionDeclaration(subFactoryId, subFactoryParams, subFactoryBody);
-      body.unshift(subFactory);
+      let subFactoryCall = t.callExpression(rootFactoryId, subFactoryArgs);
+      let subFactorySize = getFactorySize(subFactoryId, subFactoryParams, getCallSize(subFactoryCall));
+      if (subFactorySize >= removedArgsSize * callsSub.length) continue;
+
+      let subFactoryBody = t.blockStatement([t.returnStatement(subFactoryCall)]);
+      factories.push(t.functionDeclaration(subFactoryId, subFactoryParams, subFactoryBody));
+      factoriesSize += subFactorySize;
 
-      for (let declarSub of declarsSub) {
-        seen.add(declarSub);
+      for (let callSub of callsSub) {
+        seen.add(callSub);
 
-        let call = declarSub[initializerAstNodeName];
-        call.callee = subFactoryId;
-        call.arguments = call.arguments.filter(function(val, i) {
+        callSub.callee = subFactoryId;
+        callSub.arguments = callSub.arguments.filter(function(val, i) {
           return removeArgs.indexOf(i + "") < 0;
         });
       }
     }
+
+    let factorifiedSize = factoriesSize;
+    for (let call of calls) factorifiedSize += getCallSize(call);
+    if (factorifiedSize >= originalSize) continue;
+
+    //
+    body.unshift(...factories);
+    for (let i = 0; i < signatureSites.length; i++) {
+      let { container, key } = signatureSites[i];
+      let call = calls[i];
+      // the object literals nested in this one are now arguments of the call
+      let properties = container[key].properties;
+      for (let j = 0; j < properties.length; j++) {
+        let nestedSite = sitesByContainer.get(properties[j]);
+        if (nestedSite !== undefined) {
+          nestedSite.container = call.arguments;
+          nestedSite.key = call.arguments.indexOf(properties[j].value);
+        }
+      }
+      container[key] = call;
+    }
   }
 }
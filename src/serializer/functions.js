@@ -13,9 +13,14 @@ import type { BabelNodeSourceLocation } from "babel-types";
 import { Completion, JoinedAbruptCompletions, PossiblyNormalCompletion } from "../completions.js";
 import { CompilerDiagnostic, FatalError } from "../errors.js";
 import invariant from "../invariant.js";
-import { type Effects, type PropertyBindings, Realm } from "../realm.js";
+import { type Effects, type PropertyBindings, type SideEffectType, Realm } from "../realm.js";
 import type { Binding } from "../environment.js";
-import type { PropertyBinding, ReactComponentTreeConfig, FunctionBodyAstNode } from "../types.js";
+import type {
+  PropertyBinding,
+  ReactComponentTreeConfig,
+  OptimizedFunctionConfig,
+  FunctionBodyAstNode,
+} from "../types.js";
 import { ignoreErrorsIn } from "../utils/errors.js";
 import {
   Value,
@@ -46,6 +51,10 @@ import {
   convertConfigObjectToReactComponentTreeConfig,
 } from "../react/utils.js";
 import { ReconcilerFatalError } from "../react/errors.js";
+import {
+  convertConfigObjectToOptimizedFunctionConfig,
+  createAbstractArgumentFromModel,
+} from "../intrinsics/prepack/utils.js";
 import * as t from "babel-types";
 
 type AdditionalFunctionEntry = {
@@ -59,6 +68,7 @@ export class Functions {
     this.moduleTracer = moduleTracer;
     this.writeEffects = new Map();
     this.functionExpressions = new Map();
+    this.optimizedFunctionConfigs = new Map();
     this._noOpFunction = undefined;
   }
 
@@ -67,6 +77,8 @@ export class Functions {
   functionExpressions: Map<FunctionValue, string>;
   moduleTracer: ModuleTracer;
   writeEffects: Map<FunctionValue, AdditionalFunctionEffects>;
+  // maps optimized functions to the config they were registered with via __optimize
+  optimizedFunctionConfigs: Map<FunctionValue, OptimizedFunctionConfig>;
   _noOpFunction: void | ECMAScriptSourceFunctionValue;
 
   __optimizedFunctionEntryOfValue(value: Value): AdditionalFunctionEntry | void {
@@ -74,6 +86,14 @@ export class Functions {
     if (value instanceof ECMAScriptSourceFunctionValue) {
       // additional function logic
       return { value };
+    } else if (value instanceof ObjectValue && value.properties.has("optimizedFunction")) {
+      // additional function with a config logic
+      let config = Get(realm, value, "config");
+      let optimizedFunction = Get(realm, value, "optimizedFunction");
+      invariant(config instanceof ObjectValue);
+      invariant(optimizedFunction instanceof ECMAScriptSourceFunctionValue);
+      this.optimizedFunctionConfigs.set(optimizedFunction, convertConfigObjectToOptimizedFunctionConfig(realm, config));
+      return { value: optimizedFunction };
     } else if (value instanceof ObjectValue) {
       // React component tree logic
       let config = Get(realm, value, "config");
@@ -350,7 +370,11 @@ export class Functions {
     }
     // for now we just use abstract props/context, in the future we'll create a new branch with a new component
     // that used the props/context. It will extend the original component and only have a render method
-    for (let { rootValue: branchRootValue, evaluatedNode } of reconciler.branchedComponentTrees) {
+    for (let {
+      rootValue: branchRootValue,
+      evaluatedNode,
+      caughtByErrorBoundary,
+    } of reconciler.branchedComponentTrees) {
       let branchComponentType = getComponentTypeFromRootValue(this.realm, branchRootValue);
       if (branchComponentType === null) {
         evaluatedNode.status = "UNKNOWN_TYPE";
@@ -364,7 +388,17 @@ export class Functions {
       if (this.realm.react.verbose) {
         logger.logInformation(`    Evaluating ${evaluatedNode.name} (branch)`);
       }
-      let branchEffects = reconciler.renderReactComponentTree(branchComponentType, null, null, evaluatedNode);
+      let branchEffects;
+      try {
+        branchEffects = reconciler.renderReactComponentTree(branchComponentType, null, null, evaluatedNode);
+      } catch (error) {
+        // a branch that an error boundary renders may throw, in which case it's left for React to render
+        // at runtime, so that the error boundary still catches what it throws
+        if (!caughtByErrorBoundary || !(error instanceof ReconcilerFatalError)) throw error;
+        evaluatedNode.status = "BAIL-OUT";
+        evaluatedNode.message = error.message;
+        continue;
+      }
       if (this.realm.react.verbose) {
         logger.logInformation(`    ✔ ${evaluatedNode.name} (branch)`);
       }
@@ -386,15 +420,18 @@ export class Functions {
     let args = [];
     invariant(funcValue instanceof ECMAScriptSourceFunctionValue);
     let params = funcValue.$FormalParameters;
+    let config = this.optimizedFunctionConfigs.get(funcValue);
     if (numArgs && numArgs > 0 && params) {
-      for (let parameterId of params) {
+      for (let i = 0; i < params.length; i++) {
+        let parameterId = params[i];
         if (t.isIdentifier(parameterId)) {
           // Create an AbstractValue similar to __abstract being called
           args.push(
-            AbstractValue.createAbstractArgument(
+            createAbstractArgumentFromModel(
               this.realm,
               ((parameterId: any): BabelNodeIdentifier).name,
-              funcValue.expressionLocation
+              funcValue.expressionLocation,
+              config && config.argumentModels[i]
             )
           );
         } else {
@@ -411,10 +448,57 @@ export class Functions {
       }
     }
 
-    let thisArg = AbstractValue.createAbstractArgument(this.realm, "this", funcValue.expressionLocation, ObjectValue);
+    let thisArg = createAbstractArgumentFromModel(
+      this.realm,
+      "this",
+      funcValue.expressionLocation,
+      config && config.thisModel,
+      ObjectValue
+    );
     return call.bind(this, thisArg, args);
   }
 
+  _reportSideEffectOfPureFunction(
+    functionValue: FunctionValue,
+    sideEffectType: SideEffectType,
+    binding: void | Binding | PropertyBinding,
+    expressionLocation: any
+  ): void {
+    // Prepack's own bookkeeping, such as the record of checked properties, is never serialized
+    if (binding !== undefined && binding.object instanceof ObjectValue && binding.object.refuseSerialization) return;
+    let fname = this.functionExpressions.get(functionValue) || functionValue.intrinsicName || "(unknown function)";
+    let sideEffect;
+    if (sideEffectType === "MODIFIED_BINDING") {
+      let name = binding ? `"${((binding: any): Binding).name}"` : "unknown";
+      sideEffect = `mutating the binding ${name}`;
+    } else if (sideEffectType === "MODIFIED_PROPERTY" || sideEffectType === "MODIFIED_GLOBAL") {
+      let key = ((binding: any): PropertyBinding).key;
+      let name = typeof key === "string" ? ` "${key}"` : "";
+      sideEffect =
+        sideEffectType === "MODIFIED_PROPERTY"
+          ? `mutating a property${name}`
+          : `mutating the global object property${name}`;
+    } else {
+      invariant(sideEffectType === "EXCEPTION_THROWN");
+      sideEffect = "throwing an exception";
+    }
+    let error = new CompilerDiagnostic(
+      `Optimized function ${fname} is configured as pure, but has side-effects from ${sideEffect}`,
+      expressionLocation || this.realm.currentLocation,
+      "PP1007",
+      "FatalError"
+    );
+    // Reporting the diagnostic creates an error object, which must not be taken for another side effect
+    let savedReportSideEffectCallback = this.realm.reportSideEffectCallback;
+    this.realm.reportSideEffectCallback = undefined;
+    try {
+      this.realm.handleError(error);
+    } finally {
+      this.realm.reportSideEffectCallback = savedReportSideEffectCallback;
+    }
+    throw new FatalError();
+  }
+
   checkThatFunctionsAreIndependent(environmentRecordIdAfterGlobalCode: number) {
     let additionalFunctionsToProcess = this.__generateInitialAdditionalFunctions("__optimizedFunctions");
     // When we find declarations of nested optimized functions, we need to apply the parent
@@ -443,8 +527,13 @@ export class Functions {
       additionalFunctionStack.push(functionValue);
       invariant(functionValue instanceof ECMAScriptSourceFunctionValue);
       let call = this._callOfFunction(functionValue);
-      let effects: Effects = this.realm.evaluatePure(() =>
-        this.realm.evaluateForEffectsInGlobalEnv(call, undefined, "additional function")
+      let config = this.optimizedFunctionConfigs.get(functionValue);
+      let effects: Effects = this.realm.evaluatePure(
+        () => this.realm.evaluateForEffectsInGlobalEnv(call, undefined, "additional function"),
+        config !== undefined && config.pure
+          ? (sideEffectType, binding, expressionLocation) =>
+              this._reportSideEffectOfPureFunction(functionValue, sideEffectType, binding, expressionLocation)
+          : undefined
       );
       invariant(effects);
       let additionalFunctionEffects = this._createAdditionalEffects(
@@ -14,6 +14,7 @@ import { Realm, ExecutionContext } from "../realm.js";
 import { CompilerDiagnostic, FatalError } from "../errors.js";
 import type { SourceFile } from "../types.js";
 import { AbruptCompletion } from "../completions.js";
+import { GetExportedNames, GetRootModules, ResolveExport, SourceTextModuleRecord } from "../methods/module.js";
 import { Generator } from "../utils/generator.js";
 import generate from "babel-generator";
 import traverseFast from "../utils/traverse-fast.js";
@@ -31,6 +32,7 @@ import { ResidualHeapSerializer } from "./ResidualHeapSerializer.js";
 import { ResidualHeapValueIdentifiers } from "./ResidualHeapValueIdentifiers.js";
 import { LazyObjectsSerializer } from "./LazyObjectsSerializer.js";
 import * as t from "babel-types";
+import type { BabelNodeExportSpecifier } from "babel-types";
 import { ResidualHeapRefCounter } from "./ResidualHeapRefCounter";
 import { ResidualHeapGraphGenerator } from "./ResidualHeapGraphGenerator";
 import { Referentializer } from "./Referentializer.js";
@@ -57,6 +59,7 @@ export class Serializer {
     this.react = {
       usedReactElementKeys: new Set(),
     };
+    this.moduleExportSpecifiers = [];
   }
 
   realm: Realm;
@@ -65,10 +68,11 @@ export class Serializer {
   modules: Modules;
   options: SerializerOptions;
   react: ReactSerializerState;
+  moduleExportSpecifiers: Array<BabelNodeExportSpecifier>;
 
   _execute(sources: Array<SourceFile>, sourceMaps?: boolean = false): { [string]: string } {
     let realm = this.realm;
-    let [res, code] = realm.$GlobalEnv.executeSources(sources, "script", ast => {
+    let onParse = ast => {
       let realmPreludeGenerator = realm.preludeGenerator;
       invariant(realmPreludeGenerator);
       let forbiddenNames = realmPreludeGenerator.nameGenerator.forbiddenNames;
@@ -78,7 +82,11 @@ export class Serializer {
         forbiddenNames.add(((node: any): BabelNodeIdentifier).name);
         return true;
       });
-    });
+    };
+    let [res, code] =
+      this.options.sourceType === "module"
+        ? realm.$GlobalEnv.executeModules(sources, onParse)
+        : realm.$GlobalEnv.executeSources(sources, "script", onParse);
 
     if (res instanceof AbruptCompletion) {
       let context = new ExecutionContext();
@@ -92,9 +100,58 @@ export class Serializer {
       realm.handleError(diagnostic);
       throw new FatalError();
     }
+    if (Array.isArray(res) && this.options.moduleOutput === "module") this._emitModuleExports(res);
     return code;
   }
 
+  // The exports of the modules that no other module imports become top-level variables of the residual program,
+  // which are exported under the same names at its end. Residual functions refer to these variables instead of
+  // capturing the bindings, so that the exports stay live bindings.
+  _emitModuleExports(modules: Array<SourceTextModuleRecord>): void {
+    let realm = this.realm;
+    let generator = realm.generator;
+    let preludeGenerator = realm.preludeGenerator;
+    invariant(generator !== undefined && preludeGenerator !== undefined);
+    let exportedModules = new Map();
+    let context = new ExecutionContext();
+    realm.pushContext(context);
+    try {
+      for (let module of GetRootModules(realm, modules)) {
+        for (let exportName of GetExportedNames(realm, module)) {
+          let otherModule = exportedModules.get(exportName);
+          if (otherModule !== undefined) {
+            let diagnostic = new CompilerDiagnostic(
+              `${module.filePath} and ${otherModule.filePath} both export ${exportName}`,
+              module.ast.loc,
+              "PP0043",
+              "FatalError"
+            );
+            realm.handleError(diagnostic);
+            throw new FatalError();
+          }
+          exportedModules.set(exportName, module);
+          let resolution = ResolveExport(realm, module, exportName);
+          // Names that are ambiguous because they are exported by several modules that are re-exported are not exported.
+          if (resolution === null || resolution === "ambiguous") continue;
+          let envRec = resolution.module.getEnvironmentRecord();
+          let binding = envRec.bindings[resolution.bindingName];
+          let value = binding.initialized
+            ? envRec.GetBindingValue(resolution.bindingName, true)
+            : realm.intrinsics.undefined;
+          let id = this.modules.exportedBindings.get(binding);
+          if (id === undefined) {
+            id = preludeGenerator.nameGenerator.generate(exportName);
+            this.modules.exportedBindings.set(binding, id);
+            generator.emitTopLevelDeclaration(id, value);
+          }
+          this.moduleExportSpecifiers.push(t.exportSpecifier(t.identifier(id), t.identifier(exportName)));
+        }
+      }
+    } finally {
+      realm.popContext(context);
+    }
+  }
+
   init(sources: Array<SourceFile>, sourceMaps?: boolean = false): void | SerializedResult {
     let realmStatistics = this.realm.statistics;
     invariant(realmStatistics instanceof SerializerStatistics, "serialization requires SerializerStatistics");
@@ -260,6 +317,9 @@ export class Serializer {
       })();
 
       invariant(ast !== undefined);
+      if (this.moduleExportSpecifiers.length > 0) {
+        ast.program.body.push(t.exportNamedDeclaration(null, this.moduleExportSpecifiers));
+      }
       if (this.realm.stripFlow) {
         stripFlowTypeAnnotations(ast);
       }
@@ -9,8 +9,9 @@
 
 /* @flow */
 
-import { ObjectValue, SymbolValue, ECMAScriptSourceFunctionValue } from "../values/index.js";
+import { ObjectValue, SymbolValue, ECMAScriptSourceFunctionValue, Value } from "../values/index.js";
 import type { Realm } from "../realm.js";
+import { FunctionEnvironmentRecord } from "../environment.js";
 
 import { FatalError } from "../errors.js";
 import type { Descriptor } from "../types.js";
@@ -146,3 +147,35 @@ export function getObjectPrototypeMetadata(
     constructor,
   };
 }
+
+// A generator object that has not started evaluating its body yet can be recreated by calling its generator function again,
+// as long as binding its parameters did not involve running code.
+export function getGeneratorStartCall(
+  val: ObjectValue
+): void | { func: ECMAScriptSourceFunctionValue, thisValue: Value, args: Array<Value> } {
+  if (val.$GeneratorState !== "suspendedStart") return undefined;
+  let genContext = val.$GeneratorContext;
+  let args = val.$GeneratorArguments;
+  invariant(genContext !== undefined && args !== undefined);
+  let func = genContext.function;
+  invariant(func instanceof ECMAScriptSourceFunctionValue);
+  if (func.$FormalParameters.some(param => param.type !== "Identifier")) return undefined;
+  let env = genContext.lexicalEnvironment;
+  while (!(env.environmentRecord instanceof FunctionEnvironmentRecord)) {
+    invariant(env.parent !== null);
+    env = env.parent;
+  }
+  let thisValue = env.environmentRecord.GetThisBinding();
+  return { func, thisValue, args };
+}
+
+// Whether the object gets its prototype without help, i.e. from the natural constructor of its kind
+// or, for a function, from the kind of function expression that recreates it.
+export function hasDefaultPrototype(realm: Realm, obj: ObjectValue): boolean {
+  let proto = obj.$Prototype;
+  if (obj instanceof ECMAScriptSourceFunctionValue) {
+    if (obj.$FunctionKind === "generator") return proto === realm.intrinsics.Generator;
+    if (obj.$FunctionKind === "async") return proto === realm.intrinsics.AsyncFunctionPrototype;
+  }
+  return proto === realm.intrinsics[obj.getKind() + "Prototype"];
+}
@@ -268,6 +268,16 @@ export type Intrinsics = {
   Generator: ObjectValue,
   GeneratorPrototype: ObjectValue,
   GeneratorFunction: NativeFunctionValue,
+  AsyncFunction: NativeFunctionValue,
+  AsyncFunctionPrototype: ObjectValue,
+
+  Intl: ObjectValue,
+  Collator: NativeFunctionValue,
+  CollatorPrototype: ObjectValue,
+  DateTimeFormat: NativeFunctionValue,
+  DateTimeFormatPrototype: ObjectValue,
+  NumberFormat: NativeFunctionValue,
+  NumberFormatPrototype: ObjectValue,
 
   __IntrospectionError: NativeFunctionValue,
   __IntrospectionErrorPrototype: ObjectValue,
@@ -289,6 +299,53 @@ export type ResolvingFunctions = {
   reject: Value,
 };
 
+export type IntlServiceKind = "Collator" | "DateTimeFormat" | "NumberFormat";
+
+// The locales and options that an Intl service object was initialized with, after their coercion.
+// They determine the host service that computes the results.
+export type IntlServiceData = {
+  kind: IntlServiceKind,
+  locales: Array<string>,
+  options: { [string]: string | number | boolean },
+};
+
+// ECMA262 8.4, table 25. Jobs only ever run in the realm that enqueued them.
+export type PendingJob = {
+  job: Function,
+  arguments: Array<any>,
+  // The promise whose settlement or reactions the job belongs to, for diagnostics.
+  promise: void | ObjectValue,
+};
+
+// An event listener (DOM 2.7) that was added to an EventTarget by addEventListener.
+export type EventListener = {
+  type: string,
+  callback: ObjectValue,
+  capture: boolean,
+  once: boolean,
+  passive: boolean,
+  // The generator that was active when the listener was added. The listener can only be dispatched or removed at
+  // prepack time while that generator is active. It becomes undefined once speculatively evaluated code may have
+  // removed it.
+  generator: void | Generator,
+};
+
+// A timer that was registered with setTimeout or setInterval (HTML 8.6, timer initialization steps).
+export type Timer = {
+  // The value that was returned to the program, which identifies the timer to clearTimeout and clearInterval.
+  handle: Value,
+  callback: FunctionValue,
+  // The delay in milliseconds, or undefined if it is not known.
+  delay: void | number,
+  arguments: Array<Value>,
+  // Whether the timer was registered with setInterval.
+  repeat: boolean,
+  // The generator that was active when the timer was registered. The timer can only fire or be cleared at prepack
+  // time while that generator is active. It becomes undefined once speculatively evaluated code may have cleared it.
+  generator: void | Generator,
+  state: "pending" | "fired" | "cleared",
+};
+
 export type TypedArrayKind =
   | "Float32Array"
   | "Float64Array"
@@ -317,8 +374,19 @@ export type ObjectKind =
   | "WeakMap"
   | "WeakSet"
   | TypedArrayKind
-  | "ReactElement";
-// TODO #26 #712: Promises. All kinds of iterators. Generators.
+  | "ReactElement"
+  | "Generator"
+  | "Promise"
+  | IntlServiceKind;
+// TODO #26: All kinds of iterators.
+
+// The completion with which a suspended generator or async function context is resumed.
+export type ResumptionValue = Value | AbruptCompletion;
+
+// The state of a generator or async function body evaluation. It yields at each suspension point
+// (the IteratorResult object of a yield expression, or undefined for an await expression)
+// and is resumed with the completion that is the result of the suspended expression.
+export type ResumableEvaluation = $Iterator<Value, Value, ResumptionValue>;
 
 export type ClassComponentMetadata = {
   instanceProperties: Set<string>,
@@ -331,6 +399,14 @@ export type ReactComponentTreeConfig = {
   firstRenderOnly: boolean,
 };
 
+// The parsed config argument of __optimize(value, config).
+// Models are type names or templates, as accepted by __abstract.
+export type OptimizedFunctionConfig = {
+  argumentModels: Array<void | Value>,
+  thisModel: void | Value,
+  pure: boolean,
+};
+
 export type DebugServerType = {
   checkForActions: BabelNode => void,
   shutdown: () => void,
@@ -460,6 +536,16 @@ export type FunctionType = {
     Strict: boolean
   ): ECMAScriptSourceFunctionValue,
 
+  // ECMA262 9.2.8
+  AsyncFunctionCreate(
+    realm: Realm,
+    kind: "normal" | "method" | "arrow",
+    parameters: Array<BabelNodeLVal>,
+    body: BabelNodeBlockStatement,
+    Scope: LexicalEnvironment,
+    Strict: boolean
+  ): ECMAScriptSourceFunctionValue,
+
   // ECMA262 9.2.7
   AddRestrictedFunctionProperties(F: FunctionValue, realm: Realm): boolean,
 
@@ -479,7 +565,7 @@ export type FunctionType = {
     realm: Realm,
     functionPrototype: ObjectValue | AbstractObjectValue,
     strict: boolean,
-    functionKind: "normal" | "non-constructor" | "generator"
+    functionKind: "normal" | "non-constructor" | "generator" | "async"
   ): ECMAScriptSourceFunctionValue,
 
   // ECMA262 9.4.1.3
@@ -509,6 +595,10 @@ export type FunctionType = {
     realm: Realm
   ): Value,
 
+  EvaluateResumableBody(realm: Realm, body: BabelNodeBlockStatement, strictCode: boolean): ResumableEvaluation,
+
+  EvaluateAsyncFunctionBody(realm: Realm, F: ECMAScriptSourceFunctionValue, argumentsList: Array<Value>): Value,
+
   PartiallyEvaluateStatements(
     body: Array<BabelNodeStatement>,
     blockValue: void | NormalCompletion | Value,
@@ -589,6 +679,9 @@ export type EnvironmentType = {
   // ECMA262 8.1.2.2
   NewDeclarativeEnvironment(realm: Realm, E: LexicalEnvironment, active?: boolean): LexicalEnvironment,
 
+  // ECMA262 8.1.2.6
+  NewModuleEnvironment(realm: Realm, E: LexicalEnvironment): LexicalEnvironment,
+
   BoundNames(realm: Realm, node: BabelNode): Array<string>,
 
   // ECMA262 13.3.3.2
@@ -883,7 +976,7 @@ export type CreateType = {
     realm: Realm,
     constructor: ObjectValue,
     newTarget: void | ObjectValue,
-    kind: "normal" | "generator",
+    kind: "normal" | "generator" | "async",
     args: Array<Value>
   ): Value,
 };
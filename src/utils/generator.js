@@ -10,7 +10,7 @@
 /* @flow */
 
 import type { Realm, Effects } from "../realm.js";
-import type { PropertyBinding, Descriptor } from "../types.js";
+import type { PropertyBinding, Descriptor, Timer } from "../types.js";
 import type { ResidualFunctionBinding } from "../serializer/types.js";
 import type { Binding } from "../environment.js";
 import {
@@ -173,6 +173,26 @@ class TemporalBuildNodeEntry extends GeneratorEntry {
   }
 }
 
+// Registers a timer when the residual program runs, unless the timer fired or was cleared at prepack time.
+// In that case, the handle of the timer is only declared if the program still refers to it.
+class TimerRegistrationEntry extends TemporalBuildNodeEntry {
+  constructor(args: TemporalBuildNodeEntryArgs, timer: Timer) {
+    super(args);
+    this.timer = timer;
+  }
+
+  timer: Timer;
+
+  visit(callbacks: VisitEntryCallbacks, containingGenerator: Generator): boolean {
+    // The state of the timer is final once the global code has been evaluated.
+    if (this.timer.state !== "pending") {
+      this.args = [];
+      this.isPure = true;
+    }
+    return super.visit(callbacks, containingGenerator);
+  }
+}
+
 type ModifiedPropertyEntryArgs = {|
   propertyBinding: PropertyBinding,
   newDescriptor: void | Descriptor,
@@ -503,6 +523,16 @@ export class Generator {
     if (!(value instanceof UndefinedValue)) this.emitGlobalAssignment(key, value, true);
   }
 
+  // Declares a variable at the top level of the residual program, outside of any wrapper function, and assigns the
+  // value to it.
+  emitTopLevelDeclaration(id: string, value: Value) {
+    this.preludeGenerator.declaredGlobals.add(id);
+    this._addEntry({
+      args: [value],
+      buildNode: ([valueNode]) => t.expressionStatement(t.assignmentExpression("=", t.identifier(id), valueNode)),
+    });
+  }
+
   emitGlobalAssignment(key: string, value: Value, strictMode: boolean) {
     this._addEntry({
       args: [value],
@@ -824,6 +854,34 @@ export class Generator {
     return this.deriveAbstract(types, values, args, (nodes: any) => t.callExpression(createCallee(), nodes), { kind });
   }
 
+  // Returns the handle of the timer, which is the result of registering it again in the residual program.
+  emitTimerRegistration(timer: Timer, createCallee: () => BabelNodeExpression, args: Array<Value>): AbstractValue {
+    let id = t.identifier(this.preludeGenerator.nameGenerator.generate("derived"));
+    this.preludeGenerator.derivedIds.set(id.name, args);
+    let handle = new AbstractValue(
+      this.realm,
+      TypesDomain.topVal,
+      ValuesDomain.topVal,
+      1735003607742176 + this.preludeGenerator.derivedIds.size,
+      [],
+      id
+    );
+    handle.intrinsicName = id.name;
+    let entry = new TimerRegistrationEntry(
+      {
+        declared: handle,
+        args,
+        buildNode: (nodes: any) =>
+          t.variableDeclaration("var", [
+            t.variableDeclarator(id, timer.state === "pending" ? t.callExpression(createCallee(), nodes) : null),
+          ]),
+      },
+      timer
+    );
+    this._entries.push(entry);
+    return handle;
+  }
+
   emitStatement(args: Array<Value>, buildNode_: (Array<BabelNodeExpression>) => BabelNodeStatement) {
     this._addEntry({
       args,
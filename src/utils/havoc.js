@@ -343,6 +343,9 @@ class ObjectValueHavocingVisitor {
       case "ReactElement":
       case "ArrayBuffer":
       case "Array":
+      case "Collator":
+      case "DateTimeFormat":
+      case "NumberFormat":
         return;
       case "Date":
         let dateValue = val.$DateValue;
@@ -371,6 +374,12 @@ class ObjectValueHavocingVisitor {
       case "WeakSet":
         this.visitValueSet(val);
         return;
+      case "Generator":
+        this.visitValueGenerator(val);
+        return;
+      case "Promise":
+        this.visitValuePromise(val);
+        return;
       default:
         invariant(kind === "Object", `Object of kind ${kind} is not supported in calls to abstract functions.`);
         invariant(val.$ParameterMap === undefined, `Arguments object is not supported in calls to abstract functions.`);
@@ -378,6 +387,44 @@ class ObjectValueHavocingVisitor {
     }
   }
 
+  visitValueGenerator(val: ObjectValue): void {
+    let genContext = val.$GeneratorContext;
+    if (val.$GeneratorState === "completed" || genContext === undefined) return;
+    let fn = genContext.function;
+    invariant(fn instanceof ECMAScriptSourceFunctionValue);
+    this.visitValue(fn);
+    let args = val.$GeneratorArguments;
+    if (args !== undefined) for (let arg of args) this.visitValue(arg);
+    // Resuming the generator runs its body, which can read and write all bindings of the suspended evaluation.
+    for (let env = genContext.lexicalEnvironment; env !== null; env = env.parent) {
+      let record = env.environmentRecord;
+      invariant(record instanceof DeclarativeEnvironmentRecord);
+      for (let bindingName of Object.keys(record.bindings)) {
+        let binding = record.bindings[bindingName];
+        if (binding.value) this.visitValue(binding.value);
+        havocBinding(binding);
+      }
+      if (record instanceof FunctionEnvironmentRecord) {
+        this.visitValue(record.$ThisValue);
+        break;
+      }
+    }
+  }
+
+  visitValuePromise(val: ObjectValue): void {
+    if (val.$PromiseResult !== undefined) this.visitValue(val.$PromiseResult);
+    // Settling the promise calls the handlers of all pending reactions.
+    for (let reactions of [val.$PromiseFulfillReactions, val.$PromiseRejectReactions]) {
+      if (reactions === undefined) continue;
+      for (let { capabilities, handler } of reactions) {
+        this.visitValue(handler);
+        this.visitValue(capabilities.promise);
+        this.visitValue(capabilities.resolve);
+        this.visitValue(capabilities.reject);
+      }
+    }
+  }
+
   visitValueProxy(val: ProxyValue): void {
     this.visitValue(val.$ProxyTarget);
     this.visitValue(val.$ProxyHandler);
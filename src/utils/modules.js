@@ -10,15 +10,17 @@
 /* @flow */
 
 import { GlobalEnvironmentRecord, DeclarativeEnvironmentRecord } from "../environment.js";
+import type { Binding } from "../environment.js";
 import { CompilerDiagnostic, FatalError } from "../errors.js";
 import { Realm, Tracer } from "../realm.js";
 import type { Effects } from "../realm.js";
-import { Get } from "../methods/index.js";
+import { Call, Get } from "../methods/index.js";
 import { AbruptCompletion, PossiblyNormalCompletion } from "../completions.js";
 import { Environment, Functions } from "../singletons.js";
 import {
   AbstractValue,
   Value,
+  ECMAScriptSourceFunctionValue,
   FunctionValue,
   ObjectValue,
   NumberValue,
@@ -261,9 +263,16 @@ export class ModuleTracer extends Tracer {
               );
             }
 
-            result = AbstractValue.createTemporalFromBuildFunction(realm, Value, [], ([]) =>
-              t.callExpression(t.identifier("require"), [t.valueToNode(moduleIdValue)])
-            );
+            let webpackRequire = this.modules.webpackRequire;
+            if (webpackRequire !== undefined) {
+              result = AbstractValue.createTemporalFromBuildFunction(realm, Value, [webpackRequire], ([requireNode]) =>
+                t.callExpression(requireNode, [t.valueToNode(moduleIdValue)])
+              );
+            } else {
+              result = AbstractValue.createTemporalFromBuildFunction(realm, Value, [], ([]) =>
+                t.callExpression(t.identifier("require"), [t.valueToNode(moduleIdValue)])
+              );
+            }
           } else {
             result = effects.result;
             if (result instanceof Value) {
@@ -323,18 +332,24 @@ export class ModuleTracer extends Tracer {
     performCall: () => Value
   ): void | Value {
     if (
-      F === this.modules.getRequire() &&
+      (F === this.modules.getRequire() || this.modules.isWebpackRequire(F)) &&
       !this.modules.disallowDelayingRequiresOverride &&
       argumentsList.length === 1
     ) {
       // Here, we handle calls of the form
       //   require(42)
+      // or, with the webpack runtime,
+      //   __webpack_require__(42)
 
       let moduleId = argumentsList[0];
       let moduleIdValue;
       // Do some sanity checks and request require(...) calls with bad arguments
       if (moduleId instanceof NumberValue || moduleId instanceof StringValue) {
         moduleIdValue = moduleId.value;
+        // the webpack runtime can install more modules at any time, e.g. when a chunk gets loaded
+        if (!this.modules.moduleIds.has(moduleIdValue) && F === this.modules.webpackRequire) {
+          this.modules.registerWebpackModules();
+        }
         if (!this.modules.moduleIds.has(moduleIdValue) && this.modules.delayUnsupportedRequires) {
           this.modules.logger.logError(moduleId, "Module referenced by require call has not been defined.");
         }
@@ -386,9 +401,12 @@ export class Modules {
     this.logger = logger;
     this._require = realm.intrinsics.undefined;
     this._define = realm.intrinsics.undefined;
+    this.webpackRequire = undefined;
+    this.webpackModuleFactories = new Set();
     this.factoryFunctionDependencies = new Map();
     this.moduleIds = new Set();
     this.initializedModules = new Map();
+    this.exportedBindings = new Map();
     realm.tracers.push((this.moduleTracer = new ModuleTracer(this, logModules)));
     this.delayUnsupportedRequires = delayUnsupportedRequires;
     this.accelerateUnsupportedRequires = accelerateUnsupportedRequires;
@@ -399,9 +417,13 @@ export class Modules {
   logger: Logger;
   _require: Value;
   _define: Value;
+  webpackRequire: void | ECMAScriptSourceFunctionValue;
+  webpackModuleFactories: Set<FunctionValue>;
   factoryFunctionDependencies: Map<FunctionValue, Array<Value>>;
   moduleIds: Set<number | string>;
   initializedModules: Map<number | string, Value>;
+  // The bindings of ES modules that the residual program exports, mapped to the top-level variables that hold them.
+  exportedBindings: Map<Binding, string>;
   active: boolean;
   delayUnsupportedRequires: boolean;
   accelerateUnsupportedRequires: boolean;
@@ -450,17 +472,78 @@ export class Modules {
     return this._define;
   }
 
+  _getOwnDataPropertyValue(object: ObjectValue, name: string): void | Value {
+    let binding = object.properties.get(name);
+    if (binding === undefined || binding.descriptor === undefined) return undefined;
+    let value = binding.descriptor.value;
+    return value instanceof Value ? value : undefined;
+  }
+
+  // Checks if F is the require function of the webpack runtime. The webpack bootstrap code
+  // defines it as a local function of the bundle, so we recognize it by the properties the
+  // bootstrap code puts on it before requiring the entry module:
+  //   __webpack_require__.m = modules;
+  //   __webpack_require__.c = installedModules;
+  // Only a single webpack runtime per bundle is supported.
+  isWebpackRequire(F: FunctionValue): boolean {
+    if (this.webpackRequire !== undefined) return F === this.webpackRequire;
+    if (!(F instanceof ECMAScriptSourceFunctionValue)) return false;
+    let modules = this._getOwnDataPropertyValue(F, "m");
+    let installedModules = this._getOwnDataPropertyValue(F, "c");
+    if (!(modules instanceof ObjectValue) || !(installedModules instanceof ObjectValue)) return false;
+    if (modules instanceof FunctionValue || installedModules instanceof FunctionValue) return false;
+    this.webpackRequire = F;
+    this.registerWebpackModules();
+    return true;
+  }
+
+  // Announces all modules of the webpack modules array or object as known module ids,
+  // just like global.__d(factoryFunction, moduleId) does for the Metro bundler.
+  registerWebpackModules(): void {
+    let webpackRequire = this.webpackRequire;
+    invariant(webpackRequire !== undefined);
+    let modules = this._getOwnDataPropertyValue(webpackRequire, "m");
+    if (!(modules instanceof ObjectValue)) return;
+    for (let key of modules.getOwnPropertyKeysArray()) {
+      let factoryFunction = this._getOwnDataPropertyValue(modules, key);
+      if (!(factoryFunction instanceof FunctionValue)) continue;
+      // webpack uses array indices or other numbers as module ids, unless named module ids are configured
+      let moduleId = String(+key) === key ? +key : key;
+      this.moduleIds.add(moduleId);
+      this.webpackModuleFactories.add(factoryFunction);
+    }
+  }
+
+  _evaluateRequireForEffects(moduleId: number | string): Effects {
+    let realm = this.realm;
+    let webpackRequire = this.webpackRequire;
+    if (webpackRequire !== undefined) {
+      let moduleIdValue =
+        typeof moduleId === "number" ? new NumberValue(realm, moduleId) : new StringValue(realm, moduleId);
+      return realm.evaluateForEffectsInGlobalEnv(() =>
+        Call(realm, webpackRequire, realm.intrinsics.undefined, [moduleIdValue])
+      );
+    }
+    let node = t.callExpression(t.identifier("require"), [t.valueToNode(moduleId)]);
+    return realm.evaluateNodeForEffectsInGlobalEnv(node);
+  }
+
   // Returns a function that checks if a call node represents a call to a
   // known require function, and if so, what module id that call indicates.
   // A known require function call is either of the form
   //   ... require(42) ...
-  // where require resolves to the global require function, or
+  // where require resolves to the global require function or the webpack require function, or
   //   factoryFunction(, require, , , dependencies) {
   //     ...
   //       ... require(dependencies[3]) ...
   // where factoryFunction and dependencies were announced as part of the
   // global code execution via a global module declaration call such as
   //   global.__d(factoryFunction, , [0,2,4,6,8])
+  // or
+  //   factoryFunction(, , __webpack_require__) {
+  //     ...
+  //       ... __webpack_require__(42) ...
+  // where factoryFunction is part of the modules of the webpack runtime.
   getGetModuleIdIfNodeIsRequireFunction(
     formalParameters: Array<BabelNodeLVal>,
     functions: Array<FunctionValue>
@@ -531,6 +614,16 @@ export class Modules {
             continue;
           }
 
+          //    or for a webpack module factory function like
+          //      factoryFunction(, , __webpack_require__)
+          if (modules.webpackModuleFactories.has(f) && formalParameters[2] === scopedBinding.path.node) {
+            invariant(scopedBinding.kind === "param");
+            // There is no dependency map with webpack, so this only works for literal arguments.
+            let newModuleId = getModuleId();
+            if (newModuleId !== undefined && !updateModuleId(newModuleId)) return undefined;
+            continue;
+          }
+
           // The name binds to some local entity, but nothing we'd know what exactly it is
           return undefined;
         }
@@ -564,7 +657,11 @@ export class Modules {
           if (!binding.initialized) return undefined;
           value = binding.value;
         }
-        if (value !== modules.getRequire()) return undefined;
+        if (
+          value !== modules.getRequire() &&
+          (modules.webpackRequire === undefined || value !== modules.webpackRequire)
+        )
+          return undefined;
         const newModuleId = getModuleId();
         invariant(newModuleId !== undefined);
         if (!updateModuleId(newModuleId)) return undefined;
@@ -590,9 +687,7 @@ export class Modules {
     this.disallowDelayingRequiresOverride = true;
     return downgradeErrorsToWarnings(realm, () => {
       try {
-        let node = t.callExpression(t.identifier("require"), [t.valueToNode(moduleId)]);
-
-        let effects = realm.evaluateNodeForEffectsInGlobalEnv(node);
+        let effects = this._evaluateRequireForEffects(moduleId);
         realm.applyEffects(effects, message);
         return effects;
       } catch (err) {
@@ -615,6 +710,8 @@ export class Modules {
       if (!(result instanceof Value)) continue; // module might throw
       count++;
       this.initializedModules.set(moduleId, result);
+      // remember the module beyond the next resolveInitializedModules
+      this.recordModuleInitialized(moduleId, result);
     }
     if (count > 0) console.log(`=== speculatively initialized ${count} additional modules`);
   }
@@ -625,15 +722,9 @@ export class Modules {
     let oldDisallowDelayingRequiresOverride = this.disallowDelayingRequiresOverride;
     this.disallowDelayingRequiresOverride = true;
     try {
-      let node = t.callExpression(t.identifier("require"), [t.valueToNode(moduleId)]);
-
-      let {
-        result,
-        generator,
-        modifiedBindings,
-        modifiedProperties,
-        createdObjects,
-      } = realm.evaluateNodeForEffectsInGlobalEnv(node);
+      let { result, generator, modifiedBindings, modifiedProperties, createdObjects } = this._evaluateRequireForEffects(
+        moduleId
+      );
       // for lint unused
       invariant(modifiedBindings);
 
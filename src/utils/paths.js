@@ -12,6 +12,7 @@
 import { AbstractValue, ConcreteValue, NullValue, UndefinedValue, Value } from "../values/index.js";
 import { InfeasiblePathError } from "../errors.js";
 import invariant from "../invariant.js";
+import { areConditionsInfeasible } from "./solver.js";
 
 export class PathImplementation {
   implies(condition: AbstractValue): boolean {
@@ -21,7 +22,8 @@ export class PathImplementation {
       let pathCondition = path[i];
       if (pathCondition.implies(condition)) return true;
     }
-    return false;
+    // the path conditions imply condition if they cannot be true while condition is false
+    return path.length > 0 && areConditionsInfeasible(condition.$Realm, path, [condition]);
   }
 
   impliesNot(condition: AbstractValue): boolean {
@@ -31,7 +33,7 @@ export class PathImplementation {
       let pathCondition = path[i];
       if (pathCondition.impliesNot(condition)) return true;
     }
-    return false;
+    return path.length > 0 && areConditionsInfeasible(condition.$Realm, path.concat(condition));
   }
 
   withCondition<T>(condition: AbstractValue, evaluate: () => T): T {
@@ -182,10 +184,19 @@ function pushInversePathCondition(condition: Value) {
 
 function pushRefinedConditions(condition: AbstractValue, unrefinedConditions: Array<AbstractValue>) {
   let realm = condition.$Realm;
-  let refinedConditions = unrefinedConditions.map(c => realm.simplifyAndRefineAbstractCondition(c));
+  let refinedConditions;
+  // The earlier conditions are not folded with the numeric ranges implied by the new condition.
+  let savedRefiningPathConditions = realm.refiningPathConditions;
+  realm.refiningPathConditions = true;
+  try {
+    refinedConditions = unrefinedConditions.map(c => realm.simplifyAndRefineAbstractCondition(c));
+  } finally {
+    realm.refiningPathConditions = savedRefiningPathConditions;
+  }
   if (refinedConditions.some(c => !c.mightNotBeFalse())) throw new InfeasiblePathError();
   let pc = realm.pathConditions;
   realm.pathConditions = [];
   for (let c of refinedConditions) pushPathCondition(c);
   for (let c of pc) realm.pathConditions.push(c);
+  if (areConditionsInfeasible(realm, realm.pathConditions)) throw new InfeasiblePathError();
 }
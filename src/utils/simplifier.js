@@ -11,7 +11,7 @@
 
 import type { BabelNodeSourceLocation } from "babel-types";
 import { FatalError, InfeasiblePathError } from "../errors.js";
-import { ValuesDomain } from "../domains/index.js";
+import { IntervalsDomain, ValuesDomain } from "../domains/index.js";
 import invariant from "../invariant.js";
 import { Realm } from "../realm.js";
 import { AbstractValue, BooleanValue, ConcreteValue, Value } from "../values/index.js";
@@ -112,11 +112,19 @@ function simplify(realm, value: Value, isCondition: boolean = false): Value {
       if (x.equals(x0) && y.equals(y0)) return value;
       return AbstractValue.createFromLogicalOp(realm, (value.kind: any), x, y, loc, isCondition, true);
     }
+    case "<":
+    case "<=":
+    case ">":
+    case ">=":
+      return simplifyNumericComparison(realm, value);
     case "==":
     case "!=":
     case "===":
-    case "!==":
+    case "!==": {
+      let result = simplifyNumericComparison(realm, value);
+      if (result !== value) return result;
       return simplifyEquality(realm, value);
+    }
     case "conditional": {
       let [c0, x0, y0] = value.args;
       let c = simplify(realm, c0, true);
@@ -207,6 +215,19 @@ function simplify(realm, value: Value, isCondition: boolean = false): Value {
   }
 }
 
+// Folds comparisons of numbers whose outcome follows from their ranges, as refined by the path conditions
+// unless the comparison is itself one of the path conditions being refined.
+function simplifyNumericComparison(realm: Realm, comparison: AbstractValue): Value {
+  let [x, y] = comparison.args;
+  let getIntervals = realm.refiningPathConditions ? IntervalsDomain.fromValue : IntervalsDomain.fromValueOnCurrentPath;
+  let xIntervals = getIntervals(x);
+  if (xIntervals.isTop()) return comparison;
+  let yIntervals = getIntervals(y);
+  let result = IntervalsDomain.compare((comparison.kind: any), xIntervals, yIntervals);
+  if (result === undefined) return comparison;
+  return new BooleanValue(realm, result);
+}
+
 function simplifyEquality(realm: Realm, equality: AbstractValue): Value {
   let loc = equality.expressionLocation;
   let op = equality.kind;
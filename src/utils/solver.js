@@ -0,0 +1,384 @@
+/**
+ * Copyright (c) 2017-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+/* @flow */
+
+import { IntervalsDomain } from "../domains/index.js";
+import invariant from "../invariant.js";
+import type { Realm } from "../realm.js";
+import { AbstractValue, ConcreteValue, NullValue, NumberValue, UndefinedValue, Value } from "../values/index.js";
+
+/* A small decision procedure for the conditions that are known to hold along a path.
+   Conditions are translated into propositional formulas over atoms. An atom is either a comparison
+   of linear combinations of integers, an equality of an abstract value with a concrete value,
+   or the truthiness of some other abstract value. Satisfiability is decided with a DPLL style search
+   that checks the atoms of each partial assignment for consistency, using Fourier-Motzkin elimination
+   for the integer comparisons. Like IntegralValue, integers are assumed to be safe integers, so that
+   their arithmetic is exact and they are never NaN.
+   The search is bounded by realm.pathConditionsSolverBudget. If the budget is exhausted, or the
+   conditions are too large, the conditions are conservatively assumed to be satisfiable. */
+
+type Formula =
+  | {| kind: "constant", value: boolean |}
+  | {| kind: "atom", index: number |}
+  | {| kind: "not", operand: Formula |}
+  | {| kind: "and" | "or", operands: Array<Formula> |};
+
+// sum(coefficients[i] * variables[i]) + constant
+type LinearTerm = {| coefficients: Map<number, number>, constant: number |};
+
+// term < 0 if strict, term <= 0 otherwise
+type Constraint = {| term: LinearTerm, strict: boolean |};
+
+type Atom = {|
+  // the truthiness of an abstract value, or (left op right)
+  op: void | "<" | "<=" | "==" | "===",
+  left: Value,
+  right: void | Value,
+  // for integer comparisons, (term op 0)
+  term: void | LinearTerm,
+|};
+
+type Variable = {| value: AbstractValue, intervals: IntervalsDomain |};
+
+// Limits that keep the cost of a query proportional to its budget.
+const MAX_FORMULA_SIZE = 200;
+const MAX_CONSTRAINTS = 200;
+const MAX_COEFFICIENT = 1 << 20;
+
+class BailOut {}
+
+class Query {
+  constructor(budget: number) {
+    this.atoms = [];
+    this.variables = [];
+    this.formulaSize = 0;
+    this.budget = budget;
+  }
+
+  atoms: Array<Atom>;
+  variables: Array<Variable>;
+  formulaSize: number;
+  budget: number;
+
+  translate(value: Value): Formula {
+    if (++this.formulaSize > MAX_FORMULA_SIZE) throw new BailOut();
+    if (!value.mightNotBeTrue()) return { kind: "constant", value: true };
+    if (!value.mightNotBeFalse()) return { kind: "constant", value: false };
+    invariant(value instanceof AbstractValue);
+    let [x, y, z] = value.args;
+    switch (value.kind) {
+      case "!":
+        return { kind: "not", operand: this.translate(x) };
+      case "&&":
+        return { kind: "and", operands: [this.translate(x), this.translate(y)] };
+      case "||":
+        return { kind: "or", operands: [this.translate(x), this.translate(y)] };
+      case "conditional": {
+        let condition = this.translate(x);
+        return {
+          kind: "or",
+          operands: [
+            { kind: "and", operands: [condition, this.translate(y)] },
+            { kind: "and", operands: [{ kind: "not", operand: condition }, this.translate(z)] },
+          ],
+        };
+      }
+      case "<":
+      case "<=":
+      case "==":
+      case "===":
+        return this.translateComparison(value.kind, x, y);
+      case ">":
+        return this.translateComparison("<", y, x);
+      case ">=":
+        return this.translateComparison("<=", y, x);
+      case "!=":
+        return { kind: "not", operand: this.translateComparison("==", x, y) };
+      case "!==":
+        return { kind: "not", operand: this.translateComparison("===", x, y) };
+      default:
+        return this.getAtom(undefined, value, undefined);
+    }
+  }
+
+  translateComparison(op: "<" | "<=" | "==" | "===", left: Value, right: Value): Formula {
+    if (op === "==" && !left.mightNotBeNumber() && !right.mightNotBeNumber()) op = "===";
+    if (op === "===" && left instanceof ConcreteValue && right instanceof AbstractValue) [left, right] = [right, left];
+    return this.getAtom(op, left, right);
+  }
+
+  getAtom(op: void | "<" | "<=" | "==" | "===", left: Value, right: void | Value): Formula {
+    let term;
+    if (op !== undefined && op !== "==") {
+      invariant(right !== undefined);
+      let leftTerm = this.linearize(left);
+      let rightTerm = leftTerm && this.linearize(right);
+      if (leftTerm !== undefined && rightTerm !== undefined) term = addTerms(leftTerm, rightTerm, -1);
+    }
+    let index = this.atoms.findIndex(
+      atom =>
+        atom.op === op &&
+        (term !== undefined && atom.term !== undefined
+          ? areSameTerms(term, atom.term)
+          : atom.left.equals(left) && (right === undefined || (atom.right !== undefined && atom.right.equals(right))))
+    );
+    if (index < 0) {
+      index = this.atoms.length;
+      this.atoms.push({ op, left, right, term });
+    }
+    return { kind: "atom", index };
+  }
+
+  linearize(value: Value): void | LinearTerm {
+    if (value instanceof NumberValue) {
+      let n = value.value;
+      if (!Number.isInteger(n) || Math.abs(n) > MAX_COEFFICIENT) return undefined;
+      return { coefficients: new Map(), constant: n };
+    }
+    if (!(value instanceof AbstractValue)) return undefined;
+    let intervals = IntervalsDomain.fromValue(value);
+    if (!intervals.isIntegral()) return undefined;
+    let [x, y] = value.args;
+    if (value.args.length === 2 && (value.kind === "+" || value.kind === "-")) {
+      let xTerm = this.linearize(x);
+      let yTerm = xTerm && this.linearize(y);
+      if (xTerm !== undefined && yTerm !== undefined) return addTerms(xTerm, yTerm, value.kind === "+" ? 1 : -1);
+    } else if (value.args.length === 2 && value.kind === "*") {
+      let xTerm = this.linearize(x);
+      let yTerm = xTerm && this.linearize(y);
+      if (xTerm !== undefined && yTerm !== undefined) {
+        if (xTerm.coefficients.size === 0) return scaleTerm(yTerm, xTerm.constant);
+        if (yTerm.coefficients.size === 0) return scaleTerm(xTerm, yTerm.constant);
+      }
+    } else if (value.args.length === 1 && value.kind === "-") {
+      let xTerm = this.linearize(x);
+      if (xTerm !== undefined) return scaleTerm(xTerm, -1);
+    }
+    let index = this.variables.findIndex(variable => variable.value.equals(value));
+    if (index < 0) {
+      index = this.variables.length;
+      this.variables.push({ value, intervals });
+    }
+    return { coefficients: new Map([[index, 1]]), constant: 0 };
+  }
+
+  isSatisfiable(formulas: Array<Formula>): boolean {
+    return this.search(formulas, this.atoms.map(() => undefined));
+  }
+
+  search(formulas: Array<Formula>, assignment: Array<void | boolean>): boolean {
+    if (--this.budget < 0) throw new BailOut();
+    let undecidedAtom;
+    for (let formula of formulas) {
+      let value = evaluate(formula, assignment);
+      if (value === false) return false;
+      if (value === undefined && undecidedAtom === undefined) undecidedAtom = findUndecidedAtom(formula, assignment);
+    }
+    if (!this.isConsistent(assignment)) return false;
+    if (undecidedAtom === undefined) return true;
+    for (let value of [true, false]) {
+      assignment[undecidedAtom] = value;
+      if (this.search(formulas, assignment)) return true;
+    }
+    assignment[undecidedAtom] = undefined;
+    return false;
+  }
+
+  isConsistent(assignment: Array<void | boolean>): boolean {
+    let constants: Map<AbstractValue, ConcreteValue> = new Map();
+    let constraints: Array<Constraint> = [];
+    let constrainedVariables = new Set();
+    for (let i = 0; i < this.atoms.length; i++) {
+      let value = assignment[i];
+      if (value === undefined) continue;
+      let { op, left, right, term } = this.atoms[i];
+      if (term !== undefined) {
+        for (let variable of term.coefficients.keys()) constrainedVariables.add(variable);
+        if (op === "===") {
+          // there is no constraint for integers that are not equal
+          if (value) constraints.push({ term, strict: false }, { term: scaleTerm(term, -1), strict: false });
+        } else if (value) {
+          constraints.push({ term, strict: op === "<" });
+        } else {
+          // !(t < 0) <=> -t <= 0, !(t <= 0) <=> -t < 0
+          constraints.push({ term: scaleTerm(term, -1), strict: op === "<=" });
+        }
+      } else if (op === "===" && value && left instanceof AbstractValue && right instanceof ConcreteValue) {
+        // an abstract value cannot be equal to two different concrete values
+        if (right instanceof NumberValue && isNaN(right.value)) return false;
+        let subject;
+        for (let s of constants.keys()) if (s.equals(left)) subject = s;
+        if (subject === undefined) {
+          constants.set(left, right);
+        } else {
+          let constant = constants.get(subject);
+          invariant(constant !== undefined);
+          if (!areConsistentConstants(constant, right)) return false;
+        }
+      }
+    }
+    if (constraints.length === 0) return true;
+    for (let index of constrainedVariables) {
+      let intervals = this.variables[index].intervals;
+      let lower = intervals.getLowerBound();
+      let upper = intervals.getUpperBound();
+      if (isFinite(lower) && Math.abs(lower) <= MAX_COEFFICIENT)
+        constraints.push({ term: { coefficients: new Map([[index, -1]]), constant: lower }, strict: false });
+      if (isFinite(upper) && Math.abs(upper) <= MAX_COEFFICIENT)
+        constraints.push({ term: { coefficients: new Map([[index, 1]]), constant: -upper }, strict: false });
+    }
+    return isFeasible(constraints.map(tighten));
+  }
+}
+
+// An integer that is less than 0 is at most -1.
+function tighten(constraint: Constraint): Constraint {
+  if (!constraint.strict) return constraint;
+  let { coefficients, constant } = constraint.term;
+  return { term: { coefficients, constant: constant + 1 }, strict: false };
+}
+
+// The path conditions of (x == null) include both x === null and x === undefined,
+// so an abstract value that is equal to null and to undefined is not a contradiction.
+function areConsistentConstants(x: ConcreteValue, y: ConcreteValue): boolean {
+  if (x instanceof NumberValue && y instanceof NumberValue) return x.value === y.value;
+  if (isNullOrUndefined(x) && isNullOrUndefined(y)) return true;
+  return x.equals(y);
+}
+
+function isNullOrUndefined(x: ConcreteValue): boolean {
+  return x instanceof NullValue || x instanceof UndefinedValue;
+}
+
+function addTerms(x: LinearTerm, y: LinearTerm, factor: number): LinearTerm {
+  let coefficients = new Map(x.coefficients);
+  for (let [variable, coefficient] of y.coefficients) {
+    let sum = (coefficients.get(variable) || 0) + factor * coefficient;
+    if (sum === 0) coefficients.delete(variable);
+    else coefficients.set(variable, sum);
+  }
+  return { coefficients, constant: x.constant + factor * y.constant };
+}
+
+function scaleTerm(x: LinearTerm, factor: number): LinearTerm {
+  return addTerms({ coefficients: new Map(), constant: 0 }, x, factor);
+}
+
+function areSameTerms(x: LinearTerm, y: LinearTerm): boolean {
+  if (x.constant !== y.constant || x.coefficients.size !== y.coefficients.size) return false;
+  for (let [variable, coefficient] of x.coefficients) {
+    if (y.coefficients.get(variable) !== coefficient) return false;
+  }
+  return true;
+}
+
+function evaluate(formula: Formula, assignment: Array<void | boolean>): void | boolean {
+  switch (formula.kind) {
+    case "constant":
+      return formula.value;
+    case "atom":
+      return assignment[formula.index];
+    case "not": {
+      let value = evaluate(formula.operand, assignment);
+      return value === undefined ? undefined : !value;
+    }
+    default: {
+      // a conjunction is false if any operand is false, a disjunction is true if any operand is true
+      let decisive = formula.kind === "or";
+      let result = !decisive;
+      for (let operand of formula.operands) {
+        let value = evaluate(operand, assignment);
+        if (value === decisive) return decisive;
+        if (value === undefined) result = undefined;
+      }
+      return result;
+    }
+  }
+}
+
+function findUndecidedAtom(formula: Formula, assignment: Array<void | boolean>): void | number {
+  switch (formula.kind) {
+    case "constant":
+      return undefined;
+    case "atom":
+      return assignment[formula.index] === undefined ? formula.index : undefined;
+    case "not":
+      return findUndecidedAtom(formula.operand, assignment);
+    default:
+      for (let operand of formula.operands) {
+        if (evaluate(operand, assignment) !== undefined) continue;
+        let atom = findUndecidedAtom(operand, assignment);
+        if (atom !== undefined) return atom;
+      }
+      return undefined;
+  }
+}
+
+// Fourier-Motzkin elimination. Returns false only if the constraints cannot be satisfied by real numbers.
+function isFeasible(constraints: Array<Constraint>): boolean {
+  while (constraints.length > 0) {
+    let variable;
+    for (let constraint of constraints) {
+      for (let v of constraint.term.coefficients.keys()) {
+        variable = v;
+        break;
+      }
+      if (variable !== undefined) break;
+    }
+    if (variable === undefined) break;
+    let lowerBounds = [];
+    let upperBounds = [];
+    let remaining = [];
+    for (let constraint of constraints) {
+      let coefficient = constraint.term.coefficients.get(variable);
+      if (coefficient === undefined) remaining.push(constraint);
+      else if (coefficient > 0) upperBounds.push(constraint);
+      else lowerBounds.push(constraint);
+    }
+    if (remaining.length + upperBounds.length * lowerBounds.length > MAX_CONSTRAINTS) throw new BailOut();
+    for (let upper of upperBounds) {
+      for (let lower of lowerBounds) {
+        let upperCoefficient = upper.term.coefficients.get(variable);
+        let lowerCoefficient = lower.term.coefficients.get(variable);
+        invariant(upperCoefficient !== undefined && lowerCoefficient !== undefined);
+        let term = addTerms(scaleTerm(upper.term, -lowerCoefficient), lower.term, upperCoefficient);
+        if (Math.abs(term.constant) > Number.MAX_SAFE_INTEGER) throw new BailOut();
+        for (let coefficient of term.coefficients.values()) {
+          if (Math.abs(coefficient) > Number.MAX_SAFE_INTEGER) throw new BailOut();
+        }
+        remaining.push({ term, strict: upper.strict || lower.strict });
+      }
+    }
+    constraints = remaining;
+  }
+  for (let { term, strict } of constraints) {
+    if (strict ? term.constant >= 0 : term.constant > 0) return false;
+  }
+  return true;
+}
+
+// Returns true if it can be shown that the conditions cannot all be true,
+// or, if negatedConditions is given, that the conditions imply at least one of the negated conditions.
+export function areConditionsInfeasible(
+  realm: Realm,
+  conditions: $ReadOnlyArray<Value>,
+  negatedConditions?: $ReadOnlyArray<Value> = []
+): boolean {
+  if (realm.pathConditionsSolverBudget <= 0) return false;
+  let query = new Query(realm.pathConditionsSolverBudget);
+  try {
+    let formulas = conditions.map(condition => query.translate(condition));
+    for (let condition of negatedConditions) formulas.push({ kind: "not", operand: query.translate(condition) });
+    return !query.isSatisfiable(formulas);
+  } catch (e) {
+    if (e instanceof BailOut) return false;
+    throw e;
+  }
+}
@@ -38,7 +38,7 @@ import {
   Value,
 } from "./index.js";
 import { hashString, hashBinary, hashCall, hashTernary, hashUnary } from "../methods/index.js";
-import { TypesDomain, ValuesDomain } from "../domains/index.js";
+import { IntervalsDomain, TypesDomain, ValuesDomain } from "../domains/index.js";
 import invariant from "../invariant.js";
 import { Join, Path } from "../singletons.js";
 import { AbruptCompletion, JoinedAbruptCompletions, PossiblyNormalCompletion } from "../completions.js";
@@ -111,6 +111,7 @@ export default class AbstractValue extends Value {
     invariant(types.getType() !== NullValue && types.getType() !== UndefinedValue);
     this.types = types;
     this.values = values;
+    this.intervals = IntervalsDomain.topVal;
     this.mightBeEmpty = false;
     this._buildNode = buildNode;
     this.args = args;
@@ -122,6 +123,7 @@ export default class AbstractValue extends Value {
   kind: ?AbstractValueKind;
   types: TypesDomain;
   values: ValuesDomain;
+  intervals: IntervalsDomain;
   mightBeEmpty: boolean;
   args: Array<Value>;
   _buildNode: void | AbstractValueBuildNodeFunction | BabelNodeExpression;
@@ -375,6 +377,8 @@ export default class AbstractValue extends Value {
       for (let arg of this.args) if (arg.mightBeFalse()) return true;
       return false;
     }
+    // a number other than NaN is only falsy if it is 0
+    if (!this.intervals.isTop() && !this.intervals.contains(0)) return false;
     if (this.values.isTop()) return true;
     return this.values.mightBeFalse();
   }
@@ -604,6 +608,7 @@ export default class AbstractValue extends Value {
     let result = new AbstractValue(realm, resultTypes, resultValues, hash, args, ([x, y]) =>
       t.binaryExpression(op, x, y)
     );
+    result.intervals = IntervalsDomain.binaryOp(op, IntervalsDomain.fromValue(left), IntervalsDomain.fromValue(right));
     result.kind = kind || op;
     result.expressionLocation = loc;
     return result;
@@ -673,6 +678,7 @@ export default class AbstractValue extends Value {
     let result = new Constructor(realm, types, values, hash, args, ([c, x, y]) => t.conditionalExpression(c, x, y), {
       kind: "conditional",
     });
+    result.intervals = IntervalsDomain.joinValues(left, right);
     result.expressionLocation = loc;
     if (left) result.mightBeEmpty = left.mightHaveBeenDeleted();
     if (right && !result.mightBeEmpty) result.mightBeEmpty = right.mightHaveBeenDeleted();
@@ -697,6 +703,7 @@ export default class AbstractValue extends Value {
     let result = new AbstractValue(realm, resultTypes, resultValues, hashUnary(op, operand), [operand], ([x]) =>
       t.unaryExpression(op, x, prefix)
     );
+    result.intervals = IntervalsDomain.unaryOp(op, IntervalsDomain.fromValue(operand));
     result.kind = op;
     result.expressionLocation = loc;
     if (doNotSimplify) return result;
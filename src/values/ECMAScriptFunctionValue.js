@@ -23,7 +23,7 @@ export default class ECMAScriptFunctionValue extends FunctionValue {
   $ConstructorKind: "base" | "derived";
   $ThisMode: "lexical" | "strict" | "global";
   $HomeObject: void | ObjectValue;
-  $FunctionKind: "normal" | "classConstructor" | "generator";
+  $FunctionKind: "normal" | "classConstructor" | "generator" | "async";
   activeArguments: void | Map<BabelNodeSourceLocation, [number, Array<Value>]>;
   isSelfRecursive: boolean;
 }
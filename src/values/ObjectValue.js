@@ -10,11 +10,13 @@
 /* @flow */
 
 import type { Realm, ExecutionContext } from "../realm.js";
-import { TypesDomain, ValuesDomain } from "../domains/index.js";
+import { IntervalsDomain, TypesDomain, ValuesDomain } from "../domains/index.js";
 import { CompilerDiagnostic, FatalError } from "../errors.js";
 import type {
   DataBlock,
   Descriptor,
+  EventListener,
+  IntlServiceData,
   IterationKind,
   ObjectKind,
   PromiseReaction,
@@ -211,6 +213,9 @@ export default class ObjectValue extends ConcreteValue {
   $PromiseRejectReactions: void | Array<PromiseReaction>;
   $PromiseIsHandled: void | boolean;
 
+  // event target
+  $EventListeners: void | Array<EventListener>;
+
   // iterator
   $IteratedList: void | Array<Value>;
   $ListIteratorNextIndex: void | number;
@@ -265,8 +270,15 @@ export default class ObjectValue extends ConcreteValue {
   $ArrayBufferByteLength: void | number;
 
   // generator
-  $GeneratorState: void | "suspendedStart" | "executing";
+  $GeneratorState: void | "suspendedStart" | "suspendedYield" | "executing" | "completed";
   $GeneratorContext: void | ExecutionContext;
+  // not a spec slot: the arguments of the generator function call, to be able to serialize it
+  $GeneratorArguments: void | Array<Value>;
+
+  // intl
+  $IntlService: void | IntlServiceData;
+  $BoundCompare: void | NativeFunctionValue;
+  $BoundFormat: void | NativeFunctionValue;
 
   // typed array
   $TypedArrayName: void | TypedArrayKind;
@@ -445,7 +457,10 @@ export default class ObjectValue extends ConcreteValue {
     if (this.$WeakSetData !== undefined) return "WeakSet";
     if (isReactElement(this) && this.$Realm.react.enabled) return "ReactElement";
     if (this.$TypedArrayName !== undefined) return this.$TypedArrayName;
-    // TODO #26 #712: Promises. All kinds of iterators. Generators.
+    if (this.$GeneratorState !== undefined) return "Generator";
+    if (this.$PromiseState !== undefined) return "Promise";
+    if (this.$IntlService !== undefined) return this.$IntlService.kind;
+    // TODO #26: All kinds of iterators.
     return "Object";
   }
 
@@ -764,12 +779,19 @@ export default class ObjectValue extends ConcreteValue {
       }
     }
 
+    // If P is known to be an integer within a range, only the properties for the indices in that range can match.
+    let intervals = IntervalsDomain.fromValueOnCurrentPath(P);
+    let indices = intervals.isIntegral() ? intervals : undefined;
+
     P = To.ToStringAbstract(this.$Realm, P);
 
     // If all else fails, use this expression
     // TODO #1675: Check the prototype chain for known properties too.
     let result;
-    if (this.isPartialObject()) {
+    if (indices !== undefined && this._hasAllIndices(indices)) {
+      // P must be one of the known indices, so there is no need to fall back on an unknown property.
+      result = undefined;
+    } else if (this.isPartialObject()) {
       if (isWidenedValue(P)) {
         // TODO #1678: Use a snapshot or havoc this object.
         return AbstractValue.createTemporalFromBuildFunction(this.$Realm, Value, [this, P], ([o, p]) =>
@@ -802,6 +824,11 @@ export default class ObjectValue extends ConcreteValue {
       invariant(desc.value !== undefined); // otherwise this is not simple
       let val = desc.value;
       invariant(val instanceof Value);
+      if (indices !== undefined && !(+key + "" === key && indices.contains(+key))) continue;
+      if (result === undefined) {
+        result = val;
+        continue;
+      }
       let cond = AbstractValue.createFromBinaryOp(
         this.$Realm,
         "===",
@@ -812,9 +839,25 @@ export default class ObjectValue extends ConcreteValue {
       );
       result = Join.joinValuesAsConditional(this.$Realm, cond, val, result);
     }
+    invariant(result !== undefined);
     return result;
   }
 
+  // Checks if this object has a known value for every integer index in the given range.
+  _hasAllIndices(indices: IntervalsDomain): boolean {
+    if (this.isPartialObject() || this.isHavocedObject() || this.unknownProperty !== undefined) return false;
+    let lower = indices.getLowerBound();
+    let upper = indices.getUpperBound();
+    if (lower < 0 || upper - lower >= this.properties.size) return false;
+    for (let i = lower; i <= upper; i++) {
+      let propertyBinding = this.properties.get(i + "");
+      if (propertyBinding === undefined) return false;
+      let desc = propertyBinding.descriptor;
+      if (desc === undefined || desc.value === undefined) return false;
+    }
+    return true;
+  }
+
   specializeJoin(absVal: AbstractValue, propName: Value): Value {
     if (absVal.kind === "widened property") {
       let ob = absVal.args[0];
@@ -0,0 +1,10 @@
+// expected errors: [{"location":{"start":{"line":7,"column":8},"end":{"line":7,"column":9},"source":"test/error-handler/asyncAbstractControlFlow.js"},"severity":"FatalError","errorCode":"PP0039","message":"async function bodies with control flow that depends on abstract values are not supported (in async function f)"}]
+
+let c = global.__abstract ? __abstract("boolean", "true") : true;
+
+async function f() {
+  if (c) return 1;
+  await 2;
+}
+
+f();
@@ -0,0 +1,10 @@
+// expected errors: [{"location":{"start":{"line":10,"column":19},"end":{"line":10,"column":35},"source":"test/error-handler/asyncSpeculativeJob.js"},"severity":"FatalError","errorCode":"PP0037","message":"async function load cannot schedule promise jobs in code that is evaluated speculatively"}]
+
+let c = global.__abstract ? __abstract("boolean", "true") : true;
+let log = [];
+
+async function load() {
+  return 1;
+}
+
+if (c) load().then(v => log.push(v));
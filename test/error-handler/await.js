@@ -0,0 +1,8 @@
+// expected errors: [{"location":{"start":{"line":5,"column":11},"end":{"line":5,"column":18},"source":"test/error-handler/await.js"},"severity":"FatalError","errorCode":"PP0038"}]
+
+async function f() {
+  let log = [];
+  log.push(await 1);
+}
+
+f();
@@ -0,0 +1,11 @@
+// expected errors: [{"location":{"start":{"line":7,"column":8},"end":{"line":7,"column":9},"source":"test/error-handler/generatorAbstractControlFlow.js"},"severity":"FatalError","errorCode":"PP0036"}]
+
+let c = global.__abstract ? __abstract("boolean", "true") : true;
+
+function* g() {
+  if (c) return 1;
+  yield 2;
+}
+
+let it = g();
+it.next();
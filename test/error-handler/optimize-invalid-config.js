@@ -0,0 +1,11 @@
+// recover-from-errors
+// expected errors: [{"severity":"FatalError","errorCode":"PP0041"}]
+function additional(x) {
+  return x;
+}
+
+if (global.__optimize) __optimize(additional, { arguments: ["not a type"] });
+
+inspect = function() {
+  return additional(42);
+};
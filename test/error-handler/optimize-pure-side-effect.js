@@ -0,0 +1,14 @@
+// recover-from-errors
+// expected errors: [{"severity":"FatalError","errorCode":"PP1007"}]
+let counter = { count: 0 };
+
+function additional() {
+  counter.count++;
+  return counter.count;
+}
+
+if (global.__optimize) __optimize(additional, { pure: true });
+
+inspect = function() {
+  return additional();
+};
@@ -0,0 +1,18 @@
+// recover-from-errors
+// expected errors: [{"location":{"start":{"line":8,"column":24},"end":{"line":8,"column":25},"source":"test/error-handler/recursive-call-mutation.js"},"severity":"FatalError","errorCode":"PP0001"}]
+
+function fn(x) {
+  let counter = { visits: 0 };
+  function walk(n) {
+    counter.visits++;
+    if (n > 0) walk(n - 1);
+  }
+  walk(x);
+  return counter.visits;
+}
+
+if (global.__optimize) __optimize(fn);
+
+inspect = function() {
+  return fn(3);
+};
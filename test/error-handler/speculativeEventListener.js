@@ -0,0 +1,9 @@
+// expected errors: [{"location":{"start":{"line":9,"column":22},"end":{"line":9,"column":28},"source":"test/error-handler/speculativeEventListener.js"},"severity":"FatalError","errorCode":"PP0040","message":"event listeners that are added or removed by code that is evaluated speculatively cannot be dispatched"}]
+
+let c = global.__abstract ? __abstract("boolean", "true") : true;
+let log = [];
+function onLoad() {
+  log.push("load");
+}
+if (c) addEventListener("load", onLoad);
+dispatchEvent({ type: "load" });
@@ -0,0 +1,10 @@
+// expected errors: [{"location":{"start":{"line":5,"column":11},"end":{"line":5,"column":18},"source":"test/error-handler/yield.js"},"severity":"FatalError","errorCode":"PP0035"}]
+
+function* g() {
+  let log = [];
+  log.push(yield 1);
+}
+
+let it = g();
+it.next();
+it.next(2);
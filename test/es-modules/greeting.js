@@ -0,0 +1,9 @@
+export let counter = 0;
+
+export function increment() {
+  counter++;
+}
+
+export function greet(name) {
+  return "Hello " + name;
+}
@@ -0,0 +1,16 @@
+import { greet, counter, increment } from "./greeting";
+import * as math from "./math.js";
+import square, { add } from "./square.js";
+
+increment();
+increment();
+
+export let message = greet("world") + " " + counter + " " + math.add(1, 2) + " " + square(add(1, 2));
+
+export function getCounter() {
+  return counter;
+}
+
+export { square, counter, increment };
+
+console.log(message);
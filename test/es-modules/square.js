@@ -0,0 +1,7 @@
+import { add, zero } from "./math.js";
+
+export * from "./math.js";
+
+export default function(x) {
+  return add(x * x, zero);
+}
@@ -0,0 +1,49 @@
+var React = require('react');
+// the JSX transform converts to React, so we need to add it back in
+this['React'] = React;
+
+function Child(props) {
+  if (props.shouldThrow) {
+    throw new Error("Child failed to render");
+  }
+  return <span>{props.text}</span>;
+}
+
+class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      error: null,
+    };
+  }
+  componentDidCatch(error) {
+    this.setState({ error: error.message });
+  }
+  render() {
+    if (this.state.error !== null) {
+      return <div>Caught: {this.state.error}</div>;
+    }
+    return <div><Child text={this.props.text} shouldThrow={this.props.shouldThrow} /></div>;
+  }
+}
+
+function App(props) {
+  return <ErrorBoundary text={props.text} shouldThrow={props.shouldThrow} />;
+}
+
+App.getTrials = function(renderer, Root) {
+  let results = [];
+
+  renderer.update(<Root text="Hello world" shouldThrow={false} />);
+  results.push(['render error boundary', renderer.toJSON()]);
+  renderer.update(<Root text="Hello world" shouldThrow={true} />);
+  results.push(['render error boundary catching an error', renderer.toJSON()]);
+
+  return results;
+};
+
+if (this.__optimizeReactComponentTree) {
+  __optimizeReactComponentTree(App);
+}
+
+module.exports = App;
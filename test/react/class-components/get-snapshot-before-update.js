@@ -0,0 +1,38 @@
+var React = require('react');
+// the JSX transform converts to React, so we need to add it back in
+this['React'] = React;
+
+class Child extends React.Component {
+  getSnapshotBeforeUpdate(prevProps) {
+    return prevProps.text;
+  }
+  componentDidUpdate(prevProps, prevState, snapshot) {
+    this.props.snapshots.push(snapshot);
+  }
+  render() {
+    return <span>{this.props.text}</span>;
+  }
+}
+
+function App(props) {
+  return <div><Child text={props.text} snapshots={props.snapshots} /></div>;
+}
+
+App.getTrials = function(renderer, Root) {
+  let results = [];
+  let snapshots = [];
+
+  renderer.update(<Root text="Hello" snapshots={snapshots} />);
+  results.push(['render with getSnapshotBeforeUpdate', renderer.toJSON()]);
+  renderer.update(<Root text="world" snapshots={snapshots} />);
+  results.push(['update with getSnapshotBeforeUpdate', renderer.toJSON()]);
+  results.push(['snapshots from getSnapshotBeforeUpdate', snapshots.slice()]);
+
+  return results;
+};
+
+if (this.__optimizeReactComponentTree) {
+  __optimizeReactComponentTree(App);
+}
+
+module.exports = App;
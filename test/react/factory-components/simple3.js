@@ -0,0 +1,37 @@
+var React = require('react');
+// the JSX transform converts to React, so we need to add it back in
+this['React'] = React;
+
+function FactoryComponent(props) {
+  return {
+    _renderTitle() {
+      return <h1>{this.props.title}</h1>;
+    },
+    render() {
+      return <div>{this._renderTitle()}<span>{this.props.text}</span></div>;
+    },
+  }
+}
+
+function App(props) {
+  return (
+    <div>
+      <FactoryComponent title={props.title} text="Hello" />
+      {props.show ? <FactoryComponent title="Shown" text={props.title} /> : null}
+    </div>
+  );
+}
+
+App.getTrials = function(renderer, Root) {
+  renderer.update(<Root title="Title" show={true} />);
+  let results = [['render simple factory classes #3', renderer.toJSON()]];
+  renderer.update(<Root title="Title" show={false} />);
+  results.push(['render simple factory classes #3 without branch', renderer.toJSON()]);
+  return results;
+};
+
+if (this.__optimizeReactComponentTree) {
+  __optimizeReactComponentTree(App);
+}
+
+module.exports = App;
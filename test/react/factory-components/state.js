@@ -0,0 +1,29 @@
+var React = require('react');
+// the JSX transform converts to React, so we need to add it back in
+this['React'] = React;
+
+function FactoryComponent(props) {
+  return {
+    state: {
+      counter: 1,
+    },
+    render() {
+      return <span>{this.props.title} {this.state.counter}</span>;
+    },
+  }
+}
+
+function App(props) {
+  return <div>Hello, <FactoryComponent title={props.title} /></div>;
+}
+
+App.getTrials = function(renderer, Root) {
+  renderer.update(<Root title="world" />);
+  return [['render factory classes with state', renderer.toJSON()]];
+};
+
+if (this.__optimizeReactComponentTree) {
+  __optimizeReactComponentTree(App);
+}
+
+module.exports = App;
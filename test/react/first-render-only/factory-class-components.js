@@ -0,0 +1,37 @@
+var React = require('React');
+// the JSX transform converts to React, so we need to add it back in
+this['React'] = React;
+
+function Child(props) {
+  // the instance needs the setState method of React.Component
+  return Object.assign(Object.create(React.Component.prototype), {
+    state: {
+      counter: 0,
+    },
+    componentWillMount() {
+      this.setState({
+        counter: this.state.counter + 1,
+      });
+    },
+    render() {
+      return <span>{this.props.text}: {this.state.counter}</span>;
+    },
+  });
+}
+
+function App(props) {
+  return <div><Child text={props.text} /></div>;
+}
+
+App.getTrials = function(renderer, Root) {
+  renderer.update(<Root text="Counter is at" />);
+  return [['render factory classes in a first render only tree', renderer.toJSON()]];
+};
+
+if (this.__optimizeReactComponentTree) {
+  __optimizeReactComponentTree(App, {
+    firstRenderOnly: true,
+  });
+}
+
+module.exports = App;
@@ -0,0 +1,23 @@
+var React = require('react');
+// the JSX transform converts to React, so we need to add it back in
+this['React'] = React;
+
+function Item(props) {
+  return <span>{props.item.title}</span>;
+}
+
+function App(props) {
+  // rendering the alternate branch always throws a TypeError
+  return <div>{props.hasItem ? <Item item={{title: props.title}} /> : <Item item={null} />}</div>;
+}
+
+App.getTrials = function(renderer, Root) {
+  renderer.update(<Root hasItem={true} title="Hello world" />);
+  return [['render the branch that does not throw', renderer.toJSON()]];
+};
+
+if (this.__optimizeReactComponentTree) {
+  __optimizeReactComponentTree(App);
+}
+
+module.exports = App;
@@ -0,0 +1,30 @@
+var React = require('react');
+// the JSX transform converts to React, so we need to add it back in
+this['React'] = React;
+
+// computed once when the module is initialized, so it's the same for every render
+var headerClassName = cx('header', {'header-large': true});
+
+function Header() {
+  return <h1 className={headerClassName}>Title</h1>;
+}
+
+function App(props) {
+  return (
+    <div>
+      <Header />
+      <span className={headerClassName}>{props.text}</span>
+    </div>
+  );
+}
+
+App.getTrials = function(renderer, Root) {
+  renderer.update(<Root text="Hello world" />);
+  return [['render hoisted abstract values', renderer.toJSON()]];
+};
+
+if (this.__optimizeReactComponentTree) {
+  __optimizeReactComponentTree(App);
+}
+
+module.exports = App;
@@ -0,0 +1,35 @@
+var React = require('react');
+// the JSX transform converts to React, so we need to add it back in
+this['React'] = React;
+
+function Title(props) {
+  return <h1>{props.text}</h1>;
+}
+
+function Fallback() {
+  return <span>No subtitle</span>;
+}
+
+function App(props) {
+  return (
+    <div>
+      {props.showTitle && <Title text={props.title} />}
+      {props.subtitle || <Fallback />}
+    </div>
+  );
+}
+
+App.getTrials = function(renderer, Root) {
+  let results = [];
+  renderer.update(<Root showTitle={true} title="Hello" subtitle="world" />);
+  results.push(['render with title and subtitle', renderer.toJSON()]);
+  renderer.update(<Root showTitle={false} title="Hello" subtitle={null} />);
+  results.push(['render without title and subtitle', renderer.toJSON()]);
+  return results;
+};
+
+if (this.__optimizeReactComponentTree) {
+  __optimizeReactComponentTree(App);
+}
+
+module.exports = App;
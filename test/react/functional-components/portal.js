@@ -0,0 +1,45 @@
+var React = require('react');
+var ReactDOM = require('react-dom');
+// the JSX transform converts to React, so we need to add it back in
+this['React'] = React;
+
+function Child(props) {
+  return <span>{props.text}</span>;
+}
+
+function Modal(props) {
+  return <div className="modal"><Child text={props.text} /></div>;
+}
+
+function App(props) {
+  return (
+    <div>
+      <Child text="Before the portal" />
+      {ReactDOM.createPortal(<Modal text={props.text} />, props.container)}
+    </div>
+  );
+}
+
+function getContainerText(node) {
+  if (node.tag === 'TEXT') {
+    return node.text;
+  }
+  return node.type + '(' + node.children.map(getContainerText).join(',') + ')';
+}
+
+App.getTrials = function(renderer, Root) {
+  // the test renderer renders the portal children into any container that has children,
+  // and ReactDOM.createPortal accepts any container that looks like a DOM element
+  let container = {children: [], nodeType: 1, tag: 'CONTAINER'};
+  renderer.update(<Root text="Hello world" container={container} />);
+  return [
+    ['render portal', renderer.toJSON()],
+    ['render portal children', container.children.map(getContainerText).join(',')],
+  ];
+};
+
+if (this.__optimizeReactComponentTree) {
+  __optimizeReactComponentTree(App);
+}
+
+module.exports = App;
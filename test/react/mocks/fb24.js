@@ -0,0 +1,134 @@
+var React = require('React');
+// the JSX transform converts to React, so we need to add it back in
+this['React'] = React;
+var {createPaginationContainer} = require('RelayModern');
+
+if (!this.__evaluatePureFunction) {
+  this.__evaluatePureFunction = function(f) {
+    return f();
+  };
+}
+
+module.exports = this.__evaluatePureFunction(() => {
+
+  function Child(props) {
+    var items = props.feed.items;
+    return (
+      <div>
+        <ul>
+          {items.edges.map(edge => <li key={edge.node.id}>{edge.node.title}</li>)}
+        </ul>
+        {props.relay.hasMore() ? <button>Load more</button> : null}
+      </div>
+    );
+  }
+
+  var Node = {
+    kind: "Fragment",
+    name: "Test_feed",
+    type: "Feed",
+    metadata: {
+      connection: [
+        {
+          count: "count",
+          cursor: "cursor",
+          direction: "forward",
+          path: ["items"],
+        },
+      ],
+    },
+    argumentDefinitions: [],
+    selections: [],
+  };
+
+  var WrappedApp = createPaginationContainer(Child, {
+    feed: function feed() {
+      return Node;
+    },
+  }, {
+    direction: "forward",
+    getConnectionFromProps(props) {
+      return props.feed && props.feed.items;
+    },
+    getVariables(props, {count, cursor}) {
+      return {count, cursor};
+    },
+    query: function query() {
+      return null;
+    },
+  });
+
+  function App(props, context) {
+    return <span>This contains a ReactRelay pagination container:<WrappedApp /></span>;
+  }
+
+  if (this.__optimizeReactComponentTree) {
+    __optimizeReactComponentTree(App, {
+      firstRenderOnly: true,
+    });
+  }
+
+  // this is a mocked out relay mock for this test
+  class RelayMock extends React.Component {
+    getChildContext() {
+      return {
+        relay: {
+          environment: {
+            ['@@RelayModernEnvironment']: true,
+            check() {},
+            lookup() {},
+            retain() {},
+            sendQuery() {},
+            execute() {},
+            subscribe() {},
+            unstable_internal: {
+              getFragment(taggedNode) {
+                return taggedNode();
+              },
+              createFragmentSpecResolver() {
+                return {
+                  resolve() {
+                    return {
+                      feed: {
+                        items: {
+                          edges: [
+                            {node: {id: "1", title: "Hello"}},
+                            {node: {id: "2", title: "world"}},
+                          ],
+                          pageInfo: {
+                            endCursor: "2",
+                            hasNextPage: true,
+                          },
+                        },
+                      },
+                    };
+                  },
+                  isLoading() {
+                    return false;
+                  },
+                  setCallback() {},
+                  dispose() {},
+                };
+              },
+            },
+          },
+          variables: {},
+        },
+      };
+    }
+    render() {
+      return <App />;
+    }
+  }
+
+  RelayMock.childContextTypes = {
+    relay: () => {},
+  };
+
+  RelayMock.getTrials = function(renderer, Root) {
+    renderer.update(<Root />);
+    return [['fb24 mocks', renderer.toJSON()]];
+  };
+
+  return RelayMock;
+});
@@ -1,3 +1,4 @@
+// skip lazy objects
 // does contain:[11, 22
 (function() {
   let x = global.__abstract ? __abstract("boolean", "true") : true;
@@ -1,3 +1,4 @@
+// skip lazy objects
 // does contain:[1,, 3,, 5, 6]
 (function() {
   let x = global.__abstract ? __abstract("boolean", "true") : true;
@@ -0,0 +1,13 @@
+let c = global.__abstract ? __abstract("boolean", "true") : true;
+let log = [];
+function onLoad(event) { log.push("load " + event.type); }
+function onResize() { log.push("resize"); }
+window.addEventListener("resize", onResize);
+if (c) window.addEventListener("load", onLoad);
+else window.removeEventListener("resize", onResize);
+
+inspect = function() {
+  window.dispatchEvent({ type: "load" });
+  window.dispatchEvent({ type: "resize" });
+  return log.join();
+}
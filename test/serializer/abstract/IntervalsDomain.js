@@ -0,0 +1,24 @@
+// does not contain:unreachable
+let x = global.__abstract ? __abstract("integral", "(5)") : 5;
+let y = global.__abstract ? __abstract("number", "(2.5)") : 2.5;
+let r = "";
+
+if (x > 0 && x < 10) {
+  if (x >= 1) r += "a";
+  else r += "unreachable";
+  if (x + 1 <= 10) r += "b";
+  else r += "unreachable";
+  if (x * 2 === 20) r += "unreachable";
+  else r += "c";
+  if ((x & 7) > 7) r += "unreachable";
+  else r += "d";
+}
+
+if (y > 1 && y <= 3) {
+  if (y - 5 < 0) r += "e";
+  else r += "unreachable";
+}
+
+inspect = function() {
+  return r;
+};
@@ -0,0 +1,12 @@
+// does not contain:unknown
+let x = global.__abstract ? __abstract("integral", "(1)") : 1;
+let table = { 0: "a", 1: "b", 2: "c", 3: "unknown", name: "unknown" };
+let r;
+
+if (x >= 0 && x < 3) {
+  r = table[x];
+}
+
+inspect = function() {
+  return r;
+};
@@ -0,0 +1,9 @@
+// does contain:.format(
+// does not contain:1,234.5
+var nf = new Intl.NumberFormat("en-US", { maximumFractionDigits: 1 });
+var s = nf.format(1234.54);
+var d = new Date(Date.UTC(2018, 0, 2, 3, 4, 5)).toLocaleDateString("en-US", { timeZone: "UTC" });
+
+inspect = function() {
+  return s + " " + d;
+};
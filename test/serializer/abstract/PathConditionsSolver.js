@@ -0,0 +1,23 @@
+// does not contain:unreachable
+let x = global.__abstract ? __abstract("integral", "(7)") : 7;
+let s = global.__abstract ? __abstract("string", '("b")') : "b";
+let r = "";
+
+if (x + 1 > 6) {
+  if (x <= 5) r += "unreachable";
+  else r += "a";
+}
+
+if (s === "a" || s === "b") {
+  if (s !== "a" && s !== "b") r += "unreachable";
+  else r += "b";
+  if (s === "a") {
+    if (s === "b") r += "unreachable";
+  }
+}
+
+if (x - 2 >= 3 && 2 * x < 10) r += "unreachable";
+
+inspect = function() {
+  return r;
+};
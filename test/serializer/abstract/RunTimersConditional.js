@@ -0,0 +1,12 @@
+// run timers
+// does contain:setTimeout
+let c = global.__abstract ? __abstract("boolean", "true") : true;
+global.x = 1;
+if (c) setTimeout(function() { global.x = 2; }, 0);
+let id = setTimeout(function() { global.x = 3; });
+if (!c) clearTimeout(id);
+
+inspect = function() {
+  clearTimeout(id);
+  return global.x;
+}
@@ -0,0 +1,18 @@
+// tail calls
+function f(x) {
+  "use strict";
+  if (x) return g(1);
+  return x ? g(2) : g(3);
+}
+
+function g(n) {
+  "use strict";
+  return n + 1;
+}
+
+let c = global.__abstract ? __abstract("boolean", "(false)") : false;
+var r = f(c);
+
+inspect = function() {
+  return r;
+};
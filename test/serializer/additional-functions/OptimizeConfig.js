@@ -0,0 +1,17 @@
+// does not contain:is not a number
+function additional(n, obj) {
+  if (typeof n !== "number") throw new Error("n is not a number");
+  if (typeof this.offset !== "number") throw new Error("offset is not a number");
+  return obj.a + n + this.offset;
+}
+
+if (global.__optimize)
+  __optimize(additional, {
+    arguments: ["number", { a: __abstract("number") }],
+    this: { offset: __abstract("number") },
+    pure: true,
+  });
+
+inspect = function() {
+  return additional.call({ offset: 1 }, 41, { a: 2 });
+};
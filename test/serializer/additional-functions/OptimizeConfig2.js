@@ -0,0 +1,11 @@
+// does not contain:is not a number
+function additional(n) {
+  if (typeof n !== "number") throw new Error("n is not a number");
+  return n + 1;
+}
+
+if (global.__optimize) __optimize(additional, { arguments: ["number"], firstRenderOnly: false });
+
+inspect = function() {
+  return additional(41);
+};
@@ -1,3 +1,4 @@
+// skip lazy objects
 // does contain:[11, 22,, 44]
 (function() {
   let o = [11, 22, 33, 44];
@@ -0,0 +1,19 @@
+// es6
+var log = [];
+
+async function f(x) {
+  log.push("start " + x);
+  let y = await x;
+  log.push("resumed " + y);
+  return y + 1;
+}
+
+var p = f(1);
+log.push("sync");
+var started = log.slice();
+p.then(v => log.push("then " + v));
+
+inspect = function() {
+  return JSON.stringify(started);
+};
+// does contain:"then 2"
@@ -0,0 +1,34 @@
+// es6
+// does contain:"caught boom"
+// does not contain:"unreachable"
+(function() {
+  let log = [];
+
+  async function thrower() {
+    await null;
+    throw new Error("boom");
+  }
+
+  async function catcher() {
+    try {
+      await thrower();
+      log.push("unreachable");
+    } catch (e) {
+      log.push("caught " + e.message);
+    } finally {
+      log.push("finally");
+    }
+    return log.length;
+  }
+
+  let p = catcher();
+  let rejected = Promise.reject(new Error("handled"));
+  rejected.catch(e => log.push(e.message));
+
+  global.log = log;
+  global.p = p;
+  global.rejected = rejected;
+  inspect = function() {
+    return typeof p.then + typeof rejected.then;
+  };
+})();
@@ -0,0 +1,29 @@
+// es6
+// does contain:"method 6"
+// does contain:"arrow 7"
+(function() {
+  let log = [];
+  let o = {
+    factor: 2,
+    async method(x) {
+      return (await x) * this.factor;
+    },
+  };
+  let arrow = async x => (await x) + 1;
+  let AsyncFunction = Object.getPrototypeOf(arrow).constructor;
+  let dynamic = new AsyncFunction("a", "return await a;");
+
+  o.method(3).then(v => log.push("method " + v));
+  arrow(Promise.resolve(6)).then(v => log.push("arrow " + v));
+
+  global.log = log;
+  global.arrow = arrow;
+  global.dynamic = dynamic;
+  inspect = function() {
+    return [
+      Object.getPrototypeOf(arrow) === AsyncFunction.prototype,
+      dynamic.length,
+      Object.prototype.toString.call(AsyncFunction.prototype),
+    ].join();
+  };
+})();
@@ -0,0 +1,15 @@
+function outer(n, g) {
+  return function({ a, b = n }, [c, ...d], e = 1) {
+    return g(a + b + c + d.length + e);
+  };
+}
+var f1 = outer(1, function(x) {
+  return x;
+});
+var f2 = outer(2, function(x) {
+  return x * 2;
+});
+
+inspect = function() {
+  return [f1({ a: 1 }, [2, 3, 4]), f2({ a: 1, b: 3 }, [5], 10), f1.length, f2.length].join();
+};
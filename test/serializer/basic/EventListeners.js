@@ -0,0 +1,19 @@
+let log = [];
+function onLoad(event) { log.push("load " + event.type); }
+window.addEventListener("load", onLoad);
+window.addEventListener("load", onLoad);
+window.addEventListener("load", onLoad, true);
+document.addEventListener("click", { handleEvent() { log.push("click"); } }, { once: true });
+(function() {
+  let onResize = function() { log.push("resized"); };
+  window.addEventListener("resize", onResize, { capture: true });
+  window.removeEventListener("resize", onResize, true);
+})();
+
+inspect = function() {
+  window.dispatchEvent({ type: "load" });
+  window.dispatchEvent({ type: "resize" });
+  document.dispatchEvent({ type: "click" });
+  document.dispatchEvent({ type: "click" });
+  return log.join();
+}
@@ -0,0 +1,15 @@
+let log = [];
+function onLoad(event) {
+  log.push("load " + event.type);
+}
+addEventListener("load", onLoad);
+dispatchEvent({ type: "load" });
+window.addEventListener("ready", function() { log.push("ready"); }, { once: true });
+window.dispatchEvent({ type: "ready" });
+window.dispatchEvent({ type: "ready" });
+removeEventListener("load", onLoad, true);
+inspect = function() {
+  window.dispatchEvent({ type: "load" });
+  window.dispatchEvent({ type: "ready" });
+  return log.join();
+};
@@ -0,0 +1,9 @@
+// skip lazy objects
+// Copies of "leaf":1
+(function() {
+  var items = [];
+  for (var i = 0; i < 10; i++) {
+    items.push({ type: "leaf", id: i, position: { left: i, top: 2 * i } });
+  }
+  inspect = function() { return JSON.stringify(items); }
+})();
@@ -8,5 +8,10 @@
     c = { x: 1, y: undefined };
     d = { x: 1, y: undefined };
     e = { x: 1, y: undefined };
-    inspect = function() { a.x + b.x + c.x + d.x + e.x; }
+    f = { x: 1, y: undefined };
+    g = { x: 1, y: undefined };
+    h = { x: 1, y: undefined };
+    i = { x: 1, y: undefined };
+    j = { x: 1, y: undefined };
+    inspect = function() { a.x + b.x + c.x + d.x + e.x + f.x + g.x + h.x + i.x + j.x; }
 })();
@@ -0,0 +1,20 @@
+// es6
+function* fib(n) {
+  let a = 0,
+    b = 1;
+  for (let i = 0; i < n; i++) {
+    yield a;
+    [a, b] = [b, a + b];
+  }
+  return "done";
+}
+
+let values = [];
+for (let x of fib(10)) values.push(x);
+
+let g = fib(3);
+let steps = [g.next(), g.next(), g.next(), g.next(), g.next()];
+
+inspect = function() {
+  return JSON.stringify({ values, steps });
+};
@@ -0,0 +1,36 @@
+// es6
+function* echo() {
+  let log = [];
+  try {
+    while (true) {
+      let x = yield log.length;
+      if (x === undefined) break;
+      log.push(x);
+    }
+  } catch (e) {
+    log.push("caught " + e);
+  } finally {
+    yield "cleanup";
+  }
+  return log.join();
+}
+
+let g1 = echo();
+let r1 = [g1.next(), g1.next("a"), g1.next("b"), g1.throw("oops"), g1.next(), g1.next()];
+
+let g2 = echo();
+let r2 = [g2.next(), g2.return(42), g2.next(), g2.next()];
+
+let g3 = echo();
+let r3 = [g3.return(1), g3.next()];
+
+let r4;
+try {
+  echo.prototype.next.call({});
+} catch (e) {
+  r4 = e instanceof TypeError;
+}
+
+inspect = function() {
+  return JSON.stringify({ r1, r2, r3, r4 });
+};
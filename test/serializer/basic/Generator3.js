@@ -0,0 +1,42 @@
+// es6
+function* inner() {
+  try {
+    let x = yield 1;
+    yield x * 2;
+  } finally {
+    log.push("inner done");
+  }
+  return "inner";
+}
+
+function* outer() {
+  let r = yield* inner();
+  log.push(r);
+  yield* [3, 4];
+  outer: for (let i of [5, 6, 7]) {
+    for (let j = 0; j < 2; j++) {
+      if (i === 6) continue outer;
+      if (i === 7) break outer;
+      yield i * 10 + j;
+    }
+  }
+  return (yield "last") || "default";
+}
+
+var log = [];
+let results = [];
+let g = outer();
+let step = g.next();
+while (!step.done) {
+  results.push(step.value);
+  step = g.next(step.value === 1 ? 21 : undefined);
+}
+results.push(step.value);
+
+let g2 = outer();
+g2.next();
+let early = g2.return("early");
+
+inspect = function() {
+  return JSON.stringify({ log, results, early, state: g2.next() });
+};
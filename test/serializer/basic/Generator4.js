@@ -0,0 +1,26 @@
+// es6
+function* counter(start, step) {
+  let i = start;
+  while (true) {
+    yield i;
+    i += step;
+  }
+}
+counter.prototype.extra = "extra";
+
+let fresh = counter(10, 5);
+let done = counter(0, 1);
+done.return();
+let obj = {
+  *items() {
+    yield this.name;
+  },
+  name: "obj",
+};
+let method = obj.items();
+
+inspect = function() {
+  let a = fresh.next().value;
+  let b = fresh.next().value;
+  return JSON.stringify([a, b, fresh.extra, fresh instanceof counter, done.next(), method.next()]);
+};
@@ -0,0 +1,14 @@
+// es6
+class C {
+  constructor() {
+    this.v = 5;
+  }
+  *m() {
+    yield this.v;
+  }
+}
+var c = new C();
+
+inspect = function() {
+  return JSON.stringify([...c.m(), c.m() instanceof C.prototype.m]);
+};
@@ -0,0 +1,30 @@
+// es6
+class C {
+  constructor() {
+    this.v = 5;
+  }
+  *m(step) {
+    yield this.v;
+    yield this.v + step;
+  }
+  static *s() {
+    yield "s";
+  }
+}
+C.prototype.m.prototype.extra = "extra";
+var c = new C();
+var fresh = c.m(2);
+var staticFresh = C.s();
+var done = c.m(1);
+done.return();
+
+inspect = function() {
+  return JSON.stringify([
+    fresh.next().value,
+    fresh.next().value,
+    fresh.extra,
+    fresh instanceof C.prototype.m,
+    [...staticFresh],
+    done.next().done,
+  ]);
+};
@@ -0,0 +1,11 @@
+// skip lazy objects
+// locale: en-US
+// does contain:["a", "b", "c"]
+var collator = new Intl.Collator("en-US");
+var sorted = ["c", "a", "b"].sort(collator.compare);
+var order = "a".localeCompare("b", "en-US");
+var sensitivity = new Intl.Collator("en-US", { sensitivity: "base" }).compare("a", "A");
+
+inspect = function() {
+  return JSON.stringify(sorted) + " " + order + " " + sensitivity;
+};
@@ -0,0 +1,13 @@
+// locale: en-US
+// does contain:1/2/2018
+// does contain:3:04:05 AM
+var d = new Date(Date.UTC(2018, 0, 2, 3, 4, 5));
+var date = d.toLocaleDateString("en-US", { timeZone: "UTC" });
+var time = d.toLocaleTimeString("en-US", { timeZone: "UTC" });
+var dtf = new Intl.DateTimeFormat("en-US", { timeZone: "UTC", month: "long", year: "numeric" });
+var both = dtf.format(d);
+var invalid = new Date(NaN).toLocaleString();
+
+inspect = function() {
+  return [date, time, both, invalid, dtf.resolvedOptions().timeZone].join(" ");
+};
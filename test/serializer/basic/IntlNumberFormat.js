@@ -0,0 +1,11 @@
+// locale: en-US
+// does contain:1,234.5
+// does contain:1,234,567.891
+var nf = new Intl.NumberFormat("en-US", { maximumFractionDigits: 1 });
+var s = nf.format(1234.54);
+var t = (1234567.891).toLocaleString("en-US", { maximumFractionDigits: 3 });
+var locale = nf.resolvedOptions().locale;
+
+inspect = function() {
+  return s + " " + t + " " + locale + " " + nf.format(-0.25);
+};
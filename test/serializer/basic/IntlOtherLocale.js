@@ -0,0 +1,8 @@
+// locale: en-US
+// does not contain:1.234,5
+var nf = new Intl.NumberFormat("de-DE");
+var s = nf.format(1234.5);
+
+inspect = function() {
+  return s;
+};
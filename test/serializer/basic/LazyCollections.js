@@ -0,0 +1,36 @@
+a = [1, , 3];
+a.length = 5;
+m = new Map([[a, "a"]]);
+s = new Set([a, m]);
+r = /a(b)?/gi;
+r.lastIndex = 1;
+x = new ArrayBuffer(4);
+y = new Uint8Array(x);
+y[1] = 42;
+z = new DataView(x);
+b = new ArrayBuffer(8);
+v = new Uint8Array(b, 4, 2);
+v[1] = 7;
+w = new DataView(b, 3, 3);
+frozen = Object.freeze([a, s]);
+
+inspect = function() {
+  return JSON.stringify([
+    a.length,
+    1 in a,
+    m.get(a),
+    s.has(m),
+    r.lastIndex,
+    r.test("xAB"),
+    y[1],
+    z.getUint8(1),
+    Object.isFrozen(frozen),
+    frozen[1].has(a),
+    v.length,
+    v.byteOffset,
+    v[1],
+    w.byteLength,
+    w.byteOffset,
+    w.getUint8(2),
+  ]);
+}
@@ -0,0 +1,11 @@
+let { a, b: [c, d = 5] } = { a: 1, b: [2] };
+const [x, , ...ys] = [3, 4, 5, 6];
+let result;
+{
+  const { length, 0: first = "none" } = ys;
+  result = length + first;
+}
+
+inspect = function() {
+  return [a, c, d, x, ys.join(), result].join();
+};
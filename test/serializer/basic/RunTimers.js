@@ -0,0 +1,12 @@
+// run timers
+// does contain:count = 3
+// does contain:fired 1
+let count = 0;
+function tick() {
+  count++;
+  if (count < 3) setTimeout(tick);
+}
+setTimeout(tick, 0);
+setTimeout(function(message) { global.message = message + count; }, -5, "fired ");
+
+inspect = function() { return typeof tick; }
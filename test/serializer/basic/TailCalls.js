@@ -0,0 +1,38 @@
+// tail calls
+// exceeds stack limit
+
+function sum(n, acc) {
+  "use strict";
+  if (n === 0) return acc;
+  return sum(n - 1, acc + n);
+}
+
+function isEven(n) {
+  "use strict";
+  return n === 0 ? true : isOdd(n - 1);
+}
+
+function isOdd(n) {
+  "use strict";
+  return n !== 0 && isEven(n - 1);
+}
+
+let countDown = function(n) {
+  "use strict";
+  if (n === 0) return "done";
+  return countDown.apply(null, [n - 1]);
+};
+
+let tagged = function(strings, n) {
+  "use strict";
+  return n === 0 ? strings[0] : tagged`tag${n - 1}`;
+};
+
+var total = sum(100, 0);
+var even = isEven(51);
+var result = countDown(50);
+var tag = tagged`tag${20}`;
+
+inspect = function() {
+  return [total, even, result, tag].join(" ");
+};
@@ -0,0 +1,13 @@
+// does not contain:cleared
+// does contain:kept
+let log = [];
+let id1 = setTimeout(function() { log.push("cleared"); }, 0);
+let id2 = setTimeout(function(x) { log.push(x); }, 10, "kept");
+let id3 = setInterval(function() { log.push("interval"); }, 10);
+clearTimeout(id1);
+
+inspect = function() {
+  clearTimeout(id2);
+  clearInterval(id3);
+  return log.length;
+}
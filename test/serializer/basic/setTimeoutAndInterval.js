@@ -1,5 +1,5 @@
 // es6
-// does contain:keep me
+// does not contain:keep me
 (function() {
     let f = function() { /* keep me */ };
     let id1 = global.setTimeout(f, 1000);
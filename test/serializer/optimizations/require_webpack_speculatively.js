@@ -0,0 +1,40 @@
+// es6
+// does not contain:__webpack_require__(0)
+// initialize more modules
+
+(function(modules) {
+  var installedModules = {};
+
+  function __webpack_require__(moduleId) {
+    if (installedModules[moduleId]) {
+      return installedModules[moduleId].exports;
+    }
+    var module = (installedModules[moduleId] = {
+      i: moduleId,
+      l: false,
+      exports: {},
+    });
+    modules[moduleId].call(module.exports, module, module.exports, __webpack_require__);
+    module.l = true;
+    return module.exports;
+  }
+
+  __webpack_require__.m = modules;
+  __webpack_require__.c = installedModules;
+
+  return __webpack_require__((__webpack_require__.s = 2));
+})([
+  function(module, exports) {
+    module.exports = { foo: " hello " };
+  },
+  function(module, exports, __webpack_require__) {
+    module.exports = function() {
+      return __webpack_require__(0).foo;
+    };
+  },
+  function(module, exports, __webpack_require__) {
+    global.inspect = function() {
+      return __webpack_require__(1)();
+    };
+  },
+]);
@@ -0,0 +1,24 @@
+(function() {
+  function fn(o) {
+    const { k, m = 4, n: { p = "p" } = {} } = o;
+    return k + m + p;
+  }
+
+  function withDefaults(a, b = a + 1) {
+    let [c = b * 2] = [a > 5 ? undefined : a];
+    return b + c;
+  }
+
+  function fn2(a, b) {
+    return withDefaults(a, b);
+  }
+
+  if (global.__optimize) {
+    __optimize(fn);
+    __optimize(fn2);
+  }
+
+  global.inspect = function() {
+    return JSON.stringify([fn({ k: 3 }), fn({ k: 3, m: 5, n: { p: "q" } }), fn2(1), fn2(7), fn2(7, 0)]);
+  };
+})();
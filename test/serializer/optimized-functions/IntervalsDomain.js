@@ -0,0 +1,24 @@
+// does not contain:unreachable
+(function() {
+  let arr = ["unreachable", "b", "c", "d", "e", "f", "g", "h", "i", "j"];
+
+  function fn(x0) {
+    let x = x0 | 0;
+    if (x > 0 && x < 10) return arr[x];
+    return "none";
+  }
+
+  function fn2(x) {
+    if (x > 0 && x < 10) return arr[x];
+    return "none";
+  }
+
+  if (global.__optimize) {
+    __optimize(fn);
+    __optimize(fn2, { arguments: ["integral"] });
+  }
+
+  global.inspect = function() {
+    return JSON.stringify([fn(0), fn(3), fn(9.5), fn(10), fn("4"), fn2(0), fn2(3), fn2(9), fn2(10)]);
+  };
+})();
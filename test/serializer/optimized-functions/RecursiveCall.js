@@ -0,0 +1,18 @@
+(function() {
+  function fib(n) {
+    if (n < 2) return n;
+    return fib(n - 1) + fib(n - 2);
+  }
+
+  function fn(x) {
+    return fib(x) + 1;
+  }
+
+  if (global.__optimize) {
+    __optimize(fn);
+  }
+
+  global.inspect = function() {
+    return JSON.stringify([fn(0), fn(1), fn(10)]);
+  };
+})();
@@ -0,0 +1,25 @@
+(function() {
+  function sum(n, acc) {
+    if (n <= 0) return acc;
+    return sum(n - 1, acc + n);
+  }
+
+  function depth(n) {
+    let node = { depth: n };
+    node.depth--;
+    if (node.depth > 0) depth(node.depth);
+    return node.depth;
+  }
+
+  function fn(x) {
+    return depth(x) + sum(x, 1);
+  }
+
+  if (global.__optimize) {
+    __optimize(fn);
+  }
+
+  global.inspect = function() {
+    return JSON.stringify([fn(0), fn(1), fn(3), fn(10)]);
+  };
+})();
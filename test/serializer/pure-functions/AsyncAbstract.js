@@ -0,0 +1,26 @@
+// does contain:.call(
+// does contain:"g 1"
+let x = global.__abstract ? __abstract("number", "(42)") : 42;
+let p, q;
+var log = [];
+
+if (!global.__evaluatePureFunction) {
+  global.__evaluatePureFunction = f => f();
+}
+
+__evaluatePureFunction(() => {
+  async function f(y) {
+    if (y > 10) return await y;
+    return 0;
+  }
+  async function g() {
+    return await 1;
+  }
+  p = f(x);
+  q = g();
+  q.then(v => log.push("g " + v));
+});
+
+inspect = function() {
+  return typeof p.then + typeof q.then;
+};
@@ -66,7 +66,7 @@ var optionsConfig = [
   {
     type: "choice",
     name: "reactOutput",
-    choices: ["jsx", "create-element"],
+    choices: ["jsx", "create-element", "bytecode"],
     defaultVal: "jsx",
     description: "Specifies the serialization output of JSX nodes when React mode is enabled."
   },